@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Reports the dependency cycles of a system and the dependencies breaking
+ * its layer rules.
+ *
+ *   architecture.js <system> | --graph file.json [--root dataset-es6files]
+ *                   [--rules rules.json] [--kind kind]... [--evidence]
+ *                   [--json]
+ *
+ * Prints every strongly connected component of the graph with shortest
+ * cycles covering its classes, then, with `--rules` (see layers.js), every
+ * dependency between layers that a rule forbids.  Each dependency is shown
+ * with the location of its first reference; `--evidence` lists them all.
+ * `--kind` follows only some kinds of dependencies (association, uses,
+ * mixin).  Exits with status 1 when a rule is broken.
+ *
+ * The graph of a system takes the references of each class from every
+ * flattened file inlining a copy of it (see graph.systemGraph), as a cycle
+ * may only show in the copies: `Container -> DisplayObject -> Container` is
+ * only in `Graphics-flow.js` and the other files inlining both.  A graph
+ * saved by graph.js has the references of one copy of each class, so
+ * cycles through other copies are missing from it; the report says so.
+ */
+
+var util = require('util');
+var cycles = require('../lib/cycles');
+var dataset = require('../lib/dataset');
+var dump = require('../lib/dump');
+var graph = require('../lib/graph');
+var graphFormat = require('../lib/graph-format');
+var layers = require('../lib/layers');
+
+var USAGE = 'usage: architecture.js <system> | --graph file [--root dir] ' +
+  '[--rules file] [--kind kind]... [--evidence] [--json]';
+
+function location(ref) {
+  return ref.file + ':' + dump.formatRange(ref);
+}
+
+function printEdge(edge, indent, evidence) {
+  var refs = edge.evidence || [];
+  var head = indent + edge.from + ' -> ' + edge.to + ' ' + edge.kind + ' ' +
+    edge.count;
+  if (evidence) {
+    console.log(head);
+    refs.forEach(function(ref) {
+      console.log(indent + '  ' + location(ref) + ': ' + ref.type);
+    });
+  } else if (refs.length) {
+    console.log(head + ' at ' + location(refs[0]) +
+      (refs.length > 1 ? ' (+' + (refs.length - 1) + ' more)' : ''));
+  } else {
+    console.log(head);
+  }
+}
+
+function printReport(report, evidence) {
+  console.log('## ' + report.system + ': ' + report.components.length +
+    ' cyclic component' + (report.components.length === 1 ? '' : 's') +
+    (report.violations ? ', ' + report.violations.length +
+      ' layer violation' + (report.violations.length === 1 ? '' : 's') : ''));
+  if (report.note) console.log('Note: ' + report.note);
+  report.components.forEach(function(component, i) {
+    console.log('Component ' + (i + 1) + ' (' + component.classes.length +
+      ' classes): ' + component.classes.join(', '));
+    component.cycles.forEach(function(cycle) {
+      console.log('  ' + cycle.classes.concat(cycle.classes[0]).join(' -> '));
+      cycle.steps.forEach(function(step) {
+        step.edges.forEach(function(edge) {
+          printEdge(edge, '    ', evidence);
+        });
+      });
+    });
+  });
+  if (!report.violations) return;
+  report.violations.forEach(function(violation, i) {
+    var previous = report.violations[i - 1];
+    if (!previous || previous.rule !== violation.rule ||
+        previous.toLayer !== violation.toLayer) {
+      console.log('Layer ' + violation.fromLayer + ' must not depend on ' +
+        violation.toLayer + ':');
+    }
+    printEdge(violation.edge, '  ', evidence);
+  });
+}
+
+function main(argv) {
+  var args = util.parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      root: { type: 'string' },
+      graph: { type: 'string' },
+      rules: { type: 'string' },
+      kind: { type: 'string', multiple: true },
+      evidence: { type: 'boolean' },
+      json: { type: 'boolean' }
+    }
+  });
+  if (args.positionals.length !== (args.values.graph ? 0 : 1)) {
+    throw new Error(USAGE);
+  }
+  var rules = args.values.rules && layers.readRules(args.values.rules);
+  var input = args.values.graph ?
+    graphFormat.readGraph(args.values.graph) :
+    graph.systemGraph(dataset.findSystem(args.positionals[0],
+      args.values.root), { everyCopy: true });
+
+  var options = { kinds: args.values.kind };
+  var report = {
+    system: input.system,
+    note: args.values.graph && input.origin === 'extraction' ?
+      'the graph has the references of one copy of each class, cycles ' +
+      'through the copies other files inline are missing' : null,
+    components: cycles.findCycles(input, options),
+    violations: rules ? layers.checkRules(input, rules, options) : null
+  };
+  if (args.values.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report, args.values.evidence);
+  }
+  if (report.violations && report.violations.length) process.exitCode = 1;
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+}
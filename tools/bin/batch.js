@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Regenerates the dumps of the dataset with a local Flow and reports the
+ * extraction they give, in one run (see flow-dumps.js).
+ *
+ *   batch.js [--root dataset-es6files] [--system pixi.js] [--flow path]
+ *            [--jobs 4] [--cache dir] [--refresh] [--all] [--timeout 300]
+ *            [--json]
+ *
+ * For every system, runs `flow dump-types` on each flattened file that has
+ * a dump (every `*-flow.js` with `--all`) and writes the fresh dumps next to
+ * the files, `--jobs` files at a time; files unchanged since an earlier run
+ * take their dump from the cache instead, unless `--refresh`.  Then extracts
+ * the dependencies from the new dumps and prints one summary: the dumps
+ * written, cached and failed, precision and recall against the oracle, and
+ * the metrics of metrics.js.  Failures are printed on stderr, and the run
+ * exits with status 1; a file whose dump failed keeps its old one.
+ */
+
+var fs = require('fs');
+var util = require('util');
+var compare = require('../lib/compare');
+var dataset = require('../lib/dataset');
+var extract = require('../lib/extract');
+var flowDumps = require('../lib/flow-dumps');
+var graph = require('../lib/graph');
+var metrics = require('../lib/metrics');
+
+var STATUSES = ['dumped', 'cached', 'failed'];
+
+function percent(value) {
+  return value === null ? '-' : (100 * value).toFixed(1) + '%';
+}
+
+function pad(text, width) {
+  text = String(text);
+  return text.length >= width ? text : text + ' '.repeat(width - text.length);
+}
+
+function padLeft(text, width) {
+  text = String(text);
+  return text.length >= width ? text : ' '.repeat(width - text.length) + text;
+}
+
+/**
+ * Dumps, evaluation and metrics of one system
+ */
+function runSystem(system, options) {
+  var files = dataset.flowSources(system).filter(function(file) {
+    return options.all || fs.existsSync(extract.dumpPathFor(file));
+  });
+  return flowDumps.dumpFiles(files, Object.assign({}, options, {
+    progress: function(result) {
+      if (result.error) console.error(result.file + ': ' + result.error);
+    }
+  })).then(function(dumps) {
+    var extractions = new Map();
+    var extractFile = function(file) {
+      if (!extractions.has(file)) {
+        extractions.set(file, extract.extractFile(file));
+      }
+      return extractions.get(file);
+    };
+    var result = { system: system.name, dumps: {} };
+    STATUSES.forEach(function(status) {
+      result.dumps[status] = dumps.filter(function(dump) {
+        return dump.status === status;
+      }).map(function(dump) {
+        return dump.file;
+      });
+    });
+    var counts = system.oracleFile ?
+      compare.evaluateSystem(system, { extractFile: extractFile }).counts :
+      null;
+    result.precision = counts && counts.combined.precision;
+    result.recall = counts && counts.combined.recall;
+    result.metrics = metrics.systemMetrics(graph.systemGraph(system,
+      { extractFile: extractFile }));
+    delete result.metrics.system;
+    delete result.metrics.perClass;
+    return result;
+  });
+}
+
+function printReport(results) {
+  console.log(pad('System', 16) + STATUSES.map(function(status) {
+    return padLeft(status[0].toUpperCase() + status.slice(1), 8);
+  }).join('') + padLeft('Precision', 11) + padLeft('Recall', 9) +
+    metrics.METRICS.map(function(metric) {
+      return padLeft(metric, 8);
+    }).join(''));
+  results.forEach(function(result) {
+    console.log(pad(result.system, 16) + STATUSES.map(function(status) {
+      return padLeft(result.dumps[status].length, 8);
+    }).join('') + padLeft(percent(result.precision), 11) +
+      padLeft(percent(result.recall), 9) +
+      metrics.METRICS.map(function(metric) {
+        return padLeft(result.metrics[metric], 8);
+      }).join(''));
+  });
+}
+
+function main(argv) {
+  var args = util.parseArgs({
+    args: argv,
+    options: {
+      root: { type: 'string' },
+      system: { type: 'string' },
+      flow: { type: 'string' },
+      jobs: { type: 'string' },
+      cache: { type: 'string' },
+      refresh: { type: 'boolean' },
+      all: { type: 'boolean' },
+      timeout: { type: 'string' },
+      json: { type: 'boolean' }
+    }
+  });
+  var number = function(name) {
+    var value = args.values[name];
+    if (value === undefined) return undefined;
+    if (!/^[1-9]\d*$/.test(value)) {
+      throw new Error('--' + name + ' takes a positive number, not ' + value);
+    }
+    return Number(value);
+  };
+  var options = {
+    jobs: number('jobs'),
+    timeout: number('timeout'),
+    flow: flowDumps.findFlow(args.values.flow),
+    cacheDir: args.values.cache,
+    refresh: args.values.refresh,
+    all: args.values.all
+  };
+  var systems = dataset.listSystems(args.values.root).filter(function(system) {
+    return !args.values.system || system.name === args.values.system;
+  });
+  if (!systems.length) throw new Error('No system found');
+
+  // One system at a time, each typing its files in parallel
+  var results = [];
+  return systems.reduce(function(previous, system) {
+    return previous.then(function() {
+      return runSystem(system, options);
+    }).then(function(result) {
+      results.push(result);
+    });
+  }, Promise.resolve()).then(function() {
+    if (args.values.json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      printReport(results);
+    }
+    if (results.some(function(result) {
+      return result.dumps.failed.length;
+    })) {
+      process.exitCode = 1;
+    }
+  });
+}
+
+Promise.resolve().then(function() {
+  return main(process.argv.slice(2));
+}).catch(function(e) {
+  console.error(e.message);
+  process.exitCode = 1;
+});
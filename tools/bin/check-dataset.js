@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks the `flow-files` directories of the dataset (see integrity.js).
+ *
+ *   check-dataset.js [--root dataset-es6files] [--system pixi.js]
+ *                    [--notes] [--json]
+ *
+ * Prints the errors and warnings of every system, one per line
+ * (`treap-flow.js:166: error syntax-error: ...`), followed by how many of
+ * each level were found; `--notes` also prints the notes, such as the files
+ * without dump.  Exits with status 1 when an error is found.
+ */
+
+var util = require('util');
+var dataset = require('../lib/dataset');
+var integrity = require('../lib/integrity');
+
+function main(argv) {
+  var args = util.parseArgs({
+    args: argv,
+    options: {
+      root: { type: 'string' },
+      system: { type: 'string' },
+      notes: { type: 'boolean' },
+      json: { type: 'boolean' }
+    }
+  });
+  var systems = dataset.listSystems(args.values.root).filter(function(system) {
+    return !args.values.system || system.name === args.values.system;
+  });
+  if (!systems.length) throw new Error('No system found');
+
+  var results = systems.map(function(system) {
+    return { system: system.name, issues: integrity.checkSystem(system) };
+  });
+  if (args.values.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    results.forEach(function(result) {
+      console.log('## ' + result.system + ': ' +
+        integrity.LEVELS.map(function(level) {
+          var count = result.issues.filter(function(found) {
+            return found.level === level;
+          }).length;
+          return count + ' ' + level + (count === 1 ? '' : 's');
+        }).join(', '));
+      result.issues.forEach(function(found) {
+        if (found.level === 'note' && !args.values.notes) return;
+        console.log(found.file + (found.line ? ':' + found.line : '') + ': ' +
+          found.level + ' ' + found.code + ': ' + found.message);
+      });
+    });
+  }
+  if (results.some(function(result) {
+    return result.issues.some(function(found) {
+      return found.level === 'error';
+    });
+  })) {
+    process.exitCode = 1;
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Compares the dependencies extracted from the dumps with the
+ * `DependenciesMap-*.ods` oracles and reports precision and recall.
+ *
+ *   compare.js [--root dataset-es6files] [--system pixi.js] [--summary]
+ *              [--json] [--graph file.json] [--exclude-tests]
+ *              [--inferencer flow]...
+ *
+ * For every system, prints precision and recall for associations, "uses"
+ * dependencies and both combined, with the part of the recall brought by the
+ * references only found by splitting their types (`Split`: 10% when they
+ * make a tenth of the expected references), followed by the false
+ * negatives counted by category (see misses.js) and every false negative
+ * and false positive with its location (omitted with `--summary`).  The
+ * references an oracle counts without listing them are followed by the
+ * positions they were put down to, guesses counted by category in a table
+ * of their own; false positives also give the original file and line they
+ * come from, when known, or whether they are inlined or test code (see
+ * provenance.js).
+ * `--exclude-tests` leaves out the references of test code.
+ *
+ * `--inferencer` takes the types from another inferencer than Flow's dumps
+ * (see inferencers.js); given several times, every system is evaluated with
+ * each of them in turn, and the table gets a column naming them.
+ *
+ * `--graph` evaluates a graph saved by graph.js instead of extracting the
+ * system it names, without categorizing its false negatives.  The graph
+ * takes a class whose oracle file has no dump from another file
+ * (`GraphicsData` from `Graphics-flow.js` in pixi.js), which the plain
+ * comparison leaves out, so their counts may differ.
+ */
+
+var util = require('util');
+var dump = require('../lib/dump');
+var dataset = require('../lib/dataset');
+var compare = require('../lib/compare');
+var extract = require('../lib/extract');
+var graphFormat = require('../lib/graph-format');
+var misses = require('../lib/misses');
+var provenance = require('../lib/provenance');
+
+function percent(value) {
+  return value === null ? '-' : (100 * value).toFixed(1) + '%';
+}
+
+function pad(text, width) {
+  text = String(text);
+  return text.length >= width ? text : text + ' '.repeat(width - text.length);
+}
+
+function padLeft(text, width) {
+  text = String(text);
+  return text.length >= width ? text : ' '.repeat(width - text.length) + text;
+}
+
+function describe(item) {
+  var head = (item.category ? '[' + item.category + '] ' : '') +
+    item.from + ' -> ' + item.to + ' (' + item.kind + ')';
+  if (item.unlisted) {
+    return head + ': ' + item.unlisted + ' not listed in the oracle';
+  }
+  return head + ' ' + item.file + ':' + dump.formatRange(item) +
+    (item.provenance ?
+      ' (' + provenance.formatOrigin(item.provenance) + ')' : '') +
+    ': ' + item.type;
+}
+
+function printReport(results, summary) {
+  var several = results.some(function(result) {
+    return result.inferencer !== results[0].inferencer;
+  });
+  var inferencer = function(result) {
+    return several ? pad(result.inferencer, 12) : '';
+  };
+  console.log(pad('System', 16) + (several ? pad('Inferencer', 12) : '') +
+    pad('Kind', 13) + padLeft('TP', 6) + padLeft('FP', 6) + padLeft('FN', 6) +
+    padLeft('Precision', 11) + padLeft('Recall', 9) + padLeft('Split', 9));
+  results.forEach(function(result) {
+    ['association', 'uses', 'combined'].forEach(function(kind) {
+      var c = result.counts[kind];
+      console.log(pad(result.system, 16) + inferencer(result) +
+        pad(kind, 13) + padLeft(c.tp, 6) + padLeft(c.fp, 6) +
+        padLeft(c.fn, 6) + padLeft(percent(c.precision), 11) +
+        padLeft(percent(c.recall), 9) + padLeft(percent(c.splitRecall), 9));
+    });
+  });
+  if (summary) return;
+
+  results.forEach(function(result) {
+    console.log('\n## ' + result.system +
+      (several ? ' (' + result.inferencer + ')' : ''));
+    result.missing.forEach(function(name) {
+      console.log('missing extraction: ' + name);
+    });
+    var table = function(title, counts) {
+      var rows = result.missCategories.filter(function(row) {
+        return counts(row).association || counts(row).uses;
+      });
+      if (!rows.length) return;
+      console.log(pad(title, 64) + padLeft('Assoc', 7) + padLeft('Uses', 7));
+      rows.forEach(function(row) {
+        console.log(pad(row.category + ': ' +
+          misses.CATEGORIES[row.category], 64) +
+          padLeft(counts(row).association, 7) +
+          padLeft(counts(row).uses, 7));
+      });
+    };
+    table('Cause of false negatives', function(row) {
+      return row;
+    });
+    table('Guessed cause of unlisted references', function(row) {
+      return row.guessed;
+    });
+    // An unlisted miss stands for as many references as the oracle counts
+    var missed = result.falseNegatives.reduce(function(sum, item) {
+      return sum + (item.unlisted || 1);
+    }, 0);
+    console.log('False negatives (' + missed + '):');
+    result.falseNegatives.forEach(function(item) {
+      console.log('  ' + describe(item));
+      (item.candidates || []).forEach(function(entry) {
+        console.log('    guessed [' + entry.category + '] ' + entry.file +
+          ':' + dump.formatRange(entry) + ': ' + entry.type);
+      });
+    });
+    console.log('False positives (' + result.falsePositives.length + '):');
+    result.falsePositives.forEach(function(item) {
+      console.log('  ' + describe(item));
+    });
+  });
+}
+
+function main(argv) {
+  var args = util.parseArgs({
+    args: argv,
+    options: {
+      root: { type: 'string' },
+      system: { type: 'string' },
+      summary: { type: 'boolean' },
+      json: { type: 'boolean' },
+      graph: { type: 'string' },
+      'exclude-tests': { type: 'boolean' },
+      inferencer: { type: 'string', multiple: true }
+    }
+  });
+  var saved = args.values.graph && graphFormat.readGraph(args.values.graph);
+  var wanted = saved ? saved.system : args.values.system;
+  var systems = dataset.listSystems(args.values.root).filter(function(system) {
+    return system.oracleFile && (!wanted || system.name === wanted);
+  });
+  if (!systems.length) throw new Error('No system with an oracle found');
+
+  var inferencers = saved ? [saved.inferencer || 'flow'] :
+    args.values.inferencer || ['flow'];
+  var results = [];
+  inferencers.forEach(function(inferencer) {
+    var extractions = new Map();
+    var extractFile = function(file) {
+      if (!extractions.has(file)) {
+        extractions.set(file, extract.extractFile(file, null, {
+          excludeTests: args.values['exclude-tests'],
+          inferencer: inferencer
+        }));
+      }
+      return extractions.get(file);
+    };
+    systems.forEach(function(system) {
+      var result = compare.evaluateSystem(system, {
+        extractFile: extractFile,
+        graph: saved
+      });
+      result.inferencer = inferencer;
+      if (saved) {
+        result.missCategories = [];
+      } else if (!args.values.summary) {
+        result.missCategories = misses.categorizeSystem(system, result,
+          { extractFile: extractFile });
+      }
+      results.push(result);
+    });
+  });
+  if (args.values.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    printReport(results, args.values.summary);
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks that the copies of each class inlined in several flattened files
+ * are the same.
+ *
+ *   copies.js [--root dataset-es6files] [--system pixi.js] [--class Name]
+ *             [--all] [--diff] [--json]
+ *
+ * Prints, for every class with drifted copies (every class with `--all`),
+ * its number of copies and variants and the canonical copy, then each
+ * drifted copy with the share of lines it has in common with the canonical
+ * one; `--diff` also prints the differing lines.  Exits with status 1 when
+ * a copy has drifted.
+ */
+
+var util = require('util');
+var copies = require('../lib/copies');
+var dataset = require('../lib/dataset');
+
+function percent(value) {
+  return (100 * value).toFixed(1) + '%';
+}
+
+function printReport(results, options) {
+  results.forEach(function(result) {
+    var classes = result.classes.filter(function(cls) {
+      return options.all || cls.drifted.length;
+    });
+    console.log('## ' + result.system + ': ' + result.classes.length +
+      ' copied, ' + result.classes.filter(function(cls) {
+        return cls.drifted.length;
+      }).length + ' drifted');
+    classes.forEach(function(cls) {
+      console.log(cls.name + ': ' + cls.copies + ' copies, ' + cls.variants +
+        ' variant' + (cls.variants > 1 ? 's' : '') + ', canonical in ' +
+        cls.canonical.file + ':' + cls.canonical.start.line);
+      cls.drifted.forEach(function(copy) {
+        console.log('  ' + copy.file + ':' + copy.start.line + ' ' +
+          percent(copy.similarity) + ' same, -' + copy.removed + ' +' +
+          copy.added + ' lines');
+        if (!options.diff) return;
+        copy.changes.forEach(function(change) {
+          console.log('    ' + change.op + ' ' + change.line + ': ' +
+            change.text);
+        });
+      });
+    });
+  });
+}
+
+function main(argv) {
+  var args = util.parseArgs({
+    args: argv,
+    options: {
+      root: { type: 'string' },
+      system: { type: 'string' },
+      'class': { type: 'string' },
+      all: { type: 'boolean' },
+      diff: { type: 'boolean' },
+      json: { type: 'boolean' }
+    }
+  });
+  var systems = dataset.listSystems(args.values.root).filter(function(system) {
+    return !args.values.system || system.name === args.values.system;
+  });
+  if (!systems.length) throw new Error('No system found');
+
+  var results = systems.map(function(system) {
+    return {
+      system: system.name,
+      classes: copies.checkSystem(system, { className: args.values['class'] })
+    };
+  });
+  if (args.values.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    printReport(results, args.values);
+  }
+  if (results.some(function(result) {
+    return result.classes.some(function(cls) {
+      return cls.drifted.length;
+    });
+  })) {
+    process.exitCode = 1;
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+}
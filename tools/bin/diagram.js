@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Exports the class diagram of a system of the dataset.
+ *
+ *   diagram.js <system> | --graph file.json [--root dataset-es6files]
+ *              [--format plantuml|dot|mermaid] [--package name]...
+ *              [--class Name [--depth n]] [--kind kind]... [--out file]
+ *
+ * `--package` keeps the classes of some packages, `--class` those reachable
+ * from one class (within `--depth` steps), `--kind` some kinds of
+ * dependencies (association, uses, mixin).  `--graph` draws a graph saved by
+ * graph.js instead of extracting that of a system.  The diagram is printed
+ * unless `--out` is given.
+ */
+
+var fs = require('fs');
+var util = require('util');
+var dataset = require('../lib/dataset');
+var diagram = require('../lib/diagram');
+var graph = require('../lib/graph');
+var graphFormat = require('../lib/graph-format');
+
+var USAGE = 'usage: diagram.js <system> | --graph file [--root dir] ' +
+  '[--format plantuml|dot|mermaid] [--package name]... ' +
+  '[--class Name [--depth n]] [--kind kind]... [--out file]';
+
+function main(argv) {
+  var args = util.parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      root: { type: 'string' },
+      graph: { type: 'string' },
+      format: { type: 'string', 'default': 'plantuml' },
+      'package': { type: 'string', multiple: true },
+      'class': { type: 'string' },
+      depth: { type: 'string' },
+      kind: { type: 'string', multiple: true },
+      out: { type: 'string' }
+    }
+  });
+  if (args.positionals.length !== (args.values.graph ? 0 : 1)) {
+    throw new Error(USAGE);
+  }
+  if (diagram.FORMATS.indexOf(args.values.format) === -1) {
+    throw new Error('Unknown format ' + args.values.format + ', use one of ' +
+      diagram.FORMATS.join(', '));
+  }
+  var depth;
+  if (args.values.depth !== undefined) {
+    if (!args.values['class']) throw new Error('--depth needs --class');
+    depth = Number(args.values.depth);
+    if (!(depth >= 0) || depth !== Math.floor(depth)) {
+      throw new Error('Bad --depth ' + args.values.depth);
+    }
+  }
+
+  var input = args.values.graph ?
+    graphFormat.readGraph(args.values.graph) :
+    graph.systemGraph(dataset.findSystem(args.positionals[0],
+      args.values.root));
+  var filtered = diagram.filterGraph(input, {
+    packages: args.values['package'],
+    root: args.values['class'],
+    depth: depth,
+    kinds: args.values.kind
+  });
+  var text = diagram.render(filtered, args.values.format);
+  if (args.values.out) {
+    fs.writeFileSync(args.values.out, text);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Queries a `*-flow.dump` file instead of grepping it by hand.
+ *
+ *   dump-query.js classes  <file.dump>
+ *   dump-query.js of-class <file.dump> <ClassName> [--class-objects]
+ *   dump-query.js untyped  <file.dump>
+ *
+ * Add `--json` to print the matching entries as JSON.  When the flattened
+ * file next to the dump has a source map (see flatten.js), entries are
+ * followed by their location in the original modules.
+ */
+
+var fs = require('fs');
+var util = require('util');
+var dump = require('../lib/dump');
+var sourceMap = require('../lib/source-map');
+
+var USAGE = 'usage: dump-query.js classes|of-class|untyped <file.dump> ' +
+  '[ClassName] [--class-objects] [--json]';
+
+function main(argv) {
+  var args = util.parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'class-objects': { type: 'boolean' },
+      json: { type: 'boolean' }
+    }
+  });
+  var command = args.positionals[0];
+  var file = args.positionals[1];
+  if (!command || !file) throw new Error(USAGE);
+
+  var flattened = file.replace(/\.dump$/, '.js');
+  var mapFile = fs.existsSync(flattened) &&
+    sourceMap.findSourceMap(flattened);
+  var parsed = dump.readDump(file,
+    { sourceMap: mapFile && sourceMap.readSourceMap(mapFile) });
+  var results;
+  switch (command) {
+    case 'classes':
+      results = parsed.classDeclarations().map(function(decl) {
+        return {
+          name: decl.name,
+          start: decl.start,
+          end: decl.end,
+          original: decl.entry.original,
+          text: decl.name + ' ' + dump.formatRange(decl)
+        };
+      });
+      break;
+    case 'of-class':
+      if (!args.positionals[2]) throw new Error(USAGE);
+      results = parsed.ofClass(args.positionals[2], {
+        classObjects: args.values['class-objects']
+      });
+      break;
+    case 'untyped':
+      results = parsed.untyped();
+      break;
+    default:
+      throw new Error(USAGE);
+  }
+
+  if (args.values.json) {
+    console.log(JSON.stringify(results.map(function(r) {
+      return Object.assign({}, r, { text: undefined, entry: undefined });
+    }), null, 2));
+  } else {
+    results.forEach(function(r) {
+      var original = dump.formatOriginal(r);
+      console.log((r.text || dump.formatEntry(r)) +
+        (original ? ' (' + original + ')' : ''));
+    });
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+}
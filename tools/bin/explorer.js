@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Writes the HTML dependency explorer of the systems of the dataset (see
+ * explorer.js).
+ *
+ *   explorer.js [--root dataset-es6files] [--system pixi.js]
+ *               [--graph file.json] [--context 2]
+ *               [--out file | --out-dir dir]
+ *
+ * The explorer shows the graph extracted from the dumps, or with `--graph`
+ * a graph saved by graph.js, marking the dependencies the oracle of the
+ * system agrees with; the snippets come from the flattened files of the
+ * system, `--context` lines around each reference.  A single page is
+ * printed unless `--out` is given; `--out-dir` writes one
+ * `<system>.html` per system.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var dataset = require('../lib/dataset');
+var explorer = require('../lib/explorer');
+var graph = require('../lib/graph');
+var graphFormat = require('../lib/graph-format');
+
+var USAGE = 'usage: explorer.js [--root dir] [--system name | --graph file] ' +
+  '[--context n] [--out file | --out-dir dir]';
+
+/**
+ * Page of one graph, with the sources and oracle of its system if found
+ */
+function page(input, system, context) {
+  var readFile = function(name) {
+    var file = path.join(system.flowDir, path.basename(name));
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+  };
+  var oracle = system && system.oracleFile && input.origin !== 'oracle' ?
+    graph.oracleGraph(system) : null;
+  return explorer.renderExplorer(explorer.explorerData(input, {
+    readFile: system ? readFile : null,
+    oracle: oracle,
+    context: context
+  }));
+}
+
+function main(argv) {
+  var args = util.parseArgs({
+    args: argv,
+    options: {
+      root: { type: 'string' },
+      system: { type: 'string' },
+      graph: { type: 'string' },
+      context: { type: 'string' },
+      out: { type: 'string' },
+      'out-dir': { type: 'string' }
+    }
+  });
+  if ((args.values.out && args.values['out-dir']) ||
+      (args.values.graph && args.values.system)) {
+    throw new Error(USAGE);
+  }
+  var context;
+  if (args.values.context !== undefined) {
+    context = Number(args.values.context);
+    if (!(context >= 0) || context !== Math.floor(context)) {
+      throw new Error('Bad --context ' + args.values.context);
+    }
+  }
+
+  var systems = dataset.listSystems(args.values.root);
+  var pages = [];
+  if (args.values.graph) {
+    var saved = graphFormat.readGraph(args.values.graph);
+    pages.push({
+      system: saved.system,
+      html: page(saved, systems.find(function(system) {
+        return system.name === saved.system;
+      }), context)
+    });
+  } else {
+    systems = systems.filter(function(system) {
+      return !args.values.system || system.name === args.values.system;
+    });
+    if (!systems.length) throw new Error('No system found');
+    if (systems.length > 1 && !args.values['out-dir']) {
+      throw new Error('Several systems, use --system or --out-dir');
+    }
+    pages = systems.map(function(system) {
+      return {
+        system: system.name,
+        html: page(graph.systemGraph(system), system, context)
+      };
+    });
+  }
+
+  if (args.values['out-dir']) {
+    fs.mkdirSync(args.values['out-dir'], { recursive: true });
+  }
+  pages.forEach(function(written) {
+    if (args.values['out-dir']) {
+      fs.writeFileSync(path.join(args.values['out-dir'],
+        written.system + '.html'), written.html);
+    } else if (args.values.out) {
+      fs.writeFileSync(args.values.out, written.html);
+    } else {
+      process.stdout.write(written.html);
+    }
+  });
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+}
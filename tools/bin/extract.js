@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Extracts the class-to-class dependencies of a flattened file.
+ *
+ *   extract.js <X-flow.js> [X-flow.dump] [--class Name] [--references]
+ *              [--helpers] [--exclude-tests] [--inferencer flow] [--json]
+ *
+ * Prints one line per edge (`A -> B kind count`); `--references` lists every
+ * dump entry behind the edges instead, with the original file and line it
+ * comes from (or whether it is inlined or test code, see provenance.js), and
+ * `--helpers` the module-private functions with the classes they are
+ * attributed to.  Helpers shared by several classes are reported on stderr
+ * for review.  `--exclude-tests` leaves out the references of test code.
+ * `--inferencer typescript` takes the types from the TypeScript compiler
+ * instead of the dump (see inferencers.js).
+ */
+
+var util = require('util');
+var dump = require('../lib/dump');
+var extract = require('../lib/extract');
+var provenance = require('../lib/provenance');
+
+var USAGE = 'usage: extract.js <X-flow.js> [X-flow.dump] [--class Name] ' +
+  '[--references] [--helpers] [--exclude-tests] [--inferencer name] ' +
+  '[--json]';
+
+function main(argv) {
+  var args = util.parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'class': { type: 'string' },
+      references: { type: 'boolean' },
+      helpers: { type: 'boolean' },
+      'exclude-tests': { type: 'boolean' },
+      inferencer: { type: 'string' },
+      json: { type: 'boolean' }
+    }
+  });
+  if (!args.positionals[0]) throw new Error(USAGE);
+
+  var result = extract.extractFile(args.positionals[0], args.positionals[1],
+    {
+      excludeTests: args.values['exclude-tests'],
+      inferencer: args.values.inferencer
+    });
+  result.helpers.forEach(function(helper) {
+    if (helper.owners.length > 1 && !args.values.json) {
+      console.error('warning: helper ' + helper.name + ' (line ' +
+        helper.start.line + ') is shared by ' + helper.owners.join(', '));
+    }
+  });
+
+  if (args.values.helpers) {
+    if (args.values.json) {
+      console.log(JSON.stringify(result.helpers, null, 2));
+      return;
+    }
+    result.helpers.forEach(function(helper) {
+      console.log(helper.name + ' ' + dump.formatRange(helper) + ' -> ' +
+        helper.owners.join(', '));
+    });
+    return;
+  }
+  var references = result.references;
+  if (args.values['class']) {
+    references = references.filter(function(ref) {
+      return ref.from === args.values['class'];
+    });
+  }
+
+  if (args.values.references) {
+    if (args.values.json) {
+      console.log(JSON.stringify(references, null, 2));
+      return;
+    }
+    references.forEach(function(ref) {
+      console.log(ref.from + ' -> ' + ref.to + ' ' + ref.kind + ' ' +
+        ref.file + ':' + dump.formatRange(ref) + ' (' +
+        provenance.formatOrigin(ref.provenance) + '): ' + ref.type);
+    });
+    return;
+  }
+
+  var edges = extract.summarize(references);
+  if (args.values.json) {
+    console.log(JSON.stringify({
+      classes: result.classes,
+      edges: edges
+    }, null, 2));
+    return;
+  }
+  edges.forEach(function(edge) {
+    var fields = edge.fields.length ? ' (' + edge.fields.join(', ') + ')' : '';
+    console.log(edge.from + ' -> ' + edge.to + ' ' + edge.kind + ' ' +
+      edge.count + fields);
+  });
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+}
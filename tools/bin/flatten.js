@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Generates the flattened `X-flow.js` file of classes of an original source
+ * tree, as described in the methodology files of the dataset.
+ *
+ *   flatten.js <src-root> <ClassName|file.js>... [--test file]...
+ *              [--namespace NAME=module.js]... [--out file | --out-dir dir]
+ *
+ * Without `--out` or `--out-dir` the flattened file is printed; otherwise
+ * its source map is written next to it as `X-flow.js.map` and linked from
+ * its last line, so that the locations of its dump can be translated back
+ * to the original modules.
+ * `--namespace PIXI=src/index.js` declares a global standing for the exports
+ * of a module, as `PIXI` in the pixi.js tests.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var Flattener = require('../lib/flatten').Flattener;
+var sourceMap = require('../lib/source-map');
+
+var USAGE = 'usage: flatten.js <src-root> <ClassName|file.js>... ' +
+  '[--test file]... [--namespace NAME=module.js]... ' +
+  '[--out file | --out-dir dir]';
+
+/**
+ * Module of a class given by name or by file
+ */
+function entryFile(flattener, target) {
+  if (/\.js$/.test(target)) {
+    var file = path.resolve(flattener.root, target);
+    if (!fs.existsSync(file)) file = path.resolve(target);
+    if (!fs.existsSync(file)) throw new Error('No such file: ' + target);
+    return file;
+  }
+  var files = flattener.findClass(target);
+  if (!files.length) throw new Error('No class ' + target + ' in the tree');
+  if (files.length > 1) {
+    throw new Error('Class ' + target + ' is declared in several files, ' +
+      'pass one of them instead:\n  ' + files.join('\n  '));
+  }
+  return files[0];
+}
+
+/**
+ * Name of the flattened file: `<Class>-flow.js`, or `<module>-flow.js` when
+ * a file was given
+ */
+function outputName(target) {
+  return path.basename(target, '.js') + '-flow.js';
+}
+
+function main(argv) {
+  var args = util.parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      test: { type: 'string', multiple: true },
+      namespace: { type: 'string', multiple: true },
+      out: { type: 'string' },
+      'out-dir': { type: 'string' }
+    }
+  });
+  var positionals = args.positionals;
+  if (positionals.length < 2) throw new Error(USAGE);
+  var targets = positionals.slice(1);
+  if (args.values.out && targets.length > 1) {
+    throw new Error('--out takes a single class, use --out-dir');
+  }
+
+  var namespaces = {};
+  (args.values.namespace || []).forEach(function(option) {
+    var m = /^([A-Za-z_$][\w$]*)=(.+)$/.exec(option);
+    if (!m) throw new Error('Bad --namespace ' + option + ', use NAME=file');
+    namespaces[m[1]] = m[2];
+  });
+  var flattener = new Flattener(positionals[0], { namespaces: namespaces });
+  var tests = (args.values.test || []).map(function(file) {
+    return path.resolve(file);
+  });
+  targets.forEach(function(target) {
+    var out = args.values['out-dir'] ?
+      path.join(args.values['out-dir'], outputName(target)) : args.values.out;
+    var flattened = flattener.flattenWithMap(entryFile(flattener, target), {
+      tests: tests,
+      file: out ? path.basename(out) : outputName(target)
+    });
+    if (!out) {
+      process.stdout.write(flattened.text);
+      return;
+    }
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    writeFlattened(out, flattened);
+  });
+}
+
+/**
+ * Writes a flattened file and its source map, whose sources are made
+ * relative to the directory of the file
+ */
+function writeFlattened(out, flattened) {
+  var map = Object.assign({}, flattened.map, {
+    sourceRoot: path.relative(path.dirname(path.resolve(out)),
+      flattened.map.sourceRoot).split(path.sep).join('/') || '.'
+  });
+  fs.writeFileSync(out, flattened.text +
+    sourceMap.sourceMappingComment(path.basename(out) + '.map') + '\n');
+  fs.writeFileSync(out + '.map', JSON.stringify(map) + '\n');
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Compares two dependency graphs of a system.
+ *
+ *   graph-diff.js <before> <after> [--root dataset-es6files] [--class Name]
+ *                 [--evidence] [--json]
+ *
+ * Each graph is a file saved by graph.js or the name of a system of the
+ * dataset, whose graph is then extracted from its current dumps.  Prints how
+ * many classes and edges were added, removed or changed, then the changes
+ * of every class: `+` for dependencies gained, `-` for those lost and `~`
+ * for changed ones (`uses 2 -> association 1`).  `--evidence` also lists
+ * the references behind each change, `--class` keeps the changes of the
+ * dependencies of one class.
+ */
+
+var fs = require('fs');
+var util = require('util');
+var dataset = require('../lib/dataset');
+var dump = require('../lib/dump');
+var graph = require('../lib/graph');
+var graphDiff = require('../lib/graph-diff');
+var graphFormat = require('../lib/graph-format');
+
+var USAGE = 'usage: graph-diff.js <before> <after> [--root dir] ' +
+  '[--class Name] [--evidence] [--json]';
+
+var SIGNS = { added: '+', removed: '-', kind: '~', count: '~', evidence: '~' };
+
+function loadGraph(name, root) {
+  if (fs.existsSync(name) && fs.statSync(name).isFile()) {
+    return graphFormat.readGraph(name);
+  }
+  return graph.systemGraph(dataset.findSystem(name, root));
+}
+
+function kinds(counts) {
+  var names = Object.keys(counts);
+  return names.length ? names.map(function(kind) {
+    return kind + ' ' + counts[kind];
+  }).join(', ') : 'none';
+}
+
+function printReport(result, before, after, evidence) {
+  var s = result.summary;
+  console.log('## ' + before.system + ' -> ' + after.system);
+  console.log('Classes: ' + s.classes.added + ' added, ' +
+    s.classes.removed + ' removed, ' + s.classes.renamed + ' renamed, ' +
+    s.classes.superClass + ' with another superclass');
+  console.log('Edges: ' + graphDiff.CHANGES.map(function(change) {
+    return s.edges[change] + ' ' + (change === 'added' ||
+      change === 'removed' ? change : change + ' changed');
+  }).join(', '));
+
+  result.classes.added.forEach(function(cls) {
+    console.log('+ class ' + cls.name);
+  });
+  result.classes.removed.forEach(function(cls) {
+    console.log('- class ' + cls.name);
+  });
+  result.classes.renamed.forEach(function(renaming) {
+    console.log('~ class ' + renaming.from + ' renamed ' + renaming.to);
+  });
+  result.classes.superClasses.forEach(function(change) {
+    console.log('~ class ' + change.name + ' extends ' +
+      (change.before || 'nothing') + ' -> ' + (change.after || 'nothing'));
+  });
+
+  var from = null;
+  result.edges.forEach(function(edge) {
+    if (edge.from !== from) {
+      from = edge.from;
+      console.log('\n### ' + from);
+    }
+    var line = SIGNS[edge.change] + ' ' + edge.from + ' -> ' + edge.to + ' ';
+    if (edge.change === 'added') {
+      line += kinds(edge.after) + (Object.keys(edge.before).length ?
+        ' (was ' + kinds(edge.before) + ')' : '');
+    } else if (edge.change === 'removed') {
+      line += kinds(edge.before) + (Object.keys(edge.after).length ?
+        ' (now ' + kinds(edge.after) + ')' : '');
+    } else if (edge.change === 'evidence') {
+      line += kinds(edge.after) + ' from other references';
+    } else {
+      line += kinds(edge.before) + ' -> ' + kinds(edge.after);
+    }
+    console.log(line);
+    if (!evidence) return;
+    edge.removedEvidence.forEach(function(ref) {
+      console.log('    - ' + ref.file + ':' + dump.formatRange(ref) + ': ' +
+        ref.type);
+    });
+    edge.addedEvidence.forEach(function(ref) {
+      console.log('    + ' + ref.file + ':' + dump.formatRange(ref) + ': ' +
+        ref.type);
+    });
+  });
+}
+
+function main(argv) {
+  var args = util.parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      root: { type: 'string' },
+      'class': { type: 'string' },
+      evidence: { type: 'boolean' },
+      json: { type: 'boolean' }
+    }
+  });
+  if (args.positionals.length !== 2) throw new Error(USAGE);
+  var before = loadGraph(args.positionals[0], args.values.root);
+  var after = loadGraph(args.positionals[1], args.values.root);
+
+  var result = graphDiff.diffGraphs(before, after);
+  if (args.values['class']) {
+    result.edges = result.edges.filter(function(edge) {
+      return edge.from === args.values['class'];
+    });
+  }
+  if (args.values.json) {
+    console.log(JSON.stringify({
+      before: before.system,
+      after: after.system,
+      summary: result.summary,
+      classes: {
+        added: result.classes.added.map(function(cls) {
+          return cls.name;
+        }),
+        removed: result.classes.removed.map(function(cls) {
+          return cls.name;
+        }),
+        renamed: result.classes.renamed,
+        superClasses: result.classes.superClasses
+      },
+      edges: result.edges
+    }, null, 2));
+    return;
+  }
+  printReport(result, before, after, args.values.evidence);
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Writes the dependency graphs of the systems of the dataset in the
+ * canonical JSON format (see graph-format.js), or checks graph files.
+ *
+ *   graph.js [--root dataset-es6files] [--system pixi.js] [--oracle]
+ *            [--exclude-tests] [--inferencer flow]
+ *            [--out file | --out-dir dir]
+ *   graph.js --check file...
+ *
+ * Graphs are those extracted from the dumps, or with `--oracle` those of the
+ * oracles; `--exclude-tests` leaves out the references of test code, and
+ * `--inferencer` names where the types come from (see inferencers.js).  The
+ * evidence of extracted edges records where each reference comes from
+ * before flattening (see provenance.js).  A single graph is printed unless
+ * `--out` is given; `--out-dir` writes one `<system>.graph.json` per system.
+ * `--check` validates files against the schema and reports their errors,
+ * exiting with status 1 when one is invalid.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var dataset = require('../lib/dataset');
+var graph = require('../lib/graph');
+var extract = require('../lib/extract');
+var graphFormat = require('../lib/graph-format');
+
+var USAGE = 'usage: graph.js [--root dir] [--system name] [--oracle] ' +
+  '[--exclude-tests] [--inferencer name] [--out file | --out-dir dir] | ' +
+  '--check file...';
+
+function check(files) {
+  files.forEach(function(file) {
+    try {
+      var parsed = graphFormat.readGraph(file);
+      console.log(file + ': ' + parsed.system + ', ' +
+        parsed.classes.length + ' classes, ' + parsed.edges.length +
+        ' edges');
+    } catch (e) {
+      console.log(e.message);
+      process.exitCode = 1;
+    }
+  });
+}
+
+function main(argv) {
+  var args = util.parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      root: { type: 'string' },
+      system: { type: 'string' },
+      oracle: { type: 'boolean' },
+      'exclude-tests': { type: 'boolean' },
+      inferencer: { type: 'string' },
+      out: { type: 'string' },
+      'out-dir': { type: 'string' },
+      check: { type: 'boolean' }
+    }
+  });
+  if (args.values.check) {
+    if (!args.positionals.length) throw new Error(USAGE);
+    check(args.positionals);
+    return;
+  }
+  if (args.positionals.length ||
+      (args.values.out && args.values['out-dir'])) {
+    throw new Error(USAGE);
+  }
+
+  var systems = dataset.listSystems(args.values.root).filter(function(system) {
+    return (!args.values.system || system.name === args.values.system) &&
+      (!args.values.oracle || system.oracleFile);
+  });
+  if (!systems.length) throw new Error('No system found');
+  if (systems.length > 1 && !args.values['out-dir']) {
+    throw new Error('Several systems, use --system or --out-dir');
+  }
+  if (args.values['out-dir']) {
+    fs.mkdirSync(args.values['out-dir'], { recursive: true });
+  }
+
+  var extractFile = function(file) {
+    return extract.extractFile(file, null, {
+      excludeTests: args.values['exclude-tests'],
+      inferencer: args.values.inferencer
+    });
+  };
+  systems.forEach(function(system) {
+    var built = args.values.oracle ? graph.oracleGraph(system) :
+      Object.assign(graph.systemGraph(system, { extractFile: extractFile }),
+        { inferencer: args.values.inferencer || 'flow' });
+    if (args.values['out-dir']) {
+      graphFormat.writeGraph(path.join(args.values['out-dir'],
+        system.name + '.graph.json'), built);
+    } else if (args.values.out) {
+      graphFormat.writeGraph(args.values.out, built);
+    } else {
+      process.stdout.write(JSON.stringify(graphFormat.toJSON(built), null, 2) +
+        '\n');
+    }
+  });
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+}
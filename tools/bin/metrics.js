@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Computes Genero's class-diagram metrics (NAssoc, NAgg, NDep, NGen, NGenH)
+ * and the fan-in and fan-out of every class of the systems of the dataset.
+ *
+ *   metrics.js [--root dataset-es6files] [--system pixi.js] [--summary]
+ *              [--json] [--baseline metrics.json] [--graph file.json]...
+ *
+ * Prints one row per system, followed by the fan-in and fan-out of every
+ * class of each system (omitted with `--summary`).  `--baseline` takes the
+ * `--json` output of an earlier run and shows how each number changed.
+ * `--graph` computes the metrics of graphs saved by graph.js (or by
+ * ts-oracle.js) instead of extracting those of the systems.
+ */
+
+var fs = require('fs');
+var util = require('util');
+var dataset = require('../lib/dataset');
+var graph = require('../lib/graph');
+var graphFormat = require('../lib/graph-format');
+var metrics = require('../lib/metrics');
+
+var COLUMNS = ['classes'].concat(metrics.METRICS,
+  ['associationReferences', 'usesReferences']);
+
+var HEADERS = {
+  classes: 'Classes',
+  associationReferences: 'AssocRefs',
+  usesReferences: 'UsesRefs'
+};
+
+function pad(text, width) {
+  text = String(text);
+  return text.length >= width ? text : text + ' '.repeat(width - text.length);
+}
+
+function padLeft(text, width) {
+  text = String(text);
+  return text.length >= width ? text : ' '.repeat(width - text.length) + text;
+}
+
+/**
+ * A number with its change since the baseline, if any
+ */
+function withChange(value, before) {
+  if (before === undefined || before === value) return String(value);
+  var delta = value - before;
+  return value + ' (' + (delta > 0 ? '+' : '') + delta + ')';
+}
+
+function printReport(results, baseline, summary) {
+  var widths = COLUMNS.map(function(column) {
+    return Math.max((HEADERS[column] || column).length, baseline ? 11 : 6) + 2;
+  });
+  console.log(pad('System', 16) + COLUMNS.map(function(column, i) {
+    return padLeft(HEADERS[column] || column, widths[i]);
+  }).join(''));
+  results.forEach(function(result) {
+    var before = baseline.get(result.system) || {};
+    console.log(pad(result.system, 16) + COLUMNS.map(function(column, i) {
+      return padLeft(withChange(result[column], before[column]), widths[i]);
+    }).join(''));
+  });
+  if (summary) return;
+
+  results.forEach(function(result) {
+    var before = new Map(((baseline.get(result.system) || {}).perClass ||
+      []).map(function(cls) {
+      return [cls.name, cls];
+    }));
+    console.log('\n## ' + result.system);
+    console.log(pad('Class', 28) + padLeft('Fan-in', 12) +
+      padLeft('Fan-out', 12));
+    result.perClass.forEach(function(cls) {
+      var old = before.get(cls.name) || {};
+      console.log(pad(cls.name, 28) +
+        padLeft(withChange(cls.fanIn, old.fanIn), 12) +
+        padLeft(withChange(cls.fanOut, old.fanOut), 12));
+    });
+  });
+}
+
+function main(argv) {
+  var args = util.parseArgs({
+    args: argv,
+    options: {
+      root: { type: 'string' },
+      system: { type: 'string' },
+      summary: { type: 'boolean' },
+      json: { type: 'boolean' },
+      baseline: { type: 'string' },
+      graph: { type: 'string', multiple: true }
+    }
+  });
+  var graphs = (args.values.graph || []).map(graphFormat.readGraph);
+  if (!graphs.length) {
+    var systems = dataset.listSystems(args.values.root)
+      .filter(function(system) {
+        return !args.values.system || system.name === args.values.system;
+      });
+    if (!systems.length) throw new Error('No system found');
+    graphs = systems.map(function(system) {
+      return graph.systemGraph(system);
+    });
+  }
+
+  var results = graphs.map(function(input) {
+    return metrics.systemMetrics(input);
+  });
+  if (args.values.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+  var baseline = new Map();
+  if (args.values.baseline) {
+    JSON.parse(fs.readFileSync(args.values.baseline, 'utf8'))
+      .forEach(function(result) {
+        baseline.set(result.system, result);
+      });
+  }
+  printReport(results, baseline, args.values.summary);
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Builds the oracle of class dependencies of a system from its TypeScript
+ * sources.
+ *
+ *   ts-oracle.js <file-or-directory>... [--class Name] [--references]
+ *                [--declarations] [--json] [--system name]
+ *
+ * Prints the edges in the format of extract.js (`A -> B kind count`), so the
+ * two can be compared directly; `--references` lists every annotation behind
+ * them.  Directories are searched for `.ts` files; `--declarations` reads
+ * `.d.ts` files as well, for packages that ship no sources.  `--json` prints
+ * the graph in the canonical format of graph-format.js, named after
+ * `--system` (by default the first path given).
+ */
+
+var path = require('path');
+var util = require('util');
+var dump = require('../lib/dump');
+var extract = require('../lib/extract');
+var graph = require('../lib/graph');
+var graphFormat = require('../lib/graph-format');
+var typescript = require('../lib/typescript');
+
+var USAGE = 'usage: ts-oracle.js <file-or-directory>... [--class Name] ' +
+  '[--references] [--declarations] [--json] [--system name]';
+
+function main(argv) {
+  var args = util.parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'class': { type: 'string' },
+      references: { type: 'boolean' },
+      declarations: { type: 'boolean' },
+      json: { type: 'boolean' },
+      system: { type: 'string' }
+    }
+  });
+  if (!args.positionals.length) throw new Error(USAGE);
+
+  var files = typescript.listSources(args.positionals,
+    args.values.declarations);
+  if (!files.length) throw new Error('No TypeScript file found');
+  var result = typescript.buildOracle(files);
+  var references = result.references;
+  if (args.values['class']) {
+    references = references.filter(function(ref) {
+      return ref.from === args.values['class'];
+    });
+  }
+
+  if (args.values.references) {
+    if (args.values.json) {
+      console.log(JSON.stringify(references, null, 2));
+      return;
+    }
+    references.forEach(function(ref) {
+      console.log(ref.from + ' -> ' + ref.to + ' ' + ref.kind + ' ' +
+        ref.file + ':' + dump.formatRange(ref) + ': ' + ref.type);
+    });
+    return;
+  }
+
+  if (args.values.json) {
+    console.log(JSON.stringify(graphFormat.toJSON({
+      system: args.values.system ||
+        path.basename(path.resolve(args.positionals[0])),
+      origin: 'typescript',
+      classes: result.classes,
+      edges: graph.referenceEdges(references)
+    }), null, 2));
+    return;
+  }
+  var edges = extract.summarize(references);
+  edges.forEach(function(edge) {
+    var fields = edge.fields.length ? ' (' + edge.fields.join(', ') + ')' : '';
+    console.log(edge.from + ' -> ' + edge.to + ' ' + edge.kind + ' ' +
+      edge.count + fields);
+  });
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+}
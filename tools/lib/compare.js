@@ -0,0 +1,423 @@
+'use strict';
+
+/**
+ * Comparison of extracted references against the oracles, as done by hand
+ * for the precision and recall tables of the paper.
+ *
+ * The unit of comparison is the reference: one dump entry attributed to a
+ * pair of classes with a kind (association or uses).  The oracle lists the
+ * entries behind each count in the comments of its cells; when a comment
+ * lists fewer entries than the count (long comments were cut short),
+ * extracted references that match no listed entry are credited to the
+ * unlisted ones first.
+ *
+ * True positives found only by splitting their type (`?Node`,
+ * `Array<Node>`, `A & B`, see flowType.splitMembers), which the members of
+ * a top-level union are not, are counted apart as well, telling how much
+ * of the recall the splitting brings.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var dump = require('./dump');
+var extract = require('./extract');
+var oracle = require('./oracle');
+var dataset = require('./dataset');
+
+var KINDS = ['association', 'uses'];
+
+/**
+ * Key identifying the location of a reference or evidence entry
+ */
+function locationKey(entry) {
+  return path.basename(entry.file) + ':' + dump.formatRange(entry);
+}
+
+/**
+ * Builds the function mapping extracted class names onto the names used by
+ * an oracle.  Flattening sometimes renames a class to avoid a clash
+ * (`class _Server` in `socketio-flow.js`), so a leading underscore is
+ * dropped when that yields a name the oracle knows.
+ *
+ * @param {Object} parsedOracle
+ * @return {{canonical: function(string): string, names: Set<string>}}
+ */
+function oracleNames(parsedOracle) {
+  var names = new Set();
+  parsedOracle.classes.forEach(function(cls) {
+    names.add(cls.name);
+    cls.superClasses.forEach(function(name) {
+      names.add(name);
+    });
+    cls.cells.forEach(function(cell) {
+      names.add(cell.to);
+    });
+  });
+  return {
+    names: names,
+    canonical: function(name) {
+      if (names.has(name)) return name;
+      var stripped = name.replace(/^_+/, '');
+      return names.has(stripped) ? stripped : name;
+    }
+  };
+}
+
+function emptyCounts() {
+  return { tp: 0, fp: 0, fn: 0, splitTp: 0 };
+}
+
+function splitCount(refs) {
+  return refs.filter(function(ref) {
+    return ref.split;
+  }).length;
+}
+
+/**
+ * Compares one group of expected and extracted references (same classes and
+ * kind) and accumulates the outcome
+ */
+function compareGroup(expected, extracted, counts, result, labels) {
+  var listed = new Map();
+  expected.evidence.forEach(function(entry) {
+    listed.set(locationKey(entry), entry);
+  });
+  var found = new Map();
+  extracted.forEach(function(ref) {
+    found.set(locationKey(ref), ref);
+  });
+
+  var matched = [];
+  var extras = [];
+  found.forEach(function(ref, key) {
+    if (listed.has(key)) matched.push(ref);
+    else extras.push(ref);
+  });
+  // A comment listing more entries than its cell counts (`Isomer -> Shape`
+  // lists 10 uses, counts 9) is taken at its word
+  var count = Math.max(expected.count, listed.size);
+  var unlisted = count - listed.size;
+  var credited = Math.min(unlisted, extras.length);
+  counts.tp += matched.length + credited;
+  counts.splitTp += splitCount(matched) +
+    splitCount(extras.slice(0, credited));
+  counts.fp += extras.length - credited;
+  counts.fn += count - matched.length - credited;
+
+  if (!result) return;
+  listed.forEach(function(entry, key) {
+    if (!found.has(key)) {
+      result.falseNegatives.push(Object.assign({}, labels, {
+        file: entry.file,
+        start: entry.start,
+        end: entry.end,
+        type: entry.type
+      }));
+    }
+  });
+  if (unlisted > credited) {
+    result.falseNegatives.push(Object.assign({}, labels, {
+      unlisted: unlisted - credited
+    }));
+  }
+  extras.slice(credited).forEach(function(ref) {
+    result.falsePositives.push(Object.assign({}, labels, {
+      file: ref.file,
+      start: ref.start,
+      end: ref.end,
+      type: ref.type,
+      provenance: ref.provenance
+    }));
+  });
+}
+
+/**
+ * Compares the references extracted for one class with its oracle
+ *
+ * @param {Object} oracleClass a class of readOracle's result
+ * @param {Array<Object>} references extracted references of that class,
+ *   with canonical class names
+ * @param {Set<string>} names classes known to the oracle
+ * @param {Object} totals counts per kind, updated in place
+ * @param {Object} result receives `falseNegatives` and `falsePositives`
+ */
+function compareClass(oracleClass, references, names, totals, result) {
+  var expected = {};
+  oracleClass.cells.forEach(function(cell) {
+    expected[cell.kind + '\0' + cell.to] = cell;
+  });
+  var extracted = {};
+  var targets = new Set(oracleClass.cells.map(function(cell) {
+    return cell.to;
+  }));
+  references.forEach(function(ref) {
+    // Superclasses, classes outside the system and runtime patches
+    // ("extra features") are not evaluated by the oracles
+    if (KINDS.indexOf(ref.kind) === -1 ||
+        oracleClass.superClasses.indexOf(ref.to) !== -1 ||
+        !names.has(ref.to)) {
+      result.ignored++;
+      return;
+    }
+    var key = ref.kind + '\0' + ref.to;
+    (extracted[key] = extracted[key] || []).push(ref);
+    targets.add(ref.to);
+  });
+
+  targets.forEach(function(to) {
+    var combined = { count: 0, evidence: [] };
+    var combinedRefs = [];
+    KINDS.forEach(function(kind) {
+      var cell = expected[kind + '\0' + to] || { count: 0, evidence: [] };
+      var refs = extracted[kind + '\0' + to] || [];
+      compareGroup(cell, refs, totals[kind], result, {
+        from: oracleClass.name,
+        to: to,
+        kind: kind
+      });
+      combined.count += cell.count;
+      combined.evidence = combined.evidence.concat(cell.evidence);
+      combinedRefs = combinedRefs.concat(refs);
+    });
+    compareGroup(combined, combinedRefs, totals.combined, null);
+  });
+}
+
+/**
+ * Flattened file holding a class of the oracle: the `File:` of its sheet, the
+ * system's only file, `<Class>-flow.js`, or else the first dump declaring
+ * the class
+ */
+function classFile(system, oracleClass, sources, canonical) {
+  var byName = function(name) {
+    return sources.find(function(file) {
+      return path.basename(file) === name;
+    });
+  };
+  if (oracleClass.file && byName(oracleClass.file)) {
+    return byName(oracleClass.file);
+  }
+  if (sources.length === 1) return sources[0];
+  if (byName(oracleClass.name + '-flow.js')) {
+    return byName(oracleClass.name + '-flow.js');
+  }
+  return sources.find(function(file) {
+    var dumpFile = extract.dumpPathFor(file);
+    if (!fs.existsSync(dumpFile)) return false;
+    return dump.readDump(dumpFile).classDeclarations().some(function(decl) {
+      return canonical(decl.name) === oracleClass.name;
+    });
+  }) || null;
+}
+
+/**
+ * Maps the classes of one flattened file onto the oracle classes whose
+ * sheets cover them.  Files that inline several modules may hold classes of
+ * the same name (`Node` in `treap-flow.js` is the oracle's `TreapNode`), so
+ * a class is renamed when it lies within the source lines of a sheet of
+ * another name.
+ *
+ * @param {Array<Object>} oracleClasses oracle classes held by the file
+ * @param {Array<Object>} classes extracted classes of the file
+ * @return {Map<string, string>}
+ */
+function fileAliases(oracleClasses, classes) {
+  var aliases = new Map();
+  classes.forEach(function(cls) {
+    var covering = oracleClasses.find(function(oracleClass) {
+      return oracleClass.startLine && oracleClass.endLine &&
+        oracleClass.startLine <= cls.start.line &&
+        cls.end.line <= oracleClass.endLine;
+    });
+    if (covering && covering.name !== cls.name) {
+      aliases.set(cls.name, covering.name);
+    }
+  });
+  return aliases;
+}
+
+/**
+ * Names of the extracted classes of a system in terms of its oracle: locates
+ * the flattened file of every oracle class and builds, for each file, the
+ * function renaming its classes (see fileAliases and oracleNames)
+ *
+ * @param {Object} system see dataset.listSystems
+ * @param {Object} parsedOracle
+ * @return {{files: Map<Object, string>, naming: Object,
+ *   renamer: function(string, Array<Object>): function(string): string}}
+ *   `files` maps each oracle class to its file (or null); `renamer` takes a
+ *   file and its extracted classes
+ */
+function oracleRenaming(system, parsedOracle) {
+  var naming = oracleNames(parsedOracle);
+  var sources = dataset.flowSources(system);
+  var files = new Map();
+  parsedOracle.classes.forEach(function(oracleClass) {
+    files.set(oracleClass,
+      classFile(system, oracleClass, sources, naming.canonical));
+  });
+  return {
+    files: files,
+    naming: naming,
+    renamer: function(file, classes) {
+      var aliases = fileAliases(parsedOracle.classes.filter(function(cls) {
+        return files.get(cls) === file;
+      }), classes);
+      return function(name) {
+        return aliases.get(name) || naming.canonical(name);
+      };
+    }
+  };
+}
+
+function ratio(part, whole) {
+  return whole ? part / whole : null;
+}
+
+/**
+ * Precision and recall of a set of counts, and the part of the recall due
+ * to references only found by splitting types (`splitRecall`); null when
+ * undefined
+ */
+function rates(counts) {
+  return {
+    precision: ratio(counts.tp, counts.tp + counts.fp),
+    recall: ratio(counts.tp, counts.tp + counts.fn),
+    splitRecall: ratio(counts.splitTp, counts.tp + counts.fn)
+  };
+}
+
+/**
+ * References of a saved graph (see graph-format.js), rebuilt from the
+ * evidence of its edges, by source class
+ *
+ * @param {Object} graph
+ * @return {Map<string, Array<Object>>}
+ */
+function graphReferences(graph) {
+  var references = new Map();
+  graph.classes.forEach(function(cls) {
+    references.set(cls.name, []);
+  });
+  graph.edges.forEach(function(edge) {
+    if (!references.has(edge.from)) references.set(edge.from, []);
+    (edge.evidence || []).forEach(function(entry) {
+      references.get(edge.from).push({
+        from: edge.from,
+        to: edge.to,
+        kind: edge.kind,
+        field: entry.field === undefined ? null : entry.field,
+        union: !!entry.union,
+        intersection: !!entry.intersection,
+        split: !!entry.split,
+        file: entry.file,
+        start: entry.start,
+        end: entry.end,
+        type: entry.type
+      });
+    });
+  });
+  return references;
+}
+
+/**
+ * Evaluates the extraction of one system of the dataset against its oracle
+ *
+ * @param {Object} system see dataset.listSystems
+ * @param {Object} [options]
+ * @param {function(string): Object} [options.extractFile] extraction of one
+ *   flattened file, defaults to extract.extractFile
+ * @param {Object} [options.graph] evaluate this saved graph of the system
+ *   (see graph-format.js) rather than the extraction; its classes must be
+ *   named as in the oracle
+ * @return {{system: string, counts: Object, falseNegatives: Array<Object>,
+ *   falsePositives: Array<Object>, missing: Array<string>, ignored: number}}
+ */
+function evaluateSystem(system, options) {
+  options = options || {};
+  if (!system.oracleFile) {
+    throw new Error('System ' + system.name + ' has no oracle');
+  }
+  var extractFile = options.extractFile || extract.extractFile;
+  var parsedOracle = oracle.readOracle(system.oracleFile);
+  var renaming = oracleRenaming(system, parsedOracle);
+  var files = renaming.files;
+  var saved = options.graph ? graphReferences(options.graph) : null;
+
+  var result = {
+    system: system.name,
+    counts: {
+      association: emptyCounts(),
+      uses: emptyCounts(),
+      combined: emptyCounts()
+    },
+    falseNegatives: [],
+    falsePositives: [],
+    missing: [],
+    ignored: 0
+  };
+
+  var extractions = new Map();
+  var extraction = function(file) {
+    if (!extractions.has(file)) {
+      var extracted = extractFile(file);
+      var rename = renaming.renamer(file, extracted.classes);
+      extractions.set(file, extracted.references.map(function(ref) {
+        return Object.assign({}, ref, {
+          from: rename(ref.from),
+          to: rename(ref.to)
+        });
+      }));
+    }
+    return extractions.get(file);
+  };
+
+  parsedOracle.classes.forEach(function(oracleClass) {
+    var file = files.get(oracleClass);
+    // Evidence written without its file (socket.io) is in the class's file
+    if (file) {
+      oracleClass.cells.forEach(function(cell) {
+        cell.evidence.forEach(function(entry) {
+          if (entry.file === '?') entry.file = path.basename(file);
+        });
+      });
+    }
+    var references = [];
+    if (saved) {
+      if (saved.has(oracleClass.name)) {
+        references = saved.get(oracleClass.name);
+      } else if (oracleClass.cells.some(function(cell) {
+        return cell.count > 0;
+      })) {
+        result.missing.push(oracleClass.name + ' (not in the graph)');
+      }
+    } else if (file && fs.existsSync(extract.dumpPathFor(file))) {
+      references = extraction(file).filter(function(ref) {
+        return ref.from === oracleClass.name;
+      });
+    } else if (oracleClass.cells.some(function(cell) {
+      return cell.count > 0;
+    })) {
+      result.missing.push(oracleClass.name +
+        (file ? ' (no dump for ' + path.basename(file) + ')' : ' (no file)'));
+    }
+    compareClass(oracleClass, references, renaming.naming.names, result.counts,
+      result);
+  });
+
+  Object.keys(result.counts).forEach(function(kind) {
+    Object.assign(result.counts[kind], rates(result.counts[kind]));
+  });
+  return result;
+}
+
+module.exports = {
+  KINDS: KINDS,
+  locationKey: locationKey,
+  oracleNames: oracleNames,
+  compareClass: compareClass,
+  oracleRenaming: oracleRenaming,
+  rates: rates,
+  graphReferences: graphReferences,
+  evaluateSystem: evaluateSystem
+};
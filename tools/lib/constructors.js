@@ -0,0 +1,249 @@
+'use strict';
+
+/**
+ * Legacy (ES5) classes: constructor functions and the statements filling in
+ * their prototypes, as in the original socket.io and algorithms.js sources:
+ *
+ *     function Socket(nsp, client) { this.nsp = nsp; ... }
+ *     Socket.prototype.__proto__ = Emitter.prototype;
+ *     Socket.prototype.join = function(rooms, fn) { ... };
+ *
+ * A top-level function is a constructor when statements assign to its
+ * prototype, or when its name is capitalized and it assigns fields of
+ * `this`.  Its members are the fields its constructor and methods assign and
+ * the members of its prototype, which is what Flow prints of the instances
+ * and prototypes of such classes (see shapes.js).
+ */
+
+var helpers = require('./helpers');
+var mixins = require('./mixins');
+var modules = require('./modules');
+var structure = require('./structure');
+
+var isName = structure.isName;
+var isPunct = structure.isPunct;
+
+/**
+ * Fields of `this` assigned (`this.x = ...`) or defined
+ * (`Object.defineProperty(this, 'x', ...)`) between two tokens by the
+ * outermost functions, leaving out the `function`s nested in them, whose
+ * `this` is another object
+ */
+function assignedFields(source, first, last) {
+  var tokens = source.tokens;
+  var fields = [];
+  var bodyEnd = -1;
+  for (var i = first; i <= last; i++) {
+    var t = tokens[i];
+    if (isName(t) && t.value === 'function') {
+      var open = i + 1;
+      while (open <= last && !isPunct(tokens[open], '{')) open++;
+      var close = source.matchingToken(open);
+      if (close === -1) continue;
+      if (i < bodyEnd) i = close;
+      else bodyEnd = close;
+      continue;
+    }
+    if (isName(t) && t.value === 'this' && isPunct(tokens[i + 1], '.') &&
+        isName(tokens[i + 2]) && isPunct(tokens[i + 3], '=') &&
+        fields.indexOf(tokens[i + 2].value) === -1) {
+      fields.push(tokens[i + 2].value);
+    }
+    if (t.value === 'Object' && isPunct(tokens[i + 1], '.') &&
+        tokens[i + 2] && tokens[i + 2].value === 'defineProperty' &&
+        isPunct(tokens[i + 3], '(') && tokens[i + 4] &&
+        tokens[i + 4].value === 'this' && isPunct(tokens[i + 5], ',') &&
+        tokens[i + 6] && tokens[i + 6].type === 'string') {
+      var name = tokens[i + 6].value.slice(1, -1);
+      if (fields.indexOf(name) === -1) fields.push(name);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Keys of the object literal whose `{` is at token `open`, methods
+ * (`m() {}`) included
+ */
+function literalKeys(source, open) {
+  var tokens = source.tokens;
+  var close = source.matchingToken(open);
+  var keys = [];
+  var expectKey = true;
+  for (var k = open + 1; k < close; k++) {
+    var t = tokens[k];
+    if (expectKey && (isName(t) || t.type === 'string') &&
+        (isPunct(tokens[k + 1], ':') || isPunct(tokens[k + 1], '('))) {
+      keys.push(t.type === 'string' ? t.value.slice(1, -1) : t.value);
+    }
+    expectKey = false;
+    if (t.type === 'punct' && /^[(\[{]$/.test(t.value)) {
+      k = source.matchingToken(k);
+    } else if (isPunct(t, ',')) {
+      expectKey = true;
+    }
+  }
+  return keys;
+}
+
+/**
+ * Class whose prototype an expression starting at token `i` stands for:
+ * `Super.prototype`, or `Object.create(Super.prototype)` and `new Super()`
+ * (`created`)
+ *
+ * @return {{name: string, created: boolean}|null}
+ */
+function prototypeOf(tokens, i) {
+  if (tokens[i] && tokens[i].value === 'new' && isName(tokens[i + 1]) &&
+      isPunct(tokens[i + 2], '(')) {
+    return { name: tokens[i + 1].value, created: true };
+  }
+  var created = false;
+  if (tokens[i] && tokens[i].value === 'Object' &&
+      isPunct(tokens[i + 1], '.') && tokens[i + 2] &&
+      tokens[i + 2].value === 'create' && isPunct(tokens[i + 3], '(')) {
+    created = true;
+    i += 4;
+  }
+  if (isName(tokens[i]) && isPunct(tokens[i + 1], '.') && tokens[i + 2] &&
+      tokens[i + 2].value === 'prototype') {
+    return { name: tokens[i].value, created: created };
+  }
+  return null;
+}
+
+/**
+ * Finds the legacy classes of a source file
+ *
+ * @param {SourceFile} source
+ * @param {Array<string>} [exclude] names of the `class` declarations, which
+ *   are not legacy classes
+ * @return {Array<{name: string, start: Object, end: Object,
+ *   superClass: string|null, fields: Array<string>,
+ *   allFields: Array<string>, methods: Array<string>,
+ *   parts: Array<Object>}>} the range of the constructor, the fields
+ *   assigned by the constructor (`fields`) and by any member (`allFields`),
+ *   the members of the prototype, and the ranges (`{name, start, end}`) of
+ *   the constructor and of every statement filling in the prototype
+ */
+function findConstructors(source, exclude) {
+  var tokens = source.tokens;
+  var depths = modules.tokenDepths(tokens);
+  var functions = helpers.findFunctions(source).filter(function(fn) {
+    return !exclude || exclude.indexOf(fn.name) === -1;
+  });
+  var byName = new Map();
+  functions.forEach(function(fn) {
+    var first = source.tokenIndexAt(source.offset(fn.start));
+    var last = source.tokenIndexAt(source.offset(fn.end));
+    var fields = assignedFields(source, first, last);
+    byName.set(fn.name, {
+      name: fn.name,
+      start: fn.start,
+      end: fn.end,
+      superClass: null,
+      fields: fields,
+      allFields: fields.slice(),
+      methods: [],
+      parts: [{ name: fn.name, start: fn.start, end: fn.end }],
+      hasPrototype: false
+    });
+  });
+  var addAll = function(list, values) {
+    values.forEach(function(value) {
+      if (value && list.indexOf(value) === -1) list.push(value);
+    });
+  };
+  var addPart = function(cls, first, last) {
+    cls.hasPrototype = true;
+    cls.parts.push({
+      name: cls.name,
+      start: source.position(tokens[first].start),
+      end: source.position(tokens[last].end - 1)
+    });
+    addAll(cls.allFields, assignedFields(source, first, last));
+  };
+
+  // X.prototype.m = ..., Object.assign(X.prototype, ...) and the like
+  mixins.findMixins(source, Array.from(byName.keys())).forEach(function(p) {
+    var cls = byName.get(p.name);
+    var first = source.tokenIndexAt(source.offset(p.start));
+    var last = source.tokenIndexAt(source.offset(p.end));
+    addPart(cls, first, last);
+    if (p.member === '__proto__') {
+      var proto = prototypeOf(tokens, first + 6);
+      cls.superClass = cls.superClass || (proto && proto.name);
+      cls.parts.pop();
+    } else {
+      addAll(cls.methods, [p.member]);
+    }
+    if (!p.member && isPunct(tokens[first + 8], '{')) {
+      // Object.assign(X.prototype, {...})
+      addAll(cls.methods, literalKeys(source, first + 8));
+    }
+  });
+
+  for (var i = 0; i < tokens.length; i++) {
+    var t = tokens[i];
+    if (depths[i] !== 0 || !isName(t)) continue;
+    var cls = byName.get(t.value);
+    if (cls && !isPunct(tokens[i - 1], '.') && isPunct(tokens[i + 1], '.') &&
+        tokens[i + 2] && tokens[i + 2].value === 'prototype' &&
+        isPunct(tokens[i + 3], '=') && !isPunct(tokens[i + 4], '=')) {
+      // X.prototype = {...}, Object.create(Super.prototype) or new Super();
+      // `X.prototype = Y.prototype` makes X an alias of Y (the `Server`
+      // wrapper of socket.io), not a class
+      var end = modules.statementEnd(source, i);
+      var base = prototypeOf(tokens, i + 4);
+      if (base && base.created) {
+        cls.superClass = cls.superClass || base.name;
+        cls.hasPrototype = true;
+      } else if (!base) {
+        if (isPunct(tokens[i + 4], '{')) {
+          addAll(cls.methods, literalKeys(source, i + 4));
+        }
+        addPart(cls, i, end);
+      }
+      i = end;
+    } else if ((t.value === 'inherits' ||
+        (t.value === 'util' && isPunct(tokens[i + 1], '.') &&
+         tokens[i + 2] && tokens[i + 2].value === 'inherits')) &&
+        !isPunct(tokens[i - 1], '.')) {
+      // util.inherits(Child, Parent)
+      var open = t.value === 'inherits' ? i + 1 : i + 3;
+      var child = byName.get(tokens[open + 1] && tokens[open + 1].value);
+      if (isPunct(tokens[open], '(') && child &&
+          isPunct(tokens[open + 2], ',') && isName(tokens[open + 3])) {
+        child.superClass = child.superClass || tokens[open + 3].value;
+        child.hasPrototype = true;
+      }
+    }
+  }
+
+  return Array.from(byName.values()).filter(function(cls) {
+    return cls.hasPrototype ||
+      (/^[A-Z]/.test(cls.name) && cls.fields.length > 0);
+  }).map(function(cls) {
+    // Super.call(this, ...) in the constructor
+    if (!cls.superClass) {
+      var first = source.tokenIndexAt(source.offset(cls.start));
+      var last = source.tokenIndexAt(source.offset(cls.end));
+      for (var k = first; k < last; k++) {
+        if (isName(tokens[k]) && byName.has(tokens[k].value) &&
+            tokens[k].value !== cls.name && isPunct(tokens[k + 1], '.') &&
+            tokens[k + 2] && /^(call|apply)$/.test(tokens[k + 2].value) &&
+            isPunct(tokens[k + 3], '(') && tokens[k + 4] &&
+            tokens[k + 4].value === 'this') {
+          cls.superClass = tokens[k].value;
+          break;
+        }
+      }
+    }
+    delete cls.hasPrototype;
+    return cls;
+  });
+}
+
+module.exports = {
+  findConstructors: findConstructors
+};
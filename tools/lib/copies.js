@@ -0,0 +1,256 @@
+'use strict';
+
+/**
+ * Consistency of the copies of a class across the flattened files of a
+ * system.  Flattening inlines every imported class into each file that needs
+ * it, so `LinkedList` exists in six files of algorithms.js and `Rectangle`
+ * in dozens of pixi.js files; a copy edited by hand in one of them changes
+ * what Flow infers there.
+ *
+ * Copies are compared line by line once normalized: comments and blank lines
+ * dropped, tokens separated by single spaces.  The canonical copy is the one
+ * in the file flattening the class (`heap-flow.js` for `MinHeap`), else the
+ * variant most files share.  Classes of the same name that share less than
+ * 60% of their lines (`Node` of `avl_tree-flow.js` and of
+ * `linked_list-flow.js`) are different classes, checked separately, rather
+ * than drifted copies.
+ */
+
+var path = require('path');
+var dataset = require('./dataset');
+var provenance = require('./provenance');
+var scanner = require('./scanner');
+var structure = require('./structure');
+
+// Below this share of common lines, two classes are not copies of each other
+var SAME_CLASS_SIMILARITY = 0.6;
+
+/**
+ * Normalized lines of a class declaration, with their line numbers
+ *
+ * @param {SourceFile} source
+ * @param {Object} cls see structure.findClasses
+ * @return {Array<{line: number, text: string}>}
+ */
+function normalizedLines(source, cls) {
+  var tokens = source.tokens;
+  var first = source.tokenIndexAt(source.offset(cls.start));
+  var lines = [];
+  for (var i = first; i <= cls.bodyEnd; i++) {
+    var line = source.position(tokens[i].start).line;
+    var last = lines[lines.length - 1];
+    if (last && last.line === line) {
+      last.text += ' ' + tokens[i].value;
+    } else {
+      lines.push({ line: line, text: tokens[i].value });
+    }
+  }
+  return lines;
+}
+
+/**
+ * Line diff of two lists of strings, by longest common subsequence
+ *
+ * @param {Array<string>} a
+ * @param {Array<string>} b
+ * @return {Array<{op: string, a: number, b: number}>} `=`, `-` (only in
+ *   `a`) and `+` (only in `b`) operations with the indices they refer to
+ */
+function lineDiff(a, b) {
+  var prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  var suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+      a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+  var n = a.length - prefix - suffix;
+  var m = b.length - prefix - suffix;
+  // lengths[i * (m + 1) + j]: LCS of the middle parts from a[i] and b[j] on
+  var lengths = new Int32Array((n + 1) * (m + 1));
+  for (var i = n - 1; i >= 0; i--) {
+    for (var j = m - 1; j >= 0; j--) {
+      lengths[i * (m + 1) + j] = a[prefix + i] === b[prefix + j] ?
+        lengths[(i + 1) * (m + 1) + j + 1] + 1 :
+        Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+    }
+  }
+
+  var ops = [];
+  for (var k = 0; k < prefix; k++) ops.push({ op: '=', a: k, b: k });
+  i = 0;
+  j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[prefix + i] === b[prefix + j]) {
+      ops.push({ op: '=', a: prefix + i++, b: prefix + j++ });
+    } else if (i < n && (j === m || lengths[(i + 1) * (m + 1) + j] >=
+        lengths[i * (m + 1) + j + 1])) {
+      ops.push({ op: '-', a: prefix + i++, b: prefix + j });
+    } else {
+      ops.push({ op: '+', a: prefix + i, b: prefix + j++ });
+    }
+  }
+  for (k = 0; k < suffix; k++) {
+    ops.push({ op: '=', a: a.length - suffix + k, b: b.length - suffix + k });
+  }
+  return ops;
+}
+
+/**
+ * Every class declaration of a list of flattened files, by name
+ *
+ * @param {Array<string>} files
+ * @return {Map<string, Array<Object>>} copies `{file, start, end, lines,
+ *   text, flattened}`, `flattened` telling whether the file flattens the
+ *   class
+ */
+function classCopies(files) {
+  var copies = new Map();
+  files.forEach(function(file) {
+    var source = scanner.readSource(file);
+    var classes = structure.findClasses(source);
+    var flattened = provenance.flattenedClass(file, classes);
+    classes.forEach(function(cls) {
+      var lines = normalizedLines(source, cls);
+      if (!copies.has(cls.name)) copies.set(cls.name, []);
+      copies.get(cls.name).push({
+        file: file,
+        classCount: classes.length,
+        start: cls.start,
+        end: cls.end,
+        lines: lines,
+        text: lines.map(function(line) {
+          return line.text;
+        }).join('\n'),
+        flattened: cls.name === flattened
+      });
+    });
+  });
+  return copies;
+}
+
+/**
+ * Canonical copy of a group: the flattened one, else the variant with the
+ * most copies, preferring the file with the fewest classes
+ */
+function canonicalCopy(group) {
+  var flattened = group.find(function(copy) {
+    return copy.flattened;
+  });
+  if (flattened) return flattened;
+  var counts = new Map();
+  group.forEach(function(copy) {
+    counts.set(copy.text, (counts.get(copy.text) || 0) + 1);
+  });
+  return group.slice().sort(function(a, b) {
+    return counts.get(b.text) - counts.get(a.text) ||
+      a.classCount - b.classCount;
+  })[0];
+}
+
+/**
+ * Compares a copy with the canonical one
+ *
+ * @return {{similarity: number, removed: number, added: number,
+ *   changes: Array<{op: string, line: number, text: string}>}} `changes`
+ *   lists the lines only in the canonical copy (`-`, numbered in its file)
+ *   and only in the other copy (`+`)
+ */
+function compareCopies(canonical, copy) {
+  var ops = lineDiff(canonical.lines.map(function(line) {
+    return line.text;
+  }), copy.lines.map(function(line) {
+    return line.text;
+  }));
+  var same = ops.filter(function(op) {
+    return op.op === '=';
+  }).length;
+  var changes = ops.filter(function(op) {
+    return op.op !== '=';
+  }).map(function(op) {
+    var line = op.op === '-' ? canonical.lines[op.a] : copy.lines[op.b];
+    return { op: op.op, line: line.line, text: line.text };
+  });
+  var total = canonical.lines.length + copy.lines.length;
+  return {
+    similarity: total ? 2 * same / total : 1,
+    removed: changes.filter(function(change) {
+      return change.op === '-';
+    }).length,
+    added: changes.filter(function(change) {
+      return change.op === '+';
+    }).length,
+    changes: changes
+  };
+}
+
+/**
+ * Checks the copies of every class of a system.  The copies of a name are
+ * split into classes first: the canonical copy of the remaining ones and
+ * those similar enough to it form one class, until no copy remains.
+ *
+ * @param {Object} system see dataset.listSystems
+ * @param {Object} [options]
+ * @param {string} [options.className] check this class only
+ * @return {Array<{name: string, copies: number, variants: number,
+ *   canonical: Object, drifted: Array<Object>}>} one entry per class with
+ *   more than one copy, sorted by name; `drifted` copies are `{file, start,
+ *   end}` with the result of compareCopies
+ */
+function checkSystem(system, options) {
+  options = options || {};
+  var copies = classCopies(dataset.flowSources(system));
+  var report = [];
+  Array.from(copies.keys()).sort().forEach(function(name) {
+    if (options.className && name !== options.className) return;
+    var remaining = copies.get(name);
+    while (remaining.length) {
+      var canonical = canonicalCopy(remaining);
+      var group = [];
+      var others = [];
+      remaining.forEach(function(copy) {
+        var compared = copy.text === canonical.text ? null :
+          compareCopies(canonical, copy);
+        if (compared && compared.similarity < SAME_CLASS_SIMILARITY) {
+          others.push(copy);
+        } else {
+          group.push({ copy: copy, compared: compared });
+        }
+      });
+      remaining = others;
+      if (group.length < 2) continue;
+      report.push({
+        name: name,
+        copies: group.length,
+        variants: new Set(group.map(function(member) {
+          return member.copy.text;
+        })).size,
+        canonical: {
+          file: path.basename(canonical.file),
+          start: canonical.start,
+          end: canonical.end
+        },
+        drifted: group.filter(function(member) {
+          return member.compared;
+        }).map(function(member) {
+          return Object.assign({
+            file: path.basename(member.copy.file),
+            start: member.copy.start,
+            end: member.copy.end
+          }, member.compared);
+        })
+      });
+    }
+  });
+  return report;
+}
+
+module.exports = {
+  normalizedLines: normalizedLines,
+  lineDiff: lineDiff,
+  classCopies: classCopies,
+  compareCopies: compareCopies,
+  checkSystem: checkSystem
+};
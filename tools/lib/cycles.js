@@ -0,0 +1,179 @@
+'use strict';
+
+/**
+ * Dependency cycles of a graph (see graph.js or graph-format.js).
+ *
+ * Cycles are found as the strongly connected components of the graph of
+ * dependencies (Tarjan's algorithm); generalizations are not followed.  Each
+ * component of two classes or more is reported with a few shortest cycles
+ * that go through all of its classes, `Texture -> BaseTexture -> Texture`
+ * rather than every elementary cycle, which in pixi.js's large components
+ * would be far too many to read.
+ */
+
+/**
+ * Edges of a graph by source class, then target class, keeping some kinds
+ */
+function adjacency(graph, kinds) {
+  var names = new Set(graph.classes.map(function(cls) {
+    return cls.name;
+  }));
+  var out = new Map();
+  graph.edges.forEach(function(edge) {
+    if (kinds && kinds.indexOf(edge.kind) === -1) return;
+    if (!names.has(edge.from) || !names.has(edge.to) ||
+        edge.from === edge.to) {
+      return;
+    }
+    if (!out.has(edge.from)) out.set(edge.from, new Map());
+    var targets = out.get(edge.from);
+    if (!targets.has(edge.to)) targets.set(edge.to, []);
+    targets.get(edge.to).push(edge);
+  });
+  return out;
+}
+
+function successors(out, name) {
+  return out.has(name) ? Array.from(out.get(name).keys()).sort() : [];
+}
+
+/**
+ * Strongly connected components, by Tarjan's algorithm (iterative, as the
+ * components of pixi.js are deep enough for recursion to matter)
+ *
+ * @param {Array<string>} names
+ * @param {Map<string, Map<string, Array<Object>>>} out see adjacency
+ * @return {Array<Array<string>>} components, each sorted by name
+ */
+function components(names, out) {
+  var index = new Map();
+  var lowLink = new Map();
+  var stack = [];
+  var onStack = new Set();
+  var result = [];
+  var counter = 0;
+
+  names.forEach(function(root) {
+    if (index.has(root)) return;
+    var work = [{ name: root, next: 0, targets: successors(out, root) }];
+    index.set(root, counter);
+    lowLink.set(root, counter++);
+    stack.push(root);
+    onStack.add(root);
+    while (work.length) {
+      var frame = work[work.length - 1];
+      if (frame.next < frame.targets.length) {
+        var target = frame.targets[frame.next++];
+        if (!index.has(target)) {
+          index.set(target, counter);
+          lowLink.set(target, counter++);
+          stack.push(target);
+          onStack.add(target);
+          work.push({
+            name: target,
+            next: 0,
+            targets: successors(out, target)
+          });
+        } else if (onStack.has(target)) {
+          lowLink.set(frame.name,
+            Math.min(lowLink.get(frame.name), index.get(target)));
+        }
+        continue;
+      }
+      work.pop();
+      if (work.length) {
+        var parent = work[work.length - 1].name;
+        lowLink.set(parent,
+          Math.min(lowLink.get(parent), lowLink.get(frame.name)));
+      }
+      if (lowLink.get(frame.name) === index.get(frame.name)) {
+        var component = [];
+        var member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.name);
+        result.push(component.sort());
+      }
+    }
+  });
+  return result;
+}
+
+/**
+ * Shortest cycle through a class, staying within its component
+ *
+ * @return {Array<string>} the classes of the cycle, starting with `start`
+ */
+function shortestCycle(start, members, out) {
+  var previous = new Map();
+  var queue = [start];
+  for (var i = 0; i < queue.length; i++) {
+    var targets = successors(out, queue[i]);
+    for (var j = 0; j < targets.length; j++) {
+      var target = targets[j];
+      if (!members.has(target)) continue;
+      if (target === start) {
+        var cycle = [];
+        for (var at = queue[i]; at !== start; at = previous.get(at)) {
+          cycle.unshift(at);
+        }
+        return [start].concat(cycle);
+      }
+      if (!previous.has(target)) {
+        previous.set(target, queue[i]);
+        queue.push(target);
+      }
+    }
+  }
+  return [start];
+}
+
+/**
+ * Finds the dependency cycles of a graph
+ *
+ * @param {Object} graph
+ * @param {Object} [options]
+ * @param {Array<string>} [options.kinds] kinds of the dependencies to
+ *   follow, all by default
+ * @return {Array<{classes: Array<string>, cycles: Array<Object>}>} the
+ *   components of more than one class, largest first; each of their
+ *   `cycles` is `{classes, steps}`, a step being `{from, to, edges}` with
+ *   the edges (of any kind kept) from one class of the cycle to the next
+ */
+function findCycles(graph, options) {
+  options = options || {};
+  var out = adjacency(graph, options.kinds);
+  var names = graph.classes.map(function(cls) {
+    return cls.name;
+  }).sort();
+  return components(names, out).filter(function(component) {
+    return component.length > 1;
+  }).sort(function(a, b) {
+    return b.length - a.length || (a[0] < b[0] ? -1 : 1);
+  }).map(function(component) {
+    var members = new Set(component);
+    var covered = new Set();
+    var cycles = [];
+    component.forEach(function(name) {
+      if (covered.has(name)) return;
+      var classes = shortestCycle(name, members, out);
+      classes.forEach(function(member) {
+        covered.add(member);
+      });
+      cycles.push({
+        classes: classes,
+        steps: classes.map(function(from, i) {
+          var to = classes[(i + 1) % classes.length];
+          return { from: from, to: to, edges: out.get(from).get(to) };
+        })
+      });
+    });
+    return { classes: component, cycles: cycles };
+  });
+}
+
+module.exports = {
+  findCycles: findCycles
+};
@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * Layout of `dataset-es6files`: one directory per system, each with its
+ * flattened files and dumps in `flow-files` and its oracle in
+ * `DependenciesMap-*.ods`.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var DEFAULT_ROOT = path.join(__dirname, '..', '..', 'dataset-es6files');
+
+/**
+ * Lists the systems of the dataset
+ *
+ * @param {string} [root] defaults to the repository's `dataset-es6files`
+ * @return {Array<{name: string, dir: string, flowDir: string,
+ *   oracleFile: string|null}>}
+ */
+function listSystems(root) {
+  root = root || DEFAULT_ROOT;
+  return fs.readdirSync(root).sort().map(function(name) {
+    return path.join(root, name);
+  }).filter(function(dir) {
+    return fs.existsSync(path.join(dir, 'flow-files'));
+  }).map(function(dir) {
+    var oracle = fs.readdirSync(dir).find(function(file) {
+      return /^DependenciesMap-.*\.ods$/.test(file);
+    });
+    return {
+      name: path.basename(dir),
+      dir: dir,
+      flowDir: path.join(dir, 'flow-files'),
+      oracleFile: oracle ? path.join(dir, oracle) : null
+    };
+  });
+}
+
+/**
+ * Finds one system by directory name
+ *
+ * @param {string} name e.g. `pixi.js`
+ * @param {string} [root]
+ * @return {Object} see listSystems
+ */
+function findSystem(name, root) {
+  var system = listSystems(root).find(function(s) {
+    return s.name === name;
+  });
+  if (!system) throw new Error('No system "' + name + '" in the dataset');
+  return system;
+}
+
+/**
+ * Flattened source files (`*-flow.js`) of a system
+ *
+ * @param {Object} system
+ * @return {Array<string>} absolute paths
+ */
+function flowSources(system) {
+  return fs.readdirSync(system.flowDir).filter(function(file) {
+    return /-flow\.js$/.test(file);
+  }).sort().map(function(file) {
+    return path.join(system.flowDir, file);
+  });
+}
+
+module.exports = {
+  DEFAULT_ROOT: DEFAULT_ROOT,
+  listSystems: listSystems,
+  findSystem: findSystem,
+  flowSources: flowSources
+};
@@ -0,0 +1,376 @@
+'use strict';
+
+/**
+ * Class diagrams of a dependency graph (see graph.js) in PlantUML, Graphviz
+ * DOT and Mermaid, like the figures of the paper.
+ *
+ * Associations are drawn as fields of their class, typed by the associated
+ * class and with their multiplicity (`1`, `0..1` or `*`, see
+ * multiplicity.js), and as labelled arrows, one per multiplicity of their
+ * fields; "uses" and mixin dependencies as dashed arrows labelled with their
+ * kind and count; `extends` clauses as generalizations.  Superclasses
+ * outside the graph (`Socket extends Emitter`) are drawn as bare classes.
+ */
+
+var multiplicity = require('./multiplicity');
+
+var FORMATS = ['plantuml', 'dot', 'mermaid'];
+
+/**
+ * Keeps part of a graph
+ *
+ * @param {Object} graph see graph.systemGraph
+ * @param {Object} [options]
+ * @param {Array<string>} [options.packages] keep the classes of these
+ *   packages
+ * @param {string} [options.root] keep the classes reachable from this one,
+ *   following dependencies and generalizations
+ * @param {number} [options.depth] maximum distance from `root`
+ * @param {Array<string>} [options.kinds] kinds of the dependencies to keep
+ * @return {Object} a graph of the same shape
+ */
+function filterGraph(graph, options) {
+  options = options || {};
+  var edges = graph.edges.filter(function(edge) {
+    return !options.kinds || options.kinds.indexOf(edge.kind) !== -1;
+  });
+  var keep = new Set(graph.classes.filter(function(cls) {
+    return !options.packages ||
+      options.packages.indexOf(cls['package']) !== -1;
+  }).map(function(cls) {
+    return cls.name;
+  }));
+
+  if (options.root) {
+    if (!graph.classes.some(function(cls) {
+      return cls.name === options.root;
+    })) {
+      throw new Error('No class ' + options.root + ' in ' + graph.system);
+    }
+    var depth = options.depth === undefined ? Infinity : options.depth;
+    var reached = new Set([options.root]);
+    var frontier = [options.root];
+    for (var d = 0; d < depth && frontier.length; d++) {
+      var next = [];
+      frontier.forEach(function(name) {
+        var targets = edges.filter(function(edge) {
+          return edge.from === name;
+        }).map(function(edge) {
+          return edge.to;
+        });
+        graph.classes.forEach(function(cls) {
+          if (cls.name === name && cls.superClass) targets.push(cls.superClass);
+        });
+        targets.forEach(function(to) {
+          if (!reached.has(to) && keep.has(to)) {
+            reached.add(to);
+            next.push(to);
+          }
+        });
+      });
+      frontier = next;
+    }
+    keep = reached;
+  }
+
+  return Object.assign({}, graph, {
+    classes: graph.classes.filter(function(cls) {
+      return keep.has(cls.name);
+    }),
+    edges: edges.filter(function(edge) {
+      return keep.has(edge.from) && keep.has(edge.to);
+    })
+  });
+}
+
+/**
+ * Fields of each class: `{name, types, multiplicity}` for every field
+ * holding an association, sorted by name
+ */
+function classFields(graph) {
+  var fields = new Map();
+  graph.edges.forEach(function(edge) {
+    if (edge.kind !== 'association') return;
+    var own = fields.get(edge.from) || new Map();
+    fields.set(edge.from, own);
+    edge.fields.forEach(function(name) {
+      var field = own.get(name) || { name: name, types: [], multiplicity: '1' };
+      own.set(name, field);
+      if (field.types.indexOf(edge.to) === -1) field.types.push(edge.to);
+      field.multiplicity = multiplicity.widest(field.multiplicity,
+        multiplicity.fieldMultiplicity(edge, name));
+    });
+  });
+  var result = new Map();
+  fields.forEach(function(own, name) {
+    result.set(name, Array.from(own.values()).sort(function(a, b) {
+      return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+    }));
+  });
+  return result;
+}
+
+function fieldText(field) {
+  return field.name + ' : ' + field.types.join(' | ') +
+    (field.multiplicity !== '1' ? ' [' + field.multiplicity + ']' : '');
+}
+
+/**
+ * Arrows of a graph: its edges, an association whose fields differ in
+ * multiplicity (`sockets` and `nsps` of `Server`) drawn once per
+ * multiplicity with the fields having it
+ */
+function arrows(graph) {
+  var result = [];
+  graph.edges.forEach(function(edge) {
+    if (edge.kind !== 'association' || !edge.fields.length) {
+      result.push(edge);
+      return;
+    }
+    var groups = new Map();
+    edge.fields.forEach(function(name) {
+      var of = multiplicity.fieldMultiplicity(edge, name) || '1';
+      if (!groups.has(of)) groups.set(of, []);
+      groups.get(of).push(name);
+    });
+    groups.forEach(function(fields, of) {
+      result.push(Object.assign({}, edge, {
+        fields: fields,
+        multiplicity: of
+      }));
+    });
+  });
+  return result;
+}
+
+/**
+ * Label of a dependency arrow: the fields of an association, the kind and
+ * count of another dependency
+ */
+function edgeLabel(edge) {
+  if (edge.kind === 'association') return edge.fields.join(', ');
+  return edge.kind + (edge.count > 1 ? ' (' + edge.count + ')' : '');
+}
+
+/**
+ * Classes grouped by package, the classes without one under ''
+ */
+function byPackage(classes) {
+  var groups = new Map();
+  classes.forEach(function(cls) {
+    var name = cls['package'] || '';
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(cls);
+  });
+  return groups;
+}
+
+/**
+ * Superclasses named by the graph that are not among its classes
+ */
+function externalClasses(graph) {
+  var names = new Set(graph.classes.map(function(cls) {
+    return cls.name;
+  }));
+  var external = [];
+  graph.classes.forEach(function(cls) {
+    if (cls.superClass && !names.has(cls.superClass) &&
+        external.indexOf(cls.superClass) === -1) {
+      external.push(cls.superClass);
+    }
+  });
+  return external;
+}
+
+function toPlantUML(graph) {
+  var fields = classFields(graph);
+  var lines = ['@startuml', 'title ' + graph.system, ''];
+  var declare = function(cls, indent) {
+    var own = fields.get(cls.name) || [];
+    if (!own.length) {
+      lines.push(indent + 'class ' + cls.name);
+      return;
+    }
+    lines.push(indent + 'class ' + cls.name + ' {');
+    own.forEach(function(field) {
+      lines.push(indent + '  ' + fieldText(field));
+    });
+    lines.push(indent + '}');
+  };
+  byPackage(graph.classes).forEach(function(classes, name) {
+    if (!name) {
+      classes.forEach(function(cls) {
+        declare(cls, '');
+      });
+      return;
+    }
+    lines.push('package ' + name + ' {');
+    classes.forEach(function(cls) {
+      declare(cls, '  ');
+    });
+    lines.push('}');
+  });
+  externalClasses(graph).forEach(function(name) {
+    lines.push('class ' + name + ' <<external>>');
+  });
+
+  lines.push('');
+  graph.classes.forEach(function(cls) {
+    if (cls.superClass) lines.push(cls.name + ' --|> ' + cls.superClass);
+  });
+  arrows(graph).forEach(function(edge) {
+    if (edge.kind === 'association') {
+      lines.push(edge.from + ' --> "' + (edge.multiplicity || '1') + '" ' +
+        edge.to + ' : ' + edgeLabel(edge));
+    } else {
+      lines.push(edge.from + ' ..> ' + edge.to + ' : ' + edgeLabel(edge));
+    }
+  });
+  lines.push('@enduml');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Quotes a DOT identifier or label; backslashes are left alone, as they
+ * start the escapes of record labels (`\l`, `\|`)
+ */
+function dotString(text) {
+  return '"' + text.replace(/"/g, '\\"') + '"';
+}
+
+/**
+ * Escapes text for a field of a record label
+ */
+function recordText(text) {
+  return text.replace(/[{}|<>\\]/g, '\\$&');
+}
+
+function toDot(graph) {
+  var fields = classFields(graph);
+  var lines = [
+    'digraph ' + dotString(graph.system) + ' {',
+    '  rankdir=BT;',
+    '  node [shape=record, fontname="Helvetica", fontsize=10];',
+    '  edge [fontname="Helvetica", fontsize=9];'
+  ];
+  var declare = function(cls, indent) {
+    var own = fields.get(cls.name) || [];
+    var label = '{' + recordText(cls.name) + '|' + own.map(function(field) {
+      return recordText(fieldText(field)) + '\\l';
+    }).join('') + '}';
+    lines.push(indent + dotString(cls.name) + ' [label=' + dotString(label) +
+      '];');
+  };
+  byPackage(graph.classes).forEach(function(classes, name) {
+    if (!name) {
+      classes.forEach(function(cls) {
+        declare(cls, '  ');
+      });
+      return;
+    }
+    lines.push('  subgraph ' + dotString('cluster_' + name) + ' {');
+    lines.push('    label=' + dotString(name) + ';');
+    classes.forEach(function(cls) {
+      declare(cls, '    ');
+    });
+    lines.push('  }');
+  });
+  externalClasses(graph).forEach(function(name) {
+    lines.push('  ' + dotString(name) + ' [label=' +
+      dotString('{' + recordText(name) + '}') + ', style=dashed];');
+  });
+
+  graph.classes.forEach(function(cls) {
+    if (cls.superClass) {
+      lines.push('  ' + dotString(cls.name) + ' -> ' +
+        dotString(cls.superClass) + ' [arrowhead=empty];');
+    }
+  });
+  arrows(graph).forEach(function(edge) {
+    var attributes = ['arrowhead=vee', 'label=' + dotString(edgeLabel(edge))];
+    if (edge.kind === 'association') {
+      attributes.push('headlabel=' + dotString(edge.multiplicity || '1'));
+    } else {
+      attributes.push('style=dashed');
+    }
+    lines.push('  ' + dotString(edge.from) + ' -> ' + dotString(edge.to) +
+      ' [' + attributes.join(', ') + '];');
+  });
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+function toMermaid(graph) {
+  var fields = classFields(graph);
+  var lines = ['classDiagram'];
+  var declare = function(cls, indent) {
+    var own = fields.get(cls.name) || [];
+    if (!own.length) {
+      lines.push(indent + 'class ' + cls.name);
+      return;
+    }
+    lines.push(indent + 'class ' + cls.name + ' {');
+    own.forEach(function(field) {
+      lines.push(indent + '  ' + fieldText(field));
+    });
+    lines.push(indent + '}');
+  };
+  byPackage(graph.classes).forEach(function(classes, name) {
+    if (!name) {
+      classes.forEach(function(cls) {
+        declare(cls, '  ');
+      });
+      return;
+    }
+    lines.push('  namespace ' + name + ' {');
+    classes.forEach(function(cls) {
+      declare(cls, '    ');
+    });
+    lines.push('  }');
+  });
+  externalClasses(graph).forEach(function(name) {
+    lines.push('  class ' + name);
+    lines.push('  <<external>> ' + name);
+  });
+
+  graph.classes.forEach(function(cls) {
+    if (cls.superClass) lines.push('  ' + cls.superClass + ' <|-- ' + cls.name);
+  });
+  arrows(graph).forEach(function(edge) {
+    if (edge.kind === 'association') {
+      lines.push('  ' + edge.from + ' --> "' + (edge.multiplicity || '1') +
+        '" ' + edge.to + ' : ' + edgeLabel(edge));
+    } else {
+      lines.push('  ' + edge.from + ' ..> ' + edge.to + ' : ' +
+        edgeLabel(edge));
+    }
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Renders a graph as a class diagram
+ *
+ * @param {Object} graph see graph.systemGraph
+ * @param {string} format one of FORMATS
+ * @return {string}
+ */
+function render(graph, format) {
+  switch (format) {
+    case 'plantuml': return toPlantUML(graph);
+    case 'dot': return toDot(graph);
+    case 'mermaid': return toMermaid(graph);
+    default:
+      throw new Error('Unknown format ' + format + ', use one of ' +
+        FORMATS.join(', '));
+  }
+}
+
+module.exports = {
+  FORMATS: FORMATS,
+  filterGraph: filterGraph,
+  toPlantUML: toPlantUML,
+  toDot: toDot,
+  toMermaid: toMermaid,
+  render: render
+};
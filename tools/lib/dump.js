@@ -0,0 +1,261 @@
+'use strict';
+
+/**
+ * Reader for the output of `flow dump-types --strip-root`.
+ *
+ * Every line of a `*-flow.dump` file has the shape
+ *
+ *   file:line:col-range: type
+ *
+ * where the range is either a single column (`27:20`), a column range on one
+ * line (`16:5-22`) or a range spanning several lines (`14:1,20:1`).  Columns
+ * are 1-based and the end column is inclusive, as printed by Flow.
+ *
+ * Given the source map of a file generated by flatten.js, every entry also
+ * gets its `original` location in the modules the file was flattened from
+ * (`src/core/graphics/Graphics.js:120:13-17` rather than
+ * `Graphics-flow.js:5324:13-17`).
+ */
+
+var fs = require('fs');
+var path = require('path');
+var flowType = require('./flow-type');
+
+var LINE_PATTERN = /^(.*?):(\d+):(\d+)(?:-(\d+)|,(\d+):(\d+))?: ?(.*)$/;
+
+/**
+ * Parses one line of a dump
+ *
+ * @param {string} line
+ * @return {Object|null} the entry, or null if the line is not a dump entry
+ */
+function parseLine(line) {
+  var m = LINE_PATTERN.exec(line.replace(/\r$/, ''));
+  if (!m) return null;
+  var startLine = Number(m[2]);
+  var startColumn = Number(m[3]);
+  var end;
+  if (m[5] !== undefined) {
+    end = { line: Number(m[5]), column: Number(m[6]) };
+  } else {
+    var endColumn = m[4] !== undefined ? Number(m[4]) : startColumn;
+    end = { line: startLine, column: endColumn };
+  }
+  var entry = {
+    file: m[1],
+    start: { line: startLine, column: startColumn },
+    end: end,
+    type: m[7]
+  };
+  entry.typeNode = flowType.parseType(entry.type);
+  return entry;
+}
+
+/**
+ * Formats a location the way Flow prints it
+ *
+ * @param {{start: Object, end: Object}} loc
+ * @return {string}
+ */
+function formatRange(loc) {
+  var s = loc.start;
+  var e = loc.end;
+  if (s.line !== e.line) {
+    return s.line + ':' + s.column + ',' + e.line + ':' + e.column;
+  }
+  if (s.column !== e.column) return s.line + ':' + s.column + '-' + e.column;
+  return s.line + ':' + s.column;
+}
+
+/**
+ * Formats an entry back into its dump line
+ *
+ * @param {Object} entry
+ * @return {string}
+ */
+function formatEntry(entry) {
+  return entry.file + ':' + formatRange(entry) + ': ' + entry.type;
+}
+
+/**
+ * Compares two positions
+ *
+ * @return {number} negative, zero or positive
+ */
+function comparePositions(a, b) {
+  return a.line - b.line || a.column - b.column;
+}
+
+/**
+ * Whether the range `inner` lies within the range `outer`
+ */
+function contains(outer, inner) {
+  return comparePositions(outer.start, inner.start) <= 0 &&
+    comparePositions(inner.end, outer.end) <= 0;
+}
+
+/**
+ * Parsed contents of one dump file, with the queries the analysis needs
+ */
+class Dump {
+  /**
+   * @param {Array<Object>} entries
+   * @param {string} [file] path of the dump, for error messages
+   */
+  constructor(entries, file) {
+    this.entries = entries;
+    this.file = file || null;
+  }
+
+  /**
+   * Name of the analysed source file, as printed in the entries
+   *
+   * @return {string|null}
+   */
+  get sourceFile() {
+    return this.entries.length ? this.entries[0].file : null;
+  }
+
+  /**
+   * Entries whose type is an instance of class `name`, or a union with such a
+   * member
+   *
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {boolean} [options.classObjects] also match `[class: name]`
+   * @return {Array<Object>}
+   */
+  ofClass(name, options) {
+    var classObjects = Boolean(options && options.classObjects);
+    return this.entries.filter(function(entry) {
+      return flowType.classReferences(entry.typeNode).some(function(ref) {
+        return ref.name === name && (classObjects || !ref.isClass);
+      });
+    });
+  }
+
+  /**
+   * Class declarations, i.e. `[class: X]` entries covering the whole class
+   * body rather than a mere reference to the class name
+   *
+   * @return {Array<{name: string, start: Object, end: Object, entry: Object}>}
+   */
+  classDeclarations() {
+    return this.entries.filter(isClassDeclaration).map(function(entry) {
+      return {
+        name: entry.typeNode.name,
+        start: entry.start,
+        end: entry.end,
+        entry: entry
+      };
+    });
+  }
+
+  /**
+   * Entries lying within a range
+   *
+   * @param {{start: Object, end: Object}} range
+   * @return {Array<Object>}
+   */
+  within(range) {
+    return this.entries.filter(function(entry) {
+      return contains(range, entry);
+    });
+  }
+
+  /**
+   * Entries starting at the given position
+   *
+   * @param {number} line
+   * @param {number} column
+   * @return {Array<Object>}
+   */
+  at(line, column) {
+    return this.entries.filter(function(entry) {
+      return entry.start.line === line && entry.start.column === column;
+    });
+  }
+
+  /**
+   * Entries for which Flow printed no type at all
+   *
+   * @return {Array<Object>}
+   */
+  untyped() {
+    return this.entries.filter(function(entry) {
+      return entry.typeNode.kind === 'empty';
+    });
+  }
+}
+
+/**
+ * Whether an entry is a class declaration.  Flow types the whole class body
+ * as `[class: X]`, while references to the class (`new Node()`,
+ * `module.exports = Treap`, `heap.MinHeap`) stay on one line.
+ */
+function isClassDeclaration(entry) {
+  return entry.typeNode.kind === 'class' && entry.start.line !== entry.end.line;
+}
+
+/**
+ * Parses the text of a dump
+ *
+ * @param {string} text
+ * @param {string} [file] path of the dump, for error messages
+ * @param {Object} [options]
+ * @param {SourceMap} [options.sourceMap] map of the analysed file, see
+ *   source-map.js; entries then have an `original` location `{source,
+ *   file, start, end}`, null where the map has none (banners)
+ * @return {Dump}
+ */
+function parseDump(text, file, options) {
+  var map = options && options.sourceMap;
+  var entries = [];
+  text.split('\n').forEach(function(line, i) {
+    if (line.trim() === '') return;
+    var entry = parseLine(line);
+    if (!entry) {
+      throw new Error((file || '<dump>') + ':' + (i + 1) +
+        ': not a dump-types entry: ' + line.slice(0, 80));
+    }
+    if (map) entry.original = map.originalRange(entry);
+    entries.push(entry);
+  });
+  return new Dump(entries, file);
+}
+
+/**
+ * Reads and parses a dump file
+ *
+ * @param {string} file
+ * @param {Object} [options] see parseDump
+ * @return {Dump}
+ */
+function readDump(file, options) {
+  return parseDump(fs.readFileSync(file, 'utf8'), path.resolve(file),
+    options);
+}
+
+/**
+ * Formats the original location of an entry, `source:range`, or null
+ *
+ * @param {Object} entry
+ * @return {string|null}
+ */
+function formatOriginal(entry) {
+  return entry.original ?
+    entry.original.source + ':' + formatRange(entry.original) : null;
+}
+
+module.exports = {
+  Dump: Dump,
+  parseLine: parseLine,
+  parseDump: parseDump,
+  readDump: readDump,
+  formatRange: formatRange,
+  formatEntry: formatEntry,
+  formatOriginal: formatOriginal,
+  comparePositions: comparePositions,
+  contains: contains,
+  isClassDeclaration: isClassDeclaration
+};
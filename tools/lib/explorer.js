@@ -0,0 +1,197 @@
+'use strict';
+
+/**
+ * Static HTML explorer of the dependency graph of a system: a searchable
+ * list of the classes, a force-directed drawing of the graph, and for the
+ * selected class its outgoing and incoming dependencies with the references
+ * behind them, each shown as a snippet of the flattened file around the dump
+ * entry with the type Flow printed there.
+ *
+ * The page is a single file, with the graph embedded as JSON and the script
+ * and stylesheet of `tools/templates` inlined, so it opens offline from
+ * anywhere.  When the oracle of the system is given, every dependency is
+ * marked as found by both, by the extraction only or by the oracle only
+ * (with the evidence of its cell comments), the classes of the oracle
+ * without extraction included.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var TEMPLATES = path.join(__dirname, '..', 'templates');
+
+// Lines shown around a reference
+var DEFAULT_CONTEXT = 2;
+
+function edgeKey(edge) {
+  return edge.from + '\0' + edge.to + '\0' + edge.kind;
+}
+
+/**
+ * Snippet of a file around a range
+ *
+ * @param {Array<string>} lines of the file
+ * @param {Object} entry with `start` and `end` positions
+ * @param {number} context lines shown before and after
+ * @return {{first: number, lines: Array<string>}|null} `first` is the line
+ *   number of `lines[0]`
+ */
+function snippet(lines, entry, context) {
+  if (!entry.start || !entry.end || entry.start.line > lines.length) {
+    return null;
+  }
+  var first = Math.max(1, entry.start.line - context);
+  var last = Math.min(lines.length, entry.end.line + context);
+  return { first: first, lines: lines.slice(first - 1, last) };
+}
+
+/**
+ * Data of the explorer of a graph
+ *
+ * @param {Object} graph see graph.systemGraph
+ * @param {Object} [options]
+ * @param {function(string): string|null} [options.readFile] text of a
+ *   flattened file of the system by name (`Graphics-flow.js`), null when
+ *   missing; without it there are no snippets
+ * @param {Object} [options.oracle] the graph of the oracle of the system
+ *   (see graph.oracleGraph)
+ * @param {number} [options.context] lines shown around each reference
+ * @return {{system: string, origin: string, oracle: boolean,
+ *   classes: Array<Object>, edges: Array<Object>}} classes are those of the
+ *   graph with `fanIn`, `fanOut` and `extracted`; edges have `status`
+ *   (`both`, `extraction` or `oracle`, null without oracle) and their
+ *   evidence a `snippet` (see snippet)
+ */
+function explorerData(graph, options) {
+  options = options || {};
+  var context = options.context === undefined ? DEFAULT_CONTEXT :
+    options.context;
+  var files = new Map();
+  var linesOf = function(file) {
+    if (!file || !options.readFile) return null;
+    if (!files.has(file)) {
+      var text = options.readFile(file);
+      files.set(file, text === null ? null : text.split('\n'));
+    }
+    return files.get(file);
+  };
+  var withSnippets = function(edge, status) {
+    return Object.assign({}, edge, {
+      status: status,
+      evidence: (edge.evidence || []).map(function(entry) {
+        var lines = linesOf(entry.file);
+        return Object.assign({}, entry, {
+          snippet: lines ? snippet(lines, entry, context) : null
+        });
+      })
+    });
+  };
+
+  var oracleEdges = new Map();
+  if (options.oracle) {
+    options.oracle.edges.forEach(function(edge) {
+      oracleEdges.set(edgeKey(edge), edge);
+    });
+  }
+  var extracted = new Set();
+  var edges = graph.edges.map(function(edge) {
+    extracted.add(edgeKey(edge));
+    return withSnippets(edge, !options.oracle ? null :
+      oracleEdges.has(edgeKey(edge)) ? 'both' : 'extraction');
+  });
+  oracleEdges.forEach(function(edge, key) {
+    if (!extracted.has(key)) edges.push(withSnippets(edge, 'oracle'));
+  });
+
+  var classes = graph.classes.map(function(cls) {
+    return Object.assign({}, cls, { extracted: true });
+  });
+  if (options.oracle) {
+    var known = new Set(classes.map(function(cls) {
+      return cls.name;
+    }));
+    options.oracle.classes.forEach(function(cls) {
+      if (!known.has(cls.name)) {
+        classes.push(Object.assign({}, cls, { extracted: false }));
+      }
+    });
+  }
+  classes.forEach(function(cls) {
+    var fanIn = new Set();
+    var fanOut = new Set();
+    edges.forEach(function(edge) {
+      if (edge.status === 'oracle') return;
+      if (edge.to === cls.name) fanIn.add(edge.from);
+      if (edge.from === cls.name) fanOut.add(edge.to);
+    });
+    cls.fanIn = fanIn.size;
+    cls.fanOut = fanOut.size;
+  });
+  classes.sort(function(a, b) {
+    return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+  });
+
+  return {
+    system: graph.system,
+    origin: graph.origin,
+    oracle: !!options.oracle,
+    classes: classes,
+    edges: edges
+  };
+}
+
+/**
+ * JSON that can sit in a `<script>` element
+ */
+function scriptJSON(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+}
+
+function escapeHTML(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders the explorer as a self-contained HTML page
+ *
+ * @param {Object} data see explorerData
+ * @return {string}
+ */
+function renderExplorer(data) {
+  var template = function(name) {
+    return fs.readFileSync(path.join(TEMPLATES, name), 'utf8');
+  };
+  var title = data.system + ' dependencies';
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<title>' + escapeHTML(title) + '</title>',
+    '<style>',
+    template('explorer.css').trimEnd(),
+    '</style>',
+    '</head>',
+    '<body>',
+    '<header><h1>' + escapeHTML(title) + '</h1>' +
+      '<span id="counts"></span></header>',
+    '<nav><input id="search" type="search" placeholder="Search classes"' +
+      ' autocomplete="off"><ul id="classes"></ul></nav>',
+    '<main><svg id="graph"></svg><section id="panel"></section></main>',
+    '<script type="application/json" id="data">' + scriptJSON(data) +
+      '</script>',
+    '<script>',
+    template('explorer.js').trimEnd(),
+    '</script>',
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  explorerData: explorerData,
+  renderExplorer: renderExplorer
+};
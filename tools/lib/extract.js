@@ -0,0 +1,387 @@
+'use strict';
+
+/**
+ * Class-to-class dependency extraction.
+ *
+ * Combines a flattened `*-flow.js` file with its `flow dump-types` output, as
+ * described in the methodology files: every typed position is attributed to
+ * the class whose body contains it (using the `[class: X]` spans of the
+ * dump), and every position whose type refers to another class of the file
+ * is a reference from the enclosing class to that class.  Types are split
+ * first (see flowType.splitMembers), so `Circle | Ellipse` makes two
+ * references and `?Sprite` or `Array<Sprite>` one to `Sprite`.  Other
+ * inferencers can stand in for Flow by printing their types the same way
+ * (see inferencers.js).
+ *
+ * A reference is an association when it stores the other class in a field of
+ * `this`, either directly (`this.root = new Node()`) or by adding it to an
+ * array or another container held in a field
+ * (`this.graphicsData.push(data)`, see multiplicity.js).  Every other
+ * reference is a "uses" dependency.
+ *
+ * Code that patches the prototype of a class at runtime
+ * (`Socket.prototype.to = ...`, `Object.assign(X.prototype, {...})`) is
+ * attributed to the patched class, and its references are of kind `mixin`
+ * so that they can be told apart from those of the class body.  The code of
+ * module-private helper functions is attributed to the classes calling
+ * them (see helpers.js).
+ *
+ * Legacy classes, constructor functions with their prototypes (see
+ * constructors.js), are recognized too: the constructor and the statements
+ * filling in the prototype make up the class, and since Flow prints their
+ * instances as object types, those are matched against the classes by
+ * structure (see shapes.js).
+ */
+
+var path = require('path');
+var constructors = require('./constructors');
+var dump = require('./dump');
+var flowType = require('./flow-type');
+var helpers = require('./helpers');
+var inferencers = require('./inferencers');
+var mixins = require('./mixins');
+var multiplicity = require('./multiplicity');
+var provenance = require('./provenance');
+var scanner = require('./scanner');
+var shapes = require('./shapes');
+var sourceMap = require('./source-map');
+var structure = require('./structure');
+
+var ASSIGNMENT_TO_FIELD =
+  /^this\s*\.\s*([A-Za-z_$][\w$]*)\s*(\[[^\]]*\]\s*)?=(?![=>])/;
+
+var ARRAY_INSERTIONS = ['push', 'unshift'];
+
+/**
+ * Classes of a file: the spans come from the dump, the superclass from the
+ * source
+ *
+ * @param {SourceFile} source
+ * @param {Dump} parsedDump
+ * @return {Array<Object>} `{name, start, end, superClass, superClassRange,
+ *   members}`, `members` being those of structure.classMembers
+ */
+function classSpans(source, parsedDump) {
+  var headers = structure.findClasses(source);
+  return parsedDump.classDeclarations().map(function(decl) {
+    var header = headers.find(function(h) {
+      return h.name === decl.name && h.start.line === decl.start.line;
+    });
+    return {
+      name: decl.name,
+      start: decl.start,
+      end: decl.end,
+      superClass: header ? header.superClass : null,
+      superClassRange: header ? header.superClassRange : null,
+      members: header ? structure.classMembers(source, header) :
+        { fields: [], methods: [] }
+    };
+  });
+}
+
+/**
+ * Innermost class (or prototype patch) whose span contains a range
+ */
+function enclosingClass(classes, range) {
+  var owner = null;
+  classes.forEach(function(cls) {
+    if (dump.contains(cls, range) && (!owner || dump.contains(owner, cls))) {
+      owner = cls;
+    }
+  });
+  return owner;
+}
+
+/**
+ * Name of the field of `this` an entry stores its value in, or null
+ *
+ * @param {SourceFile} source
+ * @param {Object} entry
+ * @param {function(string): Array<string>} [insertions] methods storing
+ *   into a field besides those of arrays (`put` for a `HashTable`)
+ * @return {string|null}
+ */
+function associationField(source, entry, insertions) {
+  var m = ASSIGNMENT_TO_FIELD.exec(source.textOf(entry));
+  if (m) return m[1];
+  return insertionField(source, entry, insertions);
+}
+
+/**
+ * Name of the field of `this` an entry is added to, as in
+ * `this._glyphs.push(c)` or `this._table.put(key, value)`, or null
+ */
+function insertionField(source, entry, insertions) {
+  var tokens = source.tokens;
+  var start = source.offset(entry.start);
+  var i = source.tokenIndexAt(start);
+  var j = source.tokenIndexAt(source.offset(entry.end) + 1);
+  if (!tokens[i] || tokens[i].start !== start || i === 0 || !tokens[j]) {
+    return null;
+  }
+  // The entry must be a whole argument of the call
+  if (['(', ','].indexOf(tokens[i - 1].value) === -1 ||
+      [')', ','].indexOf(tokens[j].value) === -1) {
+    return null;
+  }
+  var open = source.enclosingBracket(i);
+  if (open < 5 || tokens[open].value !== '(') return null;
+  var callee = tokens.slice(open - 5, open).map(function(t) {
+    return t.value;
+  });
+  if (callee[0] !== 'this' || callee[1] !== '.' || callee[3] !== '.' ||
+      tokens[open - 3].type !== 'name') {
+    return null;
+  }
+  var methods = insertions ?
+    ARRAY_INSERTIONS.concat(insertions(callee[2])) : ARRAY_INSERTIONS;
+  return methods.indexOf(callee[4]) !== -1 ? callee[2] : null;
+}
+
+/**
+ * Multiplicity of the association an entry creates: `*` when it is added to
+ * an array or another container (`this._glyphs.push(c)`,
+ * `this.items[i] = item`), `1` when it is stored in the field itself, null
+ * when it is no association
+ *
+ * @param {SourceFile} source
+ * @param {Object} entry
+ * @param {function(string): Array<string>} [insertions] see associationField
+ * @return {string|null}
+ */
+function associationMultiplicity(source, entry, insertions) {
+  var m = ASSIGNMENT_TO_FIELD.exec(source.textOf(entry));
+  if (m) return m[2] ? '*' : '1';
+  return insertionField(source, entry, insertions) ? '*' : null;
+}
+
+/**
+ * Extracts the class-to-class references of a flattened file
+ *
+ * @param {SourceFile} source
+ * @param {Dump} parsedDump
+ * @param {Object} [options]
+ * @param {boolean} [options.excludeTests] leave out the references found in
+ *   test code, so that dependencies only the tests have are not reported
+ * @return {{file: string, classes: Array<Object>, mixins: Array<Object>,
+ *   helpers: Array<Object>, blocks: Array<Object>, dump: Dump,
+ *   references: Array<Object>}} `dump` is the one given; each reference is
+ *   `{from, to, kind, field, multiplicity, union, intersection, split,
+ *   helper, file, start, end, type, provenance}`; for `mixin` references,
+ *   `field` is the patched member when known; `multiplicity` is that of an
+ *   association (see associationMultiplicity), widened by what
+ *   multiplicity.fieldMultiplicities infers for its field; `union` and
+ *   `intersection` tell whether the target is one of several members of a
+ *   union or intersection type, and `split` whether it is only found by
+ *   splitting the type (see flowType.splitMembers); `helper` names the
+ *   helper function the reference was found in, if any; `provenance` is
+ *   the block and original line of the reference (see provenance.locator);
+ *   legacy classes are among `classes` with `legacy: true`; `blocks` are
+ *   those of provenance.findBlocks
+ */
+function extractDependencies(source, parsedDump, options) {
+  options = options || {};
+  var classes = classSpans(source, parsedDump);
+  var names = classes.map(function(cls) {
+    return cls.name;
+  });
+  var patches = mixins.findMixins(source, names);
+  var legacy = constructors.findConstructors(source, names);
+  var parts = [];
+  legacy.forEach(function(cls) {
+    names.push(cls.name);
+    parts = parts.concat(cls.parts);
+    classes.push({
+      name: cls.name,
+      start: cls.start,
+      end: cls.end,
+      superClass: cls.superClass,
+      superClassRange: null,
+      members: { fields: cls.allFields.slice(), methods: cls.methods.slice() },
+      legacy: true
+    });
+  });
+  var known = new Set(names);
+  var matcher = shapes.shapeMatcher(legacy);
+  var helperFunctions = helpers.findHelpers(source, classes,
+    patches.concat(parts));
+  var inferred = multiplicity.fieldMultiplicities(source, parsedDump, classes);
+  var inferredField = function(className, name) {
+    var fields = inferred.fields.get(className);
+    return fields && fields.get(name) || null;
+  };
+  var blocks = provenance.findBlocks(source, parsedDump.sourceFile);
+  var locate = provenance.locator(blocks);
+  var references = [];
+
+  parsedDump.entries.forEach(function(entry) {
+    if (dump.isClassDeclaration(entry)) return;
+    var origin = locate(entry.start.line);
+    if (options.excludeTests && origin.kind === 'test') return;
+    // The source map of a generated file knows better than its banners
+    if (entry.original) {
+      origin = {
+        kind: origin.kind,
+        file: entry.original.source,
+        line: entry.original.start.line
+      };
+    }
+    var patch = enclosingClass(patches, entry);
+    var part = patch ? null : enclosingClass(parts, entry);
+    var owner = patch || part ? { name: (patch || part).name } :
+      enclosingClass(classes, entry);
+    var helper = owner ? null : enclosingClass(helperFunctions, entry);
+    var owners = owner ? [owner] : helper ? helper.owners.map(function(name) {
+      return { name: name };
+    }) : [];
+    // `class A extends B` is a generalization, not a dependency
+    if (owner && owner.superClassRange &&
+        dump.contains(owner.superClassRange, entry)) {
+      return;
+    }
+
+    var insertions = function(name) {
+      var inferredOwn = owner && inferredField(owner.name, name);
+      return inferredOwn ? inferredOwn.insertions : [];
+    };
+    var field = patch ? patch.member :
+      associationField(source, entry, insertions);
+    var kind = field ? 'association' : 'uses';
+    owners.forEach(function(from) {
+      var targets = [];
+      flowType.splitReferences(entry.typeNode)
+        .concat(shapes.shapeReferences(entry.typeNode, matcher, from.name))
+        .forEach(function(ref) {
+          var seen = targets.find(function(target) {
+            return target.name === ref.name;
+          });
+          if (seen) {
+            flowType.mergeSplit(seen, ref);
+          } else if (ref.name !== from.name && known.has(ref.name)) {
+            targets.push({ name: ref.name, union: ref.union,
+              intersection: ref.intersection, split: ref.split });
+          }
+        });
+      targets.forEach(function(target) {
+        references.push({
+          from: from.name,
+          to: target.name,
+          kind: patch ? 'mixin' : kind,
+          field: field,
+          multiplicity: field && !patch ? multiplicity.widest(
+            associationMultiplicity(source, entry, insertions),
+            multiplicity.associationMultiplicity(
+              inferredField(from.name, field), target.name)) : null,
+          union: target.union,
+          intersection: target.intersection,
+          split: target.split,
+          helper: helper ? helper.name : null,
+          file: entry.file,
+          start: entry.start,
+          end: entry.end,
+          type: entry.type,
+          provenance: origin
+        });
+      });
+    });
+  });
+
+  return {
+    file: parsedDump.sourceFile,
+    classes: classes,
+    mixins: patches,
+    helpers: helperFunctions,
+    blocks: blocks,
+    dump: parsedDump,
+    references: references
+  };
+}
+
+/**
+ * Groups references into edges `{from, to, kind, count, fields,
+ * multiplicity, multiplicities, union}`; the multiplicity of an association
+ * is the widest of those of its references, `multiplicities` that of each
+ * of its fields (`sockets` of `Server` holds one `Namespace`, `nsps` any
+ * number), and `union` tells whether all of them target a member of a
+ * union
+ *
+ * @param {Array<Object>} references
+ * @return {Array<Object>}
+ */
+function summarize(references) {
+  var edges = new Map();
+  references.forEach(function(ref) {
+    var key = ref.from + '\0' + ref.to + '\0' + ref.kind;
+    var edge = edges.get(key);
+    if (!edge) {
+      edge = {
+        from: ref.from,
+        to: ref.to,
+        kind: ref.kind,
+        count: 0,
+        fields: [],
+        multiplicity: null,
+        multiplicities: {},
+        union: true
+      };
+      edges.set(key, edge);
+    }
+    edge.count++;
+    if (ref.field && edge.fields.indexOf(ref.field) === -1) {
+      edge.fields.push(ref.field);
+    }
+    edge.multiplicity = multiplicity.widest(edge.multiplicity,
+      ref.multiplicity);
+    if (ref.field && ref.multiplicity) {
+      edge.multiplicities[ref.field] = multiplicity.widest(
+        edge.multiplicities[ref.field], ref.multiplicity);
+    }
+    edge.union = edge.union && !!ref.union;
+  });
+  return Array.from(edges.values());
+}
+
+/**
+ * Path of the dump generated for a flattened file (`X-flow.js` gives
+ * `X-flow.dump`)
+ *
+ * @param {string} sourceFile
+ * @return {string}
+ */
+function dumpPathFor(sourceFile) {
+  return path.join(path.dirname(sourceFile),
+    path.basename(sourceFile, '.js') + '.dump');
+}
+
+/**
+ * Reads a flattened file and its types, and extracts its references; the
+ * source map of the file, if any, translates the locations of the types
+ * (see dump.parseDump)
+ *
+ * @param {string} sourceFile
+ * @param {string} [dumpFile] defaults to the `.dump` next to the source
+ * @param {Object} [options] see extractDependencies, plus
+ * @param {string|Object} [options.inferencer] inferencer of the types, or
+ *   its name (see inferencers.js), `flow` by default, which reads the dump
+ * @return {Object} see extractDependencies
+ */
+function extractFile(sourceFile, dumpFile, options) {
+  options = options || {};
+  var inferencer = inferencers.findInferencer(options.inferencer || 'flow');
+  var mapFile = sourceMap.findSourceMap(sourceFile);
+  var types = inferencer.readTypes(sourceFile, {
+    dumpFile: dumpFile || dumpPathFor(sourceFile),
+    sourceMap: mapFile && sourceMap.readSourceMap(mapFile)
+  });
+  return extractDependencies(scanner.readSource(sourceFile), types, options);
+}
+
+module.exports = {
+  classSpans: classSpans,
+  associationField: associationField,
+  associationMultiplicity: associationMultiplicity,
+  extractDependencies: extractDependencies,
+  summarize: summarize,
+  dumpPathFor: dumpPathFor,
+  extractFile: extractFile
+};
@@ -0,0 +1,915 @@
+'use strict';
+
+/**
+ * Flattening of an original source tree into the `*-flow.js` files of the
+ * dataset, following the steps of the methodology files:
+ *
+ * - the modules imported by the class's module are copied before its code,
+ *   after its own import lines; the modules they import are copied only
+ *   when one of their classes extends a class of that module (a superclass
+ *   must be declared before its subclasses);
+ * - `import` statements, `require` calls of relative modules,
+ *   `module.exports` assignments and `export { ... }` lists are commented
+ *   out, and so is every `'use strict'` but the first;
+ * - a `require` whose variable is not the name of the required class gets
+ *   the exported value instead (`var heap = require('./heap')` becomes
+ *   `var heap = { MinHeap: MinHeap, MaxHeap: MaxHeap };`);
+ * - `export default` and `export` are removed from declarations;
+ * - in the class's module and the tests, members of namespace imports
+ *   (`import * as core from '../core'`, or a global such as `PIXI` in the
+ *   pixi.js tests) are copied like direct imports and the prefix is erased
+ *   (`core.WebGLRenderer.registerPlugin` becomes
+ *   `WebGLRenderer.registerPlugin`);
+ * - the test files are appended at the end.
+ *
+ * Line breaks are never added or removed inside a copied file, so every
+ * line of the result still corresponds to one line of an original file.
+ * Each copied file is announced by a banner comment naming it, labelled
+ * `SOURCE` for the class's module and `TESTS` for the tests, from which
+ * provenance.js maps the lines of the result back to the originals; the
+ * source map of the result (see source-map.js) also maps their columns.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var scanner = require('./scanner');
+var modules = require('./modules');
+var sourceMap = require('./source-map');
+var structure = require('./structure');
+
+var isName = structure.isName;
+var isPunct = structure.isPunct;
+
+var SIMPLE_NAME = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Lists the `.js` files of a directory tree, skipping `node_modules`
+ *
+ * @param {string} dir
+ * @return {Array<string>}
+ */
+function listSources(dir) {
+  var files = [];
+  fs.readdirSync(dir).sort().forEach(function(name) {
+    var file = path.join(dir, name);
+    if (fs.statSync(file).isDirectory()) {
+      if (name !== 'node_modules' && name[0] !== '.') {
+        files = files.concat(listSources(file));
+      }
+    } else if (/\.js$/.test(name)) {
+      files.push(file);
+    }
+  });
+  return files;
+}
+
+class Flattener {
+  /**
+   * @param {string} root directory of the original source tree; copied
+   *   files are labelled with their path relative to it
+   * @param {Object} [options]
+   * @param {Object<string, string>} [options.namespaces] global names
+   *   standing for the exports of a module, e.g. `{PIXI: 'src/index.js'}`
+   *   (relative to the root)
+   */
+  constructor(root, options) {
+    var self = this;
+    options = options || {};
+    this.root = path.resolve(root);
+    this.namespaces = new Map();
+    Object.keys(options.namespaces || {}).forEach(function(name) {
+      self.namespaces.set(name,
+        path.resolve(self.root, options.namespaces[name]));
+    });
+    this._modules = new Map();
+  }
+
+  /**
+   * Source and module-level statements of a file, see modules.analyzeModule
+   *
+   * @param {string} file
+   * @return {{file: string, source: SourceFile, analysis: Object}}
+   */
+  module(file) {
+    file = path.resolve(file);
+    if (!this._modules.has(file)) {
+      var source = scanner.readSource(file);
+      this._modules.set(file, {
+        file: file,
+        source: source,
+        analysis: modules.analyzeModule(source)
+      });
+    }
+    return this._modules.get(file);
+  }
+
+  /**
+   * Files of the source tree declaring a top-level class
+   *
+   * @param {string} name
+   * @return {Array<string>}
+   */
+  findClass(name) {
+    var self = this;
+    return listSources(this.root).filter(function(file) {
+      return self.module(file).analysis.classes.some(function(cls) {
+        return cls.name === name;
+      });
+    });
+  }
+
+  /**
+   * Module that declares an exported binding, following re-exports such as
+   * `export { default as Point } from './Point'` in index files
+   *
+   * @param {string} file
+   * @param {string} name exported name, or `default`
+   * @param {Set<string>} [seen]
+   * @return {string|null} null when the module does not export the name
+   */
+  definingModule(file, name, seen) {
+    seen = seen || new Set();
+    if (seen.has(file)) return null;
+    seen.add(file);
+    var analysis = this.module(file).analysis;
+    for (var i = 0; i < analysis.exports.length; i++) {
+      var exp = analysis.exports[i];
+      if (exp.kind === 'default' && name === 'default') return file;
+      if (exp.kind === 'declaration' && exp.names.indexOf(name) !== -1) {
+        return file;
+      }
+      if (exp.kind !== 'list') continue;
+      for (var k = 0; k < exp.specifiers.length; k++) {
+        var spec = exp.specifiers[k];
+        var target = exp.source && modules.resolveModule(file, exp.source);
+        if (spec.local === '*' && spec.exported === '*') {
+          var found = target && this.definingModule(target, name, seen);
+          if (found) return found;
+        } else if (spec.exported === name) {
+          if (!exp.source) return file;
+          return target ? this.definingModule(target, spec.local, seen) : null;
+        }
+      }
+    }
+    // CommonJS modules export whatever `module.exports` holds
+    return analysis.moduleExports.length ? file : null;
+  }
+
+  /**
+   * Looks up a member of a namespace: either another namespace
+   * (`PIXI.interaction`) or the module declaring it (`PIXI.Sprite`)
+   *
+   * @param {string} file module standing for the namespace
+   * @param {string} name
+   * @param {Set<string>} [seen]
+   * @return {{namespace: string}|{module: string, name: string}|null}
+   */
+  namespaceMember(file, name, seen) {
+    seen = seen || new Set();
+    if (seen.has(file)) return null;
+    seen.add(file);
+    var analysis = this.module(file).analysis;
+    if (analysis.moduleExports.length) {
+      var value = this.exportedValue(file, [name]);
+      if (!value) return null;
+      if (value.kind === 'namespace' || value.kind === 'object') {
+        return { namespace: value.file };
+      }
+      return value.kind === 'name' ?
+        { module: value.file, name: value.name } : null;
+    }
+    var stars = [];
+    for (var i = 0; i < analysis.exports.length; i++) {
+      var exp = analysis.exports[i];
+      if (exp.kind !== 'list') continue;
+      var target = exp.source && modules.resolveModule(file, exp.source);
+      var spec = exp.specifiers.find(function(item) {
+        return item.exported === name;
+      });
+      if (exp.source && exp.specifiers.some(function(item) {
+        return item.exported === '*';
+      })) {
+        if (target) stars.push(target);
+      }
+      if (!spec) continue;
+      if (spec.local === '*') return target ? { namespace: target } : null;
+      if (!exp.source) {
+        var imp = analysis.imports.find(function(item) {
+          return item.namespace === spec.local;
+        });
+        if (imp) {
+          var nested = modules.resolveModule(file, imp.source);
+          return nested ? { namespace: nested } : null;
+        }
+      }
+    }
+    for (var k = 0; k < stars.length; k++) {
+      var found = this.namespaceMember(stars[k], name, seen);
+      if (found) return found;
+    }
+    var defining = this.definingModule(file, name);
+    return defining ? { module: defining, name: name } : null;
+  }
+
+  /**
+   * Value of `require(file)` followed by property accesses
+   *
+   * @param {string} file
+   * @param {Array<string>} members e.g. `['DataStructures', 'Heap']`
+   * @param {Set<string>} [seen]
+   * @return {Object|null} `{kind: 'name', file, name}` for a binding
+   *   declared in `file`; `{kind: 'object', file, props}` for the exported
+   *   object of such bindings (`{MinHeap: MinHeap, MaxHeap: MaxHeap}`),
+   *   with `props` as `[{key, value}]`; `{kind: 'namespace', file}` for a
+   *   module exporting other modules (index files, ES6 modules);
+   *   `{kind: 'text', file, text}` for any other expression
+   */
+  exportedValue(file, members, seen) {
+    seen = new Set(seen);
+    var key = file + ':' + members.join('.');
+    if (seen.has(key)) return null;
+    seen.add(key);
+    var analysis = this.module(file).analysis;
+
+    if (!analysis.moduleExports.length) {
+      if (!analysis.exports.length) return null;
+      if (!members.length) return { kind: 'namespace', file: file };
+      var member = this.namespaceMember(file, members[0]);
+      if (!member) return null;
+      if (member.namespace) {
+        return this.exportedValue(member.namespace, members.slice(1), seen);
+      }
+      return members.length === 1 ?
+        { kind: 'name', file: member.module, name: member.name } : null;
+    }
+
+    var assigned = analysis.moduleExports.filter(function(statement) {
+      return statement.valueStart !== null;
+    });
+    var whole = assigned.filter(function(statement) {
+      return statement.property === null;
+    }).pop();
+    if (whole) {
+      return this.expressionValue(file, whole.valueStart, whole.valueEnd,
+        members, seen, true);
+    }
+    var props = assigned.map(function(statement) {
+      return {
+        key: statement.property,
+        valueStart: statement.valueStart,
+        valueEnd: statement.valueEnd
+      };
+    });
+    if (!members.length) return this.objectValue(file, props, seen);
+    var prop = props.filter(function(item) {
+      return item.key === members[0];
+    }).pop();
+    return prop ? this.expressionValue(file, prop.valueStart, prop.valueEnd,
+      members.slice(1), seen) : null;
+  }
+
+  /**
+   * Value of the expression between two tokens of a module, followed by
+   * property accesses; see exportedValue
+   *
+   * @param {boolean} [exported] whether the expression is the module's
+   *   `module.exports`
+   */
+  expressionValue(file, start, end, members, seen, exported) {
+    var mod = this.module(file);
+    var tokens = mod.source.tokens;
+    var first = tokens[start];
+    if (start === end && isName(first)) {
+      var required = this.requiredBinding(file, first.value);
+      if (required) {
+        var target = modules.resolveModule(file, required.source);
+        return target ? this.exportedValue(target,
+          required.members.concat(members), seen) : null;
+      }
+      return members.length ? null :
+        { kind: 'name', file: file, name: first.value };
+    }
+    var call = modules.requireCall(mod.source, start);
+    if (call && call.end === end) {
+      var callTarget = modules.resolveModule(file, call.source);
+      return callTarget ? this.exportedValue(callTarget,
+        call.members.concat(members), seen) : null;
+    }
+    var props = isPunct(first, '{') &&
+      mod.source.matchingToken(start) === end &&
+      modules.objectProperties(mod.source, start);
+    if (props && members.length) {
+      var prop = props.filter(function(item) {
+        return item.key === members[0];
+      }).pop();
+      return prop ? this.expressionValue(file, prop.valueStart, prop.valueEnd,
+        members.slice(1), seen) : null;
+    }
+    if (props && exported) return this.objectValue(file, props, seen);
+    if (members.length) return null;
+    return {
+      kind: 'text',
+      file: file,
+      text: mod.source.text.slice(first.start, tokens[end].end)
+        .replace(/\s+/g, ' ')
+    };
+  }
+
+  /**
+   * Value of the object exported by a module: an object of bindings, or a
+   * namespace when some property holds a module
+   */
+  objectValue(file, props, seen) {
+    var self = this;
+    var values = props.map(function(prop) {
+      return {
+        key: prop.key,
+        value: self.expressionValue(file, prop.valueStart, prop.valueEnd, [],
+          seen)
+      };
+    });
+    var isObject = values.every(function(item) {
+      return item.value &&
+        (item.value.kind === 'name' || item.value.kind === 'text');
+    });
+    return isObject ? { kind: 'object', file: file, props: values } :
+      { kind: 'namespace', file: file };
+  }
+
+  /**
+   * The `require` binding a local name, as `{source, members}` with the
+   * members of a destructuring pattern included
+   *
+   * @param {string} file
+   * @param {string} name
+   * @return {{source: string, members: Array<string>}|null}
+   */
+  requiredBinding(file, name) {
+    var requires = this.module(file).analysis.requires;
+    for (var i = 0; i < requires.length; i++) {
+      var req = requires[i];
+      if (req.local === name) {
+        return { source: req.source, members: req.members };
+      }
+      var item = (req.pattern || []).find(function(p) {
+        return p.local === name;
+      });
+      if (item) {
+        return {
+          source: req.source,
+          members: req.members.concat([item.imported])
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Names of a module that stand for a whole module: namespace imports,
+   * `require` of an ES6 module or of an index (`var root =
+   * require('../..')`), and the global namespaces of the options
+   *
+   * @param {string} file
+   * @return {Map<string, string>} name to module
+   */
+  namespaceBindings(file) {
+    var self = this;
+    var analysis = this.module(file).analysis;
+    var bindings = new Map(this.namespaces);
+    analysis.imports.forEach(function(imp) {
+      var target = modules.resolveModule(file, imp.source);
+      if (imp.namespace && target) bindings.set(imp.namespace, target);
+    });
+    analysis.requires.forEach(function(req) {
+      var target = modules.resolveModule(file, req.source);
+      if (!req.local || !target) return;
+      var value = self.exportedValue(target, req.members);
+      if (value && value.kind === 'namespace') {
+        bindings.set(req.local, value.file);
+      }
+    });
+    return bindings;
+  }
+
+  /**
+   * Member expressions of a module that go through a namespace, such as
+   * `core.WebGLRenderer` or `PIXI.interaction.InteractionData`
+   *
+   * @param {string} file
+   * @return {Array<{start: number, end: number, text: string,
+   *   module: string}>} `start` and `end` delimit the expression (string
+   *   offsets), `text` is the name of the binding that replaces it and
+   *   `module` the module declaring it
+   */
+  namespaceUses(file) {
+    var self = this;
+    var tokens = this.module(file).source.tokens;
+    var bindings = this.namespaceBindings(file);
+    var uses = [];
+    tokens.forEach(function(t, i) {
+      if (!isName(t) || !bindings.has(t.value)) return;
+      if (isPunct(tokens[i - 1], '.')) return;
+      var current = { namespace: bindings.get(t.value) };
+      for (var k = i; current.namespace; k += 2) {
+        if (!isPunct(tokens[k + 1], '.') || !isName(tokens[k + 2])) return;
+        current = self.namespaceMember(current.namespace, tokens[k + 2].value);
+        if (!current) return;
+      }
+      uses.push({
+        start: t.start,
+        end: tokens[k].end,
+        text: current.name,
+        module: current.module
+      });
+    });
+    return uses;
+  }
+
+  /**
+   * Erases the namespace prefixes of a module.  A declaration that only
+   * renames a member under its own name (`var PriorityQueue =
+   * root.DataStructures.PriorityQueue;`) is commented out instead, since
+   * the copied class is declared under that name already.
+   *
+   * @param {string} file
+   * @return {{commented: Array<Object>, replacements: Array<Object>}}
+   *   see requireEdits
+   */
+  namespaceEdits(file) {
+    var source = this.module(file).source;
+    var tokens = source.tokens;
+    var edits = { commented: [], replacements: [] };
+    this.namespaceUses(file).forEach(function(use) {
+      var i = source.tokenIndexAt(use.start);
+      var k = source.tokenIndexAt(use.end);
+      var keyword = tokens[i - 3];
+      if (keyword && /^(var|let|const)$/.test(keyword.value) &&
+          isName(tokens[i - 2]) && tokens[i - 2].value === use.text &&
+          isPunct(tokens[i - 1], '=')) {
+        var end = modules.statementEnd(source, i - 3);
+        if (end === k || (end === k + 1 && isPunct(tokens[end], ';'))) {
+          edits.commented.push({ start: i - 3, end: end });
+          return;
+        }
+      }
+      edits.replacements.push(use);
+    });
+    return edits;
+  }
+
+  /**
+   * Rewrites the `require` statements of relative modules: commented out
+   * when the variables already name the required bindings, given the
+   * required value otherwise
+   *
+   * @param {string} file
+   * @return {{commented: Array<Object>, replacements: Array<Object>}}
+   *   statements to comment out, and `{start, end, text, statement}`
+   *   replacements, `statement` being the rewritten require
+   */
+  requireEdits(file) {
+    var self = this;
+    var mod = this.module(file);
+    var tokens = mod.source.tokens;
+    var namespaces = this.namespaceBindings(file);
+    var edits = { commented: [], replacements: [] };
+    mod.analysis.requires.forEach(function(req) {
+      if (!/^\.\.?(\/|$)/.test(req.source)) return;
+      var target = modules.resolveModule(file, req.source);
+      var text = null;
+      var from = req.callStart;
+      if (target && req.pattern) {
+        // `const { MinHeap, MaxHeap: Max } = ...` becomes `const Max =
+        // MaxHeap`, as the other names are declared by the copied module
+        var values = req.pattern.map(function(item) {
+          return self.exportedValue(target,
+            req.members.concat([item.imported]));
+        });
+        var aliases = req.pattern.filter(function(item, i) {
+          return !(values[i] && values[i].kind === 'name' &&
+            values[i].name === item.local);
+        });
+        if (aliases.length && values.every(isBinding)) {
+          from = req.start;
+          text = tokens[req.start].value + ' ' + aliases.map(function(item) {
+            return item.local + ' = ' +
+              valueText(values[req.pattern.indexOf(item)]);
+          }).join(', ');
+        }
+      } else if (target && req.local && !namespaces.has(req.local)) {
+        var value = self.exportedValue(target, req.members);
+        if (isBinding(value) &&
+            !(value.kind === 'name' && value.name === req.local)) {
+          text = valueText(value);
+        }
+      }
+      if (text === null) {
+        edits.commented.push(req);
+        return;
+      }
+      var first = tokens[from];
+      var callEnd = tokens[req.callEnd];
+      var last = tokens[req.end];
+      edits.replacements.push({
+        start: first.start,
+        end: callEnd.end,
+        text: text,
+        statement: req
+      }, {
+        start: last.end,
+        end: last.end,
+        text: ' // ' + mod.source.text.slice(first.start, callEnd.end),
+        statement: req
+      });
+    });
+    return edits;
+  }
+
+  /**
+   * Module providing a name bound by an import or require of a module
+   *
+   * @param {string} file
+   * @param {string} name local name
+   * @return {string|null} null for local names and packages
+   */
+  bindingModule(file, name) {
+    var analysis = this.module(file).analysis;
+    for (var i = 0; i < analysis.imports.length; i++) {
+      var imp = analysis.imports[i];
+      var imported = modules.resolveModule(file, imp.source);
+      if (!imported) continue;
+      if (imp.defaultName === name) {
+        return this.definingModule(imported, 'default') || imported;
+      }
+      var named = imp.named.find(function(item) {
+        return item.local === name;
+      });
+      if (named) {
+        return this.definingModule(imported, named.imported) || imported;
+      }
+    }
+    var required = this.requiredBinding(file, name);
+    var target = required && modules.resolveModule(file, required.source);
+    var value = target && this.exportedValue(target, required.members);
+    return value && value.kind === 'name' ? value.file : null;
+  }
+
+  /**
+   * Modules imported directly by a module, in the order of its imports
+   *
+   * @param {string} file
+   * @return {Array<string>}
+   */
+  directImports(file) {
+    var self = this;
+    var analysis = this.module(file).analysis;
+    var result = [];
+    var add = function(target) {
+      if (target && result.indexOf(target) === -1) result.push(target);
+    };
+    analysis.imports.forEach(function(imp) {
+      var target = modules.resolveModule(file, imp.source);
+      if (!target) return;
+      // Namespace imports (`import * as core`) copy nothing by themselves
+      if (imp.namespace && !imp.defaultName && !imp.named.length) return;
+      if (!imp.defaultName && !imp.named.length) add(target);
+      if (imp.defaultName) {
+        add(self.definingModule(target, 'default') || target);
+      }
+      imp.named.forEach(function(item) {
+        add(self.definingModule(target, item.imported) || target);
+      });
+    });
+    var namespaces = this.namespaceBindings(file);
+    analysis.requires.forEach(function(req) {
+      var target = modules.resolveModule(file, req.source);
+      if (!target || namespaces.has(req.local)) return;
+      var paths = req.pattern ? req.pattern.map(function(item) {
+        return req.members.concat([item.imported]);
+      }) : [req.members];
+      paths.forEach(function(members) {
+        var value = self.exportedValue(target, members);
+        if (value) valueFiles(value).forEach(add);
+        else add(target);
+      });
+    });
+    this.namespaceUses(file).forEach(function(use) {
+      add(use.module);
+    });
+    return result;
+  }
+
+  /**
+   * Modules to copy into the flattened file of a module, superclasses first
+   *
+   * @param {string} entry
+   * @param {Array<string>} [tests] test files, whose imports are copied too
+   * @return {Array<string>}
+   */
+  inlinedModules(entry, tests) {
+    var self = this;
+    entry = path.resolve(entry);
+    var order = [];
+    var seen = new Set([entry]);
+    var include = function(file) {
+      if (seen.has(file)) return;
+      seen.add(file);
+      self.module(file).analysis.classes.forEach(function(cls) {
+        if (!cls.superClass || !SIMPLE_NAME.test(cls.superClass)) return;
+        var parent = self.bindingModule(file, cls.superClass);
+        if (parent) include(parent);
+      });
+      order.push(file);
+    };
+    [entry].concat(tests || []).forEach(function(file) {
+      self.directImports(path.resolve(file)).forEach(include);
+    });
+    return order;
+  }
+
+  /**
+   * Flattens a module and its imports into one file
+   *
+   * @param {string} entry module of the class under analysis
+   * @param {Object} [options]
+   * @param {Array<string>} [options.tests] test files to append
+   * @return {string}
+   */
+  flatten(entry, options) {
+    return this.flattenWithMap(entry, options).text;
+  }
+
+  /**
+   * Flattens a module and its imports into one file, with the source map
+   * of the result
+   *
+   * @param {string} entry module of the class under analysis
+   * @param {Object} [options]
+   * @param {Array<string>} [options.tests] test files to append
+   * @param {string} [options.file] name of the flattened file in the map,
+   *   `<module>-flow.js` by default
+   * @return {{text: string, map: Object}} `map` is a source map whose
+   *   sources are relative to the root and whose `sourceRoot` is the root
+   *   (see source-map.js)
+   */
+  flattenWithMap(entry, options) {
+    var self = this;
+    options = options || {};
+    entry = path.resolve(entry);
+    var state = { strict: false };
+
+    var tests = options.tests || [];
+    var fileEdits = function(file, prefixes) {
+      var edits = self.requireEdits(file);
+      if (prefixes) {
+        var erased = self.namespaceEdits(file);
+        edits.commented = edits.commented.concat(erased.commented);
+        edits.replacements = edits.replacements.concat(erased.replacements);
+      }
+      return edits;
+    };
+    var copy = function(file, edits, copyState) {
+      var copied = rewrite(self.module(file), copyState || state, edits);
+      var source = self.relative(file);
+      copied.mapping = copied.columns.map(function(columns, i) {
+        return { source: source, line: i + 1, columns: columns };
+      });
+      return copied;
+    };
+    var slice = function(copied, start, end) {
+      return {
+        lines: copied.lines.slice(start, end),
+        mapping: copied.mapping.slice(start, end)
+      };
+    };
+
+    var main = this.module(entry);
+    var mainEdits = fileEdits(entry, true);
+    var split = prologueEnd(main);
+    // A require of the imports given a value (`const Big = MaxHeap;`) names
+    // classes declared by the copied modules: it is commented out among the
+    // imports and repeated with its value after the copied modules
+    var lineOf = function(token) {
+      return main.source.position(main.source.tokens[token].start).line;
+    };
+    var valued = [];
+    mainEdits.replacements.forEach(function(edit) {
+      var req = edit.statement;
+      if (req && lineOf(req.end) <= split && valued.indexOf(req) === -1) {
+        valued.push(req);
+      }
+    });
+    var mainCopy = copy(entry, {
+      commented: mainEdits.commented.concat(valued),
+      replacements: mainEdits.replacements
+    });
+    var lines = [];
+    var mapping = [];
+    // The module of the class is announced twice, around its imports, with
+    // the line its second part starts at
+    var add = function(banner, copied) {
+      if (!copied.lines.length) return;
+      if (lines.length) {
+        lines.push('');
+        mapping.push(null);
+      }
+      lines = lines.concat(banner, [''], copied.lines);
+      mapping = mapping.concat(banner.map(function() {
+        return null;
+      }), [null], copied.mapping);
+    };
+    add(this.banner(entry, 'SOURCE'), slice(mainCopy, 0, split));
+    this.inlinedModules(entry, tests).forEach(function(file) {
+      add(self.banner(file), copy(file, fileEdits(file, false)));
+    });
+    if (valued.length) {
+      // Announced with the line of the first one, the lines between them
+      // left blank
+      var first = lineOf(valued[0].start);
+      var last = lineOf(valued[valued.length - 1].end);
+      var kept = new Set();
+      valued.forEach(function(req) {
+        for (var line = lineOf(req.start); line <= lineOf(req.end); line++) {
+          kept.add(line);
+        }
+      });
+      var values = slice(copy(entry, mainEdits, { strict: true }),
+        first - 1, last);
+      values.lines.forEach(function(line, i) {
+        if (kept.has(first + i)) return;
+        values.lines[i] = '';
+        values.mapping[i] = null;
+      });
+      add(this.banner(entry, 'SOURCE', first), values);
+    }
+    add(this.banner(entry, 'SOURCE', split + 1), slice(mainCopy, split));
+    tests.forEach(function(file) {
+      add(self.banner(file, 'TESTS'), copy(file, fileEdits(file, true)));
+    });
+
+    var name = options.file || path.basename(entry, '.js') + '-flow.js';
+    return {
+      text: lines.join('\n') + '\n',
+      map: sourceMap.buildSourceMap(name, mapping, this.root)
+    };
+  }
+
+  /**
+   * Path of a file relative to the root, with `/` separators
+   */
+  relative(file) {
+    return path.relative(this.root, file).split(path.sep).join('/');
+  }
+
+  /**
+   * Comment announcing a copied file, read back by provenance.js
+   */
+  banner(file, label, line) {
+    return ['/*', ' * ' + (label ? label + ': ' : '') + this.relative(file) +
+      (line ? ':' + line : ''), ' */'];
+  }
+}
+
+/**
+ * Lines of a module with its module-level statements rewritten
+ *
+ * @param {{source: SourceFile, analysis: Object}} mod
+ * @param {{strict: boolean}} state whether a `'use strict'` was kept
+ * @param {{commented: Array<Object>, replacements: Array<Object>}} edits
+ *   further statements to comment out and `{start, end, text}` replacements,
+ *   such as the `require` edits and the erased namespace prefixes
+ * @return {{lines: Array<string>, columns: Array<Array<Array<number>>>}}
+ *   the lines, and for each line the `[column, originalColumn]` pairs
+ *   (0-based) where the edits shift its columns, see source-map.js
+ */
+function rewrite(mod, state, edits) {
+  var source = mod.source;
+  var analysis = mod.analysis;
+  var tokens = source.tokens;
+  var commented = new Set();
+  var replacements = edits.replacements.slice();
+
+  var comment = function(statement) {
+    var first = source.position(tokens[statement.start].start).line;
+    var last = source.position(tokens[statement.end].end - 1).line;
+    for (var line = first; line <= last; line++) commented.add(line);
+  };
+
+  analysis.imports.forEach(comment);
+  edits.commented.forEach(comment);
+  analysis.moduleExports.forEach(comment);
+  analysis.useStrict.forEach(function(directive) {
+    if (state.strict) comment(directive);
+    state.strict = true;
+  });
+  analysis.exports.forEach(function(exp) {
+    var declared = tokens[exp.keywordEnd + 1];
+    var isDeclaration = exp.kind === 'declaration' ||
+      (exp.kind === 'default' && exp.names.length && declared &&
+        /^(class|function|async)$/.test(declared.value));
+    if (isDeclaration) {
+      replacements.push({
+        start: tokens[exp.start].start,
+        end: declared.start,
+        text: ''
+      });
+    } else {
+      comment(exp);
+    }
+  });
+
+  var text = source.text;
+  var applied = [];
+  replacements.sort(function(a, b) {
+    return b.start - a.start || b.end - a.end;
+  }).forEach(function(edit) {
+    if (commented.has(source.position(edit.start).line)) return;
+    text = text.slice(0, edit.start) + edit.text + text.slice(edit.end);
+    applied.unshift(edit);
+  });
+
+  var lines = text.replace(/\r?\n$/, '').split(/\r?\n/);
+  var columns = lines.map(function(line, i) {
+    return commented.has(i + 1) ? [[0, 0], [2, 0]] : [[0, 0]];
+  });
+  var shift = new Map();
+  applied.forEach(function(edit) {
+    var start = source.position(edit.start);
+    var end = source.position(edit.end);
+    var pairs = columns[start.line - 1];
+    // Edits across lines keep their lines mapped to the line starts only
+    if (end.line !== start.line || /\n/.test(edit.text) || !pairs) return;
+    var push = function(column, originalColumn) {
+      if (pairs[pairs.length - 1][0] === column) pairs.pop();
+      pairs.push([column, originalColumn]);
+    };
+    var delta = shift.get(start.line) || 0;
+    // An erased prefix leaves the end of the replaced text
+    var replaced = source.text.slice(edit.start, edit.end);
+    var kept = replaced.endsWith(edit.text) ?
+      replaced.length - edit.text.length : 0;
+    if (edit.text) push(start.column - 1 + delta, start.column - 1 + kept);
+    delta += edit.text.length - (edit.end - edit.start);
+    shift.set(start.line, delta);
+    push(end.column - 1 + delta, end.column - 1);
+  });
+  return {
+    lines: lines.map(function(line, i) {
+      return commented.has(i + 1) ? '//' + line : line;
+    }),
+    columns: columns
+  };
+}
+
+function isBinding(value) {
+  return Boolean(value) && value.kind !== 'namespace';
+}
+
+/**
+ * Source text of a value found by Flattener#exportedValue
+ */
+function valueText(value) {
+  if (value.kind === 'name') return value.name;
+  if (value.kind === 'text') return value.text;
+  return '{ ' + value.props.map(function(prop) {
+    return prop.key + ': ' + valueText(prop.value);
+  }).join(', ') + ' }';
+}
+
+/**
+ * Modules declaring the bindings of a value
+ */
+function valueFiles(value) {
+  if (value.kind !== 'object') return [value.file];
+  var files = [];
+  value.props.forEach(function(prop) {
+    valueFiles(prop.value).forEach(function(file) {
+      if (files.indexOf(file) === -1) files.push(file);
+    });
+  });
+  return files;
+}
+
+/**
+ * Number of lines at the top of a module that stay before the copied
+ * modules: its `'use strict'` and import lines
+ */
+function prologueEnd(mod) {
+  var source = mod.source;
+  var analysis = mod.analysis;
+  var tokens = source.tokens;
+  var firstClass = analysis.classes.length ?
+    analysis.classes[0].start.line : Infinity;
+  var end = 0;
+  analysis.imports.concat(analysis.requires, analysis.useStrict)
+    .forEach(function(statement) {
+      var line = source.position(tokens[statement.end].end - 1).line;
+      if (line < firstClass) end = Math.max(end, line);
+    });
+  return end;
+}
+
+module.exports = {
+  listSources: listSources,
+  Flattener: Flattener
+};
@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * Regenerates the dumps of the flattened files with a locally installed
+ * Flow, as the methodology files do by hand:
+ *
+ *     flow dump-types --strip-root CanvasRenderer-flow.js \
+ *       > CanvasRenderer-flow.dump
+ *
+ * The files of a system share one `flow start` server, rooted in a
+ * directory of the cache holding a copy of the system's `.flowconfig` (an
+ * empty one for pixi.js, which has none), and are passed on stdin with
+ * `--path` so that the entries name `X-flow.js` as the dataset's do.  Each
+ * flattened file is self contained, so its siblings take no part in its
+ * types.
+ *
+ * Dumps are cached by the hash of everything they depend on: the file's
+ * name and text, the `.flowconfig` and the version of Flow.  Nothing is
+ * downloaded: the binary is the one given, `$FLOW_BIN`, the `flow-bin`
+ * package if installed, or `flow` on the PATH.
+ */
+
+var childProcess = require('child_process');
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var extract = require('./extract');
+
+var DEFAULT_CACHE = path.join(os.tmpdir(), 'flow-dump-cache');
+
+// Seconds a file may take to type before it counts as failed
+var DEFAULT_TIMEOUT = 300;
+
+// The largest dump of the dataset (Graphics-flow.dump) is 400 KB; the
+// buffer leaves room for dumps forty times as large
+var MAX_OUTPUT = 16 * 1024 * 1024;
+
+/**
+ * Finds the Flow binary
+ *
+ * @param {string} [flow] path of the binary, if given
+ * @return {string}
+ */
+function findFlow(flow) {
+  if (flow) {
+    if (!fs.existsSync(flow)) throw new Error('No Flow binary at ' + flow);
+    return path.resolve(flow);
+  }
+  if (process.env.FLOW_BIN) return findFlow(process.env.FLOW_BIN);
+  try {
+    var packaged = require('flow-bin');
+    if (fs.existsSync(packaged)) return packaged;
+  } catch (e) {
+    // Not installed, try the PATH
+  }
+  var onPath = (process.env.PATH || '').split(path.delimiter)
+    .filter(function(dir) {
+      return dir;
+    }).map(function(dir) {
+      return path.join(dir, process.platform === 'win32' ? 'flow.exe' : 'flow');
+    }).find(function(file) {
+      return fs.existsSync(file);
+    });
+  if (!onPath) {
+    throw new Error('No Flow binary found: pass --flow, set FLOW_BIN or ' +
+      'install flow-bin');
+  }
+  return onPath;
+}
+
+/**
+ * Version of a Flow binary
+ *
+ * @param {string} flow
+ * @return {string} e.g. `0.50.0`
+ */
+function flowVersion(flow) {
+  var output = childProcess.execFileSync(flow, ['version'],
+    { encoding: 'utf8' });
+  var m = /version (\S+)/.exec(output);
+  if (!m) throw new Error(flow + ' does not look like Flow: ' + output.trim());
+  return m[1];
+}
+
+/**
+ * Runs Flow, resolving to its stdout
+ */
+function runFlow(flow, args, input, timeout) {
+  return new Promise(function(resolve, reject) {
+    var child = childProcess.execFile(flow, args, {
+      encoding: 'utf8',
+      maxBuffer: MAX_OUTPUT,
+      timeout: timeout * 1000
+    }, function(error, stdout, stderr) {
+      if (!error) {
+        resolve(stdout);
+        return;
+      }
+      var reason = error.killed ? 'timed out after ' + timeout + 's' :
+        (stderr.trim().split('\n').pop() || error.message);
+      reject(new Error('flow ' + args[0] + ' failed: ' + reason));
+    });
+    if (input !== undefined) {
+      // A Flow exiting before reading its input fails in the callback
+      child.stdin.on('error', function() {});
+      child.stdin.end(input);
+    }
+  });
+}
+
+/**
+ * Runs a worker on every item, at most `jobs` at a time
+ *
+ * @param {Array} items
+ * @param {number} jobs
+ * @param {function(*): Promise} worker
+ * @return {Promise<Array>} the results, in the order of the items
+ */
+function pool(items, jobs, worker) {
+  var results = new Array(items.length);
+  var next = 0;
+  var run = function() {
+    if (next >= items.length) return Promise.resolve();
+    var i = next++;
+    return worker(items[i]).then(function(result) {
+      results[i] = result;
+      return run();
+    });
+  };
+  var runners = [];
+  for (var k = 0; k < Math.min(jobs, items.length); k++) runners.push(run());
+  return Promise.all(runners).then(function() {
+    return results;
+  });
+}
+
+function hash(parts) {
+  var digest = crypto.createHash('sha256');
+  parts.forEach(function(part) {
+    digest.update(part).update('\0');
+  });
+  return digest.digest('hex');
+}
+
+/**
+ * Regenerates the dumps of flattened files of one `flow-files` directory
+ *
+ * @param {Array<string>} files the `X-flow.js` files, whose dumps are
+ *   written next to them
+ * @param {Object} [options]
+ * @param {string} [options.flow] the Flow binary, see findFlow
+ * @param {string} [options.cacheDir] defaults to `flow-dump-cache` in the
+ *   temporary directory
+ * @param {boolean} [options.refresh] run Flow even on cached files, still
+ *   caching the new dumps
+ * @param {number} [options.jobs] files typed at once, defaults to the
+ *   number of CPUs
+ * @param {number} [options.timeout] seconds per file
+ * @param {function(Object)} [options.progress] called with each result
+ * @return {Promise<Array<{file: string, dumpFile: string, status: string,
+ *   error: string|null}>>} `status` is `dumped`, `cached` or `failed`; a
+ *   failed file keeps its old dump, if any
+ */
+function dumpFiles(files, options) {
+  options = options || {};
+  var flow = findFlow(options.flow);
+  var version = flowVersion(flow);
+  var cacheDir = path.resolve(options.cacheDir || DEFAULT_CACHE);
+  var jobs = options.jobs || os.cpus().length;
+  var timeout = options.timeout || DEFAULT_TIMEOUT;
+  var progress = options.progress || function() {};
+  if (!files.length) return Promise.resolve([]);
+
+  var flowDir = path.dirname(files[0]);
+  var configFile = path.join(flowDir, '.flowconfig');
+  var config = fs.existsSync(configFile) ?
+    fs.readFileSync(configFile, 'utf8') : '';
+  var root = path.join(cacheDir, 'roots', hash([version, config]));
+  fs.mkdirSync(path.join(cacheDir, 'dumps'), { recursive: true });
+  fs.mkdirSync(root, { recursive: true });
+  fs.writeFileSync(path.join(root, '.flowconfig'), config);
+
+  var jobsOf = files.map(function(file) {
+    var text = fs.readFileSync(file, 'utf8');
+    var name = path.basename(file);
+    return {
+      file: file,
+      name: name,
+      text: text,
+      dumpFile: extract.dumpPathFor(file),
+      cached: path.join(cacheDir, 'dumps',
+        hash([version, config, name, text]) + '.dump')
+    };
+  });
+  var started = null;
+  var server = function() {
+    if (!started) {
+      started = runFlow(flow, ['start', '--wait', '--quiet', root],
+        undefined, timeout);
+    }
+    return started;
+  };
+
+  return pool(jobsOf, jobs, function(job) {
+    var done = function(status, error) {
+      var result = { file: job.file, dumpFile: job.dumpFile, status: status,
+        error: error || null };
+      progress(result);
+      return result;
+    };
+    if (!options.refresh && fs.existsSync(job.cached)) {
+      fs.copyFileSync(job.cached, job.dumpFile);
+      return Promise.resolve(done('cached'));
+    }
+    return server().then(function() {
+      return runFlow(flow, ['dump-types', '--strip-root', '--quiet',
+        '--no-auto-start', '--timeout', String(timeout),
+        '--root', root, '--path', path.join(root, job.name)],
+      job.text, timeout);
+    }).then(function(dumped) {
+      fs.writeFileSync(job.cached, dumped);
+      fs.writeFileSync(job.dumpFile, dumped);
+      return done('dumped');
+    }, function(e) {
+      return done('failed', e.message);
+    });
+  }).then(function(results) {
+    if (!started) return results;
+    // The server goes whether or not it came up
+    return runFlow(flow, ['stop', root], undefined, timeout)
+      .catch(function() {}).then(function() {
+        return results;
+      });
+  });
+}
+
+module.exports = {
+  DEFAULT_CACHE: DEFAULT_CACHE,
+  findFlow: findFlow,
+  flowVersion: flowVersion,
+  dumpFiles: dumpFiles
+};
@@ -0,0 +1,573 @@
+'use strict';
+
+/**
+ * Parser for the type strings printed by `flow dump-types`.
+ *
+ * Flow prints types in its own surface syntax, with a few quirks: types it
+ * could not infer are printed as nothing at all (`graph-flow.js:15:15-19: `,
+ * `{get: () => }`), class objects are printed as `[class: Node]` and
+ * instances simply as `Node`.  The parser below is deliberately lenient:
+ * whenever it meets something it does not understand it gives up and returns
+ * an `unknown` node holding the raw text, so one odd entry never breaks the
+ * analysis of a whole dump.
+ */
+
+var PRIMITIVES = [
+  'any', 'boolean', 'empty', 'mixed', 'null', 'number', 'string', 'symbol',
+  'void'
+];
+
+/**
+ * Splits a type string into tokens
+ *
+ * @param {string} text
+ * @return {Array<string>}
+ */
+function tokenize(text) {
+  var tokens = [];
+  var i = 0;
+  while (i < text.length) {
+    var c = text[i];
+    if (c === ' ' || c === '\t') {
+      i++;
+    } else if (text.startsWith('=>', i) || text.startsWith('...', i)) {
+      var op = text.startsWith('=>', i) ? '=>' : '...';
+      tokens.push(op);
+      i += op.length;
+    } else if (c === '\'' || c === '"') {
+      var end = i + 1;
+      while (end < text.length && text[end] !== c) {
+        if (text[end] === '\\') end++;
+        end++;
+      }
+      tokens.push(text.slice(i, end + 1));
+      i = end + 1;
+    } else if (/[A-Za-z0-9_$.\-]/.test(c)) {
+      var start = i;
+      while (i < text.length && /[A-Za-z0-9_$.\-]/.test(text[i])) i++;
+      tokens.push(text.slice(start, i));
+    } else {
+      tokens.push(c);
+      i++;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Recursive descent parser over the tokens of one type string
+ */
+class TypeParser {
+  constructor(text) {
+    this.text = text;
+    this.tokens = tokenize(text);
+    this.pos = 0;
+  }
+
+  peek(offset) {
+    return this.tokens[this.pos + (offset || 0)];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  expect(token) {
+    if (this.peek() !== token) {
+      throw new SyntaxError('Expected "' + token + '" in type "' +
+        this.text + '"');
+    }
+    return this.next();
+  }
+
+  /**
+   * Whether the current token cannot start a type, meaning Flow printed an
+   * empty type at this position
+   */
+  atEmpty() {
+    var t = this.peek();
+    return t === undefined || t === ',' || t === ')' || t === '}' ||
+      t === ']' || t === '>' || t === '|' || t === '&';
+  }
+
+  parseType() {
+    var first = this.parseIntersection();
+    if (this.peek() !== '|') return first;
+    var types = [first];
+    while (this.peek() === '|') {
+      this.next();
+      types.push(this.parseIntersection());
+    }
+    return { kind: 'union', types: types };
+  }
+
+  parseIntersection() {
+    var first = this.parsePrefix();
+    if (this.peek() !== '&') return first;
+    var types = [first];
+    while (this.peek() === '&') {
+      this.next();
+      types.push(this.parsePrefix());
+    }
+    return { kind: 'intersection', types: types };
+  }
+
+  parsePrefix() {
+    if (this.peek() === '?') {
+      this.next();
+      return { kind: 'maybe', type: this.parsePrefix() };
+    }
+    if (this.peek() === '...') {
+      // Rest parameters printed without a name: `(_: ...Array<any>) => `
+      this.next();
+      return this.parsePrefix();
+    }
+    var type = this.parsePrimary();
+    while (this.peek() === '[' && this.peek(1) === ']') {
+      this.next();
+      this.next();
+      type = { kind: 'generic', name: 'Array', args: [type] };
+    }
+    return type;
+  }
+
+  parsePrimary() {
+    if (this.atEmpty()) return { kind: 'empty' };
+    var t = this.peek();
+
+    if (t === '(') return this.parseParenthesized();
+    if (t === '{') return this.parseObject();
+    if (t === '[') {
+      if (this.peek(1) === 'class' && this.peek(2) === ':') {
+        this.next();
+        this.next();
+        this.next();
+        var name = this.next();
+        this.expect(']');
+        return { kind: 'class', name: name };
+      }
+      return this.parseTuple();
+    }
+    if (t[0] === '\'' || t[0] === '"' || /^-?[0-9]/.test(t)) {
+      this.next();
+      return { kind: 'literal', value: t };
+    }
+    if (t === 'typeof') {
+      this.next();
+      return { kind: 'typeof', type: this.parsePrimary() };
+    }
+    if (/^[A-Za-z_$]/.test(t)) {
+      this.next();
+      if (PRIMITIVES.indexOf(t) !== -1 || t === 'true' || t === 'false') {
+        return { kind: 'primitive', name: t };
+      }
+      if (this.peek() === '<') {
+        this.next();
+        var args = [];
+        while (this.peek() !== '>') {
+          args.push(this.parseType());
+          if (this.peek() === ',') this.next();
+          else break;
+        }
+        this.expect('>');
+        return { kind: 'generic', name: t, args: args };
+      }
+      return { kind: 'named', name: t };
+    }
+    throw new SyntaxError('Unexpected "' + t + '" in type "' + this.text +
+      '"');
+  }
+
+  /**
+   * Either a function type `(a: A, b?: B) => R` or a parenthesized type
+   */
+  parseParenthesized() {
+    var save = this.pos;
+    try {
+      return this.parseFunction();
+    } catch (e) {
+      this.pos = save;
+    }
+    this.expect('(');
+    var inner = this.parseType();
+    this.expect(')');
+    return inner;
+  }
+
+  /**
+   * A function type, or with `separator` `:` the rest of a method of an
+   * object type after its name: `leave(room: empty): empty`
+   */
+  parseFunction(separator) {
+    this.expect('(');
+    var params = [];
+    while (this.peek() !== ')') {
+      var param = { name: null, optional: false, rest: false };
+      if (this.peek() === '...') {
+        this.next();
+        param.rest = true;
+      }
+      if (/^[A-Za-z_$]/.test(this.peek()) &&
+          (this.peek(1) === ':' || this.peek(1) === '?')) {
+        param.name = this.next();
+        if (this.peek() === '?') {
+          this.next();
+          param.optional = true;
+        }
+        this.expect(':');
+        if (this.peek() === '...') {
+          // Flow also prints rest parameters as `_: ...Array<any>`
+          this.next();
+          param.rest = true;
+        }
+      }
+      param.type = this.parseType();
+      params.push(param);
+      if (this.peek() === ',') this.next();
+      else break;
+    }
+    this.expect(')');
+    this.expect(separator || '=>');
+    return { kind: 'function', params: params, returns: this.parseType() };
+  }
+
+  parseObject() {
+    this.expect('{');
+    var props = [];
+    var indexers = [];
+    while (this.peek() !== '}') {
+      if (this.peek() === '[') {
+        this.next();
+        var name = null;
+        if (this.peek(1) === ':') {
+          name = this.next();
+          this.next();
+        }
+        var key = this.parseType();
+        this.expect(']');
+        this.expect(':');
+        indexers.push({ name: name, key: key, value: this.parseType() });
+      } else if (this.peek() === '...') {
+        this.next();
+        props.push({ key: '...', optional: false, type: this.parseType() });
+      } else {
+        // String keys are printed unquoted, spaces included
+        var propKey = this.next();
+        while (/^[A-Za-z0-9_$]/.test(this.peek() || '')) {
+          propKey += ' ' + this.next();
+        }
+        var prop = { key: propKey, optional: false };
+        if (this.peek() === '(') {
+          prop.method = true;
+          prop.type = this.parseFunction(':');
+          props.push(prop);
+          if (this.peek() === ',') this.next();
+          else break;
+          continue;
+        }
+        if (this.peek() === '?') {
+          this.next();
+          prop.optional = true;
+        }
+        this.expect(':');
+        prop.type = this.parseType();
+        props.push(prop);
+      }
+      if (this.peek() === ',') this.next();
+      else break;
+    }
+    this.expect('}');
+    return { kind: 'object', props: props, indexers: indexers };
+  }
+
+  parseTuple() {
+    this.expect('[');
+    var types = [];
+    if (this.peek() !== ']') {
+      // Elements may be empty, so a comma is always followed by one more
+      types.push(this.parseType());
+      while (this.peek() === ',') {
+        this.next();
+        types.push(this.parseType());
+      }
+    }
+    this.expect(']');
+    return { kind: 'tuple', types: types };
+  }
+}
+
+/**
+ * Parses a type string printed by Flow
+ *
+ * @param {string} text
+ * @return {Object} type node; `{kind: 'unknown', text}` when unparseable
+ */
+function parseType(text) {
+  text = (text || '').trim();
+  if (text === '') return { kind: 'empty' };
+  var parser = new TypeParser(text);
+  try {
+    var type = parser.parseType();
+    if (parser.pos === parser.tokens.length) return type;
+  } catch (e) {
+    if (!(e instanceof SyntaxError)) throw e;
+  }
+  return { kind: 'unknown', text: text };
+}
+
+/**
+ * Prints a type node back in Flow syntax
+ *
+ * @param {Object} type
+ * @return {string}
+ */
+function printType(type) {
+  switch (type.kind) {
+    case 'empty': return '';
+    case 'unknown': return type.text;
+    case 'primitive':
+    case 'named': return type.name;
+    case 'literal': return type.value;
+    case 'class': return '[class: ' + type.name + ']';
+    case 'typeof': return 'typeof ' + printType(type.type);
+    case 'maybe': return '?' + printType(type.type);
+    case 'union': return type.types.map(printMember).join(' | ');
+    case 'intersection': return type.types.map(printMember).join(' & ');
+    case 'tuple': return '[' + type.types.map(printType).join(', ') + ']';
+    case 'generic':
+      return type.name + '<' + type.args.map(printType).join(', ') + '>';
+    case 'function':
+      return printParams(type) + ' => ' + printType(type.returns);
+    case 'object':
+      return '{' + type.indexers.map(function(ix) {
+        return '[' + (ix.name ? ix.name + ': ' : '') + printType(ix.key) +
+          ']: ' + printType(ix.value);
+      }).concat(type.props.map(function(p) {
+        if (p.method) {
+          return p.key + printParams(p.type) + ': ' + printType(p.type.returns);
+        }
+        return p.key + (p.optional ? '?' : '') + ': ' + printType(p.type);
+      })).join(', ') + '}';
+    default:
+      throw new TypeError('Unknown type kind: ' + type.kind);
+  }
+}
+
+/**
+ * Prints the parameter list of a function type
+ */
+function printParams(type) {
+  return '(' + type.params.map(function(p) {
+    var t = printType(p.type);
+    if (p.type.kind === 'function' && !p.name) t = '(' + t + ')';
+    if (!p.name) return (p.rest ? '...' : '') + t;
+    return (p.rest ? '...' : '') + p.name + (p.optional ? '?' : '') +
+      ': ' + t;
+  }).join(', ') + ')';
+}
+
+/**
+ * Prints a union or intersection member, parenthesizing function types
+ */
+function printMember(type) {
+  var text = printType(type);
+  return type.kind === 'function' ? '(' + text + ')' : text;
+}
+
+/**
+ * Returns the members of a top-level union, or the type itself
+ *
+ * @param {Object} type
+ * @return {Array<Object>}
+ */
+function unionMembers(type) {
+  return type.kind === 'union' ? type.types : [type];
+}
+
+/**
+ * Class names a type directly refers to: instances (`Node`), class objects
+ * (`[class: Node]`) and the members of a top-level union of those
+ *
+ * @param {Object} type
+ * @return {Array<{name: string, isClass: boolean}>}
+ */
+function classReferences(type) {
+  var refs = [];
+  unionMembers(type).forEach(function(member) {
+    if (member.kind === 'named') {
+      refs.push({ name: member.name, isClass: false });
+    } else if (member.kind === 'class') {
+      refs.push({ name: member.name, isClass: true });
+    }
+  });
+  return refs;
+}
+
+// Members that may be instances or classes: named and generic types, class
+// objects, and object types for the instances of legacy classes
+var CLASS_LIKE = ['named', 'class', 'generic', 'object'];
+
+function classLike(node) {
+  if (node.kind === 'maybe') return classLike(node.type);
+  if (node.kind === 'union' || node.kind === 'intersection') {
+    return node.types.some(classLike);
+  }
+  return CLASS_LIKE.indexOf(node.kind) !== -1;
+}
+
+/**
+ * Splits a type into the members a dependency can be taken from: unions and
+ * intersections into their members, optional and nullable wrappers (`?T`,
+ * `null | T`, `void | T`) into what they wrap, and generic types into
+ * themselves and their parameters (`Array<Sprite>`, `Promise<Texture>`).
+ *
+ * Each member tells how it was reached: `union` when it is one of several
+ * alternatives that may be classes, as in `Circle | Ellipse | Polygon`
+ * (`string | Node` or `null | Node` have only one), `intersection` likewise
+ * for intersected types, and `split` when classReferences, which only looks
+ * at the type and the members of a top-level union, would not have found
+ * it (`?Node`, `Array<Node>`, `A & B`, `?(A | B)`).
+ *
+ * @param {Object} type
+ * @return {Array<{type: Object, union: boolean, intersection: boolean,
+ *   split: boolean}>} the members other than wrappers, unions and
+ *   intersections, in order
+ */
+function splitMembers(type) {
+  var members = [];
+  var visit = function(node, how, top) {
+    var within = function(changes) {
+      return Object.assign({}, how, changes);
+    };
+    switch (node.kind) {
+      case 'maybe':
+        visit(node.type, within({ split: true }), false);
+        break;
+      case 'union':
+      case 'intersection':
+        var several = node.types.filter(classLike).length > 1;
+        var changes = {
+          split: how.split || !top || node.kind === 'intersection'
+        };
+        if (node.kind === 'union') changes.union = how.union || several;
+        else changes.intersection = how.intersection || several;
+        node.types.forEach(function(member) {
+          visit(member, within(changes), false);
+        });
+        break;
+      case 'generic':
+        members.push({ type: node, union: how.union,
+          intersection: how.intersection, split: true });
+        node.args.forEach(function(arg) {
+          visit(arg, within({ split: true }), false);
+        });
+        break;
+      default:
+        members.push({ type: node, union: how.union,
+          intersection: how.intersection, split: how.split });
+    }
+  };
+  visit(type, { union: false, intersection: false, split: false }, true);
+  return members;
+}
+
+/**
+ * Merges how a class was reached again into a reference to it: from a
+ * union or intersection if any occurrence is, split only if all are
+ *
+ * @param {Object} ref `{union, intersection, split}`, updated in place
+ * @param {Object} member see splitMembers
+ */
+function mergeSplit(ref, member) {
+  ref.union = ref.union || member.union;
+  ref.intersection = ref.intersection || member.intersection;
+  ref.split = ref.split && member.split;
+}
+
+/**
+ * Class names a type refers to once split (see splitMembers): instances,
+ * class objects and generic classes, each once (see mergeSplit)
+ *
+ * @param {Object} type
+ * @return {Array<{name: string, isClass: boolean, union: boolean,
+ *   intersection: boolean, split: boolean}>}
+ */
+function splitReferences(type) {
+  var refs = [];
+  splitMembers(type).forEach(function(member) {
+    var node = member.type;
+    if (['named', 'class', 'generic'].indexOf(node.kind) === -1) return;
+    var isClass = node.kind === 'class';
+    var known = refs.find(function(ref) {
+      return ref.name === node.name && ref.isClass === isClass;
+    });
+    if (known) {
+      mergeSplit(known, member);
+    } else {
+      refs.push({ name: node.name, isClass: isClass, union: member.union,
+        intersection: member.intersection, split: member.split });
+    }
+  });
+  return refs;
+}
+
+/**
+ * Class names mentioned anywhere in a type: besides those classReferences
+ * finds, the elements of arrays and tuples (`Array<Node>`, `[Point,
+ * Point]`), type arguments, object properties and function signatures
+ *
+ * @param {Object} type
+ * @return {Array<string>}
+ */
+function mentionedClasses(type) {
+  var names = [];
+  var visit = function(node) {
+    switch (node.kind) {
+      case 'named':
+      case 'class':
+        if (names.indexOf(node.name) === -1) names.push(node.name);
+        break;
+      case 'typeof':
+      case 'maybe':
+        visit(node.type);
+        break;
+      case 'union':
+      case 'intersection':
+      case 'tuple':
+        node.types.forEach(visit);
+        break;
+      case 'generic':
+        node.args.forEach(visit);
+        break;
+      case 'function':
+        node.params.forEach(function(param) {
+          visit(param.type);
+        });
+        visit(node.returns);
+        break;
+      case 'object':
+        node.indexers.forEach(function(indexer) {
+          visit(indexer.key);
+          visit(indexer.value);
+        });
+        node.props.forEach(function(prop) {
+          visit(prop.type);
+        });
+        break;
+    }
+  };
+  visit(type);
+  return names;
+}
+
+module.exports = {
+  PRIMITIVES: PRIMITIVES,
+  parseType: parseType,
+  printType: printType,
+  unionMembers: unionMembers,
+  classReferences: classReferences,
+  splitMembers: splitMembers,
+  mergeSplit: mergeSplit,
+  splitReferences: splitReferences,
+  mentionedClasses: mentionedClasses
+};
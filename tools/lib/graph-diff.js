@@ -0,0 +1,220 @@
+'use strict';
+
+/**
+ * Differences between two dependency graphs of a system, e.g. extracted
+ * before and after regenerating the dumps with another version of Flow, or
+ * from two versions of a library.
+ *
+ * Classes are matched by name first.  A class left over on both sides is
+ * then matched by its source span: a class of the same file whose lines
+ * overlap it most is the same class renamed (`Node` of `treap-flow.js`
+ * becoming `TreapNode` once an oracle names it).  Edges are compared per
+ * pair of classes, so that a pair whose only dependency turned from "uses"
+ * into an association is reported as a change of kind rather than as one
+ * edge removed and another added.
+ */
+
+var path = require('path');
+var compare = require('./compare');
+
+/**
+ * Changes of the dependencies between two classes: kinds gained and none
+ * lost, kinds lost and none gained, kinds both lost and gained (`uses` to
+ * `association`), other counts, or same counts from other references
+ */
+var CHANGES = ['added', 'removed', 'kind', 'count', 'evidence'];
+
+function overlap(a, b) {
+  if (!a.file || !b.file || !a.start || !a.end || !b.start || !b.end ||
+      path.basename(a.file) !== path.basename(b.file)) {
+    return 0;
+  }
+  return Math.max(0, Math.min(a.end.line, b.end.line) -
+    Math.max(a.start.line, b.start.line) + 1);
+}
+
+/**
+ * Matches the classes of two graphs
+ *
+ * @param {Object} before
+ * @param {Object} after
+ * @return {{names: Map<string, string>, added: Array<Object>,
+ *   removed: Array<Object>, renamed: Array<{from: string, to: string}>}}
+ *   `names` maps the names of the matched classes before onto their names
+ *   after
+ */
+function matchClasses(before, after) {
+  var names = new Map();
+  var afterNames = new Set(after.classes.map(function(cls) {
+    return cls.name;
+  }));
+  var removed = before.classes.filter(function(cls) {
+    if (!afterNames.has(cls.name)) return true;
+    names.set(cls.name, cls.name);
+    return false;
+  });
+  var added = after.classes.filter(function(cls) {
+    return !names.has(cls.name);
+  });
+
+  var renamed = [];
+  removed = removed.filter(function(cls) {
+    var best = null;
+    var bestOverlap = 0;
+    added.forEach(function(candidate) {
+      var lines = overlap(cls, candidate);
+      if (lines > bestOverlap) {
+        best = candidate;
+        bestOverlap = lines;
+      }
+    });
+    if (!best) return true;
+    names.set(cls.name, best.name);
+    renamed.push({ from: cls.name, to: best.name });
+    added.splice(added.indexOf(best), 1);
+    return false;
+  });
+  return { names: names, added: added, removed: removed, renamed: renamed };
+}
+
+function pairKey(from, to) {
+  return from + '\0' + to;
+}
+
+/**
+ * Edges of a graph by pair of classes, then by kind
+ */
+function edgesByPair(edges, rename) {
+  var pairs = new Map();
+  edges.forEach(function(edge) {
+    var from = rename(edge.from);
+    var to = rename(edge.to);
+    var key = pairKey(from, to);
+    if (!pairs.has(key)) pairs.set(key, { from: from, to: to, kinds: {} });
+    pairs.get(key).kinds[edge.kind] = edge;
+  });
+  return pairs;
+}
+
+/**
+ * Locations of the references behind an edge missing on the other side
+ */
+function evidenceChanges(edge, other) {
+  var keys = new Set((other && other.evidence || []).map(compare.locationKey));
+  return (edge && edge.evidence || []).filter(function(ref) {
+    return !keys.has(compare.locationKey(ref));
+  });
+}
+
+/**
+ * Compares two graphs
+ *
+ * @param {Object} before see graph.js or graph-format.js
+ * @param {Object} after
+ * @return {{classes: Object, edges: Array<Object>, summary: Object}}
+ *   `classes` is the result of matchClasses, plus the classes whose
+ *   superclass changed (`superClasses: [{name, before, after}]`); `edges`
+ *   lists the changed pairs of classes, named as in `after`, as `{from, to,
+ *   change, before, after, removedEvidence, addedEvidence}` where `change`
+ *   is one of CHANGES and `before` and `after` map each kind to its count;
+ *   `summary` counts the changes of classes and of edges
+ */
+function diffGraphs(before, after) {
+  var classes = matchClasses(before, after);
+  var rename = function(name) {
+    return classes.names.get(name) || name;
+  };
+  var afterClasses = new Map(after.classes.map(function(cls) {
+    return [cls.name, cls];
+  }));
+  classes.superClasses = [];
+  before.classes.forEach(function(cls) {
+    var other = afterClasses.get(rename(cls.name));
+    if (!other || !classes.names.has(cls.name)) return;
+    var was = cls.superClass ? rename(cls.superClass) : null;
+    if (was !== (other.superClass || null)) {
+      classes.superClasses.push({
+        name: other.name,
+        before: was,
+        after: other.superClass || null
+      });
+    }
+  });
+
+  var beforePairs = edgesByPair(before.edges, rename);
+  var afterPairs = edgesByPair(after.edges, function(name) {
+    return name;
+  });
+  var keys = new Set(Array.from(beforePairs.keys())
+    .concat(Array.from(afterPairs.keys())));
+  var edges = [];
+  Array.from(keys).sort().forEach(function(key) {
+    var old = beforePairs.get(key) || { kinds: {} };
+    var now = afterPairs.get(key) || { kinds: {} };
+    var kinds = Object.keys(old.kinds).concat(Object.keys(now.kinds))
+      .filter(function(kind, i, all) {
+        return all.indexOf(kind) === i;
+      }).sort();
+    var counts = function(pair) {
+      var result = {};
+      Object.keys(pair.kinds).sort().forEach(function(kind) {
+        result[kind] = pair.kinds[kind].count;
+      });
+      return result;
+    };
+    var removedEvidence = [];
+    var addedEvidence = [];
+    kinds.forEach(function(kind) {
+      removedEvidence = removedEvidence.concat(
+        evidenceChanges(old.kinds[kind], now.kinds[kind]));
+      addedEvidence = addedEvidence.concat(
+        evidenceChanges(now.kinds[kind], old.kinds[kind]));
+    });
+    var lost = kinds.filter(function(kind) {
+      return !now.kinds[kind];
+    });
+    var gained = kinds.filter(function(kind) {
+      return !old.kinds[kind];
+    });
+    var change = lost.length && gained.length ? 'kind' :
+      gained.length ? 'added' :
+      lost.length ? 'removed' :
+      kinds.some(function(kind) {
+        return old.kinds[kind].count !== now.kinds[kind].count;
+      }) ? 'count' :
+      removedEvidence.length || addedEvidence.length ? 'evidence' : null;
+    if (!change) return;
+    var pair = beforePairs.get(key) || afterPairs.get(key);
+    edges.push({
+      from: pair.from,
+      to: pair.to,
+      change: change,
+      before: counts(old),
+      after: counts(now),
+      removedEvidence: removedEvidence,
+      addedEvidence: addedEvidence
+    });
+  });
+
+  var summary = {
+    classes: {
+      added: classes.added.length,
+      removed: classes.removed.length,
+      renamed: classes.renamed.length,
+      superClass: classes.superClasses.length
+    },
+    edges: {}
+  };
+  CHANGES.forEach(function(change) {
+    summary.edges[change] = edges.filter(function(edge) {
+      return edge.change === change;
+    }).length;
+  });
+  return { classes: classes, edges: edges, summary: summary };
+}
+
+module.exports = {
+  CHANGES: CHANGES,
+  matchClasses: matchClasses,
+  diffGraphs: diffGraphs
+};
@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * Canonical JSON format of dependency graphs, described by
+ * `tools/schema/dependency-graph.schema.json`:
+ *
+ *     {"format": "class-dependency-graph", "version": 1,
+ *      "system": "algorithms.js", "origin": "extraction",
+ *      "classes": [{"name": "MinHeap", "superClass": null, ...}],
+ *      "edges": [{"from": "MinHeap", "to": "Comparator",
+ *                 "kind": "association", "count": 3, ...}]}
+ *
+ * Graphs are written normalized (classes sorted by name, edges by source,
+ * target and kind, optional properties filled in with their defaults), so
+ * that reading a written graph gives back the same object and files of the
+ * same graph are identical.
+ */
+
+var fs = require('fs');
+var schema = require('./schema');
+
+var FORMAT = 'class-dependency-graph';
+var VERSION = 1;
+var SCHEMA = require('../schema/dependency-graph.schema.json');
+
+function position(pos) {
+  return pos ? { line: pos.line, column: pos.column } : null;
+}
+
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function normalizeClass(cls) {
+  var result = {
+    name: cls.name,
+    superClass: cls.superClass || null,
+    'package': cls['package'] === undefined ? null : cls['package'],
+    file: cls.file || null,
+    start: position(cls.start),
+    end: position(cls.end),
+    legacy: !!cls.legacy
+  };
+  if (cls.members) {
+    result.members = {
+      fields: cls.members.fields.slice(),
+      methods: cls.members.methods.slice()
+    };
+  }
+  return result;
+}
+
+function normalizeEdge(edge) {
+  var result = {
+    from: edge.from,
+    to: edge.to,
+    kind: edge.kind,
+    count: edge.count,
+    fields: (edge.fields || []).slice(),
+    multiplicity: edge.multiplicity || null,
+    multiplicities: {},
+    union: !!edge.union
+  };
+  result.fields.forEach(function(field) {
+    if (edge.multiplicities && edge.multiplicities[field]) {
+      result.multiplicities[field] = edge.multiplicities[field];
+    }
+  });
+  if (edge.evidence) {
+    result.evidence = edge.evidence.map(function(ref) {
+      var evidence = {
+        file: ref.file,
+        start: position(ref.start),
+        end: position(ref.end),
+        type: ref.type
+      };
+      if (ref.field !== undefined) evidence.field = ref.field;
+      if (ref.union) evidence.union = true;
+      if (ref.intersection) evidence.intersection = true;
+      if (ref.split) evidence.split = true;
+      if (ref.provenance) {
+        evidence.provenance = {
+          kind: ref.provenance.kind,
+          file: ref.provenance.file,
+          line: ref.provenance.line
+        };
+      }
+      return evidence;
+    });
+  }
+  return result;
+}
+
+/**
+ * Writes a graph in the canonical format
+ *
+ * @param {Object} graph `{system, origin, inferencer, classes, edges}` as
+ *   built by graph.systemGraph; `origin` and `inferencer` (the inferencer
+ *   of the types of an extraction, see inferencers.js) are optional
+ * @return {Object}
+ */
+function toJSON(graph) {
+  var data = { format: FORMAT, version: VERSION, system: graph.system };
+  if (graph.origin) data.origin = graph.origin;
+  if (graph.inferencer) data.inferencer = graph.inferencer;
+  data.classes = graph.classes.map(normalizeClass).sort(function(a, b) {
+    return compareStrings(a.name, b.name) ||
+      compareStrings(a.file || '', b.file || '');
+  });
+  data.edges = graph.edges.map(normalizeEdge).sort(function(a, b) {
+    return compareStrings(a.from, b.from) || compareStrings(a.to, b.to) ||
+      compareStrings(a.kind, b.kind);
+  });
+  return data;
+}
+
+/**
+ * Checks a parsed file against the schema, and that no two edges share
+ * their source, target and kind, as summarize makes one edge of them
+ *
+ * @param {*} data
+ * @return {Array<string>} errors, empty when the graph is valid
+ */
+function validate(data) {
+  var errors = schema.validate(data, SCHEMA);
+  if (errors.length) return errors;
+  var seen = new Map();
+  data.edges.forEach(function(edge, i) {
+    var key = edge.from + '\0' + edge.to + '\0' + edge.kind;
+    if (seen.has(key)) {
+      errors.push('/edges/' + i + ': duplicate of /edges/' + seen.get(key) +
+        ', ' + edge.from + ' -> ' + edge.to + ' (' + edge.kind + ')');
+    } else {
+      seen.set(key, i);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Reads a graph of the canonical format
+ *
+ * @param {Object} data parsed JSON
+ * @param {string} [name] name of the file, for the error message
+ * @return {{system: string, origin: string|undefined,
+ *   inferencer: string|undefined, classes: Array<Object>,
+ *   edges: Array<Object>}}
+ */
+function fromJSON(data, name) {
+  var errors = validate(data);
+  if (errors.length) {
+    throw new Error((name || 'Graph') + ' is not a valid dependency graph:\n' +
+      errors.join('\n'));
+  }
+  var normalized = toJSON(data);
+  var graph = { system: normalized.system };
+  if (normalized.origin) graph.origin = normalized.origin;
+  if (normalized.inferencer) graph.inferencer = normalized.inferencer;
+  graph.classes = normalized.classes;
+  graph.edges = normalized.edges;
+  return graph;
+}
+
+/**
+ * Reads a graph file
+ *
+ * @param {string} file
+ * @return {Object} see fromJSON
+ */
+function readGraph(file) {
+  var data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error('Cannot read ' + file + ': ' + e.message);
+  }
+  return fromJSON(data, file);
+}
+
+/**
+ * Writes a graph file
+ *
+ * @param {string} file
+ * @param {Object} graph see toJSON
+ */
+function writeGraph(file, graph) {
+  fs.writeFileSync(file, JSON.stringify(toJSON(graph), null, 2) + '\n');
+}
+
+module.exports = {
+  FORMAT: FORMAT,
+  VERSION: VERSION,
+  SCHEMA: SCHEMA,
+  toJSON: toJSON,
+  validate: validate,
+  fromJSON: fromJSON,
+  readGraph: readGraph,
+  writeGraph: writeGraph
+};
@@ -0,0 +1,229 @@
+'use strict';
+
+/**
+ * Dependency graph of a whole system of the dataset.
+ *
+ * Every flattened file repeats the classes it inlines, so each class is
+ * taken from one file only: the file of its oracle sheet when the system has
+ * an oracle, else the file flattening it (`treap-flow.js` for `Treap`), else
+ * the file declaring it with the fewest other classes.  With an oracle,
+ * classes are named as in the oracle (the `Node` of `treap-flow.js` is
+ * `TreapNode`).
+ */
+
+var fs = require('fs');
+var path = require('path');
+var compare = require('./compare');
+var dataset = require('./dataset');
+var extract = require('./extract');
+var oracle = require('./oracle');
+var packages = require('./packages');
+var provenance = require('./provenance');
+
+/**
+ * Groups references into the edges of a graph: those of extract.summarize,
+ * each with the references behind it as `evidence`
+ *
+ * @param {Array<Object>} references
+ * @return {Array<Object>}
+ */
+function referenceEdges(references) {
+  var evidence = new Map();
+  references.forEach(function(ref) {
+    var key = ref.from + '\0' + ref.to + '\0' + ref.kind;
+    if (!evidence.has(key)) evidence.set(key, []);
+    evidence.get(key).push({
+      file: ref.file,
+      start: ref.start,
+      end: ref.end,
+      type: ref.type,
+      field: ref.field,
+      union: ref.union,
+      intersection: ref.intersection,
+      split: ref.split,
+      provenance: ref.provenance
+    });
+  });
+  return extract.summarize(references).map(function(edge) {
+    edge.evidence = evidence.get(edge.from + '\0' + edge.to + '\0' +
+      edge.kind);
+    return edge;
+  });
+}
+
+/**
+ * Builds the dependency graph of a system
+ *
+ * @param {Object} system see dataset.listSystems
+ * @param {Object} [options]
+ * @param {function(string): Object} [options.extractFile] extraction of one
+ *   flattened file, defaults to extract.extractFile
+ * @param {boolean} [options.everyCopy] take the references of a class from
+ *   every file inlining a copy of it, not only from the file the class is
+ *   taken from: `DisplayObject-flow.js` does not inline `Container`, so
+ *   only the copy of `DisplayObject` in `Graphics-flow.js` shows it
+ *   depending on `Container`; edges then count the references of all the
+ *   copies, with their evidence in each file
+ * @return {{system: string, origin: string, classes: Array<Object>,
+ *   edges: Array<Object>}} classes are `{name, superClass, package, file,
+ *   start, end, legacy, members}` sorted by name, with `package` null when
+ *   unknown; edges are those of referenceEdges
+ */
+function systemGraph(system, options) {
+  options = options || {};
+  var extractFile = options.extractFile || extract.extractFile;
+  var allSources = dataset.flowSources(system);
+  var sources = allSources.filter(function(file) {
+    return fs.existsSync(extract.dumpPathFor(file));
+  });
+  var renaming = system.oracleFile ?
+    compare.oracleRenaming(system, oracle.readOracle(system.oracleFile)) :
+    null;
+
+  var declared = new Map();
+  var flattened = new Map();
+  var references = new Map();
+  sources.forEach(function(file) {
+    var extracted = extractFile(file);
+    var rename = renaming ? renaming.renamer(file, extracted.classes) :
+      function(name) {
+        return name;
+      };
+    var classes = extracted.classes.map(function(cls) {
+      return Object.assign({}, cls, {
+        name: rename(cls.name),
+        superClass: cls.superClass && rename(cls.superClass)
+      });
+    });
+    declared.set(file, classes);
+    flattened.set(file, provenance.flattenedClass(file, classes));
+    references.set(file, extracted.references.map(function(ref) {
+      return Object.assign({}, ref, {
+        from: rename(ref.from),
+        to: rename(ref.to)
+      });
+    }));
+  });
+
+  var declares = function(file, name) {
+    return declared.get(file).some(function(cls) {
+      return cls.name === name;
+    });
+  };
+  var owners = new Map();
+  if (renaming) {
+    renaming.files.forEach(function(file, oracleClass) {
+      if (file && declared.has(file) && declares(file, oracleClass.name)) {
+        owners.set(oracleClass.name, file);
+      }
+    });
+  }
+  flattened.forEach(function(name, file) {
+    if (name && !owners.has(name)) owners.set(name, file);
+  });
+  sources.slice().sort(function(a, b) {
+    return declared.get(a).length - declared.get(b).length;
+  }).forEach(function(file) {
+    declared.get(file).forEach(function(cls) {
+      if (!owners.has(cls.name)) owners.set(cls.name, file);
+    });
+  });
+
+  var classPackages = packages.inferPackages(allSources, declared,
+    flattened);
+  var classes = [];
+  var edges = [];
+  Array.from(owners.keys()).sort().forEach(function(name) {
+    var file = owners.get(name);
+    var cls = declared.get(file).find(function(c) {
+      return c.name === name;
+    });
+    classes.push({
+      name: name,
+      superClass: cls.superClass,
+      'package': classPackages.has(name) ? classPackages.get(name) : null,
+      file: path.basename(file),
+      start: cls.start,
+      end: cls.end,
+      legacy: !!cls.legacy,
+      members: cls.members
+    });
+    var copies = options.everyCopy ? sources.filter(function(source) {
+      return declares(source, name);
+    }) : [file];
+    edges = edges.concat(referenceEdges([].concat.apply([],
+      copies.map(function(source) {
+        return references.get(source).filter(function(ref) {
+          return ref.from === name;
+        });
+      }))));
+  });
+  return {
+    system: system.name,
+    origin: 'extraction',
+    classes: classes,
+    edges: edges
+  };
+}
+
+/**
+ * Dependency graph of a system according to its oracle: one class per
+ * sheet, one edge per non-empty count, with the dump entries of the cell
+ * comments as evidence
+ *
+ * @param {Object} system see dataset.listSystems
+ * @return {Object} see systemGraph; classes have no position nor members
+ */
+function oracleGraph(system) {
+  if (!system.oracleFile) {
+    throw new Error('System ' + system.name + ' has no oracle');
+  }
+  var parsedOracle = oracle.readOracle(system.oracleFile);
+  var renaming = compare.oracleRenaming(system, parsedOracle);
+  var classes = [];
+  var edges = [];
+  parsedOracle.classes.forEach(function(oracleClass) {
+    var file = renaming.files.get(oracleClass);
+    classes.push({
+      name: oracleClass.name,
+      superClass: oracleClass.superClasses[0] || null,
+      'package': null,
+      file: file ? path.basename(file) : oracleClass.file
+    });
+    oracleClass.cells.forEach(function(cell) {
+      if (!cell.count && !cell.evidence.length) return;
+      edges.push({
+        from: oracleClass.name,
+        to: cell.to,
+        kind: cell.kind,
+        count: Math.max(cell.count, cell.evidence.length),
+        fields: [],
+        multiplicity: null,
+        multiplicities: {},
+        union: false,
+        evidence: cell.evidence.map(function(entry) {
+          return {
+            // Evidence written without its file is in the class's file
+            file: entry.file === '?' && file ? path.basename(file) :
+              entry.file,
+            start: entry.start,
+            end: entry.end,
+            type: entry.type
+          };
+        })
+      });
+    });
+  });
+  return {
+    system: system.name,
+    origin: 'oracle',
+    classes: classes,
+    edges: edges
+  };
+}
+
+module.exports = {
+  referenceEdges: referenceEdges,
+  systemGraph: systemGraph,
+  oracleGraph: oracleGraph
+};
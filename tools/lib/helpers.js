@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * Module-private helper functions.  Some modules implement part of a class
+ * in functions declared next to it, only to keep them out of the exports
+ * (`uploadBaseTextures(prepare, item)` in pixi.js's `CanvasPrepare.js`).
+ * The methodology counts their code as part of the class, so each helper is
+ * attributed to the classes that call it, directly or through other
+ * helpers.
+ */
+
+var dump = require('./dump');
+var modules = require('./modules');
+var structure = require('./structure');
+
+var isName = structure.isName;
+var isPunct = structure.isPunct;
+
+// Tokens before `function` that make it an expression, not a declaration
+var EXPRESSION_CONTEXT = ['=', ':', '(', ',', '.', '[', '?', '!', '||', '&&'];
+
+/**
+ * Finds the functions declared at the top level of a file:
+ * `function f() {...}` and `var f = function() {...}` or `(...) => ...`
+ *
+ * @param {SourceFile} source
+ * @return {Array<{name: string, start: Object, end: Object,
+ *   nameToken: number}>} ranges in dump coordinates
+ */
+function findFunctions(source) {
+  var tokens = source.tokens;
+  var depths = modules.tokenDepths(tokens);
+  var functions = [];
+  var range = function(first, last) {
+    return {
+      start: source.position(tokens[first].start),
+      end: source.position(tokens[last].end - 1)
+    };
+  };
+
+  for (var i = 0; i < tokens.length; i++) {
+    var t = tokens[i];
+    if (depths[i] !== 0 || !isName(t)) continue;
+    var prev = tokens[i - 1];
+
+    if (t.value === 'function' && isName(tokens[i + 1]) &&
+        !(prev && EXPRESSION_CONTEXT.indexOf(prev.value) !== -1) &&
+        !(prev && prev.value === 'return')) {
+      var open = i + 2;
+      if (!isPunct(tokens[open], '(')) continue;
+      var body = source.matchingToken(open) + 1;
+      if (!isPunct(tokens[body], '{')) continue;
+      var close = source.matchingToken(body);
+      if (close === -1) continue;
+      functions.push(Object.assign({
+        name: tokens[i + 1].value,
+        nameToken: i + 1
+      }, range(i, close)));
+      i = close;
+    } else if (/^(var|let|const)$/.test(t.value) && isName(tokens[i + 1]) &&
+        isPunct(tokens[i + 2], '=') && isFunctionExpression(source, i + 3)) {
+      var end = modules.statementEnd(source, i);
+      functions.push(Object.assign({
+        name: tokens[i + 1].value,
+        nameToken: i + 1
+      }, range(i, end)));
+      i = end;
+    }
+  }
+  return functions;
+}
+
+/**
+ * Whether a function expression or arrow function starts at token `i`
+ */
+function isFunctionExpression(source, i) {
+  var tokens = source.tokens;
+  if (!tokens[i]) return false;
+  if (tokens[i].value === 'function') return true;
+  if (isName(tokens[i]) && isPunct(tokens[i + 1], '=>')) return true;
+  if (isPunct(tokens[i], '(')) {
+    var close = source.matchingToken(i);
+    return close !== -1 && isPunct(tokens[close + 1], '=>');
+  }
+  return false;
+}
+
+/**
+ * Whether a declaration directly inside the block between tokens `open`
+ * and `close` declares a name
+ */
+function declaresInBlock(source, open, close, name) {
+  var tokens = source.tokens;
+  for (var k = open + 1; k < close; k++) {
+    var t = tokens[k];
+    if (t.type === 'punct' && /^[(\[{]$/.test(t.value)) {
+      var match = source.matchingToken(k);
+      if (match === -1) return false;
+      k = match;
+    } else if (/^(var|let|const|function|class)$/.test(t.value) &&
+        isName(tokens[k + 1]) && tokens[k + 1].value === name) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Whether the name at token `i` refers to a local variable or parameter
+ * rather than to the top-level declaration of that name
+ *
+ * @param {SourceFile} source
+ * @param {number} i
+ * @return {boolean}
+ */
+function isShadowed(source, i) {
+  var tokens = source.tokens;
+  var name = tokens[i].value;
+  for (var b = source.enclosingBracket(i); b !== -1;
+      b = source.enclosingBracket(b)) {
+    if (isPunct(tokens[b], '(')) {
+      // A parameter itself
+      var after = tokens[source.matchingToken(b) + 1];
+      var callee = tokens[b - 1];
+      if (after && (after.value === '{' || after.value === '=>') &&
+          !(callee && /^(if|while|switch|with|for)$/.test(callee.value))) {
+        return true;
+      }
+      continue;
+    }
+    if (!isPunct(tokens[b], '{')) continue;
+    if (declaresInBlock(source, b, source.matchingToken(b), name)) {
+      return true;
+    }
+    var arrow = isPunct(tokens[b - 1], '=>');
+    var last = arrow ? b - 2 : b - 1;
+    if (arrow && isName(tokens[last]) && tokens[last].value === name) {
+      return true;
+    }
+    if (!isPunct(tokens[last], ')')) continue;
+    // Parameters, `catch (e)` and `for (var x of ...)`
+    var open = source.matchingToken(last);
+    var keyword = tokens[open - 1];
+    if (keyword && /^(if|while|switch|with)$/.test(keyword.value)) continue;
+    var isFor = Boolean(keyword) && keyword.value === 'for';
+    for (var k = open + 1; k < last; k++) {
+      if (!isName(tokens[k]) || tokens[k].value !== name) continue;
+      var before = tokens[k - 1].value;
+      if (isFor ? /^(var|let|const)$/.test(before) :
+          /^([(,{[]|\.\.\.)$/.test(before)) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Innermost range of a list that contains a position
+ */
+function enclosing(ranges, position) {
+  var point = { start: position, end: position };
+  var owner = null;
+  ranges.forEach(function(range) {
+    if (dump.contains(range, point) &&
+        (!owner || dump.contains(owner, range))) {
+      owner = range;
+    }
+  });
+  return owner;
+}
+
+/**
+ * Finds the helper functions of a file and the classes owning them: the
+ * classes (or prototype patches of classes) that reference a helper, by
+ * calling it or passing it around, and the owners of the helpers that
+ * reference it
+ *
+ * @param {SourceFile} source
+ * @param {Array<Object>} classes class spans, see extract.classSpans
+ * @param {Array<Object>} [patches] prototype patches, see
+ *   mixins.findMixins
+ * @return {Array<{name: string, start: Object, end: Object,
+ *   owners: Array<string>}>} helpers referenced from a class; a helper with
+ *   several owners is shared
+ */
+function findHelpers(source, classes, patches) {
+  var tokens = source.tokens;
+  var functions = findFunctions(source).filter(function(fn) {
+    return !enclosing(classes, fn.start);
+  });
+  var byName = new Map();
+  functions.forEach(function(fn) {
+    fn.callers = new Set();
+    fn.helpers = new Set();
+    byName.set(fn.name, fn);
+  });
+
+  tokens.forEach(function(t, i) {
+    var fn = isName(t) && byName.get(t.value);
+    if (!fn || i === fn.nameToken || isPunct(tokens[i - 1], '.')) return;
+    // Object keys and method names (`{ fn: 1 }`) are not references
+    if (isPunct(tokens[i + 1], ':') && !isPunct(tokens[i - 1], '?')) return;
+    if (isShadowed(source, i)) return;
+    var position = source.position(t.start);
+    var patch = enclosing(patches || [], position);
+    var cls = patch || enclosing(classes, position);
+    if (cls) {
+      fn.callers.add(cls.name);
+      return;
+    }
+    var caller = enclosing(functions, position);
+    if (caller && caller !== fn) fn.helpers.add(caller);
+  });
+
+  var owners = function(fn, seen) {
+    var result = new Set(fn.callers);
+    seen.add(fn);
+    fn.helpers.forEach(function(caller) {
+      if (seen.has(caller)) return;
+      owners(caller, seen).forEach(function(name) {
+        result.add(name);
+      });
+    });
+    return result;
+  };
+
+  return functions.map(function(fn) {
+    return {
+      name: fn.name,
+      start: fn.start,
+      end: fn.end,
+      owners: Array.from(owners(fn, new Set())).sort()
+    };
+  }).filter(function(helper) {
+    return helper.owners.length;
+  });
+}
+
+module.exports = {
+  findFunctions: findFunctions,
+  findHelpers: findHelpers
+};
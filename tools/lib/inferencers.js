@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Type inferencers the extraction can take its types from.
+ *
+ * An inferencer is an object `{name, description, readTypes(sourceFile,
+ * options)}` whose `readTypes` returns the types of a flattened file as a
+ * Dump (see dump.js), its entries located in the file and typed in Flow's
+ * syntax.  `flow` reads the dump generated by `flow dump-types` next to the
+ * file, as the study did; `typescript` has the TypeScript compiler infer the
+ * types of the same file (see ts-types.js), so that the two can be scored
+ * against the same oracles.
+ */
+
+var fs = require('fs');
+var dump = require('./dump');
+var tsTypes = require('./ts-types');
+
+var INFERENCERS = {
+  flow: {
+    name: 'flow',
+    description: 'the dump of flow dump-types next to the file',
+    readTypes: function(sourceFile, options) {
+      if (!fs.existsSync(options.dumpFile)) {
+        throw new Error('No dump for ' + sourceFile + ' (expected ' +
+          options.dumpFile + ')');
+      }
+      return dump.readDump(options.dumpFile,
+        { sourceMap: options.sourceMap });
+    }
+  },
+  typescript: {
+    name: 'typescript',
+    description: 'the types inferred by the TypeScript compiler (checkJs)',
+    readTypes: function(sourceFile, options) {
+      return dump.parseDump(tsTypes.dumpTypes(sourceFile),
+        sourceFile + ' (typescript)', { sourceMap: options.sourceMap });
+    }
+  }
+};
+
+/**
+ * Finds an inferencer
+ *
+ * @param {string|Object} inferencer the name of one of INFERENCERS, or an
+ *   inferencer itself
+ * @return {Object}
+ */
+function findInferencer(inferencer) {
+  if (typeof inferencer !== 'string') return inferencer;
+  if (!Object.prototype.hasOwnProperty.call(INFERENCERS, inferencer)) {
+    throw new Error('Unknown inferencer ' + inferencer + ', use one of ' +
+      Object.keys(INFERENCERS).join(', '));
+  }
+  return INFERENCERS[inferencer];
+}
+
+module.exports = {
+  INFERENCERS: INFERENCERS,
+  findInferencer: findInferencer
+};
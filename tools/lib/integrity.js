@@ -0,0 +1,297 @@
+'use strict';
+
+/**
+ * Integrity of the `flow-files` directories of the dataset: the checks that
+ * the methodology files ask for when building them by hand.
+ *
+ * Dumps must belong to their file: `X-flow.dump` must exist next to
+ * `X-flow.js`, only name `X-flow.js` in its entries, and stay within its
+ * lines and columns, with every `[class: X]` span starting on a line that
+ * declares `class X`; a dump failing the last two was generated from an
+ * older version of the file.  A file without dump is only noted, since the
+ * methodology skips classes that import no other class
+ * (`CanvasMaskManager`).
+ *
+ * Flattened files must parse, which is checked with V8 as a script once
+ * their live `import` and `export` keywords are blanked out (Flow accepts
+ * both), so the redeclarations of a class copied twice are caught too.
+ * Their `require` and `import` lines of modules of the system (`./path`)
+ * must be commented out, their `module.exports` too, as must every
+ * `'use strict'` but the first, and only the flattened class may keep its
+ * `export`.  When most files of a system end with mocha tests
+ * (`describe(...)`), those without are reported as missing their tests.
+ * The problems of files without dump are only noted, as those files take
+ * no part in the study.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var dataset = require('./dataset');
+var dump = require('./dump');
+var provenance = require('./provenance');
+var scanner = require('./scanner');
+var structure = require('./structure');
+
+var isName = structure.isName;
+var isPunct = structure.isPunct;
+
+/**
+ * Problems found, from the most to the least serious; only errors make the
+ * dataset unusable as it is
+ */
+var LEVELS = ['error', 'warning', 'note'];
+
+function issue(level, code, file, line, message) {
+  return {
+    level: level,
+    code: code,
+    file: path.basename(file),
+    line: line,
+    message: message
+  };
+}
+
+/**
+ * Checks a dump against its flattened file
+ *
+ * @param {string} dumpFile
+ * @param {SourceFile|null} source the flattened file, null when missing
+ * @return {Array<Object>} issues `{level, code, file, line, message}`
+ */
+function checkDump(dumpFile, source) {
+  var expected = path.basename(dumpFile, '.dump') + '.js';
+  if (!source) {
+    return [issue('error', 'orphan-dump', dumpFile, null,
+      'no ' + expected + ' next to the dump')];
+  }
+  var parsed;
+  try {
+    parsed = dump.readDump(dumpFile);
+  } catch (e) {
+    return [issue('error', 'unreadable-dump', dumpFile, null,
+      e.message.replace(/^.*?: not/, 'not'))];
+  }
+  if (!parsed.entries.length) {
+    return [issue('error', 'empty-dump', dumpFile, null, 'no entry')];
+  }
+
+  var issues = [];
+  var others = new Map();
+  var beyond = null;
+  parsed.entries.forEach(function(entry, i) {
+    if (entry.file !== expected) {
+      if (!others.has(entry.file)) others.set(entry.file, i + 1);
+      return;
+    }
+    // Flow counts columns in bytes
+    var end = entry.end;
+    if (!beyond && (end.line > source.lineCount ||
+        end.column > Buffer.byteLength(source.line(end.line)) + 1)) {
+      beyond = { line: i + 1, entry: entry };
+    }
+  });
+  others.forEach(function(line, file) {
+    issues.push(issue('error', 'wrong-file', dumpFile, line,
+      'entries of ' + file + ' instead of ' + expected));
+  });
+  if (beyond) {
+    var end = beyond.entry.end;
+    issues.push(issue('error', 'stale-dump', dumpFile, beyond.line,
+      dump.formatRange(beyond.entry) + ' lies beyond the end of ' +
+      (end.line > source.lineCount ?
+        expected + ' (' + source.lineCount + ' lines)' :
+        'line ' + end.line + ' of ' + expected)));
+    return issues;
+  }
+  parsed.classDeclarations().forEach(function(decl) {
+    if (decl.entry.file !== expected) return;
+    var text = source.line(decl.start.line);
+    if (!new RegExp('\\bclass\\s+' + decl.name + '\\b').test(text)) {
+      issues.push(issue('error', 'stale-dump', dumpFile, null,
+        'class ' + decl.name + ' spans ' + dump.formatRange(decl) +
+        ' but line ' + decl.start.line + ' of ' + expected +
+        ' does not declare it'));
+    }
+  });
+  return issues;
+}
+
+/**
+ * Text of a file with its live `import` statements and `export` keywords
+ * replaced by spaces, keeping every position
+ */
+function withoutModuleSyntax(source) {
+  var text = source.text;
+  var blank = function(start, end) {
+    text = text.slice(0, start) +
+      text.slice(start, end).replace(/[^\n]/g, ' ') + text.slice(end);
+  };
+  var tokens = source.tokens;
+  tokens.forEach(function(t, i) {
+    if (!isName(t) || isPunct(tokens[i - 1], '.')) return;
+    if (t.value === 'import' && !isPunct(tokens[i + 1], '(')) {
+      var k = i;
+      while (k < tokens.length - 1 && tokens[k].type !== 'string') k++;
+      blank(t.start, isPunct(tokens[k + 1], ';') ? tokens[k + 1].end :
+        tokens[k].end);
+    } else if (t.value === 'export') {
+      var last = tokens[i + 1] && tokens[i + 1].value === 'default' ?
+        tokens[i + 1] : t;
+      blank(t.start, last.end);
+    }
+  });
+  return text;
+}
+
+/**
+ * Syntax error of a flattened file, if any
+ *
+ * @param {SourceFile} source
+ * @param {string} file
+ * @return {Object|null} an issue
+ */
+function checkSyntax(source, file) {
+  try {
+    new vm.Script(withoutModuleSyntax(source), { filename: file });
+    return null;
+  } catch (e) {
+    var at = new RegExp(file.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') +
+      ':(\\d+)').exec(e.stack);
+    return issue('error', 'syntax-error', file, at ? Number(at[1]) : null,
+      e.message);
+  }
+}
+
+/**
+ * Methodology breaches of a flattened file: live `module.exports`,
+ * repeated `'use strict'`, live `require` and `import` of modules of the
+ * system, and `export` of classes other than the flattened one
+ *
+ * @param {SourceFile} source
+ * @param {string} file
+ * @return {Array<Object>} issues
+ */
+function checkMethodology(source, file) {
+  var tokens = source.tokens;
+  var issues = [];
+  var line = function(token) {
+    return source.position(token.start).line;
+  };
+  var flattened = provenance.flattenedClass(file,
+    structure.findClasses(source));
+  var strict = 0;
+  tokens.forEach(function(t, i) {
+    var previous = tokens[i - 1];
+    var next = tokens[i + 1];
+    if (t.type === 'string' && /^(['"])use strict\1$/.test(t.value) &&
+        (!previous || /^[;{}]$/.test(previous.value)) &&
+        (!next || isPunct(next, ';') || line(next) > line(t)) &&
+        ++strict > 1) {
+      issues.push(issue('warning', 'use-strict', file, line(t),
+        'repeated \'use strict\''));
+    }
+    if (!isName(t) || isPunct(previous, '.')) return;
+    if (t.value === 'module' && isPunct(next, '.') && tokens[i + 2] &&
+        tokens[i + 2].value === 'exports') {
+      issues.push(issue('warning', 'module-exports', file, line(t),
+        'live module.exports'));
+    }
+    var imported = null;
+    if (t.value === 'require' && isPunct(next, '(') && tokens[i + 2] &&
+        tokens[i + 2].type === 'string') {
+      imported = tokens[i + 2];
+    } else if (t.value === 'import' && !isPunct(next, '(')) {
+      for (var k = i + 1; k < tokens.length && !imported; k++) {
+        if (tokens[k].type === 'string') imported = tokens[k];
+      }
+    }
+    if (imported && /^['"]\.{1,2}(\/|['"])/.test(imported.value)) {
+      issues.push(issue('warning', 'live-' + t.value, file, line(t),
+        'live ' + t.value + ' of ' + imported.value +
+        ', which the file should inline'));
+    }
+    if (t.value === 'export') {
+      var at = isName(next) && next.value === 'default' ? i + 2 : i + 1;
+      var exported = tokens[at] && tokens[at].value === 'class' ?
+        tokens[at + 1] : tokens[at];
+      if (!exported || exported.value !== flattened) {
+        issues.push(issue('warning', 'export', file, line(t),
+          'export of ' + (exported ? exported.value : 'nothing') +
+          (flattened ? ', only ' + flattened + ' may be exported' : '')));
+      }
+    }
+  });
+  return issues;
+}
+
+/**
+ * Whether a file holds mocha tests
+ */
+function hasTests(source) {
+  var tokens = source.tokens;
+  return tokens.some(function(t, i) {
+    return isName(t) && (t.value === 'describe' || t.value === 'it') &&
+      isPunct(tokens[i + 1], '(') && !isPunct(tokens[i - 1], '.');
+  });
+}
+
+/**
+ * Checks the flattened files and dumps of a system
+ *
+ * @param {Object} system see dataset.listSystems
+ * @return {Array<Object>} issues `{level, code, file, line, message}`,
+ *   sorted by file and line
+ */
+function checkSystem(system) {
+  var names = fs.readdirSync(system.flowDir).sort();
+  var sources = new Map();
+  dataset.flowSources(system).forEach(function(file) {
+    sources.set(path.basename(file), scanner.readSource(file));
+  });
+  var issues = [];
+
+  names.filter(function(name) {
+    return /\.dump$/.test(name);
+  }).forEach(function(name) {
+    issues = issues.concat(checkDump(path.join(system.flowDir, name),
+      sources.get(path.basename(name, '.dump') + '.js') || null));
+  });
+
+  var tested = [];
+  var fileIssues = new Map();
+  sources.forEach(function(source, name) {
+    var syntax = checkSyntax(source, name);
+    fileIssues.set(name, (syntax ? [syntax] : [])
+      .concat(checkMethodology(source, name)));
+    if (hasTests(source)) tested.push(name);
+  });
+  fileIssues.forEach(function(found, name) {
+    if (tested.length * 2 > sources.size && tested.indexOf(name) === -1) {
+      found.push(issue('warning', 'no-tests', name, null,
+        'no test code, unlike ' + tested.length + ' of the ' +
+        sources.size + ' files'));
+    }
+    // Files without dump take no part in the study
+    if (names.indexOf(path.basename(name, '.js') + '.dump') === -1) {
+      found.forEach(function(problem) {
+        problem.level = 'note';
+      });
+      found.unshift(issue('note', 'no-dump', name, null, 'no dump'));
+    }
+    issues = issues.concat(found);
+  });
+
+  return issues.sort(function(a, b) {
+    return a.file < b.file ? -1 : a.file > b.file ? 1 :
+      (a.line || 0) - (b.line || 0);
+  });
+}
+
+module.exports = {
+  LEVELS: LEVELS,
+  checkDump: checkDump,
+  checkSyntax: checkSyntax,
+  checkMethodology: checkMethodology,
+  checkSystem: checkSystem
+};
@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * Layer rules of a system, described by `schema/layer-rules.schema.json`:
+ *
+ *     {"layers": {"math": ["package:math", "Point", "Rectangle"],
+ *                 "renderers": ["*Renderer", "package:webgl"]},
+ *      "rules": [{"layer": "math", "mustNotDependOn": ["renderers"]}]}
+ *
+ * A layer lists classes by name, by pattern (`*` stands for any characters)
+ * or by package (`package:webgl`, see packages.js).  A class may belong to
+ * several layers; a dependency breaks a rule when its source is in the
+ * layer of the rule and its target in a forbidden one.
+ */
+
+var fs = require('fs');
+var schema = require('./schema');
+
+var SCHEMA = require('../schema/layer-rules.schema.json');
+
+/**
+ * Reads a rules file, checking it against the schema and checking that its
+ * rules name declared layers
+ *
+ * @param {string} file
+ * @return {{layers: Object<string, Array<string>>, rules: Array<Object>}}
+ */
+function readRules(file) {
+  var data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error('Cannot read ' + file + ': ' + e.message);
+  }
+  var errors = schema.validate(data, SCHEMA);
+  if (!errors.length) {
+    data.rules.forEach(function(rule, i) {
+      [rule.layer].concat(rule.mustNotDependOn).forEach(function(layer) {
+        if (!data.layers[layer]) {
+          errors.push('/rules/' + i + ': unknown layer "' + layer + '"');
+        }
+      });
+    });
+  }
+  if (errors.length) {
+    throw new Error(file + ' holds invalid layer rules:\n' +
+      errors.join('\n'));
+  }
+  return data;
+}
+
+/**
+ * Whether a class matches one selector of a layer
+ */
+function matches(cls, selector) {
+  if (/^package:/.test(selector)) {
+    return cls['package'] === selector.slice('package:'.length);
+  }
+  var pattern = new RegExp('^' + selector.split('*').map(function(part) {
+    return part.replace(/[.?+^$()[\]{}|\\]/g, '\\$&');
+  }).join('.*') + '$');
+  return pattern.test(cls.name);
+}
+
+/**
+ * Layers of every class of a graph
+ *
+ * @param {Object} graph
+ * @param {Object} rules see readRules
+ * @return {Map<string, Array<string>>} layer names by class name; classes
+ *   of no layer are left out
+ */
+function classLayers(graph, rules) {
+  var layers = new Map();
+  graph.classes.forEach(function(cls) {
+    var names = Object.keys(rules.layers).filter(function(layer) {
+      return rules.layers[layer].some(function(selector) {
+        return matches(cls, selector);
+      });
+    });
+    if (names.length) layers.set(cls.name, names);
+  });
+  return layers;
+}
+
+/**
+ * Dependencies breaking the rules
+ *
+ * @param {Object} graph see graph.js or graph-format.js
+ * @param {Object} rules see readRules
+ * @param {Object} [options]
+ * @param {Array<string>} [options.kinds] kinds of the dependencies to check,
+ *   all by default
+ * @return {Array<{rule: Object, from: string, fromLayer: string, to: string,
+ *   toLayer: string, edge: Object}>} one violation per edge and forbidden
+ *   layer, in the order of the rules
+ */
+function checkRules(graph, rules, options) {
+  options = options || {};
+  var layers = classLayers(graph, rules);
+  var violations = [];
+  var inLayer = function(name, layer) {
+    return (layers.get(name) || []).indexOf(layer) !== -1;
+  };
+  rules.rules.forEach(function(rule) {
+    rule.mustNotDependOn.forEach(function(forbidden) {
+      graph.edges.forEach(function(edge) {
+        if (options.kinds && options.kinds.indexOf(edge.kind) === -1) return;
+        if (!inLayer(edge.from, rule.layer) || !inLayer(edge.to, forbidden)) {
+          return;
+        }
+        violations.push({
+          rule: rule,
+          from: edge.from,
+          fromLayer: rule.layer,
+          to: edge.to,
+          toLayer: forbidden,
+          edge: edge
+        });
+      });
+    });
+  });
+  return violations;
+}
+
+module.exports = {
+  SCHEMA: SCHEMA,
+  readRules: readRules,
+  classLayers: classLayers,
+  checkRules: checkRules
+};
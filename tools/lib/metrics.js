@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Genero's structural-complexity metrics of the class diagram of a system
+ * (see `ist2018.tex`), computed on a dependency graph (see graph.js):
+ *
+ * - NAssoc: associations, one per field of a class holding another class
+ *   (`head` and `tail` of `LinkedList` are two), however many times the
+ *   field is assigned;
+ * - NAgg: aggregations, the fields holding an array or another container of
+ *   instances of another class (`graphicsData` of `Graphics`, `_table` of
+ *   `HashTable`), counted apart from NAssoc; each field of an edge is
+ *   classified by its own multiplicity (see multiplicity.fieldMultiplicity);
+ * - NDep: dependency relationships, one per pair of classes with "uses" or
+ *   mixin references;
+ * - NGen: generalizations, one per `extends` clause;
+ * - NGenH: generalization hierarchies, one per root of the `extends` trees.
+ *
+ * The paper counts dependencies by reference instead, so the numbers of
+ * association and "uses" references (its NAssoc and NUsesDep) are reported
+ * too.  The fan-out of a class is the number of classes it depends on, its
+ * fan-in the number of classes depending on it; generalizations do not
+ * count.
+ */
+
+var multiplicity = require('./multiplicity');
+
+var METRICS = ['NAssoc', 'NAgg', 'NDep', 'NGen', 'NGenH'];
+
+/**
+ * Computes the metrics of a graph
+ *
+ * @param {Object} graph see graph.systemGraph
+ * @return {{system: string, classes: number, NAssoc: number, NAgg: number,
+ *   NDep: number, NGen: number, NGenH: number, associationReferences: number,
+ *   usesReferences: number, perClass: Array<{name: string, fanIn: number,
+ *   fanOut: number}>}}
+ */
+function systemMetrics(graph) {
+  var result = {
+    system: graph.system,
+    classes: graph.classes.length,
+    NAssoc: 0,
+    NAgg: 0,
+    NDep: 0,
+    NGen: 0,
+    NGenH: 0,
+    associationReferences: 0,
+    usesReferences: 0,
+    perClass: []
+  };
+
+  var dependencies = new Set();
+  var fanIn = new Map();
+  var fanOut = new Map();
+  var link = function(map, key, value) {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(value);
+  };
+  graph.edges.forEach(function(edge) {
+    if (edge.kind === 'association') {
+      // By field: `sockets` of `Server` holds one Namespace, `nsps` many
+      edge.fields.forEach(function(field) {
+        if (multiplicity.fieldMultiplicity(edge, field) === '*') result.NAgg++;
+        else result.NAssoc++;
+      });
+      result.associationReferences += edge.count;
+    } else {
+      dependencies.add(edge.from + '\0' + edge.to);
+      if (edge.kind === 'uses') result.usesReferences += edge.count;
+    }
+    link(fanOut, edge.from, edge.to);
+    link(fanIn, edge.to, edge.from);
+  });
+  result.NDep = dependencies.size;
+
+  var superClasses = new Map();
+  graph.classes.forEach(function(cls) {
+    if (cls.superClass) superClasses.set(cls.name, cls.superClass);
+  });
+  var roots = new Set();
+  superClasses.forEach(function(superClass) {
+    var root = superClass;
+    var seen = new Set([root]);
+    while (superClasses.has(root) && !seen.has(superClasses.get(root))) {
+      root = superClasses.get(root);
+      seen.add(root);
+    }
+    roots.add(root);
+  });
+  result.NGen = superClasses.size;
+  result.NGenH = roots.size;
+
+  result.perClass = graph.classes.map(function(cls) {
+    return {
+      name: cls.name,
+      fanIn: fanIn.has(cls.name) ? fanIn.get(cls.name).size : 0,
+      fanOut: fanOut.has(cls.name) ? fanOut.get(cls.name).size : 0
+    };
+  });
+  return result;
+}
+
+module.exports = {
+  METRICS: METRICS,
+  systemMetrics: systemMetrics
+};
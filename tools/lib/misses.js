@@ -0,0 +1,454 @@
+'use strict';
+
+/**
+ * Classification of the false negatives of a comparison (see compare.js),
+ * automating the analysis of the causes of false negatives in the paper.
+ *
+ * Each miss is looked up in the dump and in the source around its location.
+ * When Flow did type the position as the expected class, the extraction is
+ * to blame: the reference lies in an `extends` clause or outside any class,
+ * was extracted with the other kind or for another class, or the class only
+ * appears nested in the type (`[Point, Point]`, `{next: Node}`).  When Flow
+ * printed nothing (`graph-flow.js:15:15-19: `), the expression tells why:
+ * it reads `arguments`, is a parameter of a class built by dependency
+ * injection (`$inject`), of a callback or of a method nobody calls, or a
+ * value read from an array or through a computed property name.
+ *
+ * The oracles list no untyped position: an empty type in a cell comment
+ * would not tell the class, so the last categories are only met through the
+ * references a cell counts without listing them.  These are looked for in
+ * the code of the class, among the positions typed with the expected class
+ * and the untyped ones spelled like a reference of the same pair
+ * (`node.left` when another `node.left` is typed `AVLTreeNode`).  A
+ * position stands for one reference at most, whichever kind the miss is
+ * of, and these guesses are counted apart from the misses the oracle
+ * locates.
+ */
+
+var path = require('path');
+var compare = require('./compare');
+var dataset = require('./dataset');
+var dump = require('./dump');
+var extract = require('./extract');
+var flowType = require('./flow-type');
+var modules = require('./modules');
+var oracle = require('./oracle');
+var scanner = require('./scanner');
+var structure = require('./structure');
+
+var isName = structure.isName;
+var isPunct = structure.isPunct;
+
+var CATEGORIES = {
+  'superclass-clause': 'in an `extends` clause',
+  'outside-class': 'typed, but outside the code of the class',
+  'kind-mismatch': 'extracted with the other kind',
+  'other-owner': 'extracted for another class',
+  'not-extracted': 'typed, but not extracted',
+  'nested-type': 'class nested in the type (tuple, object, function)',
+  'arguments-object': 'read from `arguments`',
+  'dependency-injection': 'parameter filled in by dependency injection',
+  'callback': 'parameter of a callback',
+  'array-element': 'value read from an array',
+  'dynamic-property': 'dynamic property access',
+  'untyped-parameter': 'parameter of a method never called',
+  'untyped': 'no type inferred',
+  'untyped-array': 'array without element type',
+  'any': 'typed as any',
+  'other-type': 'typed as something else',
+  'no-dump-entry': 'no dump entry at the location',
+  'unlisted': 'not listed in the oracle'
+};
+
+// Keywords whose parenthesized part precedes a block, not a function body
+var CONTROL = /^(if|while|switch|with|for|catch)$/;
+
+/**
+ * Dump entry covering exactly a range, or null
+ */
+function entryAt(parsedDump, range) {
+  return parsedDump.at(range.start.line, range.start.column)
+    .find(function(entry) {
+      return entry.end.line === range.end.line &&
+        entry.end.column === range.end.column;
+    }) || null;
+}
+
+/**
+ * Innermost function enclosing token `i`: the token indices of its
+ * parameter list, of its body, and whether it is passed as an argument
+ * (`items.forEach(function(item) {...})`)
+ *
+ * @return {{paramsOpen: number, paramsClose: number, bodyOpen: number,
+ *   bodyClose: number, callback: boolean}|null}
+ */
+function enclosingFunction(source, i) {
+  var tokens = source.tokens;
+  for (var b = source.enclosingBracket(i); b !== -1;
+      b = source.enclosingBracket(b)) {
+    var params = null;
+    var after = tokens[source.matchingToken(b) + 1] || {};
+    if (isPunct(tokens[b], '(') && /^(\{|=>)$/.test(after.value) &&
+        !CONTROL.test((tokens[b - 1] || {}).value)) {
+      // `i` is a parameter
+      params = b;
+    } else if (isPunct(tokens[b], '{')) {
+      var before = isPunct(tokens[b - 1], '=>') ? b - 2 : b - 1;
+      if (!isPunct(tokens[before], ')')) continue;
+      var open = source.matchingToken(before);
+      if (CONTROL.test((tokens[open - 1] || {}).value)) continue;
+      params = open;
+    } else {
+      continue;
+    }
+    var paramsClose = source.matchingToken(params);
+    var bodyOpen = isPunct(tokens[paramsClose + 1], '=>') ?
+      paramsClose + 2 : paramsClose + 1;
+    var start = params;
+    if (isName(tokens[start - 1]) && tokens[start - 1].value !== 'function') {
+      start--;
+    }
+    if (tokens[start - 1] && tokens[start - 1].value === 'function') start--;
+    var outer = source.enclosingBracket(start);
+    return {
+      paramsOpen: params,
+      paramsClose: paramsClose,
+      bodyOpen: bodyOpen,
+      bodyClose: isPunct(tokens[bodyOpen], '{') ?
+        source.matchingToken(bodyOpen) : bodyOpen,
+      callback: /^[(,]$/.test((tokens[start - 1] || {}).value) &&
+        outer !== -1 && isPunct(tokens[outer], '(') &&
+        /^(name|punct)$/.test((tokens[outer - 1] || {}).type) &&
+        /^[\w$)\]]/.test((tokens[outer - 1] || {}).value)
+    };
+  }
+  return null;
+}
+
+/**
+ * Whether a function declares a parameter of a name
+ */
+function isParameter(source, fn, name) {
+  var tokens = source.tokens;
+  for (var k = fn.paramsOpen + 1; k < fn.paramsClose; k++) {
+    if (isName(tokens[k]) && tokens[k].value === name &&
+        /^([(,{[]|\.\.\.)$/.test(tokens[k - 1].value)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Token indices `[first, last]` of the value a variable is initialized
+ * with (`var z = traveledNodes[zIndex]`) in a function, before token `i`
+ */
+function initializer(source, fn, name, i) {
+  var tokens = source.tokens;
+  for (var k = fn.bodyOpen + 1; k < i; k++) {
+    if (/^(var|let|const)$/.test(tokens[k].value) && isName(tokens[k + 1]) &&
+        tokens[k + 1].value === name && isPunct(tokens[k + 2], '=')) {
+      var last = modules.statementEnd(source, k);
+      if (isPunct(tokens[last], ';') || isPunct(tokens[last], ',')) last--;
+      return [k + 3, last];
+    }
+  }
+  return null;
+}
+
+/**
+ * Category of the expression between two tokens when it reads an element
+ * (`nodes[i]`) or a computed property (`this.nsps[name]`), or null
+ */
+function accessCategory(source, parsedDump, first, last) {
+  var tokens = source.tokens;
+  if (!isPunct(tokens[last], ']')) return null;
+  var open = source.matchingToken(last);
+  if (open <= first || !/^[\w$)\]]/.test(tokens[open - 1].value)) return null;
+  var object = entryAt(parsedDump, {
+    start: source.position(tokens[first].start),
+    end: source.position(tokens[open - 1].end - 1)
+  });
+  var type = object ? object.typeNode : { kind: 'empty' };
+  if (type.kind === 'tuple' ||
+      ((type.kind === 'generic' || type.kind === 'named') &&
+       type.name === 'Array')) {
+    return 'array-element';
+  }
+  var key = tokens.slice(open + 1, last);
+  if (key.length === 1 && key[0].type === 'number') return 'array-element';
+  if (type.kind === 'object' || key.length === 1 &&
+      (key[0].type === 'string' || isName(key[0]))) {
+    return 'dynamic-property';
+  }
+  return 'array-element';
+}
+
+/**
+ * Category of a position Flow printed no type for
+ *
+ * @param {SourceFile} source
+ * @param {Dump} parsedDump
+ * @param {Object} entry the untyped dump entry
+ * @param {Object} [cls] span of the class whose code holds the entry, whose
+ *   `$inject` tells it is built by dependency injection
+ * @return {string} one of the keys of CATEGORIES
+ */
+function untypedCategory(source, parsedDump, entry, cls) {
+  var tokens = source.tokens;
+  var first = source.tokenIndexAt(source.offset(entry.start));
+  var last = source.tokenIndexAt(source.offset(entry.end) + 1) - 1;
+  if (!tokens[first] || last < first) return 'untyped';
+  var reads = function(from, to) {
+    return tokens.slice(from, to + 1).some(function(t) {
+      return t.value === 'arguments';
+    });
+  };
+  var fn = enclosingFunction(source, first);
+  var name = first === last && isName(tokens[first]) ? tokens[first].value :
+    null;
+  var value = fn && name ? initializer(source, fn, name, first) : null;
+
+  if (reads(first, last) || (value && reads(value[0], value[1]))) {
+    return 'arguments-object';
+  }
+  var access = accessCategory(source, parsedDump, first, last) ||
+    (value && accessCategory(source, parsedDump, value[0], value[1]));
+  if (access) return access;
+  // A parameter, or a property of one (`socket.nsp`), of the innermost
+  // function declaring it
+  var root = isName(tokens[first]) && tokens.slice(first, last + 1)
+    .every(function(t, k) {
+      return k % 2 ? isPunct(t, '.') : isName(t);
+    }) ? tokens[first].value : null;
+  for (var f = fn; f && root; f = enclosingFunction(source, f.paramsOpen)) {
+    if (!isParameter(source, f, root) &&
+        !(first > f.paramsOpen && first < f.paramsClose)) {
+      continue;
+    }
+    if (f.callback) return 'callback';
+    return cls && injects(source, cls) ? 'dependency-injection' :
+      'untyped-parameter';
+  }
+  return 'untyped';
+}
+
+/**
+ * Whether the code of a class names `$inject`
+ */
+function injects(source, cls) {
+  var start = source.offset(cls.start);
+  var end = source.offset(cls.end);
+  return source.tokens.some(function(t) {
+    return t.value === '$inject' && t.start >= start && t.start <= end;
+  });
+}
+
+/**
+ * Classifies one false negative
+ *
+ * @param {Object} miss a false negative of compare.evaluateSystem
+ * @param {Object} context the file of the miss: `source`, `dump`, its
+ *   `extraction` (see extract.extractDependencies) and `rename`, mapping
+ *   its class names onto those of the oracle
+ * @return {string} one of the keys of CATEGORIES
+ */
+function categorize(miss, context) {
+  if (miss.unlisted) return 'unlisted';
+  if (!context) return 'no-dump-entry';
+  var entry = entryAt(context.dump, miss);
+  if (!entry) return 'no-dump-entry';
+  var rename = context.rename;
+  var type = entry.typeNode;
+  var direct = flowType.splitReferences(type).some(function(ref) {
+    return rename(ref.name) === miss.to;
+  });
+
+  if (direct) {
+    var owner = context.extraction.classes.find(function(cls) {
+      return rename(cls.name) === miss.from && dump.contains(cls, entry);
+    });
+    if (owner && owner.superClassRange &&
+        dump.contains(owner.superClassRange, entry)) {
+      return 'superclass-clause';
+    }
+    var here = context.extraction.references.filter(function(ref) {
+      return dump.formatRange(ref) === dump.formatRange(entry) &&
+        rename(ref.to) === miss.to;
+    });
+    if (here.some(function(ref) {
+      return rename(ref.from) === miss.from;
+    })) {
+      return 'kind-mismatch';
+    }
+    if (here.length) return 'other-owner';
+    return owner ? 'not-extracted' : 'outside-class';
+  }
+  if (flowType.mentionedClasses(type).some(function(name) {
+    return rename(name) === miss.to;
+  })) {
+    return 'nested-type';
+  }
+  if (type.kind === 'empty') {
+    var enclosing = null;
+    context.extraction.classes.forEach(function(cls) {
+      if (dump.contains(cls, entry) &&
+          (!enclosing || dump.contains(enclosing, cls))) {
+        enclosing = cls;
+      }
+    });
+    return untypedCategory(context.source, context.dump, entry, enclosing);
+  }
+  if (type.name === 'Array' && (type.kind === 'named' ||
+      type.args.every(function(arg) {
+        return arg.kind === 'empty' || arg.name === 'any';
+      }))) {
+    return 'untyped-array';
+  }
+  if (type.kind === 'primitive' && type.name === 'any') return 'any';
+  return 'other-type';
+}
+
+/**
+ * Positions that may stand for the references an oracle cell counts
+ * without listing them: in the code of the class, outside any comment of
+ * the cells of the pair and not extracted for it, first those whose type
+ * names the expected class, then the untyped ones with the source text of a
+ * reference of the pair, each with its category
+ *
+ * @param {Object} miss an `unlisted` false negative
+ * @param {Object} context the file of the class, see categorize
+ * @param {Object} oracleClass the class of the miss, see oracle.readOracle
+ * @param {Set<string>} [claimed] ranges already put down to another miss of
+ *   the pair (the other kind), which are left out and get those returned
+ * @return {Array<Object>} dump entries with their `category`, as many as
+ *   `miss.unlisted` at most
+ */
+function unlistedCandidates(miss, context, oracleClass, claimed) {
+  var rename = context.rename;
+  var cls = context.extraction.classes.find(function(c) {
+    return rename(c.name) === miss.from;
+  });
+  if (!cls) return [];
+  var listed = [];
+  oracleClass.cells.forEach(function(cell) {
+    if (cell.to === miss.to) listed = listed.concat(cell.evidence);
+  });
+  var pair = context.extraction.references.filter(function(ref) {
+    return rename(ref.from) === miss.from && rename(ref.to) === miss.to;
+  });
+  claimed = claimed || new Set();
+  var taken = new Set(listed.concat(pair).map(dump.formatRange));
+  var spellings = new Set(listed.concat(pair).map(function(ref) {
+    return context.source.textOf(ref);
+  }));
+
+  var typed = [];
+  var untyped = [];
+  context.dump.entries.forEach(function(entry) {
+    var range = dump.formatRange(entry);
+    if (!dump.contains(cls, entry) || dump.isClassDeclaration(entry) ||
+        taken.has(range) || claimed.has(range)) {
+      return;
+    }
+    if (entry.typeNode.kind === 'empty') {
+      if (spellings.has(context.source.textOf(entry))) untyped.push(entry);
+    } else if (flowType.mentionedClasses(entry.typeNode).some(function(name) {
+      return rename(name) === miss.to;
+    })) {
+      typed.push(entry);
+    }
+  });
+  return typed.concat(untyped).slice(0, miss.unlisted).map(function(entry) {
+    claimed.add(dump.formatRange(entry));
+    return Object.assign({}, entry, {
+      category: categorize({ from: miss.from, to: miss.to, kind: miss.kind,
+        start: entry.start, end: entry.end }, context)
+    });
+  });
+}
+
+/**
+ * Classifies the false negatives of an evaluation, setting their `category`,
+ * and counts them by category and kind
+ *
+ * @param {Object} system see dataset.listSystems
+ * @param {Object} result see compare.evaluateSystem, updated in place
+ * @param {Object} [options]
+ * @param {function(string): Object} [options.extractFile] as for
+ *   compare.evaluateSystem
+ * @return {Array<{category: string, association: number, uses: number,
+ *   guessed: {association: number, uses: number}}>} the categories met, in
+ *   the order of CATEGORIES; `unlisted` misses count for the references
+ *   they stand for, and get the `candidates` of unlistedCandidates, counted
+ *   as `guessed` in their category
+ */
+function categorizeSystem(system, result, options) {
+  options = options || {};
+  var extractFile = options.extractFile || extract.extractFile;
+  var parsedOracle = oracle.readOracle(system.oracleFile);
+  var renaming = compare.oracleRenaming(system, parsedOracle);
+  var sources = dataset.flowSources(system);
+  var contexts = new Map();
+  var contextOf = function(file) {
+    var sourceFile = sources.find(function(source) {
+      return path.basename(source) === path.basename(file);
+    });
+    if (!sourceFile) return null;
+    if (!contexts.has(sourceFile)) {
+      var extraction = extractFile(sourceFile);
+      contexts.set(sourceFile, {
+        source: scanner.readSource(sourceFile),
+        dump: extraction.dump,
+        extraction: extraction,
+        rename: renaming.renamer(sourceFile, extraction.classes)
+      });
+    }
+    return contexts.get(sourceFile);
+  };
+
+  var counts = new Map();
+  var row = function(category) {
+    if (!counts.has(category)) {
+      counts.set(category, { category: category, association: 0, uses: 0,
+        guessed: { association: 0, uses: 0 } });
+    }
+    return counts.get(category);
+  };
+  // Positions put down to the unlisted references of each pair of classes
+  var claimed = new Map();
+  result.falseNegatives.forEach(function(miss) {
+    miss.category = categorize(miss, miss.file ? contextOf(miss.file) : null);
+    if (!miss.unlisted) {
+      row(miss.category)[miss.kind]++;
+      return;
+    }
+    row('unlisted')[miss.kind] += miss.unlisted;
+    var oracleClass = parsedOracle.classes.find(function(cls) {
+      return cls.name === miss.from;
+    });
+    var file = oracleClass && renaming.files.get(oracleClass);
+    var context = file ? contextOf(file) : null;
+    var pair = miss.from + '\0' + miss.to;
+    if (!claimed.has(pair)) claimed.set(pair, new Set());
+    miss.candidates = context ?
+      unlistedCandidates(miss, context, oracleClass, claimed.get(pair)) : [];
+    miss.candidates.forEach(function(entry) {
+      row(entry.category).guessed[miss.kind]++;
+    });
+  });
+  return Object.keys(CATEGORIES).filter(function(category) {
+    return counts.has(category);
+  }).map(function(category) {
+    return counts.get(category);
+  });
+}
+
+module.exports = {
+  CATEGORIES: CATEGORIES,
+  enclosingFunction: enclosingFunction,
+  untypedCategory: untypedCategory,
+  categorize: categorize,
+  unlistedCandidates: unlistedCandidates,
+  categorizeSystem: categorizeSystem
+};
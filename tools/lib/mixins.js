@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * Runtime patches of class prototypes, the "extra features" of the pixi.js
+ * methodology (`cacheAsBitmap.js` adding members to `DisplayObject`, kept in
+ * `CacheData-flow.js`).  The code of such a patch belongs to the patched
+ * class even though it is written outside the class body.
+ */
+
+var modules = require('./modules');
+var structure = require('./structure');
+
+var isName = structure.isName;
+var isPunct = structure.isPunct;
+
+// Object.assign(X.prototype, {...}) and the like
+var OBJECT_FUNCTIONS = ['assign', 'defineProperties', 'defineProperty'];
+
+// X.prototype.__defineGetter__('name', function() {...})
+var PROTOTYPE_FUNCTIONS = ['__defineGetter__', '__defineSetter__'];
+
+function stringValue(token) {
+  return token && token.type === 'string' ? token.value.slice(1, -1) : null;
+}
+
+/**
+ * Finds the patches of the prototypes of some classes:
+ * `X.prototype.m = ...`, `X.prototype.__defineGetter__('m', ...)` and
+ * `Object.assign(X.prototype, ...)`, `Object.defineProperties(...)` or
+ * `Object.defineProperty(X.prototype, 'm', ...)`
+ *
+ * @param {SourceFile} source
+ * @param {Array<string>} classNames classes whose prototypes count
+ * @return {Array<{name: string, member: string|null, start: Object,
+ *   end: Object}>} the patched class, the patched member when there is only
+ *   one, and the range of the patch in dump coordinates
+ */
+function findMixins(source, classNames) {
+  var tokens = source.tokens;
+  var mixins = [];
+  var push = function(name, member, first, last) {
+    mixins.push({
+      name: name,
+      member: member,
+      start: source.position(tokens[first].start),
+      end: source.position(tokens[last].end - 1)
+    });
+  };
+
+  for (var i = 0; i < tokens.length; i++) {
+    var t = tokens[i];
+    if (!isName(t) || classNames.indexOf(t.value) === -1) continue;
+    if (isPunct(tokens[i - 1], '.') || !isPunct(tokens[i + 1], '.') ||
+        !tokens[i + 2] || tokens[i + 2].value !== 'prototype') {
+      continue;
+    }
+
+    if (isPunct(tokens[i - 1], '(') && isName(tokens[i - 2]) &&
+        OBJECT_FUNCTIONS.indexOf(tokens[i - 2].value) !== -1 &&
+        isPunct(tokens[i - 3], '.') && tokens[i - 4] &&
+        tokens[i - 4].value === 'Object' && isPunct(tokens[i + 3], ',')) {
+      var close = source.matchingToken(i - 1);
+      if (close === -1) continue;
+      var member = tokens[i - 2].value === 'defineProperty' ?
+        stringValue(tokens[i + 4]) : null;
+      push(t.value, member, i - 4, close);
+      i = close;
+    } else if (isPunct(tokens[i + 3], '.') && isName(tokens[i + 4])) {
+      var name = tokens[i + 4].value;
+      if (isPunct(tokens[i + 5], '=')) {
+        var end = modules.statementEnd(source, i);
+        push(t.value, name, i, end);
+        i = end;
+      } else if (PROTOTYPE_FUNCTIONS.indexOf(name) !== -1 &&
+          isPunct(tokens[i + 5], '(')) {
+        var callEnd = source.matchingToken(i + 5);
+        if (callEnd === -1) continue;
+        push(t.value, stringValue(tokens[i + 6]), i, callEnd);
+        i = callEnd;
+      }
+    }
+  }
+  return mixins;
+}
+
+module.exports = {
+  findMixins: findMixins
+};
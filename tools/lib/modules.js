@@ -0,0 +1,507 @@
+'use strict';
+
+/**
+ * Module-level statements of an original (not yet flattened) source file:
+ * ES6 `import`/`export`, CommonJS `require` and `module.exports`, and the
+ * `'use strict'` directives.  These are exactly the statements the
+ * flattening steps of the methodology files comment out or rewrite.
+ *
+ * Statements are reported with the token indices of their first and last
+ * tokens, so that callers can map them onto lines or offsets.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var structure = require('./structure');
+
+var isName = structure.isName;
+var isPunct = structure.isPunct;
+
+var DECLARATION_KEYWORDS = [
+  'class', 'function', 'const', 'let', 'var', 'async'
+];
+
+// Tokens after which a line break may end a statement
+function canEndStatement(token) {
+  if (token.type === 'punct') return /^[)\]}]$|^\+\+$|^--$/.test(token.value);
+  return true;
+}
+
+// Tokens that continue the statement of the previous line
+function continuesStatement(token) {
+  if (token.type === 'punct') return !/^[{[(!~]$|^\+\+$|^--$/.test(token.value);
+  return isName(token) &&
+    ['in', 'instanceof', 'of', 'extends'].indexOf(token.value) !== -1;
+}
+
+/**
+ * Bracket depth of every token
+ *
+ * @param {Array<Object>} tokens
+ * @return {Array<number>}
+ */
+function tokenDepths(tokens) {
+  var depth = 0;
+  return tokens.map(function(t) {
+    if (t.type === 'punct' && /^[)\]}]$/.test(t.value)) depth--;
+    var d = depth;
+    if (t.type === 'punct' && /^[(\[{]$/.test(t.value)) depth++;
+    return d;
+  });
+}
+
+/**
+ * Index of the last token of the statement starting at token `i`: its `;`,
+ * or the last token before a line break that ends it
+ *
+ * @param {SourceFile} source
+ * @param {number} i
+ * @return {number}
+ */
+function statementEnd(source, i) {
+  var tokens = source.tokens;
+  for (var k = i; k < tokens.length; k++) {
+    var t = tokens[k];
+    if (t.type === 'punct' && /^[(\[{]$/.test(t.value)) {
+      var match = source.matchingToken(k);
+      if (match === -1) return tokens.length - 1;
+      k = match;
+      t = tokens[k];
+    }
+    if (isPunct(t, ';')) return k;
+    var next = tokens[k + 1];
+    if (!next) return k;
+    var lineBreak = source.text.slice(t.end, next.start).indexOf('\n') !== -1;
+    if (lineBreak && canEndStatement(t) && !continuesStatement(next)) {
+      return k;
+    }
+  }
+  return tokens.length - 1;
+}
+
+function stringValue(token) {
+  return token.value.slice(1, -1);
+}
+
+/**
+ * Parses `import ...` at token `i`
+ */
+function parseImport(source, i) {
+  var tokens = source.tokens;
+  var end = statementEnd(source, i);
+  var statement = {
+    start: i,
+    end: end,
+    source: null,
+    defaultName: null,
+    namespace: null,
+    named: []
+  };
+  for (var k = i + 1; k <= end; k++) {
+    var t = tokens[k];
+    if (t.type === 'string') {
+      statement.source = stringValue(t);
+    } else if (isPunct(t, '*') && isName(tokens[k + 1]) &&
+        tokens[k + 1].value === 'as') {
+      statement.namespace = tokens[k + 2].value;
+      k += 2;
+    } else if (isPunct(t, '{')) {
+      var close = source.matchingToken(k);
+      statement.named = specifiers(tokens, k + 1, close);
+      k = close;
+    } else if (isName(t) && t.value !== 'from' && k === i + 1) {
+      statement.defaultName = t.value;
+    }
+  }
+  return statement;
+}
+
+/**
+ * Parses the `a`, `a as b` and `default as b` items between two braces
+ *
+ * @return {Array<{imported: string, local: string}>}
+ */
+function specifiers(tokens, from, to) {
+  var list = [];
+  for (var k = from; k < to; k++) {
+    if (!isName(tokens[k])) continue;
+    var item = { imported: tokens[k].value, local: tokens[k].value };
+    if (isName(tokens[k + 1]) && tokens[k + 1].value === 'as' &&
+        isName(tokens[k + 2])) {
+      item.local = tokens[k + 2].value;
+      k += 2;
+    }
+    list.push(item);
+  }
+  return list;
+}
+
+/**
+ * Parses `export ...` at token `i`
+ */
+function parseExport(source, i) {
+  var tokens = source.tokens;
+  var next = tokens[i + 1];
+  var statement = {
+    start: i,
+    end: i,
+    kind: null,
+    names: [],
+    source: null,
+    specifiers: [],
+    // Tokens to remove to turn the statement into a plain declaration
+    keywordEnd: i
+  };
+  if (!next) return statement;
+
+  if (next.value === 'default') {
+    statement.kind = 'default';
+    statement.keywordEnd = i + 1;
+    statement.end = statementEnd(source, i);
+    var declared = tokens[i + 2];
+    if (declared &&
+        (declared.value === 'class' || declared.value === 'function')) {
+      var k = i + 3;
+      if (isPunct(tokens[k], '*')) k++;
+      if (isName(tokens[k]) && tokens[k].value !== 'extends') {
+        statement.names.push(tokens[k].value);
+      }
+      statement.end = declarationEnd(source, i + 2);
+    } else if (isName(declared) &&
+        (statement.end === i + 2 || isPunct(tokens[i + 3], ';'))) {
+      statement.names.push(declared.value);
+    }
+  } else if (DECLARATION_KEYWORDS.indexOf(next.value) !== -1) {
+    statement.kind = 'declaration';
+    var j = i + 1;
+    if (next.value === 'async') j++;
+    if (tokens[j].value === 'class' || tokens[j].value === 'function') {
+      var n = isPunct(tokens[j + 1], '*') ? j + 2 : j + 1;
+      if (isName(tokens[n])) statement.names.push(tokens[n].value);
+      statement.end = declarationEnd(source, j);
+    } else {
+      statement.end = statementEnd(source, i);
+      declaredNames(source, j + 1, statement.end).forEach(function(name) {
+        statement.names.push(name);
+      });
+    }
+  } else {
+    // export { a, b as c } [from 'x'];  export * [as ns] from 'x';
+    statement.kind = 'list';
+    statement.end = statementEnd(source, i);
+    for (var m = i + 1; m <= statement.end; m++) {
+      var t = tokens[m];
+      if (isPunct(t, '{')) {
+        var close = source.matchingToken(m);
+        statement.specifiers = specifiers(tokens, m + 1, close).map(
+          function(item) {
+            return { local: item.imported, exported: item.local };
+          });
+        m = close;
+      } else if (isPunct(t, '*')) {
+        statement.specifiers.push({
+          local: '*',
+          exported: tokens[m + 1] && tokens[m + 1].value === 'as' ?
+            tokens[m + 2].value : '*'
+        });
+      } else if (t.type === 'string') {
+        statement.source = stringValue(t);
+      }
+    }
+  }
+  return statement;
+}
+
+/**
+ * Last token of the class or function declaration whose keyword is at `i`
+ */
+function declarationEnd(source, i) {
+  var tokens = source.tokens;
+  for (var k = i; k < tokens.length; k++) {
+    if (isPunct(tokens[k], '(') || isPunct(tokens[k], '[')) {
+      k = source.matchingToken(k);
+      if (k === -1) break;
+    } else if (isPunct(tokens[k], '{')) {
+      var close = source.matchingToken(k);
+      return close === -1 ? tokens.length - 1 : close;
+    }
+  }
+  return tokens.length - 1;
+}
+
+/**
+ * Names declared by `a = 1, b, c = f(x)` between tokens `from` and `to`
+ */
+function declaredNames(source, from, to) {
+  var tokens = source.tokens;
+  var names = [];
+  var expectName = true;
+  for (var k = from; k <= to; k++) {
+    var t = tokens[k];
+    if (/^[(\[{]$/.test(t.value) && t.type === 'punct') {
+      k = source.matchingToken(k);
+      if (k === -1) break;
+    } else if (isPunct(t, ',')) {
+      expectName = true;
+    } else if (expectName && isName(t)) {
+      names.push(t.value);
+      expectName = false;
+    } else {
+      expectName = false;
+    }
+  }
+  return names;
+}
+
+/**
+ * Parses `require('x').a.b` at token `i`
+ *
+ * @param {SourceFile} source
+ * @param {number} i
+ * @return {{source: string, members: Array<string>, end: number}|null}
+ *   `end` is the index of the last token of the expression
+ */
+function requireCall(source, i) {
+  var tokens = source.tokens;
+  if (!isName(tokens[i]) || tokens[i].value !== 'require' ||
+      !isPunct(tokens[i + 1], '(') || !tokens[i + 2] ||
+      tokens[i + 2].type !== 'string' || !isPunct(tokens[i + 3], ')')) {
+    return null;
+  }
+  var call = { source: stringValue(tokens[i + 2]), members: [], end: i + 3 };
+  while (isPunct(tokens[call.end + 1], '.') && isName(tokens[call.end + 2])) {
+    call.members.push(tokens[call.end + 2].value);
+    call.end += 2;
+  }
+  return call;
+}
+
+/**
+ * Properties of the object literal whose `{` is at token `open`; shorthand
+ * properties (`{ MinHeap }`) have their key as value
+ *
+ * @param {SourceFile} source
+ * @param {number} open
+ * @return {Array<{key: string, valueStart: number, valueEnd: number}>|null}
+ *   null when the literal has computed keys, methods or spreads
+ */
+function objectProperties(source, open) {
+  var tokens = source.tokens;
+  var close = source.matchingToken(open);
+  if (close === -1) return null;
+  var props = [];
+  for (var k = open + 1; k < close; k++) {
+    var key = tokens[k];
+    if (key.type !== 'name' && key.type !== 'string') return null;
+    var prop = {
+      key: key.type === 'string' ? stringValue(key) : key.value,
+      valueStart: k,
+      valueEnd: k
+    };
+    if (isPunct(tokens[k + 1], ':')) {
+      prop.valueStart = k + 2;
+      for (k += 2; k < close && !isPunct(tokens[k], ','); k++) {
+        if (tokens[k].type === 'punct' && /^[(\[{]$/.test(tokens[k].value)) {
+          k = source.matchingToken(k);
+        }
+      }
+      prop.valueEnd = k - 1;
+    } else if (key.type !== 'name' ||
+        !(isPunct(tokens[k + 1], ',') || k + 1 === close)) {
+      return null;
+    } else {
+      k++;
+    }
+    props.push(prop);
+  }
+  return props;
+}
+
+/**
+ * Parses `[var|let|const] X = require('x')[.a.b]`, the destructuring
+ * `const { a, b: c } = require('x')`, or a bare `require('x')` at token
+ * `i`, the first token of the statement
+ */
+function parseRequire(source, i) {
+  var tokens = source.tokens;
+  var k = i;
+  var local = null;
+  var pattern = null;
+  if (['var', 'let', 'const'].indexOf(tokens[k].value) !== -1) k++;
+  if (isName(tokens[k]) && isPunct(tokens[k + 1], '=')) {
+    local = tokens[k].value;
+    k += 2;
+  } else if (isPunct(tokens[k], '{') && k > i) {
+    var close = source.matchingToken(k);
+    if (close === -1 || !isPunct(tokens[close + 1], '=')) return null;
+    pattern = objectProperties(source, k);
+    if (!pattern || pattern.some(function(prop) {
+      return prop.valueStart !== prop.valueEnd ||
+        !isName(tokens[prop.valueStart]);
+    })) {
+      return null;
+    }
+    pattern = pattern.map(function(prop) {
+      return { imported: prop.key, local: tokens[prop.valueStart].value };
+    });
+    k = close + 2;
+  }
+  var call = requireCall(source, k);
+  if (!call) return null;
+  return {
+    start: i,
+    end: statementEnd(source, i),
+    local: local,
+    pattern: pattern,
+    source: call.source,
+    members: call.members,
+    // Tokens of the `require(...)` expression
+    callStart: k,
+    callEnd: call.end
+  };
+}
+
+function isUseStrict(token) {
+  return token.type === 'string' && stringValue(token) === 'use strict';
+}
+
+// `module.exports ...` or `exports.x = ...`
+function isModuleExports(tokens, i) {
+  if (tokens[i].value === 'module') {
+    return isPunct(tokens[i + 1], '.') &&
+      Boolean(tokens[i + 2]) && tokens[i + 2].value === 'exports';
+  }
+  return tokens[i].value === 'exports' && isPunct(tokens[i + 1], '.');
+}
+
+/**
+ * Parses `module.exports = value`, `module.exports.x = value` or
+ * `exports.x = value` at token `i`
+ */
+function parseModuleExports(source, i) {
+  var tokens = source.tokens;
+  var statement = {
+    start: i,
+    end: statementEnd(source, i),
+    property: null,
+    valueStart: null,
+    valueEnd: null
+  };
+  var k = tokens[i].value === 'module' ? i + 3 : i + 1;
+  if (isPunct(tokens[k], '.') && isName(tokens[k + 1])) {
+    statement.property = tokens[k + 1].value;
+    k += 2;
+  }
+  if (isPunct(tokens[k], '=') && k + 1 <= statement.end) {
+    statement.valueStart = k + 1;
+    statement.valueEnd = isPunct(tokens[statement.end], ';') ?
+      statement.end - 1 : statement.end;
+  }
+  return statement;
+}
+
+/**
+ * Analyzes the module-level statements of a source file
+ *
+ * @param {SourceFile} source
+ * @return {{imports: Array<Object>, exports: Array<Object>,
+ *   requires: Array<Object>, moduleExports: Array<Object>,
+ *   useStrict: Array<Object>, classes: Array<Object>}}
+ *   `imports` are `{start, end, source, defaultName, namespace, named}`;
+ *   `exports` are `{start, end, kind, names, source, specifiers,
+ *   keywordEnd}`, where `kind` is `default`, `declaration` or `list`;
+ *   `requires` are `{start, end, local, pattern, source, members,
+ *   callStart, callEnd}`, where `pattern` lists the `{imported, local}`
+ *   names of a destructuring; `moduleExports` are `{start, end, property,
+ *   valueStart, valueEnd}`, with the token range of the exported value; the
+ *   others are `{start, end}` statements.  `classes` are the top-level
+ *   classes, see structure.findClasses
+ */
+function analyzeModule(source) {
+  var tokens = source.tokens;
+  var depths = tokenDepths(tokens);
+  var result = {
+    imports: [],
+    exports: [],
+    requires: [],
+    moduleExports: [],
+    useStrict: [],
+    classes: structure.findClasses(source).filter(function(cls) {
+      return depths[cls.bodyStart] === 0;
+    })
+  };
+
+  var atStatementStart = true;
+  for (var i = 0; i < tokens.length; i++) {
+    var t = tokens[i];
+    if (depths[i] !== 0) continue;
+    var start = atStatementStart;
+    var prev = tokens[i - 1];
+    atStatementStart = isPunct(t, ';') || isPunct(t, '}');
+    if (!start && !(prev && source.text.slice(prev.end, t.start)
+        .indexOf('\n') !== -1 && canEndStatement(prev) &&
+        !continuesStatement(t))) {
+      continue;
+    }
+
+    var statement = null;
+    if (t.value === 'import' && isName(t) && !isPunct(tokens[i + 1], '(') &&
+        !isPunct(tokens[i + 1], '.')) {
+      statement = parseImport(source, i);
+      result.imports.push(statement);
+    } else if (t.value === 'export' && isName(t)) {
+      statement = parseExport(source, i);
+      result.exports.push(statement);
+      // The declaration itself is scanned like any other code
+      if (statement.kind !== 'list') {
+        atStatementStart = true;
+        continue;
+      }
+    } else if (isUseStrict(t) && (!tokens[i + 1] ||
+        isPunct(tokens[i + 1], ';') || source.text.slice(t.end,
+          tokens[i + 1].start).indexOf('\n') !== -1)) {
+      statement = { start: i, end: isPunct(tokens[i + 1], ';') ? i + 1 : i };
+      result.useStrict.push(statement);
+    } else if (isModuleExports(tokens, i)) {
+      statement = parseModuleExports(source, i);
+      result.moduleExports.push(statement);
+    } else if (isName(t)) {
+      statement = parseRequire(source, i);
+      if (statement) result.requires.push(statement);
+    }
+    if (statement) {
+      i = statement.end;
+      atStatementStart = true;
+    }
+  }
+  return result;
+}
+
+/**
+ * Resolves a relative module specifier (`./Point`, `../math`) the way Node
+ * and the bundlers of the dataset systems do
+ *
+ * @param {string} fromFile file containing the import
+ * @param {string} specifier
+ * @return {string|null} the file, or null for packages and missing files
+ */
+function resolveModule(fromFile, specifier) {
+  if (!/^\.\.?(\/|$)/.test(specifier)) return null;
+  var base = path.resolve(path.dirname(fromFile), specifier);
+  var candidates = [base, base + '.js', path.join(base, 'index.js')];
+  for (var i = 0; i < candidates.length; i++) {
+    if (fs.existsSync(candidates[i]) && fs.statSync(candidates[i]).isFile()) {
+      return candidates[i];
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  tokenDepths: tokenDepths,
+  statementEnd: statementEnd,
+  requireCall: requireCall,
+  objectProperties: objectProperties,
+  analyzeModule: analyzeModule,
+  resolveModule: resolveModule
+};
@@ -0,0 +1,358 @@
+'use strict';
+
+/**
+ * Multiplicity of the associations of a class: whether a field holds one
+ * instance of the associated class (`1`), at most one (`0..1`) or any
+ * number (`*`).
+ *
+ * Three things tell, and the widest answer wins:
+ *
+ * - how the reference stores the instance: added to an array or another
+ *   container (`this._glyphs.push(c)`, `this.items[i] = item`,
+ *   `this._table.put(key, value)`) rather than assigned to the field;
+ * - how the constructor initializes the field: `null` or `undefined`
+ *   (`this.prev = null` in `graph-flow.js`) for `0..1`, an array, an empty
+ *   object or `Object.create(null)` used as a dictionary, a `Map`, a `Set`
+ *   or a container class of the file for `*`;
+ * - the types Flow prints where the field is read or assigned (`this.head`,
+ *   `this.prev = null`): `?Node`, `null | Node`, `void | Node` or a `null`
+ *   assigned for `0..1`, `Array<T>`, tuples, `Map`, `Set`, objects with an
+ *   indexer (`{[key: string]: T}`) and container classes for `*`.
+ *
+ * Container classes are the classes of the file declaring a method that
+ * stores its argument (`put`, `add`, `insert`, `push`, `enqueue` or
+ * `unshift`) whose constructor initializes a container field, like
+ * `HashTable` (`this._table = new Array(...)`) and `HashSet`
+ * (`this._elements = new HashTable()`).  `LinkedList`, whose nodes link to
+ * each other, goes unrecognized.
+ */
+
+var dump = require('./dump');
+var flowType = require('./flow-type');
+var structure = require('./structure');
+
+var isName = structure.isName;
+var isPunct = structure.isPunct;
+
+// From the narrowest to the widest
+var MULTIPLICITIES = ['1', '0..1', '*'];
+
+// Methods storing their arguments in arrays, maps and sets
+var BUILTIN_INSERTIONS = {
+  array: ['push', 'unshift'],
+  map: ['set'],
+  set: ['add']
+};
+
+// Methods storing their argument in a container class
+var CONTAINER_METHODS = ['put', 'add', 'insert', 'push', 'enqueue', 'unshift'];
+
+var BUILTIN_CONTAINERS = {
+  Array: 'array',
+  $ReadOnlyArray: 'array',
+  Map: 'map',
+  WeakMap: 'map',
+  Set: 'set',
+  WeakSet: 'set'
+};
+
+// `this.head`, or `this.head = node` whose type is that of `node`
+var FIELD_ACCESS = /^this\s*\.\s*([A-Za-z_$][\w$]*)(?:\s*=(?![=>])[^]*)?$/;
+
+/**
+ * The wider of two multiplicities, ignoring nulls
+ *
+ * @param {string|null} a
+ * @param {string|null} b
+ * @return {string|null}
+ */
+function widest(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return MULTIPLICITIES.indexOf(a) >= MULTIPLICITIES.indexOf(b) ? a : b;
+}
+
+/**
+ * Multiplicity of one field of an association edge: that recorded for the
+ * field in `multiplicities`, or for graphs without it that of the edge
+ *
+ * @param {Object} edge see extract.summarize
+ * @param {string} field
+ * @return {string|null}
+ */
+function fieldMultiplicity(edge, field) {
+  if (edge.multiplicities && edge.multiplicities[field] !== undefined) {
+    return edge.multiplicities[field];
+  }
+  return edge.multiplicity || null;
+}
+
+/**
+ * Multiplicity a type gives the field it is read from
+ *
+ * @param {Object} type see flow-type.js
+ * @param {Map<string, Array<string>>} [containers] container classes, see
+ *   containerClasses
+ * @return {string|null} null when the type tells nothing (`any`, empty)
+ */
+function typeMultiplicity(type, containers) {
+  var nullable = false;
+  var result = null;
+  var visit = function(member) {
+    if (member.kind === 'maybe') {
+      nullable = true;
+      visit(member.type);
+    } else if (member.kind === 'union') {
+      member.types.forEach(visit);
+    } else if (member.kind === 'primitive' &&
+        (member.name === 'null' || member.name === 'void')) {
+      nullable = true;
+    } else if (member.kind === 'tuple' ||
+        member.kind === 'generic' && BUILTIN_CONTAINERS[member.name] ||
+        member.kind === 'object' && member.indexers.length ||
+        member.kind === 'named' && containers && containers.has(member.name)) {
+      result = '*';
+    } else if (member.kind === 'named' || member.kind === 'generic' ||
+        member.kind === 'object' || member.kind === 'primitive' &&
+        member.name !== 'any' && member.name !== 'mixed') {
+      result = widest(result, '1');
+    }
+  };
+  visit(type);
+  if (result === '*') return result;
+  return nullable ? '0..1' : result;
+}
+
+/**
+ * Kind of the value a field is initialized with, from the tokens following
+ * the `=` of `this.x = ...`
+ *
+ * @param {SourceFile} source
+ * @param {number} i index of the first token of the value
+ * @param {Map<string, Array<string>>} containers
+ * @return {{container: string|null, className: string|null,
+ *   multiplicity: string|null}} `container` is `array`, `map`, `set`,
+ *   `dictionary` or `class`, with the container class as `className`
+ */
+function initializerKind(source, i, containers) {
+  var tokens = source.tokens;
+  var t = tokens[i];
+  var next = tokens[i + 1];
+  var result = { container: null, className: null, multiplicity: null };
+  var ends = function(k) {
+    return !tokens[k] || isPunct(tokens[k], ';') || isPunct(tokens[k], '}') ||
+      source.position(tokens[k].start).line !==
+        source.position(tokens[i].start).line;
+  };
+  if (!t) return result;
+  if (isName(t) && (t.value === 'null' || t.value === 'undefined') &&
+      ends(i + 1)) {
+    result.multiplicity = '0..1';
+  } else if (isPunct(t, '[')) {
+    result.container = 'array';
+  } else if (isPunct(t, '{') && isPunct(next, '}')) {
+    result.container = 'dictionary';
+  } else if (isName(t) && t.value === 'Object' && isPunct(next, '.') &&
+      tokens[i + 2] && tokens[i + 2].value === 'create' &&
+      isPunct(tokens[i + 3], '(') && tokens[i + 4] &&
+      tokens[i + 4].value === 'null') {
+    result.container = 'dictionary';
+  } else if (isName(t) && (t.value === 'new' || t.value === 'Array')) {
+    var name = t.value === 'new' ? next && next.value : 'Array';
+    if (BUILTIN_CONTAINERS[name]) {
+      result.container = BUILTIN_CONTAINERS[name];
+    } else if (containers.has(name)) {
+      result.container = 'class';
+      result.className = name;
+    } else if (t.value === 'new' && isName(next)) {
+      result.multiplicity = '1';
+    }
+  }
+  if (result.container) result.multiplicity = '*';
+  return result;
+}
+
+/**
+ * Token range of the constructor of a class: the body of its `constructor`
+ * method, or the constructor function of a legacy class
+ *
+ * @return {{first: number, last: number}|null}
+ */
+function constructorRange(source, cls) {
+  var tokens = source.tokens;
+  var first = source.tokenIndexAt(source.offset(cls.start));
+  var last = source.tokenIndexAt(source.offset(cls.end));
+  if (cls.legacy) return { first: first, last: last };
+  for (var i = first; i < last; i++) {
+    if (isName(tokens[i]) && tokens[i].value === 'constructor' &&
+        isPunct(tokens[i + 1], '(') && !isPunct(tokens[i - 1], '.')) {
+      var open = source.matchingToken(i + 1) + 1;
+      if (open > 0 && isPunct(tokens[open], '{')) {
+        return { first: open, last: source.matchingToken(open) };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Fields of `this` a constructor initializes, with their initializers;
+ * nested `function`s, whose `this` is another object, are skipped
+ *
+ * @return {Array<{field: string, value: number}>} `value` is the index of
+ *   the first token of the initializer
+ */
+function initializations(source, range) {
+  var tokens = source.tokens;
+  var found = [];
+  for (var i = range.first + 1; i < range.last; i++) {
+    var t = tokens[i];
+    if (isName(t) && t.value === 'function') {
+      while (i < range.last && !isPunct(tokens[i], '{')) i++;
+      var close = source.matchingToken(i);
+      if (close === -1) break;
+      i = close;
+    } else if (isName(t) && t.value === 'this' && isPunct(tokens[i + 1], '.') &&
+        isName(tokens[i + 2]) && isPunct(tokens[i + 3], '=') &&
+        !isPunct(tokens[i - 1], '.')) {
+      found.push({ field: tokens[i + 2].value, value: i + 4 });
+    }
+  }
+  return found;
+}
+
+/**
+ * Container classes of a file
+ *
+ * @param {SourceFile} source
+ * @param {Array<Object>} classes see extract.classSpans, with `members`
+ * @return {Map<string, Array<string>>} the storing methods of each
+ */
+function containerClasses(source, classes) {
+  var containers = new Map();
+  var candidates = classes.map(function(cls) {
+    return {
+      cls: cls,
+      methods: cls.members.methods.filter(function(method) {
+        return CONTAINER_METHODS.indexOf(method) !== -1;
+      }),
+      range: constructorRange(source, cls)
+    };
+  }).filter(function(candidate) {
+    return candidate.methods.length && candidate.range;
+  });
+  // Until no more class holds a container, HashSet holding a HashTable
+  var changed = true;
+  while (changed) {
+    changed = false;
+    candidates.forEach(function(candidate) {
+      if (containers.has(candidate.cls.name)) return;
+      var holds = initializations(source, candidate.range).some(function(init) {
+        return initializerKind(source, init.value, containers).container;
+      });
+      if (holds) {
+        containers.set(candidate.cls.name, candidate.methods);
+        changed = true;
+      }
+    });
+  }
+  return containers;
+}
+
+/**
+ * Multiplicity a field gives its association with a class: none with the
+ * container class the field holds, a `HashSet` being one instance itself
+ *
+ * @param {Object|null} field see fieldMultiplicities
+ * @param {string} target
+ * @return {string|null}
+ */
+function associationMultiplicity(field, target) {
+  if (!field || field.containers.indexOf(target) !== -1) return null;
+  return field.multiplicity;
+}
+
+/**
+ * Multiplicities of the fields of the classes of a file, from their
+ * initialization and the types of their reads and assignments
+ *
+ * @param {SourceFile} source
+ * @param {Dump} parsedDump
+ * @param {Array<Object>} classes see extract.classSpans, legacy classes
+ *   with `legacy: true`
+ * @return {{containers: Map<string, Array<string>>,
+ *   fields: Map<string, Map<string, {multiplicity: string|null,
+ *   insertions: Array<string>, containers: Array<string>}>>}} the container
+ *   classes, and for each class its fields with their multiplicity, the
+ *   methods that store into them (`push` for an array, `put` for a
+ *   `HashTable`) and the container classes they hold
+ */
+function fieldMultiplicities(source, parsedDump, classes) {
+  var containers = containerClasses(source, classes);
+  var fields = new Map();
+  var holds = function(field, className, insertions) {
+    if (className && field.containers.indexOf(className) === -1) {
+      field.containers.push(className);
+    }
+    (insertions || []).forEach(function(method) {
+      if (field.insertions.indexOf(method) === -1) {
+        field.insertions.push(method);
+      }
+    });
+  };
+  var fieldOf = function(cls, name) {
+    if (!fields.has(cls.name)) fields.set(cls.name, new Map());
+    var byName = fields.get(cls.name);
+    if (!byName.has(name)) {
+      byName.set(name, { multiplicity: null, insertions: [], containers: [] });
+    }
+    return byName.get(name);
+  };
+
+  classes.forEach(function(cls) {
+    var range = constructorRange(source, cls);
+    if (!range) return;
+    initializations(source, range).forEach(function(init) {
+      var kind = initializerKind(source, init.value, containers);
+      var field = fieldOf(cls, init.field);
+      field.multiplicity = widest(field.multiplicity, kind.multiplicity);
+      holds(field, kind.className, kind.container === 'class' ?
+        containers.get(kind.className) : BUILTIN_INSERTIONS[kind.container]);
+    });
+  });
+
+  parsedDump.entries.forEach(function(entry) {
+    if (dump.isClassDeclaration(entry)) return;
+    var m = FIELD_ACCESS.exec(source.textOf(entry));
+    if (!m) return;
+    var owner = null;
+    classes.forEach(function(cls) {
+      if (dump.contains(cls, entry) && (!owner || dump.contains(owner, cls))) {
+        owner = cls;
+      }
+    });
+    if (!owner) return;
+    var field = fieldOf(owner, m[1]);
+    field.multiplicity = widest(field.multiplicity,
+      typeMultiplicity(entry.typeNode, containers));
+    flowType.unionMembers(entry.typeNode).forEach(function(member) {
+      var kind = member.kind === 'generic' && BUILTIN_CONTAINERS[member.name];
+      if (kind) {
+        holds(field, null, BUILTIN_INSERTIONS[kind]);
+      } else if (member.kind === 'named' && containers.has(member.name)) {
+        holds(field, member.name, containers.get(member.name));
+      }
+    });
+  });
+  return { containers: containers, fields: fields };
+}
+
+module.exports = {
+  MULTIPLICITIES: MULTIPLICITIES,
+  widest: widest,
+  fieldMultiplicity: fieldMultiplicity,
+  typeMultiplicity: typeMultiplicity,
+  containerClasses: containerClasses,
+  associationMultiplicity: associationMultiplicity,
+  fieldMultiplicities: fieldMultiplicities
+};
@@ -0,0 +1,198 @@
+'use strict';
+
+/**
+ * Reader for OpenDocument spreadsheets (`.ods`), such as the
+ * `DependenciesMap-*.ods` oracles of the dataset.
+ *
+ * Only what the oracles use is supported: cell text, cell comments
+ * (annotations), numeric values and the background colour of cell styles.
+ */
+
+var zip = require('./zip');
+
+var ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+// Trailing empty cells are repeated up to the last column of the sheet;
+// there is no point in materializing them
+var MAX_EMPTY_REPEAT = 64;
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|\w+);/gi, function(all, name) {
+    if (name[0] === '#') {
+      return String.fromCodePoint(name[1] === 'x' || name[1] === 'X' ?
+        parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+    }
+    return ENTITIES[name] !== undefined ? ENTITIES[name] : all;
+  });
+}
+
+function parseAttributes(text) {
+  var attributes = {};
+  var pattern = /([\w:.-]+)="([^"]*)"/g;
+  var m;
+  while ((m = pattern.exec(text))) attributes[m[1]] = decodeEntities(m[2]);
+  return attributes;
+}
+
+/**
+ * Parses the `content.xml` of a spreadsheet
+ *
+ * @param {string} xml
+ * @return {{sheets: Array<Object>, styles: Object}} every sheet is
+ *   `{name, rows}`, every row an array of cells `{text, annotation, style,
+ *   valueType, value}`; `styles` maps cell style names to
+ *   `{backgroundColor}`
+ */
+function parseContent(xml) {
+  var sheets = [];
+  var styles = {};
+  var sheet = null;
+  var row = null;
+  var rowRepeat = 1;
+  var cell = null;
+  var cellRepeat = 1;
+  var style = null;
+  var inAnnotation = false;
+  var paragraph = null;
+  var skipText = 0;
+
+  var pattern = /<(\/?)([\w:.-]+)([^>]*?)(\/?)>|([^<]+)/g;
+  var m;
+  while ((m = pattern.exec(xml))) {
+    if (m[5] !== undefined) {
+      if (paragraph !== null && !skipText) paragraph += decodeEntities(m[5]);
+      continue;
+    }
+    var closing = m[1] === '/';
+    var selfClosing = m[4] === '/';
+    var tag = m[2];
+    var attrs = closing ? {} : parseAttributes(m[3]);
+
+    if (!closing) {
+      switch (tag) {
+        case 'style:style':
+          style = { name: attrs['style:name'], backgroundColor: null };
+          styles[style.name] = style;
+          break;
+        case 'style:table-cell-properties':
+          if (style && attrs['fo:background-color']) {
+            style.backgroundColor = attrs['fo:background-color'];
+          }
+          break;
+        case 'table:table':
+          sheet = { name: attrs['table:name'], rows: [] };
+          sheets.push(sheet);
+          break;
+        case 'table:table-row':
+          row = [];
+          rowRepeat = Number(attrs['table:number-rows-repeated'] || 1);
+          break;
+        case 'table:table-cell':
+        case 'table:covered-table-cell':
+          cell = {
+            text: '',
+            annotation: null,
+            style: attrs['table:style-name'] || null,
+            valueType: attrs['office:value-type'] || null,
+            value: attrs['office:value'] !== undefined ?
+              Number(attrs['office:value']) : null
+          };
+          cellRepeat = Number(attrs['table:number-columns-repeated'] || 1);
+          break;
+        case 'office:annotation':
+          if (cell) {
+            cell.annotation = [];
+            inAnnotation = true;
+          }
+          break;
+        case 'dc:creator':
+        case 'dc:date':
+          skipText++;
+          break;
+        case 'text:p':
+          paragraph = '';
+          break;
+        case 'text:s':
+          if (paragraph !== null) {
+            paragraph += ' '.repeat(Number(attrs['text:c'] || 1));
+          }
+          break;
+        case 'text:tab':
+          if (paragraph !== null) paragraph += '\t';
+          break;
+        case 'text:line-break':
+          if (paragraph !== null) paragraph += '\n';
+          break;
+      }
+    }
+
+    if (closing || selfClosing) {
+      switch (tag) {
+        case 'style:style':
+          style = null;
+          break;
+        case 'table:table':
+          sheet = null;
+          break;
+        case 'table:table-row':
+          if (sheet) {
+            trimRow(row);
+            var copies = row.length ? rowRepeat : 1;
+            for (var r = 0; r < copies; r++) sheet.rows.push(row.slice());
+          }
+          row = null;
+          break;
+        case 'table:table-cell':
+        case 'table:covered-table-cell':
+          if (row && cell) {
+            var empty = cell.text === '' && !cell.annotation;
+            var times = empty ?
+              Math.min(cellRepeat, MAX_EMPTY_REPEAT) : cellRepeat;
+            for (var c = 0; c < times; c++) row.push(Object.assign({}, cell));
+          }
+          cell = null;
+          break;
+        case 'office:annotation':
+          inAnnotation = false;
+          break;
+        case 'dc:creator':
+        case 'dc:date':
+          skipText--;
+          break;
+        case 'text:p':
+          if (paragraph !== null && cell) {
+            if (inAnnotation) {
+              cell.annotation.push(paragraph);
+            } else {
+              cell.text += (cell.text ? '\n' : '') + paragraph;
+            }
+          }
+          paragraph = null;
+          break;
+      }
+    }
+  }
+  return { sheets: sheets, styles: styles };
+}
+
+function trimRow(row) {
+  while (row.length && row[row.length - 1].text === '' &&
+      !row[row.length - 1].annotation) {
+    row.pop();
+  }
+}
+
+/**
+ * Reads an `.ods` spreadsheet
+ *
+ * @param {string} file
+ * @return {{sheets: Array<Object>, styles: Object}} see parseContent
+ */
+function readSpreadsheet(file) {
+  return parseContent(zip.readEntry(file, 'content.xml').toString('utf8'));
+}
+
+module.exports = {
+  parseContent: parseContent,
+  readSpreadsheet: readSpreadsheet
+};
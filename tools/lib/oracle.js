@@ -0,0 +1,171 @@
+'use strict';
+
+/**
+ * Reader for the hand-built oracles of the dataset (`DependenciesMap-*.ods`).
+ *
+ * Each sheet describes one class.  Its rows list the other classes of the
+ * system, with the number of associations and "uses" dependencies found in
+ * the two columns under the `Association` and `"uses" dependency` headers.
+ * The comment attached to each count lists the dump entries behind it, e.g.
+ * `treap-flow.js:129:5-46: Node`.  Below the table, `Src Initial Line:`,
+ * `Src Final Line:` and `File:` locate the class in its flattened file, and a
+ * colour legend marks the rows of superclasses ("Inheritance"), which are
+ * never counted.
+ */
+
+var path = require('path');
+var dump = require('./dump');
+var ods = require('./ods');
+
+var METADATA_ROWS = {
+  'Src Initial Line:': 'startLine',
+  'Src Final Line:': 'endLine',
+  'File:': 'file'
+};
+
+/**
+ * Parses one evidence line of a comment, filling in the file name when the
+ * line lacks it or misspells it (`hape-flow.js:487:9-13: Path`)
+ *
+ * @param {string} line
+ * @param {string|null} file
+ * @return {Object|null} a dump entry
+ */
+function parseEvidence(line, file) {
+  line = line.trim();
+  var entry = dump.parseLine(line);
+  if (!entry && /^\d+:\d+/.test(line)) entry = dump.parseLine('?:' + line);
+  if (!entry) return null;
+  if (file) entry.file = file;
+  return entry;
+}
+
+function cellCount(cell) {
+  if (!cell) return 0;
+  if (cell.value !== null) return cell.value;
+  var n = Number(cell.text);
+  return cell.text !== '' && !isNaN(n) ? n : 0;
+}
+
+/**
+ * Parses one sheet into the oracle of one class
+ *
+ * @param {Object} sheet
+ * @param {Object} styles
+ * @return {Object|null} `{name, file, startLine, endLine, superClasses,
+ *   cells}`; null for sheets that do not describe a class
+ */
+function parseSheet(sheet, styles) {
+  var headerIndex = sheet.rows.findIndex(function(row) {
+    return row.some(function(cell) {
+      return cell.text === 'Association';
+    });
+  });
+  if (headerIndex === -1) return null;
+  var header = sheet.rows[headerIndex];
+  var columns = {};
+  header.forEach(function(cell, i) {
+    if (cell.text === 'Association') columns.association = i;
+    if (/uses/.test(cell.text)) columns.uses = i;
+  });
+
+  var result = {
+    name: sheet.name,
+    file: null,
+    startLine: null,
+    endLine: null,
+    superClasses: [],
+    cells: []
+  };
+
+  // The legend gives the colours of required classes and of classes
+  // implemented in the same file; coloured rows without counts are the
+  // superclasses, whatever shade of the "Inheritance" colour they use
+  var legend = {};
+  sheet.rows.forEach(function(row) {
+    var text = row[1] && row[1].text;
+    var color = backgroundColor(row[0], styles);
+    if (!color || !text) return;
+    if (/require/.test(text)) legend.required = color;
+    else if (/same file/.test(text)) legend.sameFile = color;
+  });
+
+  var targets = [];
+  sheet.rows.forEach(function(row, i) {
+    var first = row[0] ? row[0].text.trim() : '';
+    if (METADATA_ROWS[first]) {
+      var value = row[1] ? row[1].text.trim() : '';
+      if (value) {
+        result[METADATA_ROWS[first]] =
+          first === 'File:' ? value : Number(value);
+      }
+      return;
+    }
+    if (i > headerIndex && /^\w+$/.test(first) && first !== 'TOTAL') {
+      targets.push({ name: first, row: row });
+    }
+  });
+
+  targets.forEach(function(target) {
+    var row = target.row;
+    var counted = ['association', 'uses'].some(function(kind) {
+      var cell = row[columns[kind]];
+      return cell && (cell.value !== null || cell.annotation);
+    });
+    var color = backgroundColor(row[0], styles);
+    if (!counted && color && color !== legend.required &&
+        color !== legend.sameFile) {
+      result.superClasses.push(target.name);
+      return;
+    }
+    ['association', 'uses'].forEach(function(kind) {
+      var cell = row[columns[kind]];
+      var count = cellCount(cell);
+      var evidence = [];
+      var notes = [];
+      ((cell && cell.annotation) || []).forEach(function(line) {
+        if (!line.trim()) return;
+        var entry = parseEvidence(line, result.file);
+        if (entry) evidence.push(entry);
+        else notes.push(line.trim());
+      });
+      if (count || evidence.length || notes.length) {
+        result.cells.push({
+          to: target.name,
+          kind: kind,
+          count: count,
+          evidence: evidence,
+          notes: notes
+        });
+      }
+    });
+  });
+  return result;
+}
+
+function backgroundColor(cell, styles) {
+  var style = cell && cell.style && styles[cell.style];
+  return style ? style.backgroundColor : null;
+}
+
+/**
+ * Reads an oracle spreadsheet
+ *
+ * @param {string} file path of a `DependenciesMap-*.ods`
+ * @return {{file: string, classes: Array<Object>}} see parseSheet
+ */
+function readOracle(file) {
+  var spreadsheet = ods.readSpreadsheet(file);
+  var classes = [];
+  spreadsheet.sheets.forEach(function(sheet) {
+    var parsed = parseSheet(sheet, spreadsheet.styles);
+    if (parsed) classes.push(parsed);
+  });
+  return { file: path.resolve(file), classes: classes };
+}
+
+module.exports = {
+  parseEvidence: parseEvidence,
+  parseSheet: parseSheet,
+  readOracle: readOracle
+};
@@ -0,0 +1,220 @@
+'use strict';
+
+/**
+ * Packages (source directories) of the classes of a system.
+ *
+ * The flattened files do not record where their classes came from, but the
+ * import lines they keep (commented out by the methodology, as
+ * `//import Container from '../display/Container';` in `Graphics-flow.js`)
+ * name the directories of the imported classes; those at the top of a file,
+ * before its first statement or blank line, also place `./` imports next to
+ * the flattened class.  The banners of the files generated by flatten.js
+ * (`/*\n * display/Container.js\n *\/`) locate the modules they inline.
+ * An import of a module named after the class (`Point` from `./point`)
+ * gives the directory of its module.  Names imported from the index of a
+ * directory (`{ Circle } from '../math'`, a lowercase module the names are
+ * not named after) are placed in that directory, unless a module import
+ * says better, since the index may gather the classes of subdirectories
+ * (`math/shapes/Circle.js`).  The package of a class is the name of the
+ * directory of its module; it is unknown when no import names that
+ * directory.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var IMPORT = /^import\s+(.+?)\s+from\s+['"]([^'"]+)['"]/;
+var REQUIRE = new RegExp('^(?:var|let|const)\\s+(\\{[^}]*\\}|[\\w$]+)\\s*=' +
+  '\\s*require\\(\\s*[\'"]([^\'"]+)[\'"]\\s*\\)(?:\\.([\\w$]+))?');
+var BANNER = /^\/\*\n \* (\S+\.js)\n \*\/$/gm;
+
+/**
+ * Names bound by the clause of an import: the default binding and the
+ * imported names of `{...}` (not their local aliases)
+ */
+function importedNames(clause) {
+  var names = [];
+  var braces = /\{([^}]*)\}/.exec(clause);
+  var head = clause.replace(/\{[^}]*\}/, '').replace(/\*\s+as\s+[\w$]+/, '');
+  head.split(',').forEach(function(part) {
+    if (/^\s*[\w$]+\s*$/.test(part)) names.push(part.trim());
+  });
+  if (braces) {
+    braces[1].split(',').forEach(function(part) {
+      var m = /^\s*([\w$]+)/.exec(part);
+      if (m) names.push(m[1]);
+    });
+  }
+  return names;
+}
+
+/**
+ * Parses one import line of the prologue of a flattened file, commented out
+ * or not
+ *
+ * @param {string} line
+ * @return {{path: string, names: Array<string>, index: boolean}|null}
+ *   relative imports only; `index` tells an import of names from the index
+ *   of a directory
+ */
+function parseImport(line) {
+  line = line.trim().replace(/^\/\/\s*/, '');
+  var m = IMPORT.exec(line);
+  var names;
+  var target;
+  var index = false;
+  if (m) {
+    names = importedNames(m[1]);
+    target = m[2];
+    var module = path.posix.basename(target);
+    index = /\{/.test(m[1]) && /^[a-z]/.test(module) &&
+      !names.some(function(name) {
+        return sameName(name, module);
+      });
+  } else if ((m = REQUIRE.exec(line))) {
+    names = m[3] ? [m[3]] : importedNames(m[1]);
+    target = m[2];
+  } else {
+    return null;
+  }
+  return /^\./.test(target) ?
+    { path: target, names: names, index: index } : null;
+}
+
+/**
+ * Import lines at the top of a flattened file, before its first statement:
+ * those of the flattened module itself.  A blank line after them ends them
+ * too, as the imports of an inlined module may follow (`./Point`, imported
+ * by `Matrix`, after `{ Matrix } from '../math'` in `TransformBase-flow.js`).
+ *
+ * @param {string} text
+ * @return {Array<{path: string, names: Array<string>}>}
+ */
+function prologueImports(text) {
+  var imports = [];
+  var lines = text.split('\n');
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i].trim();
+    if (!line && imports.length) break;
+    if (!line) continue;
+    var parsed = parseImport(line);
+    if (parsed) imports.push(parsed);
+    else if (!/^\/\//.test(line) && !/^['"]use strict['"]/.test(line)) break;
+  }
+  return imports;
+}
+
+function sameName(a, b) {
+  var key = function(name) {
+    return name.toLowerCase().replace(/[_-]/g, '');
+  };
+  return key(a) === key(b);
+}
+
+/**
+ * Directory name an import path places its module in: its last named
+ * directory, `.` for the importer's own directory, or null for a parent
+ * directory without a name (`../Bounds`)
+ */
+function importedDirectory(target) {
+  var dir = path.posix.dirname(target);
+  var name = path.posix.basename(dir);
+  if (dir === '.') return '.';
+  return name === '..' || name === '.' ? null : name;
+}
+
+/**
+ * Infers the packages of the classes of some flattened files
+ *
+ * @param {Array<string>} files `*-flow.js` files
+ * @param {Map<string, Array<Object>>} declared classes (`{name, start}`)
+ *   declared by each file
+ * @param {Map<string, string>} flattened class flattened by each file with a
+ *   dump
+ * @return {Map<string, string>} package of each class whose package is
+ *   known, `''` for the root directory of the sources
+ */
+function inferPackages(files, declared, flattened) {
+  var packages = new Map();
+  // Names imported from the index of a directory
+  var indexed = new Map();
+  // Classes known to live in the same directory as another class
+  var siblings = [];
+
+  files.forEach(function(file) {
+    var text = fs.readFileSync(file, 'utf8');
+    // Files without a dump are named after the class they flatten
+    var main = flattened.has(file) ? flattened.get(file) :
+      path.basename(file).replace(/-flow\.js$/, '');
+    var record = function(imported, prologue) {
+      var dir = importedDirectory(imported.path);
+      var module = path.posix.basename(imported.path, '.js');
+      if (imported.index) {
+        imported.names.forEach(function(name) {
+          if (!indexed.has(name)) indexed.set(name, module);
+        });
+        return;
+      }
+      imported.names.forEach(function(name) {
+        if (!sameName(name, module)) return;
+        if (dir === '.') {
+          if (prologue && main) siblings.push([main, name]);
+        } else if (dir && !packages.has(name)) {
+          packages.set(name, dir);
+        }
+      });
+    };
+    prologueImports(text).forEach(function(imported) {
+      record(imported, true);
+    });
+    text.split('\n').forEach(function(line) {
+      var imported = parseImport(line);
+      if (imported) record(imported, false);
+    });
+
+    var banners = [];
+    var m;
+    BANNER.lastIndex = 0;
+    while ((m = BANNER.exec(text))) {
+      banners.push({
+        line: text.slice(0, m.index).split('\n').length,
+        dir: path.posix.dirname(m[1])
+      });
+    }
+    if (banners.length) {
+      (declared.get(file) || []).forEach(function(cls) {
+        var banner = null;
+        banners.forEach(function(b) {
+          if (b.line < cls.start.line) banner = b;
+        });
+        if (banner && !packages.has(cls.name)) {
+          packages.set(cls.name, banner.dir === '.' ? '' :
+            path.posix.basename(banner.dir));
+        }
+      });
+    }
+  });
+
+  indexed.forEach(function(dir, name) {
+    if (!packages.has(name)) packages.set(name, dir);
+  });
+
+  var changed = true;
+  while (changed) {
+    changed = false;
+    siblings.forEach(function(pair) {
+      var a = packages.has(pair[0]);
+      var b = packages.has(pair[1]);
+      if (a && !b) packages.set(pair[1], packages.get(pair[0]));
+      else if (b && !a) packages.set(pair[0], packages.get(pair[1]));
+      changed = changed || a !== b;
+    });
+  }
+  return packages;
+}
+
+module.exports = {
+  parseImport: parseImport,
+  prologueImports: prologueImports,
+  inferPackages: inferPackages
+};
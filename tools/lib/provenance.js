@@ -0,0 +1,232 @@
+'use strict';
+
+/**
+ * Provenance of the lines of a flattened file: the original file and line
+ * each block of lines comes from, and whether the block is the source of the
+ * class under analysis, an inlined dependency or test code.
+ *
+ * Blocks are delimited by marker comments.  flatten.js announces every
+ * copied file with a banner naming it, labelled `SOURCE` for the module of
+ * the class (with the original line its second part starts at) and `TESTS`
+ * for the test files:
+ *
+ *     /*
+ *      * SOURCE: display/Container.js:9
+ *      *\/
+ *
+ * The files of the dataset, built by hand, use looser markers: a comment
+ * starting a line with `TESTS` (`TESTS for class FenwickTree`, `TESTS -
+ * Draws a castle!`) opens the test code, and a comment holding only a file
+ * name (`SOCKET.JS` in socket.io) opens a copied file, whose original
+ * lines are only right where the copy was not edited.  The classes these
+ * files inline go unannounced, so outside of test code each class
+ * declaration other than the flattened class is a block of inlined code of
+ * unknown origin.
+ */
+
+var path = require('path');
+var structure = require('./structure');
+
+var KINDS = ['source', 'inlined', 'test'];
+
+// A path, not a URL (the comments of Polygon link to its algorithm's .js)
+var FILE_MARKER = /^(?:(SOURCE|TESTS): )?([^\s:]+\.js)(?::(\d+))?$/i;
+var TEST_MARKER = /^TESTS\b/;
+
+/**
+ * Class flattened by a file: the class named after the file, ignoring case,
+ * `_` and `-` (`priority_queue-flow.js` flattens `PriorityQueue`)
+ *
+ * @param {string} file
+ * @param {Array<{name: string}>} classes the classes the file declares
+ * @return {string|null}
+ */
+function flattenedClass(file, classes) {
+  var key = function(name) {
+    return name.toLowerCase().replace(/[_-]/g, '');
+  };
+  var base = key(path.basename(file).replace(/-flow\.js$/, ''));
+  var cls = classes.find(function(c) {
+    return key(c.name) === base;
+  });
+  return cls ? cls.name : null;
+}
+
+/**
+ * Lines of a comment without its delimiters and leading `*`s, blank lines
+ * left out
+ */
+function commentLines(text) {
+  return text.replace(/^\/[*/]|\*\/$/g, '').split('\n').map(function(line) {
+    return line.replace(/^\s*(\/\/|\*+)?\s*/, '').trim();
+  }).filter(function(line) {
+    return line;
+  });
+}
+
+/**
+ * Marker comments of a file
+ *
+ * @param {SourceFile} source
+ * @return {Array<{line: number, end: number, test: boolean,
+ *   source: boolean, file: string|null, originalLine: number}>} `line` and
+ *   `end` are the lines of the comment; `file` is the original file when
+ *   the marker names it
+ */
+function findMarkers(source) {
+  var markers = [];
+  source.comments.forEach(function(comment) {
+    var lines = commentLines(comment.value);
+    var named = lines.length === 1 && FILE_MARKER.exec(lines[0]);
+    var test = lines.some(function(line) {
+      return TEST_MARKER.test(line);
+    });
+    if (!named && !test) return;
+    var label = named && named[1] ? named[1].toUpperCase() : null;
+    // Only the first test marker counts, the rest being within test code
+    if (test && !named && markers.some(function(marker) {
+      return marker.test;
+    })) {
+      return;
+    }
+    markers.push({
+      line: source.position(comment.start).line,
+      end: source.position(comment.end - 1).line,
+      test: test || label === 'TESTS',
+      source: label === 'SOURCE',
+      file: named ? named[2] : null,
+      originalLine: named && named[3] ? Number(named[3]) : 1
+    });
+  });
+  return markers;
+}
+
+/**
+ * Blocks of a flattened file
+ *
+ * @param {SourceFile} source
+ * @param {string} file name of the flattened file, which names the class
+ *   under analysis (see flattenedClass)
+ * @return {Array<{kind: string, file: string|null, start: number,
+ *   end: number, originalStart: number|null}>} blocks covering every line,
+ *   in order; `start` and `end` are lines of the flattened file,
+ *   `originalStart` the original line of `start` when the file is known.
+ *   Hand-made test markers are part of the test block they open.
+ */
+function findBlocks(source, file) {
+  var markers = findMarkers(source);
+  var classes = structure.findClasses(source);
+  var flattened = flattenedClass(file, classes);
+  // flatten.js labels the module of the class, the other banners inline
+  var labelled = markers.some(function(marker) {
+    return marker.source;
+  });
+  var lastLine = source.lineCount;
+  var regions = [];
+  var first = markers.length ? markers[0].line - 1 : lastLine;
+  if (first >= 1) {
+    regions.push({ start: 1, end: first, marker: null });
+  }
+  var blank = function(line) {
+    return !source.line(line).trim();
+  };
+  markers.forEach(function(marker, i) {
+    var end = i + 1 < markers.length ? markers[i + 1].line - 1 : lastLine;
+    // Banners naming a file precede the copied lines, set apart by a blank
+    // line, whereas test markers are part of the test code
+    var start = marker.file ? marker.end + 1 : marker.line;
+    if (marker.file && start <= end && blank(start)) start++;
+    if (i + 1 < markers.length && markers[i + 1].file && end >= start &&
+        blank(end)) {
+      end--;
+    }
+    if (start <= end) regions.push({ start: start, end: end, marker: marker });
+  });
+
+  var blocks = [];
+  regions.forEach(function(region) {
+    var marker = region.marker;
+    var inside = classes.filter(function(cls) {
+      return cls.start.line >= region.start && cls.start.line <= region.end;
+    });
+    var block = {
+      kind: 'source',
+      file: marker && marker.file,
+      start: region.start,
+      end: region.end,
+      originalStart: marker && marker.file ? marker.originalLine : null
+    };
+    if (!marker || (!marker.file && !marker.test)) block.file = null;
+    if (marker && marker.test) {
+      block.kind = 'test';
+    } else if (marker && marker.file && !marker.source && (labelled ||
+        flattened && !inside.some(function(cls) {
+          return cls.name === flattened;
+        }))) {
+      block.kind = 'inlined';
+    }
+    if (block.kind !== 'source' || block.file || !flattened) {
+      blocks.push(block);
+      return;
+    }
+    // Unannounced inlined classes of the files built by hand
+    var at = region.start;
+    inside.forEach(function(cls) {
+      if (cls.name === flattened || cls.end.line > region.end) return;
+      if (cls.start.line > at) {
+        blocks.push({ kind: 'source', file: null, start: at,
+          end: cls.start.line - 1, originalStart: null });
+      }
+      blocks.push({ kind: 'inlined', file: null, start: cls.start.line,
+        end: cls.end.line, originalStart: null });
+      at = cls.end.line + 1;
+    });
+    if (at <= region.end) {
+      blocks.push({ kind: 'source', file: null, start: at, end: region.end,
+        originalStart: null });
+    }
+  });
+  return blocks;
+}
+
+/**
+ * Maps the lines of a flattened file back to their origin
+ *
+ * @param {Array<Object>} blocks see findBlocks
+ * @return {function(number): {kind: string, file: string|null,
+ *   line: number|null}} origin of a line; marker lines belong to no block
+ *   and are reported as source of unknown origin
+ */
+function locator(blocks) {
+  return function(line) {
+    var block = blocks.find(function(b) {
+      return b.start <= line && line <= b.end;
+    });
+    if (!block) return { kind: 'source', file: null, line: null };
+    return {
+      kind: block.kind,
+      file: block.file,
+      line: block.file ? block.originalStart + line - block.start : null
+    };
+  };
+}
+
+/**
+ * Formats an origin as `file:line`, or by its kind when the file is unknown
+ *
+ * @param {Object} origin see locator
+ * @return {string}
+ */
+function formatOrigin(origin) {
+  if (origin.file) return path.posix.normalize(origin.file) + ':' + origin.line;
+  return origin.kind;
+}
+
+module.exports = {
+  KINDS: KINDS,
+  flattenedClass: flattenedClass,
+  findMarkers: findMarkers,
+  findBlocks: findBlocks,
+  locator: locator,
+  formatOrigin: formatOrigin
+};
@@ -0,0 +1,353 @@
+'use strict';
+
+/**
+ * A small JavaScript tokenizer, enough to find the structure of the
+ * flattened `*-flow.js` files (classes, methods, calls, `require` lines)
+ * without depending on a full parser.
+ *
+ * Positions follow Flow's conventions: lines and columns are 1-based, so a
+ * dump entry can be mapped onto the source text directly.
+ */
+
+var fs = require('fs');
+
+var PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '++', '--', '+=', '-=', '*=',
+  '/=', '%=', '&=', '|=', '^=', '<<', '>>', '**'
+];
+
+// After these keywords a `/` starts a regular expression, not a division
+var KEYWORDS_BEFORE_EXPRESSION = [
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await'
+];
+
+/**
+ * Tokenizes JavaScript source.  Comments are collected separately so that
+ * they never get in the way of token patterns.
+ *
+ * @param {string} text
+ * @return {{tokens: Array<Object>, comments: Array<Object>}}
+ */
+function tokenize(text) {
+  var tokens = [];
+  var comments = [];
+  var i = 0;
+  var last = null;
+
+  function push(type, start, end, list) {
+    var token = {
+      type: type,
+      value: text.slice(start, end),
+      start: start,
+      end: end
+    };
+    (list || tokens).push(token);
+    if (!list) last = token;
+  }
+
+  function regexAllowed() {
+    if (!last) return true;
+    if (last.type === 'name') {
+      return KEYWORDS_BEFORE_EXPRESSION.indexOf(last.value) !== -1;
+    }
+    if (last.type === 'punct') {
+      return [')', ']', '}'].indexOf(last.value) === -1;
+    }
+    return false;
+  }
+
+  while (i < text.length) {
+    var c = text[i];
+    var start = i;
+
+    if (/\s/.test(c)) {
+      i++;
+    } else if (c === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      push('comment', start, i, comments);
+    } else if (c === '/' && text[i + 1] === '*') {
+      i = text.indexOf('*/', i + 2);
+      i = i === -1 ? text.length : i + 2;
+      push('comment', start, i, comments);
+    } else if (c === '\'' || c === '"') {
+      i = skipString(text, i);
+      push('string', start, i);
+    } else if (c === '`') {
+      i = skipTemplate(text, i);
+      push('template', start, i);
+    } else if (/[A-Za-z_$\u0080-\uffff]/.test(c)) {
+      while (i < text.length && /[\w$\u0080-\uffff]/.test(text[i])) i++;
+      push('name', start, i);
+    } else if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(text[i + 1]))) {
+      while (i < text.length && /[\w.]/.test(text[i])) {
+        if (/[eE]/.test(text[i]) && /[+-]/.test(text[i + 1])) i++;
+        i++;
+      }
+      push('number', start, i);
+    } else if (c === '/' && regexAllowed()) {
+      i = skipRegex(text, i);
+      push('regex', start, i);
+    } else {
+      var op = c;
+      for (var k = 0; k < PUNCTUATORS.length; k++) {
+        if (text.startsWith(PUNCTUATORS[k], i)) {
+          op = PUNCTUATORS[k];
+          break;
+        }
+      }
+      i += op.length;
+      push('punct', start, i);
+    }
+  }
+  return { tokens: tokens, comments: comments };
+}
+
+function skipString(text, i) {
+  var quote = text[i++];
+  while (i < text.length && text[i] !== quote && text[i] !== '\n') {
+    if (text[i] === '\\') i++;
+    i++;
+  }
+  return i + 1;
+}
+
+function skipTemplate(text, i) {
+  i++;
+  while (i < text.length && text[i] !== '`') {
+    if (text[i] === '\\') {
+      i += 2;
+    } else if (text[i] === '$' && text[i + 1] === '{') {
+      i = skipBalanced(text, i + 1);
+    } else {
+      i++;
+    }
+  }
+  return i + 1;
+}
+
+/**
+ * Skips from an opening brace to just past its matching closing brace,
+ * stepping over nested strings and templates
+ */
+function skipBalanced(text, i) {
+  var depth = 0;
+  while (i < text.length) {
+    var c = text[i];
+    if (c === '\'' || c === '"') {
+      i = skipString(text, i);
+      continue;
+    }
+    if (c === '`') {
+      i = skipTemplate(text, i);
+      continue;
+    }
+    if (c === '{') depth++;
+    if (c === '}' && --depth === 0) return i + 1;
+    i++;
+  }
+  return i;
+}
+
+function skipRegex(text, i) {
+  var inClass = false;
+  i++;
+  while (i < text.length && text[i] !== '\n') {
+    var c = text[i];
+    if (c === '\\') {
+      i++;
+    } else if (c === '[') {
+      inClass = true;
+    } else if (c === ']') {
+      inClass = false;
+    } else if (c === '/' && !inClass) {
+      break;
+    }
+    i++;
+  }
+  i++;
+  while (i < text.length && /[a-z]/.test(text[i])) i++;
+  return i;
+}
+
+var OPENING = { '(': ')', '[': ']', '{': '}' };
+
+/**
+ * A source file with its tokens and helpers to move between dump positions,
+ * string offsets and tokens
+ */
+class SourceFile {
+  /**
+   * @param {string} text
+   * @param {string} [file]
+   */
+  constructor(text, file) {
+    this.text = text;
+    this.file = file || null;
+    this.lineStarts = [0];
+    for (var i = 0; i < text.length; i++) {
+      if (text[i] === '\n') this.lineStarts.push(i + 1);
+    }
+    var scanned = tokenize(text);
+    this.tokens = scanned.tokens;
+    this.comments = scanned.comments;
+    this._matches = null;
+  }
+
+  /**
+   * Number of lines in the file
+   */
+  get lineCount() {
+    var count = this.lineStarts.length;
+    return this.text.endsWith('\n') ? count - 1 : count;
+  }
+
+  /**
+   * Text of a 1-based line, without its line break
+   *
+   * @param {number} line
+   * @return {string}
+   */
+  line(line) {
+    var start = this.lineStarts[line - 1];
+    if (start === undefined) return '';
+    var end = line < this.lineStarts.length ?
+      this.lineStarts[line] - 1 : this.text.length;
+    return this.text.slice(start, end).replace(/\r$/, '');
+  }
+
+  /**
+   * String offset of a 1-based line and column
+   *
+   * @param {{line: number, column: number}} pos
+   * @return {number}
+   */
+  offset(pos) {
+    return this.lineStarts[pos.line - 1] + pos.column - 1;
+  }
+
+  /**
+   * 1-based line and column of a string offset
+   *
+   * @param {number} offset
+   * @return {{line: number, column: number}}
+   */
+  position(offset) {
+    var lo = 0;
+    var hi = this.lineStarts.length - 1;
+    while (lo < hi) {
+      var mid = (lo + hi + 1) >> 1;
+      if (this.lineStarts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return { line: lo + 1, column: offset - this.lineStarts[lo] + 1 };
+  }
+
+  /**
+   * Source text covered by a dump range (end column inclusive)
+   *
+   * @param {{start: Object, end: Object}} range
+   * @return {string}
+   */
+  textOf(range) {
+    var start = this.offset(range.start);
+    return this.text.slice(start, this.offset(range.end) + 1);
+  }
+
+  /**
+   * Index of the first token starting at or after a string offset
+   *
+   * @param {number} offset
+   * @return {number}
+   */
+  tokenIndexAt(offset) {
+    var lo = 0;
+    var hi = this.tokens.length;
+    while (lo < hi) {
+      var mid = (lo + hi) >> 1;
+      if (this.tokens[mid].start < offset) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Index of the token matching the bracket at token index `i`, or -1
+   *
+   * @param {number} i
+   * @return {number}
+   */
+  matchingToken(i) {
+    if (!this._matches) this._matches = matchBrackets(this.tokens);
+    var match = this._matches[i];
+    return match === undefined ? -1 : match;
+  }
+
+  /**
+   * Index of the innermost opening bracket enclosing token `i`, or -1
+   *
+   * @param {number} i
+   * @return {number}
+   */
+  enclosingBracket(i) {
+    for (var k = i - 1; k >= 0; k--) {
+      var t = this.tokens[k];
+      if (t.type !== 'punct') continue;
+      if (OPENING[t.value]) {
+        var match = this.matchingToken(k);
+        if (match === -1 || match >= i) return k;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Location of the token at index `i`, as a dump-style range
+   *
+   * @param {number} i
+   * @return {{start: Object, end: Object}}
+   */
+  tokenRange(i) {
+    var t = this.tokens[i];
+    return { start: this.position(t.start), end: this.position(t.end - 1) };
+  }
+}
+
+function matchBrackets(tokens) {
+  var matches = {};
+  var stack = [];
+  tokens.forEach(function(t, i) {
+    if (t.type !== 'punct') return;
+    if (OPENING[t.value]) {
+      stack.push(i);
+    } else if (t.value === ')' || t.value === ']' || t.value === '}') {
+      // Tolerate unbalanced code: pop until the right kind of bracket
+      for (var k = stack.length - 1; k >= 0; k--) {
+        if (OPENING[tokens[stack[k]].value] === t.value) {
+          matches[stack[k]] = i;
+          matches[i] = stack[k];
+          stack.length = k;
+          break;
+        }
+      }
+    }
+  });
+  return matches;
+}
+
+/**
+ * Reads a source file
+ *
+ * @param {string} file
+ * @return {SourceFile}
+ */
+function readSource(file) {
+  return new SourceFile(fs.readFileSync(file, 'utf8'), file);
+}
+
+module.exports = {
+  tokenize: tokenize,
+  SourceFile: SourceFile,
+  readSource: readSource
+};
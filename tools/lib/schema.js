@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * A JSON Schema validator for the keywords the schemas of `tools/schema`
+ * use: `type`, `const`, `enum`, `required`, `properties`,
+ * `additionalProperties`, `items`, `minimum`, `minLength`, `oneOf` and local
+ * `$ref`s (`#/definitions/x`).  Other keywords are ignored.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function hasType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && isFinite(value);
+  return typeOf(value) === type;
+}
+
+function resolveRef(root, ref) {
+  if (!/^#\//.test(ref)) throw new Error('Unsupported $ref ' + ref);
+  return ref.slice(2).split('/').reduce(function(node, key) {
+    if (!node || !(key in node)) throw new Error('Unresolved $ref ' + ref);
+    return node[key];
+  }, root);
+}
+
+/**
+ * Validates a value against a schema
+ *
+ * @param {*} value
+ * @param {Object} schema
+ * @return {Array<string>} errors, each prefixed with the path of the value
+ *   (`/edges/3/kind: ...`); empty when the value is valid
+ */
+function validate(value, schema) {
+  var errors = [];
+  check(value, schema, schema, '', errors);
+  return errors;
+}
+
+function check(value, schema, root, at, errors) {
+  if (schema.$ref) schema = resolveRef(root, schema.$ref);
+  var where = (at || '/') + ': ';
+
+  if (schema.type !== undefined) {
+    var types = [].concat(schema.type);
+    if (!types.some(function(type) {
+      return hasType(value, type);
+    })) {
+      errors.push(where + 'expected ' + types.join(' or ') + ', got ' +
+        typeOf(value));
+      return;
+    }
+  }
+  if ('const' in schema && value !== schema['const']) {
+    errors.push(where + 'expected ' + JSON.stringify(schema['const']));
+  }
+  if (schema['enum'] && schema['enum'].indexOf(value) === -1) {
+    errors.push(where + 'expected one of ' + schema['enum'].map(function(v) {
+      return JSON.stringify(v);
+    }).join(', '));
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' &&
+      value < schema.minimum) {
+    errors.push(where + 'less than ' + schema.minimum);
+  }
+  if (schema.minLength !== undefined && typeof value === 'string' &&
+      value.length < schema.minLength) {
+    errors.push(where + 'shorter than ' + schema.minLength);
+  }
+  if (schema.oneOf) {
+    var matching = schema.oneOf.filter(function(option) {
+      var optionErrors = [];
+      check(value, option, root, at, optionErrors);
+      return !optionErrors.length;
+    }).length;
+    if (matching !== 1) {
+      errors.push(where + (matching ? 'matches several' : 'matches none') +
+        ' of the allowed schemas');
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(function(key) {
+      if (!(key in value)) errors.push(where + 'missing "' + key + '"');
+    });
+    var properties = schema.properties || {};
+    Object.keys(value).forEach(function(key) {
+      if (properties[key]) {
+        check(value[key], properties[key], root, at + '/' + key, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(where + 'unexpected "' + key + '"');
+      } else if (typeOf(schema.additionalProperties) === 'object') {
+        check(value[key], schema.additionalProperties, root, at + '/' + key,
+          errors);
+      }
+    });
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach(function(item, i) {
+      check(item, schema.items, root, at + '/' + i, errors);
+    });
+  }
+}
+
+module.exports = {
+  validate: validate
+};
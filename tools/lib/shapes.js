@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+ * Structural equivalence between the object types of a dump and legacy
+ * classes (see constructors.js).
+ *
+ * Flow names the instances of `class` declarations, but prints those of
+ * constructor functions as object types listing the fields the constructor
+ * assigns (`{client: number, id: empty, nsp: empty}` for `Socket`), and
+ * their prototypes as the methods assigned to them
+ * (`{join: (room: empty) => empty}`).  An object type stands for a class
+ * when its keys are exactly the members of one of these views of the class,
+ * counting inherited members, and its functions are in place of methods.
+ *
+ * Flow also prints partial instances, e.g. `this` in a constructor that a
+ * subclass calls, so failing an exact match an object type stands for the
+ * class with the fewest members that has all its keys, at least one of them
+ * a field.  When several classes qualify and one is the superclass of all
+ * the others, the object type shows nothing of the subclasses and stands for
+ * the superclass; otherwise it stands for none.
+ */
+
+var flowType = require('./flow-type');
+
+function unique(list) {
+  return Array.from(new Set(list)).sort();
+}
+
+/**
+ * Members of a class, counting inherited ones, and the member lists an
+ * object type of the class may show: the fields assigned by its constructor,
+ * all its fields, its methods, and its fields and methods
+ */
+function classMembers(cls, byName) {
+  var fields = [];
+  var allFields = [];
+  var methods = [];
+  var ancestors = [];
+  for (var c = cls; c && ancestors.indexOf(c.name) === -1;
+    c = byName.get(c.superClass)) {
+    ancestors.push(c.name);
+    fields = fields.concat(c.fields);
+    allFields = allFields.concat(c.allFields);
+    methods = methods.concat(c.methods);
+  }
+  allFields = unique(allFields);
+  methods = unique(methods);
+  var members = unique(allFields.concat(methods));
+  var views = [unique(fields), allFields, methods, members];
+  return {
+    name: cls.name,
+    ancestors: ancestors,
+    fields: new Set(allFields),
+    methods: new Set(methods),
+    members: new Set(members),
+    views: views.filter(function(view) {
+      return view.length;
+    }).map(function(view) {
+      return view.join('\0');
+    })
+  };
+}
+
+/**
+ * Whether a property type may be that of a method: a function, or nothing
+ * when Flow inferred nothing
+ */
+function isCallable(type) {
+  return type.kind === 'function' || type.kind === 'empty' ||
+    (type.kind === 'primitive' && type.name === 'any');
+}
+
+/**
+ * The one class a list of candidates stands for: the only one, or the one
+ * every other candidate extends
+ */
+function resolve(candidates) {
+  var names = unique(candidates.map(function(candidate) {
+    return candidate.name;
+  }));
+  if (names.length === 1) return names[0];
+  var base = names.find(function(name) {
+    return candidates.every(function(candidate) {
+      return candidate.ancestors.indexOf(name) !== -1;
+    });
+  });
+  return base || null;
+}
+
+/**
+ * Builds the matcher of a file's legacy classes
+ *
+ * @param {Array<Object>} classes see constructors.findConstructors
+ * @return {function(Object): string|null} the class an object type node
+ *   stands for; its `ancestors(name)` lists a class and its superclasses
+ */
+function shapeMatcher(classes) {
+  var byName = new Map();
+  classes.forEach(function(cls) {
+    byName.set(cls.name, cls);
+  });
+  var described = classes.map(function(cls) {
+    return classMembers(cls, byName);
+  });
+
+  var match = function(type) {
+    if (type.kind !== 'object' || type.indexers.length ||
+        !type.props.length) {
+      return null;
+    }
+    var keys = type.props.map(function(prop) {
+      return prop.key;
+    });
+    if (keys.indexOf('...') !== -1) return null;
+    var fits = function(cls) {
+      return type.props.every(function(prop) {
+        return !cls.methods.has(prop.key) || isCallable(prop.type);
+      });
+    };
+
+    var key = unique(keys).join('\0');
+    var exact = described.filter(function(cls) {
+      return cls.views.indexOf(key) !== -1 && fits(cls);
+    });
+    if (exact.length) return resolve(exact);
+
+    var containing = described.filter(function(cls) {
+      return fits(cls) && keys.every(function(k) {
+        return cls.members.has(k);
+      }) && keys.some(function(k) {
+        return cls.fields.has(k);
+      });
+    });
+    if (!containing.length) return null;
+    var fewest = Math.min.apply(null, containing.map(function(cls) {
+      return cls.members.size;
+    }));
+    return resolve(containing.filter(function(cls) {
+      return cls.members.size === fewest;
+    }));
+  };
+  match.ancestors = function(name) {
+    var cls = described.find(function(c) {
+      return c.name === name;
+    });
+    return cls ? cls.ancestors : [name];
+  };
+  return match;
+}
+
+/**
+ * Classes a type refers to structurally: the members of the type (see
+ * flowType.splitMembers) that match a legacy class.  In the code of a
+ * class, a union of the class and its subclasses is the type of `this` in a
+ * constructor the subclasses call (`MinHeap.call(this, ...)`), so the
+ * subclasses are left out of it.
+ *
+ * @param {Object} type
+ * @param {function(Object): string|null} matcher see shapeMatcher
+ * @param {string} [owner] class whose code the type was found in
+ * @return {Array<{name: string, union: boolean, intersection: boolean,
+ *   split: boolean}>} see flowType.splitMembers and flowType.mergeSplit
+ */
+function shapeReferences(type, matcher, owner) {
+  var refs = [];
+  flowType.splitMembers(type).forEach(function(member) {
+    var name = matcher(member.type);
+    if (!name) return;
+    var known = refs.find(function(ref) {
+      return ref.name === name;
+    });
+    if (known) {
+      flowType.mergeSplit(known, member);
+    } else {
+      refs.push({ name: name, union: member.union,
+        intersection: member.intersection, split: member.split });
+    }
+  });
+  var names = refs.map(function(ref) {
+    return ref.name;
+  });
+  if (owner && names.indexOf(owner) !== -1) {
+    refs = refs.filter(function(ref) {
+      return ref.name === owner ||
+        matcher.ancestors(ref.name).indexOf(owner) === -1;
+    });
+  }
+  return refs;
+}
+
+module.exports = {
+  shapeMatcher: shapeMatcher,
+  shapeReferences: shapeReferences
+};
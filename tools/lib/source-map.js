@@ -0,0 +1,266 @@
+'use strict';
+
+/**
+ * Source maps (revision 3) from the flattened `X-flow.js` files back to the
+ * original modules, written by flatten.js as `X-flow.js.map` and read back
+ * to translate the locations of the dumps.
+ *
+ * flatten.js copies every line of a module as it is, only erasing a few
+ * spans (`export`, namespace prefixes) and commenting out whole lines, so
+ * the maps hold one segment at the start of every copied line and one after
+ * every edit.  A column between two segments is read as an offset from the
+ * first, which other consumers of the maps do not do but which is exact
+ * here.  Banners and the blank lines between copied files map to nothing.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var BASE64 =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+var SOURCE_MAPPING_URL = /^\/\/# sourceMappingURL=(\S+)\s*$/;
+
+/**
+ * Base64 VLQ encoding of a number
+ */
+function encodeVLQ(value) {
+  var vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  var result = '';
+  do {
+    var digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq) digit |= 32;
+    result += BASE64[digit];
+  } while (vlq);
+  return result;
+}
+
+/**
+ * Decodes the numbers of one segment
+ */
+function decodeVLQs(text) {
+  var values = [];
+  var value = 0;
+  var shift = 0;
+  for (var i = 0; i < text.length; i++) {
+    var digit = BASE64.indexOf(text[i]);
+    if (digit === -1) throw new Error('Bad VLQ digit ' + text[i]);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+      continue;
+    }
+    values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+    value = 0;
+    shift = 0;
+  }
+  return values;
+}
+
+/**
+ * Encodes the `mappings` of a source map
+ *
+ * @param {Array<Array<Array<number>>>} lines the segments of each generated
+ *   line, `[column, source, originalLine, originalColumn]`, all 0-based
+ * @return {string}
+ */
+function encodeMappings(lines) {
+  var previous = [0, 0, 0];
+  return lines.map(function(segments) {
+    var column = 0;
+    return segments.map(function(segment) {
+      var text = encodeVLQ(segment[0] - column);
+      column = segment[0];
+      for (var k = 1; k < 4; k++) {
+        text += encodeVLQ(segment[k] - previous[k - 1]);
+        previous[k - 1] = segment[k];
+      }
+      return text;
+    }).join(',');
+  }).join(';');
+}
+
+/**
+ * Decodes the `mappings` of a source map, the inverse of encodeMappings;
+ * segments without a source are left out
+ *
+ * @param {string} mappings
+ * @return {Array<Array<Array<number>>>}
+ */
+function decodeMappings(mappings) {
+  var previous = [0, 0, 0];
+  return mappings.split(';').map(function(line) {
+    var column = 0;
+    var segments = [];
+    line.split(',').forEach(function(text) {
+      if (!text) return;
+      var values = decodeVLQs(text);
+      column += values[0];
+      if (values.length < 4) return;
+      for (var k = 1; k < 4; k++) previous[k - 1] += values[k];
+      segments.push([column].concat(previous));
+    });
+    return segments;
+  });
+}
+
+/**
+ * Builds a source map
+ *
+ * @param {string} file name of the generated file
+ * @param {Array<Object|null>} lines for each generated line, null or the
+ *   original line it was copied from, `{source, line, columns}` with the
+ *   1-based `line` and the `[generatedColumn, originalColumn]` pairs
+ *   (0-based) of its segments
+ * @param {string} [sourceRoot] directory the sources are relative to
+ * @return {Object} the source map, ready for JSON.stringify
+ */
+function buildSourceMap(file, lines, sourceRoot) {
+  var sources = [];
+  var segments = lines.map(function(line) {
+    if (!line) return [];
+    var index = sources.indexOf(line.source);
+    if (index === -1) index = sources.push(line.source) - 1;
+    return line.columns.map(function(pair) {
+      return [pair[0], index, line.line - 1, pair[1]];
+    });
+  });
+  var map = { version: 3, file: file };
+  if (sourceRoot) map.sourceRoot = sourceRoot;
+  map.sources = sources;
+  map.names = [];
+  map.mappings = encodeMappings(segments);
+  return map;
+}
+
+/**
+ * Source map read back, translating positions of the generated file
+ */
+class SourceMap {
+  /**
+   * @param {Object} data the parsed JSON
+   * @param {string} [file] path of the map, which `sourceRoot` and the
+   *   sources are relative to
+   */
+  constructor(data, file) {
+    if (data.version !== 3 || !Array.isArray(data.sources) ||
+        typeof data.mappings !== 'string') {
+      throw new Error((file || '<source map>') +
+        ': not a revision 3 source map');
+    }
+    this.file = file || null;
+    this.sources = data.sources;
+    this.sourceRoot = data.sourceRoot || '';
+    this.lines = decodeMappings(data.mappings);
+  }
+
+  /**
+   * Path of a source, resolved against the map's directory
+   *
+   * @param {string} source
+   * @return {string}
+   */
+  resolve(source) {
+    var dir = this.file ? path.dirname(this.file) : '.';
+    return path.resolve(dir, this.sourceRoot, source);
+  }
+
+  /**
+   * Original position of a position of the generated file
+   *
+   * @param {{line: number, column: number}} pos 1-based, as in the dumps
+   * @return {{source: string, file: string, line: number,
+   *   column: number}|null} `source` as listed in the map, `file` resolved
+   *   (see resolve), `line` and `column` 1-based; null when the line maps
+   *   to nothing
+   */
+  originalPosition(pos) {
+    var segments = this.lines[pos.line - 1] || [];
+    var column = pos.column - 1;
+    var segment = null;
+    for (var i = 0; i < segments.length && segments[i][0] <= column; i++) {
+      segment = segments[i];
+    }
+    if (!segment) return null;
+    var source = this.sources[segment[1]];
+    return {
+      source: source,
+      file: this.resolve(source),
+      line: segment[2] + 1,
+      column: segment[3] + column - segment[0] + 1
+    };
+  }
+
+  /**
+   * Original range of a range of the generated file
+   *
+   * @param {{start: Object, end: Object}} range
+   * @return {{source: string, file: string, start: Object,
+   *   end: Object}|null} null unless both ends map to the same source
+   */
+  originalRange(range) {
+    var start = this.originalPosition(range.start);
+    var end = this.originalPosition(range.end);
+    if (!start || !end || start.source !== end.source) return null;
+    return {
+      source: start.source,
+      file: start.file,
+      start: { line: start.line, column: start.column },
+      end: { line: end.line, column: end.column }
+    };
+  }
+}
+
+/**
+ * Reads a source map
+ *
+ * @param {string} file
+ * @return {SourceMap}
+ */
+function readSourceMap(file) {
+  var data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error('Cannot read ' + file + ': ' + e.message);
+  }
+  return new SourceMap(data, path.resolve(file));
+}
+
+/**
+ * Source map of a generated file: the one its `//# sourceMappingURL`
+ * comment names, else `<file>.map` if it exists
+ *
+ * @param {string} sourceFile
+ * @return {string|null} path of the map
+ */
+function findSourceMap(sourceFile) {
+  var lines = fs.readFileSync(sourceFile, 'utf8').replace(/\s+$/, '')
+    .split('\n');
+  var m = SOURCE_MAPPING_URL.exec(lines[lines.length - 1]);
+  if (m && !/^[a-z]+:/i.test(m[1])) {
+    return path.resolve(path.dirname(sourceFile), m[1]);
+  }
+  return fs.existsSync(sourceFile + '.map') ? sourceFile + '.map' : null;
+}
+
+/**
+ * Comment linking a generated file to its source map
+ *
+ * @param {string} mapFile path of the map, relative to the generated file
+ * @return {string}
+ */
+function sourceMappingComment(mapFile) {
+  return '//# sourceMappingURL=' + mapFile.split(path.sep).join('/');
+}
+
+module.exports = {
+  SourceMap: SourceMap,
+  encodeMappings: encodeMappings,
+  decodeMappings: decodeMappings,
+  buildSourceMap: buildSourceMap,
+  readSourceMap: readSourceMap,
+  findSourceMap: findSourceMap,
+  sourceMappingComment: sourceMappingComment
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Structural queries over a tokenized source file: where classes start and
+ * end and which class they extend.
+ */
+
+function isName(token) {
+  return Boolean(token) && token.type === 'name';
+}
+
+function isPunct(token, value) {
+  return Boolean(token) && token.type === 'punct' && token.value === value;
+}
+
+/**
+ * Finds the class declarations of a source file
+ *
+ * @param {SourceFile} source
+ * @return {Array<Object>} `{name, superClass, superClassRange, start, end,
+ *   bodyStart, bodyEnd}`, where `bodyStart` and `bodyEnd` are the token
+ *   indices of the braces around the class body
+ */
+function findClasses(source) {
+  var tokens = source.tokens;
+  var classes = [];
+  for (var i = 0; i < tokens.length; i++) {
+    if (tokens[i].type !== 'name' || tokens[i].value !== 'class') continue;
+    var prev = tokens[i - 1];
+    if (prev && prev.type === 'punct' && prev.value === '.') continue;
+
+    var k = i + 1;
+    var name = null;
+    if (isName(tokens[k]) && tokens[k].value !== 'extends') {
+      name = tokens[k++].value;
+    } else if (prev && prev.value === '=' && isName(tokens[i - 2])) {
+      // var Foo = class { ... }
+      name = tokens[i - 2].value;
+    }
+
+    var superClass = null;
+    var superClassRange = null;
+    if (tokens[k] && tokens[k].value === 'extends') {
+      var first = ++k;
+      while (tokens[k] && !isPunct(tokens[k], '{')) {
+        if (/^[(\[]$/.test(tokens[k].value)) k = source.matchingToken(k);
+        if (k === -1) break;
+        k++;
+      }
+      if (k === -1 || !tokens[k]) continue;
+      superClass = source.text.slice(tokens[first].start, tokens[k - 1].end);
+      superClassRange = {
+        start: source.position(tokens[first].start),
+        end: source.position(tokens[k - 1].end - 1)
+      };
+    }
+
+    if (!tokens[k] || tokens[k].value !== '{' || !name) continue;
+    var close = source.matchingToken(k);
+    if (close === -1) continue;
+    classes.push({
+      name: name,
+      superClass: superClass,
+      superClassRange: superClassRange,
+      start: source.position(tokens[i].start),
+      end: source.position(tokens[close].start),
+      bodyStart: k,
+      bodyEnd: close
+    });
+  }
+  return classes;
+}
+
+/**
+ * Members of a class declaration: the methods of its body (accessors and
+ * static methods included, the constructor excluded) and the fields of
+ * `this` it assigns, leaving out the `function`s nested in the methods,
+ * whose `this` is another object
+ *
+ * @param {SourceFile} source
+ * @param {Object} cls see findClasses
+ * @return {{fields: Array<string>, methods: Array<string>}}
+ */
+function classMembers(source, cls) {
+  var tokens = source.tokens;
+  var fields = [];
+  var methods = [];
+  for (var i = cls.bodyStart + 1; i < cls.bodyEnd; i++) {
+    var t = tokens[i];
+    if (isName(t) && isPunct(tokens[i + 1], '(') && t.value !== 'constructor' &&
+        methods.indexOf(t.value) === -1) {
+      methods.push(t.value);
+    }
+    if (/^[(\[{]$/.test(t.value) && t.type === 'punct') {
+      var close = source.matchingToken(i);
+      if (close === -1) break;
+      collectFields(source, i + 1, close, fields);
+      i = close;
+    }
+  }
+  return { fields: fields, methods: methods };
+}
+
+function collectFields(source, first, last, fields) {
+  var tokens = source.tokens;
+  for (var i = first; i < last; i++) {
+    var t = tokens[i];
+    if (isName(t) && t.value === 'function') {
+      while (i < last && !isPunct(tokens[i], '{')) i++;
+      var close = source.matchingToken(i);
+      if (close === -1) return;
+      i = close;
+    } else if (isName(t) && t.value === 'this' && isPunct(tokens[i + 1], '.') &&
+        isName(tokens[i + 2]) && isPunct(tokens[i + 3], '=') &&
+        fields.indexOf(tokens[i + 2].value) === -1) {
+      fields.push(tokens[i + 2].value);
+    }
+  }
+}
+
+module.exports = {
+  isName: isName,
+  isPunct: isPunct,
+  findClasses: findClasses,
+  classMembers: classMembers
+};
@@ -0,0 +1,223 @@
+'use strict';
+
+/**
+ * Types of a flattened `*-flow.js` file inferred by the TypeScript compiler
+ * (`checkJs`), printed as `flow dump-types` would print them so that the
+ * extraction reads them like a dump.
+ *
+ * Every expression and every declared name gets an entry, as with Flow, and
+ * every class declaration a `[class: X]` entry spanning its body.  Types are
+ * printed in Flow's syntax: a class instance by the class's name, a class
+ * object as `[class: X]`, `T[]` as `Array<T>`, anonymous objects as `{a: T}`
+ * and functions as `(a: T) => R`.  TypeScript names the instances of
+ * constructor functions (`function Socket() {...}`) where Flow prints their
+ * structure, and infers `any` where Flow prints nothing.
+ *
+ * The `typescript` package is required when the first file is typed, so
+ * that the rest of the tools do without it.
+ */
+
+var path = require('path');
+
+// Nested types printed before giving up with `any`
+var MAX_DEPTH = 3;
+// Members printed of an anonymous object type
+var MAX_MEMBERS = 12;
+
+var ts = null;
+var host = null;
+
+var COMPILER_OPTIONS = {
+  allowJs: true,
+  checkJs: true,
+  noEmit: true,
+  noResolve: true,
+  skipLibCheck: true,
+  types: []
+};
+
+/**
+ * The compiler, and a host sharing the library files between programs
+ */
+function compiler() {
+  if (ts) return ts;
+  try {
+    ts = require('typescript');
+  } catch (e) {
+    throw new Error('The typescript inferencer needs the typescript ' +
+      'package (npm install typescript)');
+  }
+  var options = Object.assign({}, COMPILER_OPTIONS, {
+    target: ts.ScriptTarget.ES2017,
+    lib: ['lib.es2017.d.ts', 'lib.dom.d.ts']
+  });
+  var base = ts.createCompilerHost(options);
+  var libraries = new Map();
+  host = Object.assign({}, base, {
+    getSourceFile: function(file, languageVersion) {
+      if (!/[\\/]lib\.[\w.]*d\.ts$/.test(file)) {
+        return base.getSourceFile.apply(base, arguments);
+      }
+      if (!libraries.has(file)) {
+        libraries.set(file, base.getSourceFile(file, languageVersion));
+      }
+      return libraries.get(file);
+    }
+  });
+  host.options = options;
+  return ts;
+}
+
+/**
+ * Whether a node gets an entry: expressions and the names they declare
+ */
+function isTyped(node) {
+  var kind = ts.SyntaxKind;
+  switch (node.kind) {
+    case kind.Identifier:
+      // Names of members, classes and labels are not expressions
+      var parent = node.parent;
+      return !(parent.name === node && (ts.isPropertyAccessExpression(parent) ||
+          ts.isClassElement(parent) || ts.isClassLike(parent) ||
+          ts.isObjectLiteralElementLike(parent))) &&
+        !ts.isLabeledStatement(parent) &&
+        !ts.isBreakOrContinueStatement(parent);
+    case kind.ThisKeyword:
+    case kind.SuperKeyword:
+    case kind.PropertyAccessExpression:
+    case kind.ElementAccessExpression:
+    case kind.CallExpression:
+    case kind.NewExpression:
+    case kind.BinaryExpression:
+    case kind.ConditionalExpression:
+    case kind.ArrayLiteralExpression:
+    case kind.ObjectLiteralExpression:
+    case kind.FunctionExpression:
+    case kind.ArrowFunction:
+    case kind.PrefixUnaryExpression:
+    case kind.PostfixUnaryExpression:
+    case kind.TemplateExpression:
+    case kind.NumericLiteral:
+    case kind.StringLiteral:
+      return true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Prints a type in Flow's syntax
+ *
+ * @param {TypeChecker} checker
+ * @param {Type} type
+ * @param {Node} node where the type was found, for the types of members
+ * @param {number} [depth]
+ * @return {string}
+ */
+function printType(checker, type, node, depth) {
+  depth = depth || 0;
+  if (depth > MAX_DEPTH) return 'any';
+  var flags = ts.TypeFlags;
+  var f = type.flags;
+  if (f & (flags.Any | flags.Unknown)) return 'any';
+  if (f & flags.Never) return 'empty';
+  if (f & flags.NumberLike) return 'number';
+  if (f & flags.StringLike) return 'string';
+  if (f & flags.BooleanLike) return 'boolean';
+  if (f & flags.ESSymbolLike) return 'symbol';
+  if (f & (flags.Void | flags.Undefined)) return 'void';
+  if (f & flags.Null) return 'null';
+  if (f & flags.TypeParameter) return type.symbol ? type.symbol.name : 'any';
+  if (f & (flags.Union | flags.Intersection)) {
+    var members = [];
+    type.types.forEach(function(member) {
+      var text = printType(checker, member, node, depth + 1);
+      if (members.indexOf(text) === -1) members.push(text);
+    });
+    return members.join(f & flags.Union ? ' | ' : ' & ');
+  }
+  if (!(f & flags.Object)) return 'any';
+
+  var print = function(t) {
+    return printType(checker, t, node, depth + 1);
+  };
+  var symbol = type.getSymbol();
+  var args = type.target ? checker.getTypeArguments(type) : [];
+  if (checker.isArrayType(type)) return 'Array<' + print(args[0]) + '>';
+  if (checker.isTupleType(type)) return '[' + args.map(print).join(', ') + ']';
+  var named = symbol && !/^__/.test(symbol.name);
+  if (named && symbol.flags & ts.SymbolFlags.Class &&
+      checker.getDeclaredTypeOfSymbol(symbol) !== type &&
+      type.getConstructSignatures().length) {
+    return '[class: ' + symbol.name + ']';
+  }
+  var calls = type.getCallSignatures();
+  if (calls.length && !type.getConstructSignatures().length) {
+    var signature = calls[0];
+    return '(' + signature.getParameters().map(function(param) {
+      return param.name + ': ' +
+        print(checker.getTypeOfSymbolAtLocation(param, node));
+    }).join(', ') + ') => ' + print(signature.getReturnType());
+  }
+  if (named) {
+    return symbol.name + (args.length ?
+      '<' + args.map(print).join(', ') + '>' : '');
+  }
+  return '{' + type.getProperties().slice(0, MAX_MEMBERS).map(function(prop) {
+    return prop.name + ': ' +
+      print(checker.getTypeOfSymbolAtLocation(prop, node));
+  }).join(', ') + '}';
+}
+
+/**
+ * Infers the types of a flattened file
+ *
+ * @param {string} file
+ * @return {string} the types in the format of `flow dump-types
+ *   --strip-root`, see dump.js
+ */
+function dumpTypes(file) {
+  compiler();
+  file = path.resolve(file);
+  var program = ts.createProgram([file], host.options, host);
+  var checker = program.getTypeChecker();
+  var sourceFile = program.getSourceFile(file);
+  var name = path.basename(file);
+  var lines = [];
+  var position = function(offset) {
+    var pos = sourceFile.getLineAndCharacterOfPosition(offset);
+    return { line: pos.line + 1, column: pos.character + 1 };
+  };
+  var add = function(node, type) {
+    var start = position(node.getStart(sourceFile));
+    var end = position(node.end - 1);
+    var range = start.line !== end.line ?
+      start.line + ':' + start.column + ',' + end.line + ':' + end.column :
+      start.column !== end.column ?
+        start.line + ':' + start.column + '-' + end.column :
+        start.line + ':' + start.column;
+    lines.push({ start: start, end: end,
+      text: name + ':' + range + ': ' + type });
+  };
+  var visit = function(node) {
+    if (ts.isClassDeclaration(node) && node.name) {
+      add(node, '[class: ' + node.name.text + ']');
+    } else if (isTyped(node)) {
+      var type = checker.getTypeAtLocation(node);
+      add(node, type ? printType(checker, type, node) : '');
+    }
+    ts.forEachChild(node, visit);
+  };
+  ts.forEachChild(sourceFile, visit);
+  // Sorted by position, as Flow prints them
+  return lines.sort(function(a, b) {
+    return a.start.line - b.start.line || a.start.column - b.start.column ||
+      a.end.line - b.end.line || a.end.column - b.end.column;
+  }).map(function(line) {
+    return line.text + '\n';
+  }).join('');
+}
+
+module.exports = {
+  dumpTypes: dumpTypes
+};
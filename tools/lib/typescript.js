@@ -0,0 +1,601 @@
+'use strict';
+
+/**
+ * Oracle of class dependencies built from TypeScript sources, the way the
+ * study built those of inversifyjs, satellizer and xstream by hand: the
+ * explicit types of a class tell what it depends on.
+ *
+ * - a typed attribute (`private _planner: Planner;`), or a constructor
+ *   parameter declaring one (`constructor(private config: Config)`), is an
+ *   association;
+ * - a typed parameter or return type of a method (`load(module:
+ *   KernelModule): Plan`), or of an arrow function an attribute is
+ *   initialized with (`onLoad = (plan: Plan): void => {...}`), and the
+ *   constraint of a type parameter (`get<T extends Binding>()`) are "uses"
+ *   dependencies.
+ *
+ * An attribute is associated with the class at the top of its type, with its
+ * generic arguments (`Array<Plan>`) and its array elements (`Binding[]`);
+ * the classes inside a function or object type it holds (`onPlan: (plan:
+ * Plan) => void`) are only used.
+ *
+ * Only the names of classes declared in the given files count, and a
+ * qualified name (`interfaces.Kernel`) never names one of them.  Types that
+ * vanish on transpile without leaving code behind are left out: casts
+ * (`<Planner>x`, `x as Planner`) and the other types inside expressions,
+ * overload signatures of a method that has an implementation, `this`
+ * parameters, `implements` clauses, interfaces and type aliases.
+ *
+ * References have the shape of those of extract.js, located at the
+ * annotated name (or at the return type), so the oracle can be summarized
+ * and printed like an extraction.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var scanner = require('./scanner');
+var structure = require('./structure');
+
+var isName = structure.isName;
+var isPunct = structure.isPunct;
+
+var MODIFIERS = [
+  'public', 'private', 'protected', 'readonly', 'static', 'abstract',
+  'declare', 'override', 'async', 'get', 'set'
+];
+
+var PROPERTY_MODIFIERS = ['public', 'private', 'protected', 'readonly'];
+
+// Tokens after which a type goes on (`A |`, `Map<A,`, `(a: A) =>`)
+var TYPE_CONTINUATIONS = ['|', '&', ':', '=>', '<', ',', '.', '?', 'keyof',
+  'typeof', 'extends'];
+
+/**
+ * Change in the depth of `<...>` brackets at a token
+ */
+function angleDelta(token) {
+  if (!token || token.type !== 'punct') return 0;
+  if (/^<+$/.test(token.value)) return token.value.length;
+  if (/^>+$/.test(token.value)) return -token.value.length;
+  return 0;
+}
+
+/**
+ * Whether token `i` starts a new line
+ */
+function startsLine(source, i) {
+  var tokens = source.tokens;
+  return i > 0 && source.position(tokens[i].start).line >
+    source.position(tokens[i - 1].end).line;
+}
+
+/**
+ * Index just past the type starting at token `i` and ending before `limit`:
+ * the type stops at a `,`, `)`, `;`, `=` or `}` outside its brackets, at the
+ * `{` of a body or the `=>` of an arrow function, or at the end of its line
+ *
+ * @param {SourceFile} source
+ * @param {number} i
+ * @param {number} limit
+ * @return {number}
+ */
+function typeEnd(source, i, limit) {
+  var tokens = source.tokens;
+  var angles = 0;
+  var first = i;
+  while (i < limit) {
+    var t = tokens[i];
+    var previous = i > first ? tokens[i - 1] : null;
+    var continued = !previous ||
+      TYPE_CONTINUATIONS.indexOf(previous.value) !== -1;
+    if (angles === 0) {
+      if (t.type === 'punct' && /^(,|\)|;|=|\}|\]|>+)$/.test(t.value)) break;
+      if (isPunct(t, '{') && !continued) break;
+      // The arrow of a function, not of a function type (`(): void => {`)
+      if (isPunct(t, '=>') && previous && !isPunct(previous, ')')) break;
+      if (!continued && startsLine(source, i) &&
+          !/^(\||&|\.|\[|<)$/.test(t.value)) {
+        break;
+      }
+    }
+    if (t.type === 'punct' && /^[(\[{]$/.test(t.value)) {
+      var close = source.matchingToken(i);
+      if (close === -1) break;
+      i = close + 1;
+      continue;
+    }
+    angles = Math.max(0, angles + angleDelta(t));
+    i++;
+  }
+  return i;
+}
+
+/**
+ * Names of classes a type between two token indices refers to, in order,
+ * each with whether it is `nested`: inside a function type (`(c: Config) =>
+ * void`), an object type (`{plan: Plan}`) or a tuple, rather than at the top
+ * of the type, among its generic arguments (`Array<Plan>`), as its array
+ * elements (`Binding[]`) or as the values of an index signature (`{[id:
+ * string]: Binding}`)
+ *
+ * @return {Array<{name: string, nested: boolean}>} a name is given once, not
+ *   nested if it appears so anywhere
+ */
+function typeNames(source, first, end, classNames) {
+  var tokens = source.tokens;
+  var names = [];
+  var add = function(name, nested) {
+    var known = names.find(function(entry) {
+      return entry.name === name;
+    });
+    if (!known) names.push({ name: name, nested: nested });
+    else if (!nested) known.nested = false;
+  };
+  var scan = function(i, stop, nested) {
+    while (i < stop) {
+      var t = tokens[i];
+      var close = t.type === 'punct' && /^[(\[{]$/.test(t.value) ?
+        source.matchingToken(i) : -1;
+      if (close === -1 || close > stop) {
+        if (isName(t) && classNames.has(t.value) &&
+            !isPunct(tokens[i - 1], '.') && !isPunct(tokens[i + 1], '.')) {
+          add(t.value, nested);
+        }
+        i++;
+      } else if (isPunct(t, '(') && isPunct(tokens[close + 1], '=>')) {
+        // The parameters and the return type of a function type
+        scan(i + 1, close, true);
+        scan(close + 2, stop, true);
+        return;
+      } else if (isPunct(t, '{') && isPunct(tokens[i + 1], '[') &&
+          isPunct(tokens[source.matchingToken(i + 1) + 1], ':')) {
+        var value = source.matchingToken(i + 1) + 2;
+        var valueEnd = typeEnd(source, value, close);
+        scan(value, valueEnd, nested);
+        scan(valueEnd, close, true);
+        i = close + 1;
+      } else {
+        scan(i + 1, close, nested || !isPunct(t, '('));
+        i = close + 1;
+      }
+    }
+  };
+  scan(first, end, false);
+  return names;
+}
+
+/**
+ * Constraints of the type parameters at the `<` of token `open`
+ * (`<T extends Config>`)
+ *
+ * @return {Array<Object>} as the `types` of classMembers
+ */
+function typeConstraints(source, open) {
+  var tokens = source.tokens;
+  var close = skipAngles(tokens, open) - 1;
+  var result = [];
+  for (var i = open + 1; i < close; i++) {
+    if (isName(tokens[i]) && tokens[i].value === 'extends' &&
+        (isPunct(tokens[i - 2], ',') || i - 2 === open)) {
+      var end = typeEnd(source, i + 1, close);
+      if (end > i + 1) {
+        result.push({
+          field: null,
+          index: i + 1,
+          typeStart: i + 1,
+          typeEnd: end
+        });
+      }
+      i = end - 1;
+    }
+  }
+  return result;
+}
+
+/**
+ * Index just past the `<...>` starting at token `i`
+ */
+function skipAngles(tokens, i) {
+  var depth = 0;
+  do {
+    depth += angleDelta(tokens[i]);
+    i++;
+  } while (i < tokens.length && depth > 0);
+  return i;
+}
+
+/**
+ * Finds the class declarations of a TypeScript file, with their type
+ * parameters (`class Stream<T>`) and `implements` clauses
+ *
+ * @param {SourceFile} source
+ * @return {Array<Object>} `{name, superClass, start, end, bodyStart,
+ *   bodyEnd}` as in structure.findClasses; `superClass` is the extended
+ *   class without its type arguments
+ */
+function findClasses(source) {
+  var tokens = source.tokens;
+  var classes = [];
+  for (var i = 0; i < tokens.length; i++) {
+    if (!isName(tokens[i]) || tokens[i].value !== 'class' ||
+        isPunct(tokens[i - 1], '.') || !isName(tokens[i + 1])) {
+      continue;
+    }
+    var name = tokens[i + 1].value;
+    var k = i + 2;
+    if (isPunct(tokens[k], '<')) k = skipAngles(tokens, k);
+    var superClass = null;
+    if (tokens[k] && tokens[k].value === 'extends') {
+      var first = ++k;
+      while (isName(tokens[k]) || isPunct(tokens[k], '.')) k++;
+      superClass = source.text.slice(tokens[first].start, tokens[k - 1].end);
+      if (isPunct(tokens[k], '<')) k = skipAngles(tokens, k);
+    }
+    if (tokens[k] && tokens[k].value === 'implements') {
+      while (tokens[k] && !isPunct(tokens[k], '{')) k++;
+    }
+    if (!isPunct(tokens[k], '{')) continue;
+    var close = source.matchingToken(k);
+    if (close === -1) continue;
+    classes.push({
+      name: name,
+      superClass: superClass,
+      start: source.position(tokens[i].start),
+      end: source.position(tokens[close].start),
+      bodyStart: k,
+      bodyEnd: close
+    });
+  }
+  return classes;
+}
+
+/**
+ * Index just past an initializer (`= value`) starting at token `i`: its end
+ * is a `;`, the end of the class body, or a line starting a new member
+ */
+function initializerEnd(source, i, limit) {
+  var tokens = source.tokens;
+  for (i++; i < limit; i++) {
+    var t = tokens[i];
+    if (isPunct(t, ';')) return i + 1;
+    if (t.type === 'punct' && /^[(\[{]$/.test(t.value)) {
+      var close = source.matchingToken(i);
+      if (close === -1) return limit;
+      i = close;
+    } else if (startsLine(source, i) && (isName(t) || isPunct(t, '@')) &&
+        /^(name|string|number|template|regex)$|^[)\]}]$/.test(
+          tokens[i - 1].type === 'punct' ? tokens[i - 1].value :
+            tokens[i - 1].type)) {
+      return i;
+    }
+  }
+  return limit;
+}
+
+/**
+ * Index just past the decorators (`@Inject('Katana')`) at token `i`
+ */
+function skipDecorators(source, i) {
+  var tokens = source.tokens;
+  while (isPunct(tokens[i], '@')) {
+    i++;
+    while (isName(tokens[i]) || isPunct(tokens[i], '.')) i++;
+    if (isPunct(tokens[i], '(')) i = source.matchingToken(i) + 1;
+  }
+  return i;
+}
+
+/**
+ * Typed parameters between the parentheses at tokens `open` and `close`
+ *
+ * @return {Array<{name: string|null, index: number, property: boolean,
+ *   typeStart: number, typeEnd: number}>} `property` for the parameter
+ *   properties of a constructor (`private config: Config`)
+ */
+function parameters(source, open, close) {
+  var tokens = source.tokens;
+  var result = [];
+  var i = open + 1;
+  while (i < close) {
+    i = skipDecorators(source, i);
+    var property = false;
+    while (isName(tokens[i]) && PROPERTY_MODIFIERS.indexOf(tokens[i].value) !==
+        -1 && (isName(tokens[i + 1]) || isPunct(tokens[i + 1], '{'))) {
+      property = true;
+      i++;
+    }
+    if (isPunct(tokens[i], '...')) i++;
+    var index = i;
+    var name = isName(tokens[i]) ? tokens[i].value : null;
+    if (!name && /^[\[{]$/.test(tokens[i].value)) {
+      i = source.matchingToken(i);
+    }
+    i++;
+    if (isPunct(tokens[i], '?')) i++;
+    if (isPunct(tokens[i], ':')) {
+      var end = typeEnd(source, i + 1, close);
+      if (name !== 'this') {
+        result.push({
+          name: name,
+          index: index,
+          property: property,
+          typeStart: i + 1,
+          typeEnd: end
+        });
+      }
+      i = end;
+    }
+    // Default value
+    while (i < close && !isPunct(tokens[i], ',')) {
+      if (/^[(\[{]$/.test(tokens[i].value)) i = source.matchingToken(i);
+      i++;
+    }
+    i++;
+  }
+  return result;
+}
+
+/**
+ * Types of the signature whose parameters open at token `open`: those of
+ * the parameters and the return type
+ *
+ * @return {{types: Array<Object>, end: number}|null} `types` as in
+ *   classMembers, `end` the index just past the signature
+ */
+function signature(source, open, limit) {
+  var tokens = source.tokens;
+  var close = source.matchingToken(open);
+  if (close === -1) return null;
+  var types = parameters(source, open, close).map(function(param) {
+    return {
+      field: param.property ? param.name : null,
+      index: param.index,
+      typeStart: param.typeStart,
+      typeEnd: param.typeEnd
+    };
+  });
+  var i = close + 1;
+  if (isPunct(tokens[i], ':')) {
+    var end = typeEnd(source, i + 1, limit);
+    types.push({ field: null, index: i + 1, typeStart: i + 1, typeEnd: end });
+    i = end;
+  }
+  return { types: types, end: i };
+}
+
+/**
+ * Types of the arrow function a property is initialized with (`arrow =
+ * async <T extends Plan>(c: Config): void => {...}`), starting at token `i`
+ */
+function arrowTypes(source, i, limit) {
+  var tokens = source.tokens;
+  if (isName(tokens[i]) && tokens[i].value === 'async') i++;
+  var constraints = [];
+  if (isPunct(tokens[i], '<')) {
+    constraints = typeConstraints(source, i);
+    i = skipAngles(tokens, i);
+  }
+  if (!isPunct(tokens[i], '(')) return [];
+  var signed = signature(source, i, limit);
+  if (!signed || !isPunct(tokens[signed.end], '=>')) return [];
+  return constraints.concat(signed.types);
+}
+
+/**
+ * Members of a class body with their explicit types
+ *
+ * @return {Array<{name: string|null, index: number, kind: string,
+ *   hasBody: boolean, types: Array<Object>}>} `kind` is `property` or
+ *   `method`; `types` lists `{field, index, typeStart, typeEnd}` for each
+ *   annotation, `field` being set for the attributes
+ */
+function classMembers(source, cls) {
+  var tokens = source.tokens;
+  var members = [];
+  var i = cls.bodyStart + 1;
+  while (i < cls.bodyEnd) {
+    if (isPunct(tokens[i], ';') || isPunct(tokens[i], ',')) {
+      i++;
+      continue;
+    }
+    i = skipDecorators(source, i);
+    while (isName(tokens[i]) && MODIFIERS.indexOf(tokens[i].value) !== -1 &&
+        !/^[(:=;?!<]$/.test(tokens[i + 1] && tokens[i + 1].value)) {
+      i++;
+    }
+    var index = i;
+    var name = null;
+    if (isPunct(tokens[i], '[')) {
+      i = source.matchingToken(i) + 1;
+    } else {
+      name = tokens[i].value.replace(/^['"]|['"]$/g, '');
+      i++;
+    }
+    if (isPunct(tokens[i], '?') || isPunct(tokens[i], '!')) i++;
+    var constraints = [];
+    if (isPunct(tokens[i], '<')) {
+      constraints = typeConstraints(source, i);
+      i = skipAngles(tokens, i);
+    }
+
+    var member = {
+      name: name,
+      index: index,
+      kind: 'property',
+      hasBody: false,
+      types: []
+    };
+    if (isPunct(tokens[i], '(')) {
+      var signed = signature(source, i, cls.bodyEnd);
+      if (!signed) break;
+      member.kind = 'method';
+      member.types = constraints.concat(signed.types);
+      i = signed.end;
+      if (isPunct(tokens[i], '{')) {
+        member.hasBody = true;
+        i = source.matchingToken(i) + 1;
+      }
+    } else {
+      if (isPunct(tokens[i], ':')) {
+        var typeStop = typeEnd(source, i + 1, cls.bodyEnd);
+        // `[key: string]: T` declares no attribute
+        if (name !== null) {
+          member.types.push({
+            field: name,
+            index: index,
+            typeStart: i + 1,
+            typeEnd: typeStop
+          });
+        }
+        i = typeStop;
+      }
+      if (isPunct(tokens[i], '=')) {
+        member.types = member.types.concat(arrowTypes(source, i + 1,
+          cls.bodyEnd));
+        i = initializerEnd(source, i, cls.bodyEnd);
+      }
+    }
+    if (i === index) i++;
+    members.push(member);
+  }
+  return members;
+}
+
+/**
+ * Multiplicity of an attribute of a type: `*` for arrays (`Binding[]`,
+ * `Array<Binding>`), maps, sets and index signatures, `0..1` when `null` or
+ * `undefined` is among its members, `1` otherwise
+ */
+function typeMultiplicity(text) {
+  if (/\[\]$|^(ReadonlyArray|Array|Map|Set|WeakMap|WeakSet|Record)\s*</
+    .test(text) || /^\{\s*\[[^\]]*:[^\]]*\]\s*:/.test(text)) {
+    return '*';
+  }
+  return /(^|\|)\s*(null|undefined)\s*(\||$)/.test(text) ? '0..1' : '1';
+}
+
+/**
+ * References of the classes of one TypeScript file
+ *
+ * @param {SourceFile} source
+ * @param {Set<string>} classNames classes of the system
+ * @return {{classes: Array<Object>, references: Array<Object>}} see
+ *   findClasses and extract.extractDependencies
+ */
+function extractTypes(source, classNames) {
+  var tokens = source.tokens;
+  var classes = findClasses(source);
+  var references = [];
+  classes.forEach(function(cls) {
+    var members = classMembers(source, cls);
+    var implemented = new Set(members.filter(function(member) {
+      return member.hasBody;
+    }).map(function(member) {
+      return member.name;
+    }));
+    members.forEach(function(member) {
+      // Overload signatures are erased, only the implementation remains
+      if (member.kind === 'method' && !member.hasBody &&
+          implemented.has(member.name)) {
+        return;
+      }
+      member.types.forEach(function(annotation) {
+        var text = source.text.slice(tokens[annotation.typeStart].start,
+          tokens[annotation.typeEnd - 1].end);
+        var located = annotation.index === annotation.typeStart ?
+          { first: annotation.typeStart, last: annotation.typeEnd - 1 } :
+          { first: annotation.index, last: annotation.index };
+        typeNames(source, annotation.typeStart, annotation.typeEnd,
+          classNames).forEach(function(named) {
+          if (named.name === cls.name) return;
+          // Only the attribute's own class is associated, not those of the
+          // functions or objects it holds
+          var field = named.nested ? null : annotation.field;
+          references.push({
+            from: cls.name,
+            to: named.name,
+            kind: field ? 'association' : 'uses',
+            field: field,
+            multiplicity: field ? typeMultiplicity(text) : null,
+            helper: null,
+            file: source.file ? path.basename(source.file) : null,
+            start: source.position(tokens[located.first].start),
+            end: source.position(tokens[located.last].end - 1),
+            type: text
+          });
+        });
+      });
+    });
+  });
+  return {
+    file: source.file,
+    classes: classes.map(function(cls) {
+      return {
+        name: cls.name,
+        start: cls.start,
+        end: cls.end,
+        superClass: cls.superClass
+      };
+    }),
+    references: references
+  };
+}
+
+/**
+ * TypeScript sources under a list of files and directories, leaving out
+ * declaration files (`.d.ts`) unless asked for and `node_modules`
+ *
+ * @param {Array<string>} paths
+ * @param {boolean} [declarations]
+ * @return {Array<string>}
+ */
+function listSources(paths, declarations) {
+  var files = [];
+  var visit = function(file) {
+    if (fs.statSync(file).isDirectory()) {
+      if (path.basename(file) === 'node_modules') return;
+      fs.readdirSync(file).sort().forEach(function(name) {
+        visit(path.join(file, name));
+      });
+    } else if (/\.tsx?$/.test(file) &&
+        (declarations || !/\.d\.ts$/.test(file))) {
+      files.push(file);
+    }
+  };
+  paths.forEach(visit);
+  return files;
+}
+
+/**
+ * Builds the oracle of a system from its TypeScript sources
+ *
+ * @param {Array<string>} files
+ * @return {{classes: Array<Object>, references: Array<Object>}} the classes
+ *   carry their `file`
+ */
+function buildOracle(files) {
+  var sources = files.map(scanner.readSource);
+  var classNames = new Set();
+  sources.forEach(function(source) {
+    findClasses(source).forEach(function(cls) {
+      classNames.add(cls.name);
+    });
+  });
+  var result = { classes: [], references: [] };
+  sources.forEach(function(source) {
+    var extracted = extractTypes(source, classNames);
+    extracted.classes.forEach(function(cls) {
+      result.classes.push(Object.assign({ file: source.file }, cls));
+    });
+    result.references = result.references.concat(extracted.references);
+  });
+  return result;
+}
+
+module.exports = {
+  findClasses: findClasses,
+  typeEnd: typeEnd,
+  extractTypes: extractTypes,
+  listSources: listSources,
+  buildOracle: buildOracle
+};
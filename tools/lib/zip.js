@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * Minimal ZIP reader, enough to open the OpenDocument spreadsheets of the
+ * dataset (`DependenciesMap-*.ods`) with Node's own zlib.
+ */
+
+var fs = require('fs');
+var zlib = require('zlib');
+
+var END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+var CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+var LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Lists the entries of a ZIP archive
+ *
+ * @param {Buffer} buffer
+ * @return {Array<{name: string, method: number, compressedSize: number,
+ *   offset: number}>}
+ */
+function listEntries(buffer) {
+  var eocd = -1;
+  // The record is 22 bytes, followed by a comment of at most 65535 bytes
+  var lowest = Math.max(0, buffer.length - 22 - 65535);
+  for (var i = buffer.length - 22; i >= lowest; i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Not a ZIP archive');
+
+  var count = buffer.readUInt16LE(eocd + 10);
+  var offset = buffer.readUInt32LE(eocd + 16);
+  var entries = [];
+  for (var n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    var nameLength = buffer.readUInt16LE(offset + 28);
+    var extraLength = buffer.readUInt16LE(offset + 30);
+    var commentLength = buffer.readUInt16LE(offset + 32);
+    entries.push({
+      name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      offset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Reads one entry of a ZIP archive
+ *
+ * @param {Buffer|string} archive buffer or path of the archive
+ * @param {string} name
+ * @return {Buffer}
+ */
+function readEntry(archive, name) {
+  var buffer = Buffer.isBuffer(archive) ? archive : fs.readFileSync(archive);
+  var entry = listEntries(buffer).find(function(e) {
+    return e.name === name;
+  });
+  if (!entry) throw new Error('No entry "' + name + '" in ZIP archive');
+
+  var header = entry.offset;
+  if (buffer.readUInt32LE(header) !== LOCAL_FILE_HEADER) {
+    throw new Error('Corrupt ZIP local header for "' + name + '"');
+  }
+  var start = header + 30 + buffer.readUInt16LE(header + 26) +
+    buffer.readUInt16LE(header + 28);
+  var data = buffer.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return zlib.inflateRawSync(data);
+  throw new Error('Unsupported ZIP compression method ' + entry.method);
+}
+
+module.exports = {
+  listEntries: listEntries,
+  readEntry: readEntry
+};
@@ -0,0 +1,397 @@
+// Script of the explorer pages written by explorer.js, inlined after the
+// graph data (see lib/explorer.js)
+(function() {
+  'use strict';
+
+  var SVG = 'http://www.w3.org/2000/svg';
+  var KINDS = ['association', 'uses', 'mixin'];
+  var STATUS_TEXT = {
+    both: 'in the oracle',
+    extraction: 'not in the oracle',
+    oracle: 'only in the oracle'
+  };
+  // Iterations of the force-directed layout
+  var TICKS = 300;
+  // Pull towards the center, which keeps the classes without dependencies
+  // close to the others
+  var GRAVITY = 0.5;
+
+  var data = JSON.parse(document.getElementById('data').textContent);
+  var classes = {};
+  data.classes.forEach(function(cls) {
+    classes[cls.name] = cls;
+  });
+  var selected = null;
+
+  function element(tag, attributes, text) {
+    var node = document.createElement(tag);
+    Object.keys(attributes || {}).forEach(function(name) {
+      node.setAttribute(name, attributes[name]);
+    });
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function svgElement(tag, attributes) {
+    var node = document.createElementNS(SVG, tag);
+    Object.keys(attributes || {}).forEach(function(name) {
+      node.setAttribute(name, attributes[name]);
+    });
+    return node;
+  }
+
+  function position(pos) {
+    return pos.line + ':' + pos.column;
+  }
+
+  // Counts
+
+  (function() {
+    var text = data.classes.length + ' classes, ' + data.edges.filter(
+      function(edge) {
+        return edge.status !== 'oracle';
+      }).length + ' dependencies';
+    if (data.oracle) {
+      text += ' (' + ['both', 'extraction', 'oracle'].map(function(status) {
+        return data.edges.filter(function(edge) {
+          return edge.status === status;
+        }).length + ' ' + STATUS_TEXT[status];
+      }).join(', ') + ')';
+    }
+    document.getElementById('counts').textContent = text;
+  })();
+
+  // Class list
+
+  var list = document.getElementById('classes');
+  var items = {};
+  data.classes.forEach(function(cls) {
+    var item = element('li', { title: cls.file || '' });
+    item.appendChild(element('span', { 'class': 'name' }, cls.name));
+    item.appendChild(element('span', { 'class': 'fan' },
+      cls.fanIn + ' / ' + cls.fanOut));
+    if (cls['package']) {
+      item.appendChild(element('span', { 'class': 'package' },
+        cls['package']));
+    }
+    if (!cls.extracted) item.classList.add('missing');
+    item.addEventListener('click', function() {
+      location.hash = encodeURIComponent(cls.name);
+    });
+    items[cls.name] = item;
+    list.appendChild(item);
+  });
+
+  document.getElementById('search').addEventListener('input', function() {
+    var query = this.value.trim().toLowerCase();
+    data.classes.forEach(function(cls) {
+      var text = [cls.name, cls['package'] || '', cls.file || ''].join(' ')
+        .toLowerCase();
+      items[cls.name].hidden = query !== '' && text.indexOf(query) === -1;
+    });
+  });
+
+  // Graph
+
+  var svg = document.getElementById('graph');
+  var nodes = data.classes.map(function(cls, i) {
+    var angle = 2 * Math.PI * i / data.classes.length;
+    var radius = 30 * Math.sqrt(data.classes.length);
+    return {
+      name: cls.name,
+      x: radius * Math.cos(angle),
+      y: radius * Math.sin(angle),
+      dx: 0,
+      dy: 0
+    };
+  });
+  var nodeIndex = {};
+  nodes.forEach(function(node, i) {
+    nodeIndex[node.name] = i;
+  });
+  var links = data.edges.filter(function(edge) {
+    return edge.from !== edge.to && edge.from in nodeIndex &&
+      edge.to in nodeIndex;
+  });
+
+  var defs = svgElement('defs');
+  var marker = svgElement('marker', { id: 'arrow', viewBox: '0 0 10 10',
+    refX: 18, refY: 5, markerWidth: 6, markerHeight: 6,
+    orient: 'auto-start-reverse' });
+  marker.appendChild(svgElement('path', { d: 'M 0 0 L 10 5 L 0 10 z' }));
+  defs.appendChild(marker);
+  svg.appendChild(defs);
+  var linkLayer = svgElement('g');
+  var nodeLayer = svgElement('g');
+  svg.appendChild(linkLayer);
+  svg.appendChild(nodeLayer);
+
+  var lines = links.map(function(edge) {
+    var line = svgElement('line', { 'class': 'link ' + edge.kind + ' ' +
+      (edge.status || ''), 'marker-end': 'url(#arrow)' });
+    var title = svgElement('title');
+    title.textContent = edge.from + ' -> ' + edge.to + ' (' + edge.kind +
+      ', ' + edge.count + ')';
+    line.appendChild(title);
+    linkLayer.appendChild(line);
+    return line;
+  });
+  var circles = nodes.map(function(node) {
+    var group = svgElement('g', { 'class': 'node' +
+      (classes[node.name].extracted ? '' : ' missing') });
+    group.appendChild(svgElement('circle', { r: 6 }));
+    var label = svgElement('text', { x: 9, y: 4 });
+    label.textContent = node.name;
+    group.appendChild(label);
+    group.addEventListener('click', function() {
+      location.hash = encodeURIComponent(node.name);
+    });
+    nodeLayer.appendChild(group);
+    return group;
+  });
+
+  function draw() {
+    lines.forEach(function(line, i) {
+      var from = nodes[nodeIndex[links[i].from]];
+      var to = nodes[nodeIndex[links[i].to]];
+      line.setAttribute('x1', from.x);
+      line.setAttribute('y1', from.y);
+      line.setAttribute('x2', to.x);
+      line.setAttribute('y2', to.y);
+    });
+    circles.forEach(function(group, i) {
+      group.setAttribute('transform',
+        'translate(' + nodes[i].x + ',' + nodes[i].y + ')');
+    });
+    var xs = nodes.map(function(node) {
+      return node.x;
+    });
+    var ys = nodes.map(function(node) {
+      return node.y;
+    });
+    var left = Math.min.apply(null, xs) - 20;
+    var top = Math.min.apply(null, ys) - 20;
+    svg.setAttribute('viewBox', [left, top,
+      Math.max.apply(null, xs) - left + 160,
+      Math.max.apply(null, ys) - top + 20].join(' '));
+  }
+
+  // Repulsion between every pair of classes, springs along dependencies
+  // and a pull towards the center, cooling down over the ticks
+  function tick(temperature) {
+    var spring = 60;
+    nodes.forEach(function(node) {
+      node.dx = -node.x * GRAVITY;
+      node.dy = -node.y * GRAVITY;
+    });
+    for (var i = 0; i < nodes.length; i++) {
+      for (var j = i + 1; j < nodes.length; j++) {
+        var dx = nodes[i].x - nodes[j].x;
+        var dy = nodes[i].y - nodes[j].y;
+        var distance2 = Math.max(dx * dx + dy * dy, 1);
+        var force = spring * spring / distance2;
+        nodes[i].dx += dx * force;
+        nodes[i].dy += dy * force;
+        nodes[j].dx -= dx * force;
+        nodes[j].dy -= dy * force;
+      }
+    }
+    links.forEach(function(edge) {
+      var from = nodes[nodeIndex[edge.from]];
+      var to = nodes[nodeIndex[edge.to]];
+      var dx = to.x - from.x;
+      var dy = to.y - from.y;
+      var distance = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+      var force = (distance - spring) / distance * 0.1;
+      from.dx += dx * force;
+      from.dy += dy * force;
+      to.dx -= dx * force;
+      to.dy -= dy * force;
+    });
+    nodes.forEach(function(node) {
+      var length = Math.sqrt(node.dx * node.dx + node.dy * node.dy);
+      var step = Math.min(length, temperature) / (length || 1);
+      node.x += node.dx * step;
+      node.y += node.dy * step;
+    });
+  }
+
+  var ticks = 0;
+  function animate() {
+    for (var k = 0; k < 5 && ticks < TICKS; k++, ticks++) {
+      tick(30 * (1 - ticks / TICKS) + 1);
+    }
+    draw();
+    if (ticks < TICKS) requestAnimationFrame(animate);
+  }
+  draw();
+  requestAnimationFrame(animate);
+
+  function highlight() {
+    var neighbors = {};
+    links.forEach(function(edge, i) {
+      var touches = edge.from === selected || edge.to === selected;
+      lines[i].classList.toggle('faded', !!selected && !touches);
+      if (touches) {
+        neighbors[edge.from] = true;
+        neighbors[edge.to] = true;
+      }
+    });
+    circles.forEach(function(group, i) {
+      var name = nodes[i].name;
+      group.classList.toggle('selected', name === selected);
+      group.classList.toggle('faded', !!selected && !neighbors[name] &&
+        name !== selected);
+    });
+    Object.keys(items).forEach(function(name) {
+      items[name].classList.toggle('selected', name === selected);
+    });
+  }
+
+  // Class panel
+
+  function snippetElement(entry) {
+    var pre = element('pre', { 'class': 'snippet' });
+    entry.snippet.lines.forEach(function(text, i) {
+      var number = entry.snippet.first + i;
+      var row = element('span', { 'class': 'line' });
+      row.appendChild(element('span', { 'class': 'number' }, number));
+      var from = number === entry.start.line ? entry.start.column - 1 : 0;
+      var to = number === entry.end.line ? entry.end.column : text.length;
+      if (number < entry.start.line || number > entry.end.line) {
+        from = to = 0;
+      }
+      row.appendChild(document.createTextNode(text.slice(0, from)));
+      if (to > from) {
+        row.appendChild(element('mark', {}, text.slice(from, to)));
+      }
+      row.appendChild(document.createTextNode(text.slice(Math.max(from, to))));
+      pre.appendChild(row);
+      pre.appendChild(document.createTextNode('\n'));
+    });
+    return pre;
+  }
+
+  function evidenceElement(entry) {
+    var item = element('li');
+    var where = (entry.file || '?') + ':' + position(entry.start) + '-' +
+      position(entry.end);
+    var origin = entry.provenance;
+    if (origin && origin.file) {
+      where += ' (' + origin.file + ':' + origin.line + ')';
+    } else if (origin && origin.kind !== 'source') {
+      where += ' (' + origin.kind + ')';
+    }
+    var header = element('div', { 'class': 'where' });
+    header.appendChild(element('span', {}, where));
+    if (entry.field) {
+      header.appendChild(element('span', { 'class': 'field' },
+        'field ' + entry.field));
+    }
+    var split = [entry.union ? 'union member' : '',
+      entry.intersection ? 'intersection member' : '',
+      entry.split ? 'unwrapped' : ''].filter(Boolean);
+    if (split.length) {
+      header.appendChild(element('span', { 'class': 'union' },
+        split.join(', ')));
+    }
+    item.appendChild(header);
+    item.appendChild(element('code', { 'class': 'type' },
+      entry.type || '(no type)'));
+    if (entry.snippet) item.appendChild(snippetElement(entry));
+    return item;
+  }
+
+  function edgeElement(edge, other) {
+    var details = element('details', { 'class': 'edge ' +
+      (edge.status || '') });
+    var summary = element('summary');
+    var link = element('a', { href: '#' + encodeURIComponent(other) },
+      other);
+    summary.appendChild(link);
+    summary.appendChild(document.createTextNode(' ' + edge.kind + ' ×' +
+      edge.count + (edge.multiplicity ? ' [' + edge.multiplicity + ']' : '') +
+      (edge.fields && edge.fields.length ?
+        ' (' + edge.fields.join(', ') + ')' : '') +
+      (edge.union ? ' via unions' : '')));
+    if (edge.status) {
+      summary.appendChild(element('span', { 'class': 'status' },
+        STATUS_TEXT[edge.status]));
+    }
+    details.appendChild(summary);
+    // References are only laid out once opened, Graphics has hundreds
+    details.addEventListener('toggle', function() {
+      if (!details.open || details.childNodes.length > 1) return;
+      var evidence = element('ol', { 'class': 'evidence' });
+      edge.evidence.forEach(function(entry) {
+        evidence.appendChild(evidenceElement(entry));
+      });
+      if (!edge.evidence.length) {
+        evidence.appendChild(element('li', {}, 'No reference recorded'));
+      }
+      details.appendChild(evidence);
+    });
+    return details;
+  }
+
+  function edgeSection(title, edges, otherEnd) {
+    var section = element('div', { 'class': 'edges' });
+    section.appendChild(element('h3', {}, title + ' (' + edges.length + ')'));
+    edges.sort(function(a, b) {
+      return KINDS.indexOf(a.kind) - KINDS.indexOf(b.kind) ||
+        (otherEnd(a) < otherEnd(b) ? -1 : otherEnd(a) > otherEnd(b) ? 1 : 0);
+    }).forEach(function(edge) {
+      section.appendChild(edgeElement(edge, otherEnd(edge)));
+    });
+    return section;
+  }
+
+  function showClass(name) {
+    var panel = document.getElementById('panel');
+    panel.textContent = '';
+    var cls = classes[name];
+    selected = cls ? name : null;
+    highlight();
+    if (!cls) {
+      panel.appendChild(element('p', { 'class': 'hint' },
+        'Select a class in the list or the graph.'));
+      return;
+    }
+    panel.appendChild(element('h2', {}, cls.name));
+    var facts = element('dl');
+    var fact = function(term, value) {
+      if (value === null || value === undefined || value === '') return;
+      facts.appendChild(element('dt', {}, term));
+      facts.appendChild(element('dd', {}, value));
+    };
+    fact('File', cls.file && cls.start ? cls.file + ':' + cls.start.line +
+      '-' + cls.end.line : cls.file);
+    fact('Extends', cls.superClass);
+    fact('Package', cls['package']);
+    fact('Fan-in / fan-out', cls.fanIn + ' / ' + cls.fanOut);
+    if (cls.members) {
+      fact('Fields', cls.members.fields.join(', '));
+      fact('Methods', cls.members.methods.join(', '));
+    }
+    if (!cls.extracted) fact('Extraction', 'none, only in the oracle');
+    panel.appendChild(facts);
+    panel.appendChild(edgeSection('Depends on', data.edges.filter(
+      function(edge) {
+        return edge.from === name;
+      }), function(edge) {
+      return edge.to;
+    }));
+    panel.appendChild(edgeSection('Used by', data.edges.filter(
+      function(edge) {
+        return edge.to === name;
+      }), function(edge) {
+      return edge.from;
+    }));
+  }
+
+  function fromHash() {
+    showClass(decodeURIComponent(location.hash.slice(1)));
+  }
+  window.addEventListener('hashchange', fromHash);
+  fromHash();
+})();
@@ -0,0 +1,82 @@
+'use strict';
+
+var assert = require('assert/strict');
+var test = require('node:test');
+var compare = require('../lib/compare');
+var dump = require('../lib/dump');
+
+function entry(range, type) {
+  return dump.parseLine('tree-flow.js:' + range + ': ' + type);
+}
+
+function reference(kind, range, split) {
+  return Object.assign(entry(range, split ? '?Node' : 'Node'),
+    { from: 'Tree', to: 'Node', kind: kind, split: split });
+}
+
+function totals() {
+  var counts = {};
+  ['association', 'uses', 'combined'].forEach(function(kind) {
+    counts[kind] = { tp: 0, fp: 0, fn: 0, splitTp: 0 };
+  });
+  return counts;
+}
+
+var TREE = {
+  name: 'Tree',
+  superClasses: [],
+  cells: [{
+    to: 'Node',
+    kind: 'uses',
+    count: 3,
+    evidence: [entry('1:1', 'Node'), entry('2:1', '?Node'),
+      entry('3:1', 'Node')]
+  }, {
+    to: 'Node',
+    kind: 'association',
+    count: 2,
+    evidence: [entry('5:1', 'Node')]
+  }]
+};
+
+test('compareClass matches references by location', function() {
+  var counts = totals();
+  var result = { falseNegatives: [], falsePositives: [], ignored: 0 };
+  compare.compareClass(TREE, [
+    reference('uses', '1:1', false),
+    reference('uses', '2:1', true),
+    reference('uses', '4:1', false),
+    reference('association', '5:1', false),
+    // Credited to the association the comment does not list
+    reference('association', '6:1', true),
+    Object.assign(reference('uses', '7:1', false), { to: 'Other' })
+  ], new Set(['Tree', 'Node']), counts, result);
+
+  assert.deepEqual(counts.uses, { tp: 2, fp: 1, fn: 1, splitTp: 1 });
+  assert.deepEqual(counts.association, { tp: 2, fp: 0, fn: 0, splitTp: 1 });
+  assert.equal(result.ignored, 1);
+  assert.deepEqual(result.falseNegatives.map(dump.formatRange), ['3:1']);
+  assert.deepEqual(result.falsePositives.map(dump.formatRange), ['4:1']);
+});
+
+test('a comment listing more entries than its count is believed',
+  function() {
+    var counts = totals();
+    var result = { falseNegatives: [], falsePositives: [], ignored: 0 };
+    var shape = Object.assign({}, TREE, { cells: [Object.assign({},
+      TREE.cells[0], { count: 2 })] });
+    compare.compareClass(shape, [reference('uses', '1:1', false)],
+      new Set(['Tree', 'Node']), counts, result);
+    assert.equal(counts.uses.fn, 2);
+    assert.equal(result.falseNegatives.length, 2);
+  });
+
+test('rates give the recall brought by splitting', function() {
+  var rates = compare.rates({ tp: 3, fp: 1, fn: 1, splitTp: 1 });
+  assert.equal(rates.precision, 0.75);
+  assert.equal(rates.recall, 0.75);
+  assert.equal(rates.splitRecall, 0.25);
+  var none = compare.rates({ tp: 0, fp: 0, fn: 0, splitTp: 0 });
+  assert.equal(none.recall, null);
+  assert.equal(none.splitRecall, null);
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+var assert = require('assert/strict');
+var test = require('node:test');
+var constructors = require('../lib/constructors');
+var dump = require('../lib/dump');
+var scanner = require('../lib/scanner');
+
+// The ES5 classes of algorithms.js and socket.io, a capitalized function
+// assigning fields, a helper and a `class` declaration
+var SOURCE = [
+  'function MinHeap(compare) {',
+  '  this._elements = [null];',
+  '  this._comparator = compare;',
+  '}',
+  'MinHeap.prototype.isEmpty = function() {',
+  '  return this._elements.length === 1;',
+  '};',
+  'MinHeap.prototype.insert = function(e) {',
+  '  this._last = e;',
+  '};',
+  '',
+  'function MaxHeap(compare) {',
+  '  MinHeap.call(this, compare);',
+  '  this._max = true;',
+  '}',
+  'MaxHeap.prototype = new MinHeap();',
+  '',
+  'function Socket(nsp) {',
+  '  this.nsp = nsp;',
+  '}',
+  'Socket.prototype.__proto__ = Emitter.prototype;',
+  'Object.assign(Socket.prototype, {',
+  '  join: function() {},',
+  '  leave: function() {}',
+  '});',
+  '',
+  'function Point(x) {',
+  '  this.x = x;',
+  '}',
+  '',
+  'function helper() {',
+  '  return 1;',
+  '}',
+  '',
+  'class Graph {',
+  '}'
+].join('\n') + '\n';
+
+function findConstructors() {
+  return constructors.findConstructors(
+    new scanner.SourceFile(SOURCE, 'heap-flow.js'), ['Graph']);
+}
+
+test('findConstructors finds the legacy classes and their members',
+  function() {
+    assert.deepEqual(findConstructors().map(function(cls) {
+      return [cls.name, dump.formatRange(cls), String(cls.superClass),
+        cls.fields.join(','), cls.allFields.join(','),
+        cls.methods.join(',')].join(' ');
+    }), [
+      'MinHeap 1:1,4:1 null _elements,_comparator ' +
+        '_elements,_comparator,_last isEmpty,insert',
+      'MaxHeap 12:1,15:1 MinHeap _max _max ',
+      'Socket 18:1,20:1 Emitter nsp nsp join,leave',
+      'Point 27:1,29:1 null x x '
+    ]);
+  });
+
+test('findConstructors gives the parts filling in a prototype', function() {
+  var parts = findConstructors().map(function(cls) {
+    return cls.name + ' ' + cls.parts.map(dump.formatRange).join(' ');
+  });
+  // Neither `MaxHeap.prototype = new MinHeap()` nor `__proto__` are code
+  // of the class
+  assert.deepEqual(parts, [
+    'MinHeap 1:1,4:1 5:1,7:2 8:1,10:2',
+    'MaxHeap 12:1,15:1',
+    'Socket 18:1,20:1 22:1,25:2',
+    'Point 27:1,29:1'
+  ]);
+});
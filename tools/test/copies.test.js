@@ -0,0 +1,83 @@
+'use strict';
+
+var assert = require('assert/strict');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('node:test');
+var copies = require('../lib/copies');
+var scanner = require('../lib/scanner');
+var structure = require('../lib/structure');
+
+var MIN_HEAP = [
+  'class MinHeap {',
+  '  insert(e) {',
+  '    this.items.push(e);',
+  '  }',
+  '  size() {',
+  '    return this.items.length;',
+  '  }',
+  '}'
+];
+
+var NODE = ['class Node {', '  constructor(value) {',
+  '    this.value = value;', '    this.next = null;', '  }', '}'];
+
+// MinHeap is flattened by heap-flow.js, copied as is (but for comments and
+// spacing) into queue-flow.js and edited in stack-flow.js; the Node of
+// list-flow.js is another class than that of stack-flow.js and tree-flow.js
+var FILES = {
+  'heap-flow.js': MIN_HEAP,
+  'queue-flow.js': ['// Inlined', 'class MinHeap {', '  insert( e ) {',
+    '    // Appends', '    this.items.push(e);', '  }', '',
+    '  size() {', '    return this.items.length;', '  }', '}',
+    'class Queue {', '}'],
+  'stack-flow.js': MIN_HEAP.slice(0, 2).concat(['    this.items.unshift(e);'],
+    MIN_HEAP.slice(3), NODE),
+  'list-flow.js': ['class Node {', '  get() {', '    return 1;', '  }', '}'],
+  'tree-flow.js': NODE
+};
+
+test('normalizedLines drops comments and spacing', function() {
+  var source = new scanner.SourceFile(FILES['queue-flow.js'].join('\n'));
+  var cls = structure.findClasses(source)[0];
+  assert.deepEqual(copies.normalizedLines(source, cls).slice(0, 3), [
+    { line: 2, text: 'class MinHeap {' },
+    { line: 3, text: 'insert ( e ) {' },
+    { line: 5, text: 'this . items . push ( e ) ;' }
+  ]);
+});
+
+test('lineDiff finds the lines only one side has', function() {
+  assert.deepEqual(copies.lineDiff(['a', 'b', 'c'], ['a', 'x', 'c'])
+    .map(function(op) {
+      return op.op + op.a + op.b;
+    }), ['=00', '-11', '+21', '=22']);
+  assert.deepEqual(copies.lineDiff([], ['a']), [{ op: '+', a: 0, b: 0 }]);
+});
+
+test('checkSystem reports drifted copies against the canonical one',
+  function(t) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'copies-'));
+    t.after(function() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+    Object.keys(FILES).forEach(function(name) {
+      fs.writeFileSync(path.join(dir, name), FILES[name].join('\n') + '\n');
+    });
+    var report = copies.checkSystem({ name: 'example', flowDir: dir });
+    assert.deepEqual(report.map(function(entry) {
+      return entry.name + ' ' + entry.copies + ' ' + entry.variants + ' ' +
+        entry.canonical.file;
+    }), ['MinHeap 3 2 heap-flow.js', 'Node 2 1 tree-flow.js']);
+    var drifted = report[0].drifted;
+    assert.equal(drifted.length, 1);
+    assert.equal(drifted[0].file, 'stack-flow.js');
+    assert.deepEqual(drifted[0].changes, [
+      { op: '-', line: 3, text: 'this . items . push ( e ) ;' },
+      { op: '+', line: 3, text: 'this . items . unshift ( e ) ;' }
+    ]);
+    assert.equal(drifted[0].similarity, 14 / 16);
+    assert.equal(copies.checkSystem({ name: 'example', flowDir: dir },
+      { className: 'Node' }).length, 1);
+  });
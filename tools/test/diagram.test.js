@@ -0,0 +1,86 @@
+'use strict';
+
+var assert = require('assert/strict');
+var test = require('node:test');
+var diagram = require('../lib/diagram');
+var extract = require('../lib/extract');
+
+// Part of pixi.js: two packages, and a superclass outside the graph
+function displayGraph() {
+  var reference = function(from, to, kind, field) {
+    return { from: from, to: to, kind: kind, field: field || null,
+      multiplicity: field ? '1' : null };
+  };
+  return {
+    system: 'pixi.js',
+    origin: 'extraction',
+    classes: [
+      { name: 'Container', superClass: 'DisplayObject',
+        'package': 'display' },
+      { name: 'DisplayObject', superClass: 'EventEmitter',
+        'package': 'display' },
+      { name: 'Matrix', superClass: null, 'package': 'math' },
+      { name: 'Point', superClass: null, 'package': 'math' }
+    ],
+    edges: extract.summarize([
+      reference('DisplayObject', 'Matrix', 'association', 'worldTransform'),
+      reference('Container', 'Point', 'uses'),
+      reference('Container', 'Point', 'uses'),
+      reference('Matrix', 'Point', 'uses')
+    ])
+  };
+}
+
+function names(graph) {
+  return graph.classes.map(function(cls) {
+    return cls.name;
+  });
+}
+
+test('filterGraph keeps packages or what a class reaches', function() {
+  var math = diagram.filterGraph(displayGraph(), { packages: ['math'] });
+  assert.deepEqual(names(math), ['Matrix', 'Point']);
+  assert.equal(math.edges.length, 1);
+
+  var near = diagram.filterGraph(displayGraph(),
+    { root: 'Container', depth: 1 });
+  assert.deepEqual(names(near), ['Container', 'DisplayObject', 'Point']);
+  assert.deepEqual(names(diagram.filterGraph(displayGraph(),
+    { root: 'Container' })), ['Container', 'DisplayObject', 'Matrix',
+    'Point']);
+  assert.equal(diagram.filterGraph(displayGraph(),
+    { kinds: ['association'] }).edges.length, 1);
+  assert.throws(function() {
+    diagram.filterGraph(displayGraph(), { root: 'Sprite' });
+  }, /No class Sprite in pixi\.js/);
+});
+
+test('PlantUML groups classes by package, fields in their class',
+  function() {
+    var lines = diagram.render(displayGraph(), 'plantuml').split('\n');
+    var at = function(line) {
+      return lines.indexOf(line);
+    };
+    assert.ok(at('package display {') < at('  class DisplayObject {'));
+    assert.equal(lines[at('  class DisplayObject {') + 1],
+      '    worldTransform : Matrix');
+    assert.ok(at('package math {') < at('  class Point'));
+    assert.notEqual(at('class EventEmitter <<external>>'), -1);
+    assert.notEqual(at('Container --|> DisplayObject'), -1);
+    assert.notEqual(at('DisplayObject --> "1" Matrix : worldTransform'), -1);
+    assert.notEqual(at('Container ..> Point : uses (2)'), -1);
+    assert.notEqual(at('Matrix ..> Point : uses'), -1);
+  });
+
+test('DOT and Mermaid draw the same diagram', function() {
+  var dot = diagram.render(displayGraph(), 'dot').split('\n');
+  assert.notEqual(dot.indexOf('  subgraph "cluster_math" {'), -1);
+  assert.notEqual(dot.indexOf(
+    '  "EventEmitter" [label="{EventEmitter}", style=dashed];'), -1);
+  assert.notEqual(dot.indexOf('  "Container" -> "Point" ' +
+    '[arrowhead=vee, label="uses (2)", style=dashed];'), -1);
+  var mermaid = diagram.render(displayGraph(), 'mermaid');
+  assert.match(mermaid, /^classDiagram$/m);
+  assert.match(mermaid, /^ {2}DisplayObject <\|-- Container$/m);
+  assert.match(mermaid, /^ {2}DisplayObject --> "1" Matrix : worldTransform$/m);
+});
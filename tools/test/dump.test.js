@@ -0,0 +1,54 @@
+'use strict';
+
+var assert = require('assert/strict');
+var path = require('path');
+var test = require('node:test');
+var dump = require('../lib/dump');
+
+var FIXTURE = path.join(__dirname, 'fixtures', 'graph-flow.dump');
+
+test('parseLine reads the three shapes of range', function() {
+  var entry = dump.parseLine('graph-flow.js:27:20: number');
+  assert.equal(entry.file, 'graph-flow.js');
+  assert.deepEqual(entry.start, { line: 27, column: 20 });
+  assert.deepEqual(entry.end, { line: 27, column: 20 });
+  assert.equal(entry.type, 'number');
+
+  entry = dump.parseLine('graph-flow.js:16:5-22: Node');
+  assert.deepEqual(entry.start, { line: 16, column: 5 });
+  assert.deepEqual(entry.end, { line: 16, column: 22 });
+  assert.deepEqual(entry.typeNode, { kind: 'named', name: 'Node' });
+
+  entry = dump.parseLine('graph-flow.js:14:1,20:1: [class: Node]');
+  assert.deepEqual(entry.start, { line: 14, column: 1 });
+  assert.deepEqual(entry.end, { line: 20, column: 1 });
+  assert.ok(dump.isClassDeclaration(entry));
+});
+
+test('parseLine keeps untyped entries and rejects other lines', function() {
+  var entry = dump.parseLine('graph-flow.js:15:15-19: ');
+  assert.equal(entry.type, '');
+  assert.equal(entry.typeNode.kind, 'empty');
+  assert.equal(dump.parseLine('graph-flow.js:15:15-19:\r').type, '');
+  assert.equal(dump.parseLine('Found 3 errors'), null);
+  assert.equal(dump.parseLine('graph-flow.js: string'), null);
+});
+
+test('formatRange prints ranges back as Flow does', function() {
+  ['1:1', '16:5-22', '14:1,20:1'].forEach(function(range) {
+    var line = 'a-flow.js:' + range + ': string';
+    assert.equal(dump.formatEntry(dump.parseLine(line)), line);
+  });
+});
+
+test('readDump answers position and class queries', function() {
+  var parsed = dump.readDump(FIXTURE);
+  assert.deepEqual(parsed.classDeclarations().map(function(cls) {
+    return cls.name;
+  }), ['Node', 'Graph']);
+  assert.deepEqual(parsed.at(9, 5).map(dump.formatRange), ['9:5-14']);
+  assert.equal(parsed.untyped().length, 5);
+  assert.throws(function() {
+    dump.parseDump('a-flow.js:1:1: string\nnot an entry', 'a-flow.dump');
+  }, /a-flow\.dump:2: not a dump-types entry/);
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+var assert = require('assert/strict');
+var test = require('node:test');
+var explorer = require('../lib/explorer');
+
+// Stage renders a Sprite the oracle agrees with, and a Filter it misses
+var GRAPH = {
+  system: 'pixi.js',
+  origin: 'extraction',
+  classes: [
+    { name: 'Stage', superClass: null, 'package': null },
+    { name: 'Sprite', superClass: null, 'package': null }
+  ],
+  edges: [
+    { from: 'Stage', to: 'Sprite', kind: 'uses', count: 1, evidence: [
+      { file: 'Stage-flow.js', start: { line: 4, column: 5 },
+        end: { line: 4, column: 10 }, type: 'Sprite' }
+    ] },
+    { from: 'Stage', to: 'Filter', kind: 'uses', count: 1, evidence: [
+      { file: 'Missing-flow.js', start: { line: 1, column: 1 },
+        end: { line: 1, column: 6 }, type: 'Filter' }
+    ] }
+  ]
+};
+
+var ORACLE = {
+  system: 'pixi.js',
+  origin: 'oracle',
+  classes: [
+    { name: 'Stage', superClass: null, 'package': null },
+    { name: 'Sprite', superClass: null, 'package': null },
+    { name: 'Ticker', superClass: null, 'package': null }
+  ],
+  edges: [
+    { from: 'Stage', to: 'Sprite', kind: 'uses', count: 1, evidence: [] },
+    { from: 'Stage', to: 'Ticker', kind: 'uses', count: 1, evidence: [] }
+  ]
+};
+
+var FILES = {
+  'Stage-flow.js': ['class Sprite {}', '', 'class Stage {', '  render() {',
+    '    new Sprite();', '  }', '}'].join('\n')
+};
+
+function readFile(name) {
+  return Object.prototype.hasOwnProperty.call(FILES, name) ?
+    FILES[name] : null;
+}
+
+test('explorerData marks the dependencies the oracle agrees with',
+  function() {
+    var data = explorer.explorerData(GRAPH,
+      { oracle: ORACLE, readFile: readFile, context: 1 });
+    assert.equal(data.oracle, true);
+    assert.deepEqual(data.edges.map(function(edge) {
+      return edge.to + ' ' + edge.status;
+    }), ['Sprite both', 'Filter extraction', 'Ticker oracle']);
+    assert.deepEqual(data.classes.map(function(cls) {
+      return cls.name + ' ' + cls.extracted + ' ' + cls.fanIn + ' ' +
+        cls.fanOut;
+    }), ['Sprite true 1 0', 'Stage true 0 2', 'Ticker false 0 0']);
+    assert.deepEqual(data.edges[0].evidence[0].snippet, {
+      first: 3,
+      lines: ['class Stage {', '  render() {', '    new Sprite();']
+    });
+    assert.equal(data.edges[1].evidence[0].snippet, null);
+  });
+
+test('explorerData without oracle nor files', function() {
+  var data = explorer.explorerData(GRAPH);
+  assert.equal(data.oracle, false);
+  assert.deepEqual(data.edges.map(function(edge) {
+    return edge.status;
+  }), [null, null]);
+  assert.equal(data.edges[0].evidence[0].snippet, null);
+});
+
+test('renderExplorer embeds the data safely in one page', function() {
+  var graph = Object.assign({}, GRAPH, { system: '<b>pixi</b>' });
+  var data = explorer.explorerData(graph);
+  data.edges[0].evidence[0].type = '</script><script>alert(1)';
+  var html = explorer.renderExplorer(data);
+  assert.notEqual(html.indexOf('<title>&lt;b&gt;pixi&lt;/b&gt; ' +
+    'dependencies</title>'), -1);
+  assert.equal(html.indexOf('</script><script>alert'), -1);
+  var json = /<script type="application\/json" id="data">(.*)<\/script>/
+    .exec(html)[1];
+  assert.deepEqual(JSON.parse(json), data);
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+var assert = require('assert/strict');
+var test = require('node:test');
+var dump = require('../lib/dump');
+var extract = require('../lib/extract');
+var scanner = require('../lib/scanner');
+
+// As in `BitmapText-flow.js` of pixi.js, glyphs are pushed into a field
+var SOURCE = [
+  'class Glyph {',
+  '}',
+  '',
+  'class BitmapText {',
+  '  constructor() {',
+  '    this._glyphs = [];',
+  '  }',
+  '  update() {',
+  '    var c = new Glyph();',
+  '    this._glyphs.push(c);',
+  '  }',
+  '  measure(glyph) {',
+  '    return glyph;',
+  '  }',
+  '}',
+  '',
+  'class Sprite extends Glyph {',
+  '}',
+  '',
+  'new Glyph();'
+].join('\n') + '\n';
+
+var DUMP = [
+  'bitmap-flow.js:1:1,2:1: [class: Glyph]',
+  'bitmap-flow.js:4:1,15:1: [class: BitmapText]',
+  'bitmap-flow.js:6:5-16: Array<Glyph>',
+  'bitmap-flow.js:9:9: Glyph',
+  'bitmap-flow.js:9:13-23: Glyph',
+  'bitmap-flow.js:10:5-16: Array<Glyph>',
+  'bitmap-flow.js:10:23: Glyph',
+  'bitmap-flow.js:12:11-15: Glyph',
+  'bitmap-flow.js:13:12-16: Glyph',
+  'bitmap-flow.js:17:1,18:1: [class: Sprite]',
+  'bitmap-flow.js:17:22-26: [class: Glyph]',
+  'bitmap-flow.js:20:1-11: Glyph'
+].join('\n') + '\n';
+
+function extractText(source, dumpText) {
+  return extract.extractDependencies(
+    new scanner.SourceFile(source, 'bitmap-flow.js'),
+    dump.parseDump(dumpText, 'bitmap-flow.dump'));
+}
+
+function describe(ref) {
+  return ref.from + ' -> ' + ref.to + ' ' + ref.kind + ' ' +
+    dump.formatRange(ref) + (ref.field ? ' ' + ref.field : '');
+}
+
+test('extractDependencies attributes positions to class spans', function() {
+  var extracted = extractText(SOURCE, DUMP);
+  assert.deepEqual(extracted.classes.map(function(cls) {
+    return cls.name + ' ' + dump.formatRange(cls);
+  }), ['Glyph 1:1,2:1', 'BitmapText 4:1,15:1', 'Sprite 17:1,18:1']);
+  // Neither the `extends` clause nor the code outside classes count
+  assert.deepEqual(extracted.references.map(describe), [
+    'BitmapText -> Glyph uses 6:5-16',
+    'BitmapText -> Glyph uses 9:9',
+    'BitmapText -> Glyph uses 9:13-23',
+    'BitmapText -> Glyph uses 10:5-16',
+    'BitmapText -> Glyph association 10:23 _glyphs',
+    'BitmapText -> Glyph uses 12:11-15',
+    'BitmapText -> Glyph uses 13:12-16'
+  ]);
+  // Pushed into, the field holds many glyphs
+  assert.equal(extracted.references[4].multiplicity, '*');
+});
+
+test('summarize groups references into edges', function() {
+  var edges = extract.summarize(extractText(SOURCE, DUMP).references);
+  assert.deepEqual(edges.map(function(edge) {
+    return edge.from + ' -> ' + edge.to + ' ' + edge.kind + ' ' +
+      edge.count + ' ' + edge.fields.join(',');
+  }), ['BitmapText -> Glyph uses 6 ', 'BitmapText -> Glyph association 1 ' +
+    '_glyphs']);
+});
@@ -0,0 +1,26 @@
+class Config {
+  name: string;
+}
+
+class Plan {
+}
+
+class Binding {
+}
+
+class Kernel {
+  private config: Config;
+  private plans: Array<Plan>;
+  private bindings: Binding[];
+  private lookup: { [id: string]: Binding };
+  private maybe: Plan | null;
+  cb: (c: Config) => void;
+  shape: { plan: Plan };
+  arrow = (c: Config): void => {
+  };
+  factory = async (p: Plan) => {
+    return p;
+  };
+  m<T extends Config>(value: T): void {
+  }
+}
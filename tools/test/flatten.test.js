@@ -0,0 +1,180 @@
+'use strict';
+
+var assert = require('assert/strict');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var vm = require('vm');
+var test = require('node:test');
+var flatten = require('../lib/flatten');
+var sourceMap = require('../lib/source-map');
+
+// A small source tree: Path extends Shape, which another directory holds,
+// and uses Point, and the test imports Path; Manager reaches Renderer
+// through a namespace import, its test Bounds through the `PIXI` global;
+// PriorityQueue requires the classes of a module exporting two
+var TREE = {
+  'src/path.js': [
+    '\'use strict\';',
+    '',
+    'import Point from \'./point\';',
+    'import Shape from \'./shapes/shape\';',
+    '',
+    'export default class Path extends Shape {',
+    '  constructor() {',
+    '    super();',
+    '    this.points = [new Point()];',
+    '  }',
+    '}'
+  ],
+  'src/point.js': ['export default class Point {', '}'],
+  'src/shapes/shape.js': ['\'use strict\';', '', 'export default class Shape {',
+    '}'],
+  'test/path.test.js': ['import Path from \'../src/path\';', '',
+    'new Path();'],
+  'src/core/index.js': [
+    'export { default as Renderer } from \'./renderer\';',
+    'export { default as Bounds } from \'./bounds\';'
+  ],
+  'src/core/renderer.js': ['export default class Renderer {',
+    '  static registerPlugin() {}', '}'],
+  'src/core/bounds.js': ['export default class Bounds {', '}'],
+  'src/manager.js': [
+    'import * as core from \'./core\';',
+    '',
+    'export default class Manager {',
+    '  constructor() {',
+    '    core.Renderer.registerPlugin(\'manager\', Manager);',
+    '  }',
+    '}'
+  ],
+  'test/manager.test.js': ['new PIXI.Bounds();'],
+  'src/heap.js': ['\'use strict\';', '', 'class MinHeap {', '}', '',
+    'class MaxHeap {', '}', '',
+    'module.exports = { MinHeap: MinHeap, MaxHeap: MaxHeap };'],
+  'src/queue.js': [
+    '\'use strict\';',
+    '',
+    'var MinHeap = require(\'./heap\').MinHeap;',
+    'var heap = require(\'./heap\');',
+    '',
+    'const { MaxHeap: Big } = require(\'./heap\');',
+    '',
+    'class PriorityQueue {',
+    '  constructor() {',
+    '    this.heap = new MinHeap();',
+    '    this.other = new heap.MaxHeap();',
+    '    this.big = new Big();',
+    '  }',
+    '}',
+    '',
+    'module.exports = PriorityQueue;'
+  ]
+};
+
+function makeTree(t) {
+  var root = fs.mkdtempSync(path.join(os.tmpdir(), 'flatten-'));
+  t.after(function() {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+  Object.keys(TREE).concat(['node_modules/dep/index.js'])
+    .forEach(function(file) {
+      fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+      fs.writeFileSync(path.join(root, file),
+        (TREE[file] || []).join('\n') + '\n');
+    });
+  return root;
+}
+
+test('listSources finds the modules of a tree', function(t) {
+  var root = makeTree(t);
+  assert.deepEqual(flatten.listSources(root).map(function(file) {
+    return path.relative(root, file).split(path.sep).join('/');
+  }), Object.keys(TREE).sort());
+});
+
+test('flatten inlines the imports before the class', function(t) {
+  var root = makeTree(t);
+  var flattener = new flatten.Flattener(root);
+  var entry = path.join(root, 'src', 'path.js');
+  var tests = [path.join(root, 'test', 'path.test.js')];
+  assert.deepEqual(flattener.inlinedModules(entry, tests), [
+    path.join(root, 'src', 'point.js'),
+    path.join(root, 'src', 'shapes', 'shape.js')
+  ]);
+
+  var lines = flattener.flatten(entry, { tests: tests }).split('\n');
+  var at = function(text) {
+    return lines.indexOf(text);
+  };
+  assert.equal(lines[1], ' * SOURCE: src/path.js');
+  assert.notEqual(at('\'use strict\';'), -1);
+  assert.notEqual(at('//import Point from \'./point\';'), -1);
+  assert.notEqual(at('//\'use strict\';'), -1);
+  assert.ok(at('class Point {') < at('class Path extends Shape {'));
+  assert.ok(at('class Shape {') < at('class Path extends Shape {'));
+  assert.notEqual(at(' * SOURCE: src/path.js:5'), -1);
+  assert.ok(at(' * TESTS: test/path.test.js') < at('new Path();'));
+  assert.notEqual(at('//import Path from \'../src/path\';'), -1);
+  assert.equal(lines.filter(function(line) {
+    return /export/.test(line);
+  }).length, 0);
+});
+
+test('flatten erases namespace prefixes and inlines their members',
+  function(t) {
+    var root = makeTree(t);
+    var flattener = new flatten.Flattener(root,
+      { namespaces: { PIXI: 'src/core/index.js' } });
+    var lines = flattener.flatten(path.join(root, 'src', 'manager.js'),
+      { tests: [path.join(root, 'test', 'manager.test.js')] }).split('\n');
+    assert.notEqual(lines.indexOf('//import * as core from \'./core\';'), -1);
+    assert.notEqual(lines.indexOf('class Renderer {'), -1);
+    assert.notEqual(lines.indexOf('class Bounds {'), -1);
+    assert.notEqual(lines.indexOf(
+      '    Renderer.registerPlugin(\'manager\', Manager);'), -1);
+    assert.notEqual(lines.indexOf('new Bounds();'), -1);
+  });
+
+test('flatten gives a require aliasing no class the exported value',
+  function(t) {
+    var root = makeTree(t);
+    var flattener = new flatten.Flattener(root);
+    var text = flattener.flatten(path.join(root, 'src', 'queue.js'));
+    var lines = text.split('\n');
+    var at = function(line) {
+      return lines.indexOf(line);
+    };
+    assert.notEqual(at('//var MinHeap = require(\'./heap\').MinHeap;'), -1);
+    assert.notEqual(at('//var heap = require(\'./heap\');'), -1);
+    // The values name the copied classes, so they follow them
+    var namespace = at('var heap = { MinHeap: MinHeap, ' +
+      'MaxHeap: MaxHeap }; // require(\'./heap\')');
+    var alias = at('const Big = MaxHeap; ' +
+      '// const { MaxHeap: Big } = require(\'./heap\')');
+    assert.ok(at('class MaxHeap {') < namespace);
+    assert.ok(namespace < alias);
+    assert.equal(lines[alias - 1], '');
+    assert.equal(lines[namespace - 3], ' * SOURCE: src/queue.js:4');
+    assert.ok(alias < at('class PriorityQueue {'));
+    assert.notEqual(at('//module.exports = PriorityQueue;'), -1);
+    var queue = vm.runInNewContext(text + 'new PriorityQueue();');
+    assert.equal(queue.big.constructor.name, 'MaxHeap');
+  });
+
+test('flattenWithMap maps lines and columns back', function(t) {
+  var root = makeTree(t);
+  var flattener = new flatten.Flattener(root);
+  var flattened = flattener.flattenWithMap(path.join(root, 'src', 'path.js'));
+  assert.equal(flattened.map.file, 'path-flow.js');
+  var map = new sourceMap.SourceMap(flattened.map);
+  var line = flattened.text.split('\n').indexOf('class Path extends Shape {');
+  // `export default ` was erased before the class
+  assert.deepEqual(map.originalPosition({ line: line + 1, column: 1 }), {
+    source: 'src/path.js',
+    file: path.join(root, 'src', 'path.js'),
+    line: 6,
+    column: 16
+  });
+  assert.equal(map.originalPosition({ line: 1, column: 1 }), null);
+});
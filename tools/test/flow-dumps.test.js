@@ -0,0 +1,92 @@
+'use strict';
+
+var assert = require('assert/strict');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('node:test');
+var flowDumps = require('../lib/flow-dumps');
+
+// A stand-in for Flow logging its commands: it types the files on stdin
+// with one entry naming their path, and fails those asking it to
+var FAKE_FLOW = [
+  '#!/usr/bin/env node',
+  '\'use strict\';',
+  'var fs = require(\'fs\');',
+  'var path = require(\'path\');',
+  'var args = process.argv.slice(2);',
+  'fs.appendFileSync(path.join(__dirname, \'log\'), args[0] + \'\\n\');',
+  'if (args[0] === \'version\') {',
+  '  console.log(\'Flow, a static type checker for JavaScript, \' +',
+  '    \'version 0.50.0\');',
+  '} else if (args[0] === \'dump-types\') {',
+  '  var input = fs.readFileSync(0, \'utf8\');',
+  '  if (/fail/.test(input)) {',
+  '    console.error(\'Unexpected token\');',
+  '    process.exit(2);',
+  '  }',
+  '  var file = args[args.indexOf(\'--path\') + 1];',
+  '  console.log(path.basename(file) + \':1:1-5: string\');',
+  '}'
+].join('\n') + '\n';
+
+function makeSystem(t) {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-dumps-'));
+  t.after(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  var flow = path.join(dir, 'flow');
+  fs.writeFileSync(flow, FAKE_FLOW, { mode: 0o755 });
+  fs.mkdirSync(path.join(dir, 'flow-files'));
+  var file = function(name, text) {
+    var at = path.join(dir, 'flow-files', name);
+    fs.writeFileSync(at, text);
+    return at;
+  };
+  return {
+    dir: dir,
+    flow: flow,
+    files: [file('Point-flow.js', 'class Point {}\n'),
+      file('Broken-flow.js', 'class Broken { fail }\n')],
+    log: function() {
+      return fs.readFileSync(path.join(dir, 'log'), 'utf8').trim()
+        .split('\n');
+    }
+  };
+}
+
+test('findFlow rejects a missing binary', function() {
+  assert.throws(function() {
+    flowDumps.findFlow(path.join(os.tmpdir(), 'no-such-flow'));
+  }, /No Flow binary at .*no-such-flow/);
+});
+
+test('dumpFiles types files through one server and caches the dumps',
+  { skip: process.platform === 'win32' }, function(t) {
+    var system = makeSystem(t);
+    var options = { flow: system.flow, jobs: 1,
+      cacheDir: path.join(system.dir, 'cache') };
+    var describe = function(result) {
+      return path.basename(result.dumpFile) + ' ' + result.status;
+    };
+
+    return flowDumps.dumpFiles(system.files, options).then(function(results) {
+      assert.deepEqual(results.map(describe), ['Point-flow.dump dumped',
+        'Broken-flow.dump failed']);
+      assert.match(results[1].error,
+        /^flow dump-types failed: Unexpected token$/);
+      assert.equal(fs.readFileSync(results[0].dumpFile, 'utf8'),
+        'Point-flow.js:1:1-5: string\n');
+      assert.equal(fs.existsSync(results[1].dumpFile), false);
+      assert.deepEqual(system.log(), ['version', 'start', 'dump-types',
+        'dump-types', 'stop']);
+      return flowDumps.dumpFiles(system.files, options);
+    }).then(function(results) {
+      assert.deepEqual(results.map(describe), ['Point-flow.dump cached',
+        'Broken-flow.dump failed']);
+      return flowDumps.dumpFiles(system.files.slice(0, 1),
+        Object.assign({ refresh: true }, options));
+    }).then(function(results) {
+      assert.deepEqual(results.map(describe), ['Point-flow.dump dumped']);
+    });
+  });
@@ -0,0 +1,75 @@
+'use strict';
+
+var assert = require('assert/strict');
+var test = require('node:test');
+var flowType = require('../lib/flow-type');
+
+function split(text) {
+  return flowType.splitReferences(flowType.parseType(text));
+}
+
+test('parseType reads the types Flow prints', function() {
+  assert.deepEqual(flowType.parseType('?Node'),
+    { kind: 'maybe', type: { kind: 'named', name: 'Node' } });
+  assert.deepEqual(flowType.parseType('Array<Node>'), {
+    kind: 'generic',
+    name: 'Array',
+    args: [{ kind: 'named', name: 'Node' }]
+  });
+  assert.deepEqual(flowType.parseType('[class: Node]'),
+    { kind: 'class', name: 'Node' });
+  assert.equal(flowType.parseType('').kind, 'empty');
+  assert.equal(flowType.parseType('string | Node').kind, 'union');
+  assert.equal(flowType.parseType('A & B').kind, 'intersection');
+  assert.equal(flowType.parseType('[Point, Point]').kind, 'tuple');
+  assert.equal(flowType.parseType('{next: Node}').kind, 'object');
+  assert.equal(flowType.parseType('(x: Node) => void').kind, 'function');
+});
+
+test('printType prints parsed types back', function() {
+  ['?Node', 'string | Node', 'Array<Node>', '[Point, Point]',
+    '{next: Node}', '(x: Node) => void', 'A & B'].forEach(function(text) {
+    assert.equal(flowType.printType(flowType.parseType(text)), text);
+  });
+});
+
+test('classReferences only takes whole types and union members', function() {
+  var names = function(text) {
+    return flowType.classReferences(flowType.parseType(text))
+      .map(function(ref) {
+        return ref.name;
+      });
+  };
+  assert.deepEqual(names('Node'), ['Node']);
+  assert.deepEqual(names('Node | Point'), ['Node', 'Point']);
+  assert.deepEqual(names('?Node'), []);
+  assert.deepEqual(names('Array<Node>'), []);
+});
+
+test('splitReferences flags what only splitting finds', function() {
+  assert.deepEqual(split('Node'), [{ name: 'Node', isClass: false,
+    union: false, intersection: false, split: false }]);
+  assert.equal(split('?Node')[0].split, true);
+  assert.deepEqual(split('Array<Node>').map(function(ref) {
+    return ref.name + ':' + ref.split;
+  }), ['Array:true', 'Node:true']);
+  assert.deepEqual(split('A & B').map(function(ref) {
+    return ref.name + ':' + ref.intersection + ':' + ref.union;
+  }), ['A:true:false', 'B:true:false']);
+  assert.deepEqual(split('[Point, Point]'), []);
+});
+
+test('a union with one class member is not a split', function() {
+  assert.deepEqual(split('string | Node'), [{ name: 'Node',
+    isClass: false, union: false, intersection: false, split: false }]);
+  assert.deepEqual(split('Node | Point').map(function(ref) {
+    return ref.union && !ref.split;
+  }), [true, true]);
+});
+
+test('mentionedClasses finds classes nested anywhere', function() {
+  assert.deepEqual(flowType.mentionedClasses(
+    flowType.parseType('{next: Node, points: [Point, Point]}')),
+  ['Node', 'Point']);
+  assert.deepEqual(flowType.mentionedClasses(flowType.parseType('any')), []);
+});
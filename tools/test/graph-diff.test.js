@@ -0,0 +1,83 @@
+'use strict';
+
+var assert = require('assert/strict');
+var test = require('node:test');
+var graphDiff = require('../lib/graph-diff');
+
+function cls(name, file, start, end, superClass) {
+  return { name: name, superClass: superClass || null, file: file,
+    start: { line: start, column: 1 }, end: { line: end, column: 1 } };
+}
+
+function edge(from, to, kind, lines) {
+  return { from: from, to: to, kind: kind, count: lines.length,
+    evidence: lines.map(function(line) {
+      return { file: 'treap-flow.js', start: { line: line, column: 5 },
+        end: { line: line, column: 9 }, type: to };
+    }) };
+}
+
+// The dumps of treap-flow.js regenerated: `Node` is named `TreapNode` now
+// and gained a superclass, and the dependencies moved around
+var BEFORE = {
+  system: 'algorithms.js',
+  classes: [cls('Node', 'treap-flow.js', 1, 20),
+    cls('Treap', 'treap-flow.js', 22, 90), cls('Stack', 'stack-flow.js', 1, 9),
+    cls('Comparator', 'comparator-flow.js', 1, 30)],
+  edges: [edge('Treap', 'Node', 'uses', [30, 31]),
+    edge('Node', 'Comparator', 'uses', [5]),
+    edge('Treap', 'Comparator', 'association', [40]),
+    edge('Treap', 'Stack', 'uses', [50]),
+    edge('Stack', 'Comparator', 'uses', [3])]
+};
+
+var AFTER = {
+  system: 'algorithms.js',
+  classes: [cls('TreapNode', 'treap-flow.js', 2, 21, 'Comparator'),
+    cls('Treap', 'treap-flow.js', 23, 91),
+    cls('Comparator', 'comparator-flow.js', 1, 30),
+    cls('Heap', 'heap-flow.js', 1, 60)],
+  edges: [edge('Treap', 'TreapNode', 'association', [30]),
+    edge('TreapNode', 'Comparator', 'uses', [5, 6]),
+    edge('Treap', 'Comparator', 'association', [41]),
+    edge('Heap', 'Comparator', 'uses', [8])]
+};
+
+test('matchClasses pairs renamed classes by their spans', function() {
+  var matched = graphDiff.matchClasses(BEFORE, AFTER);
+  assert.deepEqual(matched.renamed, [{ from: 'Node', to: 'TreapNode' }]);
+  assert.deepEqual(matched.added.map(function(c) {
+    return c.name;
+  }), ['Heap']);
+  assert.deepEqual(matched.removed.map(function(c) {
+    return c.name;
+  }), ['Stack']);
+});
+
+test('diffGraphs tells how each pair of classes changed', function() {
+  var diff = graphDiff.diffGraphs(BEFORE, AFTER);
+  assert.deepEqual(diff.classes.superClasses, [{ name: 'TreapNode',
+    before: null, after: 'Comparator' }]);
+  assert.deepEqual(diff.edges.map(function(e) {
+    return e.from + ' -> ' + e.to + ' ' + e.change + ' ' +
+      JSON.stringify(e.before) + ' ' + JSON.stringify(e.after);
+  }), [
+    'Heap -> Comparator added {} {"uses":1}',
+    'Stack -> Comparator removed {"uses":1} {}',
+    'Treap -> Comparator evidence {"association":1} {"association":1}',
+    'Treap -> Stack removed {"uses":1} {}',
+    'Treap -> TreapNode kind {"uses":2} {"association":1}',
+    'TreapNode -> Comparator count {"uses":1} {"uses":2}'
+  ]);
+  var moved = diff.edges[2];
+  assert.deepEqual(moved.removedEvidence.map(function(ref) {
+    return ref.start.line;
+  }), [40]);
+  assert.deepEqual(moved.addedEvidence.map(function(ref) {
+    return ref.start.line;
+  }), [41]);
+  assert.deepEqual(diff.summary, {
+    classes: { added: 1, removed: 1, renamed: 1, superClass: 1 },
+    edges: { added: 1, removed: 2, kind: 1, count: 1, evidence: 1 }
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+var assert = require('assert/strict');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('node:test');
+var graphFormat = require('../lib/graph-format');
+
+function edge(from, to, kind, count) {
+  return { from: from, to: to, kind: kind, count: count,
+    fields: kind === 'association' ? ['head'] : [] };
+}
+
+function graph() {
+  return {
+    system: 'algorithms.js',
+    origin: 'extraction',
+    classes: [
+      { name: 'Node', superClass: null },
+      { name: 'LinkedList', superClass: null, 'package': 'data-structures',
+        start: { line: 3, column: 1 }, end: { line: 40, column: 1 } }
+    ],
+    edges: [edge('LinkedList', 'Node', 'uses', 4),
+      edge('LinkedList', 'Node', 'association', 2)]
+  };
+}
+
+test('toJSON normalizes and sorts a graph', function() {
+  var data = graphFormat.toJSON(graph());
+  assert.equal(data.format, graphFormat.FORMAT);
+  assert.equal(data.version, graphFormat.VERSION);
+  assert.deepEqual(data.classes.map(function(cls) {
+    return cls.name + ' ' + cls['package'] + ' ' + cls.legacy;
+  }), ['LinkedList data-structures false', 'Node null false']);
+  assert.deepEqual(data.edges.map(function(e) {
+    return e.kind + ' ' + e.multiplicity + ' ' + e.union;
+  }), ['association null false', 'uses null false']);
+  assert.deepEqual(graphFormat.validate(data), []);
+});
+
+test('a written graph reads back the same', function(t) {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'graph-format-'));
+  t.after(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  var file = path.join(dir, 'algorithms.js.graph.json');
+  graphFormat.writeGraph(file, graph());
+  var read = graphFormat.readGraph(file);
+  assert.deepEqual(graphFormat.toJSON(read), graphFormat.toJSON(graph()));
+  assert.equal(fs.readFileSync(file, 'utf8'),
+    JSON.stringify(graphFormat.toJSON(read), null, 2) + '\n');
+});
+
+test('validate reports schema errors and duplicate edges', function() {
+  var data = graphFormat.toJSON(graph());
+  data.edges[1].kind = 'calls';
+  assert.match(graphFormat.validate(data).join('\n'),
+    /^\/edges\/1\/kind: /m);
+
+  data = graphFormat.toJSON(graph());
+  data.edges.push(Object.assign({}, data.edges[1], { count: 1 }));
+  assert.deepEqual(graphFormat.validate(data), ['/edges/2: duplicate of ' +
+    '/edges/1, LinkedList -> Node (uses)']);
+  assert.throws(function() {
+    graphFormat.fromJSON(data, 'list.json');
+  }, /^Error: list\.json is not a valid dependency graph:\n\/edges\/2: /);
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+var assert = require('assert/strict');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('node:test');
+var cycles = require('../lib/cycles');
+var graph = require('../lib/graph');
+
+// As in pixi.js: `DisplayObject-flow.js` does not inline `Container`, only
+// the copy of `DisplayObject` in `Container-flow.js` refers to it
+var EXTRACTIONS = {
+  'DisplayObject-flow.js': {
+    classes: ['DisplayObject'],
+    references: []
+  },
+  'Container-flow.js': {
+    classes: ['DisplayObject', 'Container'],
+    references: [['DisplayObject', 'Container', 'uses'],
+      ['Container', 'DisplayObject', 'uses'],
+      ['Container', 'DisplayObject', 'association']]
+  }
+};
+
+function makeSystem(t) {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'graph-'));
+  t.after(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  var flowDir = path.join(dir, 'flow-files');
+  fs.mkdirSync(flowDir);
+  Object.keys(EXTRACTIONS).forEach(function(name) {
+    fs.writeFileSync(path.join(flowDir, name), '');
+    fs.writeFileSync(path.join(flowDir, name.replace(/\.js$/, '.dump')), '');
+  });
+  return { name: 'pixi', dir: dir, flowDir: flowDir, oracleFile: null };
+}
+
+function extractFile(file) {
+  var extracted = EXTRACTIONS[path.basename(file)];
+  return {
+    classes: extracted.classes.map(function(name, i) {
+      return {
+        name: name,
+        superClass: null,
+        start: { line: 10 * i + 1, column: 1 },
+        end: { line: 10 * i + 9, column: 1 },
+        members: []
+      };
+    }),
+    references: extracted.references.map(function(ref, i) {
+      return {
+        from: ref[0],
+        to: ref[1],
+        kind: ref[2],
+        field: ref[2] === 'association' ? 'children' : null,
+        multiplicity: ref[2] === 'association' ? '*' : null,
+        file: path.basename(file),
+        start: { line: 12 + i, column: 5 },
+        end: { line: 12 + i, column: 9 },
+        type: ref[1]
+      };
+    })
+  };
+}
+
+function edgeNames(built) {
+  return built.edges.map(function(edge) {
+    return edge.from + ' -> ' + edge.to + ' ' + edge.kind;
+  }).sort();
+}
+
+test('systemGraph takes each class from its own file', function(t) {
+  var built = graph.systemGraph(makeSystem(t), { extractFile: extractFile });
+  assert.deepEqual(built.classes.map(function(cls) {
+    return cls.name + ' ' + cls.file;
+  }), ['Container Container-flow.js',
+    'DisplayObject DisplayObject-flow.js']);
+  assert.deepEqual(edgeNames(built), ['Container -> DisplayObject ' +
+    'association', 'Container -> DisplayObject uses']);
+  assert.deepEqual(cycles.findCycles(built), []);
+});
+
+test('systemGraph with everyCopy finds cycles through inlined copies',
+  function(t) {
+    var built = graph.systemGraph(makeSystem(t),
+      { extractFile: extractFile, everyCopy: true });
+    assert.deepEqual(edgeNames(built), [
+      'Container -> DisplayObject association',
+      'Container -> DisplayObject uses',
+      'DisplayObject -> Container uses'
+    ]);
+    var edge = built.edges.find(function(e) {
+      return e.from === 'DisplayObject';
+    });
+    assert.equal(edge.evidence[0].file, 'Container-flow.js');
+    var found = cycles.findCycles(built);
+    assert.equal(found.length, 1);
+    assert.deepEqual(found[0].classes, ['Container', 'DisplayObject']);
+  });
@@ -0,0 +1,77 @@
+'use strict';
+
+var assert = require('assert/strict');
+var test = require('node:test');
+var dump = require('../lib/dump');
+var extract = require('../lib/extract');
+var helpers = require('../lib/helpers');
+var scanner = require('../lib/scanner');
+
+// As in `CanvasPrepare.js` of pixi.js, a helper uploads for the class; the
+// helper it calls is shared with another class, and `unused` only has a
+// parameter of the same name
+var SOURCE = [
+  'class BaseTexture {',
+  '}',
+  '',
+  'class CanvasPrepare {',
+  '  upload(item) {',
+  '    return uploadBaseTextures(this, item);',
+  '  }',
+  '}',
+  '',
+  'class WebGLPrepare {',
+  '  upload(item) {',
+  '    return findBaseTexture(item);',
+  '  }',
+  '}',
+  '',
+  'function uploadBaseTextures(prepare, item) {',
+  '  return findBaseTexture(item);',
+  '}',
+  '',
+  'var findBaseTexture = (item) => item instanceof BaseTexture;',
+  '',
+  'function unused(findBaseTexture) {',
+  '  return findBaseTexture;',
+  '}'
+].join('\n') + '\n';
+
+var DUMP = [
+  'prepare-flow.js:1:1,2:1: [class: BaseTexture]',
+  'prepare-flow.js:4:1,8:1: [class: CanvasPrepare]',
+  'prepare-flow.js:10:1,14:1: [class: WebGLPrepare]',
+  'prepare-flow.js:20:46-56: Class<BaseTexture>'
+].join('\n') + '\n';
+
+function sourceFile() {
+  return new scanner.SourceFile(SOURCE, 'prepare-flow.js');
+}
+
+test('findFunctions finds the top-level functions', function() {
+  assert.deepEqual(helpers.findFunctions(sourceFile()).map(function(fn) {
+    return fn.name + ' ' + dump.formatRange(fn);
+  }), [
+    'uploadBaseTextures 16:1,18:1',
+    'findBaseTexture 20:1-60',
+    'unused 22:1,24:1'
+  ]);
+});
+
+test('helpers belong to the classes calling them, directly or not',
+  function() {
+    var extracted = extract.extractDependencies(sourceFile(),
+      dump.parseDump(DUMP, 'prepare-flow.dump'));
+    assert.deepEqual(extracted.helpers.map(function(helper) {
+      return helper.name + ' ' + helper.owners.join(',');
+    }), [
+      'uploadBaseTextures CanvasPrepare',
+      'findBaseTexture CanvasPrepare,WebGLPrepare'
+    ]);
+    assert.deepEqual(extracted.references.map(function(ref) {
+      return ref.from + ' -> ' + ref.to + ' ' + ref.kind + ' ' + ref.helper;
+    }), [
+      'CanvasPrepare -> BaseTexture uses findBaseTexture',
+      'WebGLPrepare -> BaseTexture uses findBaseTexture'
+    ]);
+  });
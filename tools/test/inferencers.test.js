@@ -0,0 +1,46 @@
+'use strict';
+
+var assert = require('assert/strict');
+var path = require('path');
+var test = require('node:test');
+var inferencers = require('../lib/inferencers');
+
+var FIXTURE = path.join(__dirname, 'fixtures', 'graph-flow.dump');
+
+var hasTypeScript = true;
+try {
+  require.resolve('typescript');
+} catch (e) {
+  hasTypeScript = false;
+}
+
+test('findInferencer looks inferencers up by name', function() {
+  assert.equal(inferencers.findInferencer('flow'),
+    inferencers.INFERENCERS.flow);
+  var own = { name: 'own', readTypes: function() {} };
+  assert.equal(inferencers.findInferencer(own), own);
+  assert.throws(function() {
+    inferencers.findInferencer('closure');
+  }, /Unknown inferencer closure, use one of flow, typescript/);
+  assert.throws(function() {
+    inferencers.findInferencer('toString');
+  }, /Unknown inferencer toString/);
+});
+
+test('the flow inferencer reads the dump next to the file', function() {
+  var flow = inferencers.findInferencer('flow');
+  var parsed = flow.readTypes('graph-flow.js', { dumpFile: FIXTURE });
+  assert.deepEqual(parsed.classDeclarations().map(function(cls) {
+    return cls.name;
+  }), ['Node', 'Graph']);
+  assert.throws(function() {
+    flow.readTypes('graph-flow.js', { dumpFile: FIXTURE + '.missing' });
+  }, /No dump for graph-flow\.js \(expected .*graph-flow\.dump\.missing\)/);
+});
+
+test('the typescript inferencer asks for its package',
+  { skip: hasTypeScript && 'typescript is installed' }, function() {
+    assert.throws(function() {
+      inferencers.findInferencer('typescript').readTypes('graph-flow.js', {});
+    }, /needs the typescript package/);
+  });
@@ -0,0 +1,96 @@
+'use strict';
+
+var assert = require('assert/strict');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('node:test');
+var integrity = require('../lib/integrity');
+var scanner = require('../lib/scanner');
+
+// A sound file, one breaking the methodology with a stale dump, one that
+// does not parse and has no dump, and a dump without its file
+var FILES = {
+  'heap-flow.js': [
+    '\'use strict\';',
+    '//var Comparator = require(\'./comparator\');',
+    'export default class Heap {',
+    '}',
+    'describe(\'heap\', function() {});'
+  ],
+  'heap-flow.dump': [
+    'heap-flow.js:3:16,4:1: [class: Heap]',
+    'heap-flow.js:5:1-33: void'
+  ],
+  'queue-flow.js': [
+    '\'use strict\';',
+    'var Heap = require(\'./heap\');',
+    '\'use strict\';',
+    'export class Node {',
+    '}',
+    'class Queue {',
+    '}',
+    'module.exports = Queue;',
+    'describe(\'queue\', function() {});'
+  ],
+  'queue-flow.dump': [
+    'queue-flow.js:4:8,5:1: [class: Queue]',
+    'queue-flow.js:9:1-33: void'
+  ],
+  'list-flow.js': ['class Node {', '}', 'class Node {', '}'],
+  'stack-flow.dump': ['stack-flow.js:1:1: void']
+};
+
+function describe(found) {
+  return found.level + ' ' + found.code + ' ' + found.file +
+    (found.line ? ':' + found.line : '');
+}
+
+test('checkSystem reports the problems of a flow-files directory',
+  function(t) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'integrity-'));
+    t.after(function() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+    Object.keys(FILES).forEach(function(name) {
+      fs.writeFileSync(path.join(dir, name), FILES[name].join('\n') + '\n');
+    });
+    var issues = integrity.checkSystem({ name: 'example', flowDir: dir });
+    assert.deepEqual(issues.map(describe), [
+      'note no-dump list-flow.js',
+      'note no-tests list-flow.js',
+      'note syntax-error list-flow.js:3',
+      // The dump was made before `Node` was added above `Queue`
+      'error stale-dump queue-flow.dump',
+      'warning live-require queue-flow.js:2',
+      'warning use-strict queue-flow.js:3',
+      'warning export queue-flow.js:4',
+      'warning module-exports queue-flow.js:8',
+      'error orphan-dump stack-flow.dump'
+    ]);
+    assert.equal(issues[6].message,
+      'export of Node, only Queue may be exported');
+  });
+
+test('checkDump catches entries of other files and beyond the file',
+  function(t) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'integrity-'));
+    t.after(function() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+    var dumpFile = path.join(dir, 'heap-flow.dump');
+    fs.writeFileSync(dumpFile, ['heap-flow.js:1:1-5: void',
+      'queue-flow.js:1:1-5: void', 'heap-flow.js:2:1-40: void'].join('\n'));
+    var source = new scanner.SourceFile('class Heap {\n}\n', 'heap-flow.js');
+    assert.deepEqual(integrity.checkDump(dumpFile, source).map(function(found) {
+      return describe(found) + ' ' + found.message;
+    }), [
+      'error wrong-file heap-flow.dump:2 entries of queue-flow.js instead ' +
+        'of heap-flow.js',
+      'error stale-dump heap-flow.dump:3 2:1-40 lies beyond the end of ' +
+        'line 2 of heap-flow.js'
+    ]);
+    fs.writeFileSync(dumpFile, '');
+    assert.equal(integrity.checkDump(dumpFile, source)[0].code,
+      'empty-dump');
+  });
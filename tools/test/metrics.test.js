@@ -0,0 +1,79 @@
+'use strict';
+
+var assert = require('assert/strict');
+var test = require('node:test');
+var extract = require('../lib/extract');
+var metrics = require('../lib/metrics');
+
+function reference(from, to, kind, field, of) {
+  return { from: from, to: to, kind: kind, field: field || null,
+    multiplicity: of || null };
+}
+
+function cls(name, superClass) {
+  return { name: name, superClass: superClass || null, 'package': null };
+}
+
+// Two hierarchies, one rooted outside the graph
+function graph() {
+  return {
+    system: 'example',
+    origin: 'extraction',
+    classes: [cls('Container', 'DisplayObject'), cls('DisplayObject'),
+      cls('Graphics', 'Container'), cls('GraphicsData'),
+      cls('Socket', 'Emitter'), cls('Sprite', 'Container')],
+    edges: extract.summarize([
+      reference('Graphics', 'GraphicsData', 'association', 'graphicsData',
+        '*'),
+      reference('Graphics', 'GraphicsData', 'association', 'currentPath',
+        '0..1'),
+      reference('Graphics', 'GraphicsData', 'association', 'currentPath',
+        '0..1'),
+      reference('Graphics', 'GraphicsData', 'uses'),
+      reference('Sprite', 'Socket', 'uses'),
+      reference('Sprite', 'Socket', 'mixin'),
+      reference('Container', 'DisplayObject', 'uses')
+    ])
+  };
+}
+
+test('systemMetrics counts the relationships of a diagram', function() {
+  var result = metrics.systemMetrics(graph());
+  assert.equal(result.classes, 6);
+  assert.equal(result.NAssoc, 1);
+  assert.equal(result.NAgg, 1);
+  // A pair of classes is one dependency whatever its kinds
+  assert.equal(result.NDep, 3);
+  assert.equal(result.NGen, 4);
+  assert.equal(result.NGenH, 2);
+  assert.equal(result.associationReferences, 3);
+  assert.equal(result.usesReferences, 3);
+});
+
+test('systemMetrics gives the fan-in and fan-out of each class', function() {
+  var perClass = new Map(metrics.systemMetrics(graph()).perClass
+    .map(function(entry) {
+      return [entry.name, entry.fanIn + '/' + entry.fanOut];
+    }));
+  assert.equal(perClass.get('Graphics'), '0/1');
+  assert.equal(perClass.get('GraphicsData'), '1/0');
+  assert.equal(perClass.get('Sprite'), '0/1');
+  // Generalizations do not count
+  assert.equal(perClass.get('DisplayObject'), '1/0');
+  assert.equal(perClass.get('Container'), '0/1');
+});
+
+test('each association field counts by its own multiplicity', function() {
+  var result = metrics.systemMetrics({
+    system: 'socket.io',
+    classes: [cls('Namespace'), cls('Server')],
+    edges: extract.summarize([
+      reference('Server', 'Namespace', 'association', 'sockets', '1'),
+      reference('Server', 'Namespace', 'association', 'nsps', '*'),
+      reference('Server', 'Namespace', 'association', 'nsps', '1')
+    ])
+  });
+  assert.equal(result.NAssoc, 1);
+  assert.equal(result.NAgg, 1);
+  assert.equal(result.associationReferences, 3);
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+var assert = require('assert/strict');
+var path = require('path');
+var test = require('node:test');
+var dump = require('../lib/dump');
+var misses = require('../lib/misses');
+var scanner = require('../lib/scanner');
+
+// The code fixtures/graph-flow.dump was written for, and a `$inject`
+// outside of Graph
+var SOURCE = [
+  '\'use strict\';',
+  '',
+  'class Node {',
+  '  constructor() {}',
+  '}',
+  '',
+  'class Graph {',
+  '  constructor() {',
+  '    this.nodes = [];',
+  '  }',
+  '  addNode(node) {',
+  '    this.nodes.push(node);',
+  '  }',
+  '  visit(fn) {',
+  '    this.nodes.forEach(function(node) {',
+  '      fn(node);',
+  '    });',
+  '  }',
+  '  first() {',
+  '    return arguments[0];',
+  '  }',
+  '}',
+  'Node.$inject = [\'graph\'];'
+].join('\n') + '\n';
+
+function context() {
+  return {
+    source: new scanner.SourceFile(SOURCE, 'graph-flow.js'),
+    dump: dump.readDump(path.join(__dirname, 'fixtures', 'graph-flow.dump')),
+    extraction: {
+      classes: [
+        { name: 'Node', start: { line: 3, column: 1 },
+          end: { line: 5, column: 1 } },
+        { name: 'Graph', start: { line: 7, column: 1 },
+          end: { line: 22, column: 1 } }
+      ],
+      references: []
+    },
+    rename: function(name) {
+      return name;
+    }
+  };
+}
+
+function miss(range) {
+  var entry = dump.parseLine('graph-flow.js:' + range + ': ');
+  return { from: 'Graph', to: 'Node', kind: 'uses', file: entry.file,
+    start: entry.start, end: entry.end, type: '' };
+}
+
+test('categorize tells why Flow printed no type', function() {
+  var graph = context();
+  assert.equal(misses.categorize(miss('11:11-14'), graph),
+    'untyped-parameter');
+  assert.equal(misses.categorize(miss('12:21-24'), graph),
+    'untyped-parameter');
+  assert.equal(misses.categorize(miss('15:33-36'), graph), 'callback');
+  assert.equal(misses.categorize(miss('16:10-13'), graph), 'callback');
+  assert.equal(misses.categorize(miss('20:12-23'), graph),
+    'arguments-object');
+  assert.equal(misses.categorize(miss('9:5-14'), graph), 'not-extracted');
+  assert.equal(misses.categorize(miss('3:1'), graph), 'no-dump-entry');
+});
+
+test('only a `$inject` of the class tells dependency injection', function() {
+  var graph = context();
+  var entry = graph.dump.at(11, 11)[0];
+  assert.equal(misses.untypedCategory(graph.source, graph.dump, entry,
+    graph.extraction.classes[1]), 'untyped-parameter');
+  assert.equal(misses.untypedCategory(graph.source, graph.dump, entry, {
+    start: { line: 7, column: 1 },
+    end: { line: 23, column: 25 }
+  }), 'dependency-injection');
+});
+
+test('unlisted misses are put down to positions of the class', function() {
+  var graph = context();
+  var oracleClass = {
+    name: 'Graph',
+    cells: [{
+      to: 'Node',
+      kind: 'uses',
+      count: 4,
+      evidence: [dump.parseLine('graph-flow.js:16:10-13: ')]
+    }]
+  };
+  var unlisted = { from: 'Graph', to: 'Node', kind: 'uses', unlisted: 3 };
+  assert.equal(misses.categorize(unlisted, graph), 'unlisted');
+  // The typed position first, then the untyped ones spelled like the
+  // listed `node`, the listed one left out
+  assert.deepEqual(misses.unlistedCandidates(unlisted, graph, oracleClass)
+    .map(function(entry) {
+      return dump.formatRange(entry) + ' ' + entry.category;
+    }), ['9:5-14 not-extracted', '11:11-14 untyped-parameter',
+    '12:21-24 untyped-parameter']);
+  unlisted.unlisted = 10;
+  assert.equal(misses.unlistedCandidates(unlisted, graph, oracleClass)
+    .length, 4);
+});
+
+test('the misses of a pair share the positions they are put down to',
+  function() {
+    var graph = context();
+    var oracleClass = {
+      name: 'Graph',
+      cells: [{
+        to: 'Node',
+        kind: 'uses',
+        count: 4,
+        evidence: [dump.parseLine('graph-flow.js:16:10-13: ')]
+      }]
+    };
+    var claimed = new Set();
+    var ranges = function(kind, unlisted) {
+      return misses.unlistedCandidates({ from: 'Graph', to: 'Node',
+        kind: kind, unlisted: unlisted }, graph, oracleClass, claimed)
+        .map(dump.formatRange);
+    };
+    assert.deepEqual(ranges('association', 2), ['9:5-14', '11:11-14']);
+    assert.deepEqual(ranges('uses', 3), ['12:21-24', '15:33-36']);
+    assert.equal(claimed.size, 4);
+  });
@@ -0,0 +1,70 @@
+'use strict';
+
+var assert = require('assert/strict');
+var test = require('node:test');
+var dump = require('../lib/dump');
+var extract = require('../lib/extract');
+var mixins = require('../lib/mixins');
+var scanner = require('../lib/scanner');
+
+// As in `cacheAsBitmap.js` of pixi.js, members added to DisplayObject
+var SOURCE = [
+  'class DisplayObject {',
+  '}',
+  '',
+  'class Texture {',
+  '}',
+  '',
+  'DisplayObject.prototype._cachedSprite = null;',
+  'DisplayObject.prototype._renderCached = function(renderer) {',
+  '  this._cachedSprite = new Texture();',
+  '};',
+  'Object.assign(DisplayObject.prototype, {',
+  '  mask: null',
+  '});',
+  'Object.defineProperty(DisplayObject.prototype, \'cacheAsBitmap\', {',
+  '  get: function() { return null; }',
+  '});',
+  'DisplayObject.prototype.__defineGetter__(\'texture\', function() {',
+  '  return new Texture();',
+  '});',
+  'Other.prototype.x = 1;',
+  'foo.DisplayObject.prototype.y = 1;'
+].join('\n') + '\n';
+
+var DUMP = [
+  'cache-flow.js:1:1,2:1: [class: DisplayObject]',
+  'cache-flow.js:4:1,5:1: [class: Texture]',
+  'cache-flow.js:9:23-35: Texture',
+  'cache-flow.js:18:10-22: Texture'
+].join('\n') + '\n';
+
+function sourceFile() {
+  return new scanner.SourceFile(SOURCE, 'cache-flow.js');
+}
+
+test('findMixins finds the patches of the given prototypes', function() {
+  var found = mixins.findMixins(sourceFile(), ['DisplayObject', 'Texture']);
+  assert.deepEqual(found.map(function(patch) {
+    return patch.name + ' ' + patch.member + ' ' + dump.formatRange(patch);
+  }), [
+    'DisplayObject _cachedSprite 7:1-45',
+    'DisplayObject _renderCached 8:1,10:2',
+    'DisplayObject null 11:1,13:2',
+    'DisplayObject cacheAsBitmap 14:1,16:2',
+    'DisplayObject texture 17:1,19:2'
+  ]);
+  assert.deepEqual(mixins.findMixins(sourceFile(), ['Texture']), []);
+});
+
+test('references in a patch are mixins of the patched class', function() {
+  var extracted = extract.extractDependencies(sourceFile(),
+    dump.parseDump(DUMP, 'cache-flow.dump'));
+  assert.deepEqual(extracted.references.map(function(ref) {
+    return ref.from + ' -> ' + ref.to + ' ' + ref.kind + ' ' +
+      dump.formatRange(ref) + ' ' + ref.field + ' ' + ref.multiplicity;
+  }), [
+    'DisplayObject -> Texture mixin 9:23-35 _renderCached null',
+    'DisplayObject -> Texture mixin 18:10-22 texture null'
+  ]);
+});
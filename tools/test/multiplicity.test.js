@@ -0,0 +1,59 @@
+'use strict';
+
+var assert = require('assert/strict');
+var test = require('node:test');
+var diagram = require('../lib/diagram');
+var extract = require('../lib/extract');
+var metrics = require('../lib/metrics');
+var multiplicity = require('../lib/multiplicity');
+
+// `Server` of socket.io holds one Namespace in `sockets`, many in `nsps`
+function serverGraph() {
+  var reference = function(field, of) {
+    return { from: 'Server', to: 'Namespace', kind: 'association',
+      field: field, multiplicity: of };
+  };
+  return {
+    system: 'socket.io',
+    origin: 'extraction',
+    classes: [
+      { name: 'Namespace', superClass: null, 'package': null },
+      { name: 'Server', superClass: null, 'package': null }
+    ],
+    edges: extract.summarize([reference('sockets', '1'),
+      reference('nsps', '*'), reference('nsps', '1')])
+  };
+}
+
+test('widest orders the multiplicities', function() {
+  assert.equal(multiplicity.widest(null, '1'), '1');
+  assert.equal(multiplicity.widest('1', '0..1'), '0..1');
+  assert.equal(multiplicity.widest('*', '0..1'), '*');
+});
+
+test('summarize keeps the multiplicity of each field', function() {
+  var edge = serverGraph().edges[0];
+  assert.deepEqual(edge.fields, ['sockets', 'nsps']);
+  assert.equal(edge.multiplicity, '*');
+  assert.deepEqual(edge.multiplicities, { sockets: '1', nsps: '*' });
+  assert.equal(multiplicity.fieldMultiplicity(edge, 'sockets'), '1');
+  assert.equal(multiplicity.fieldMultiplicity(edge, 'nsps'), '*');
+  // Edges without multiplicities per field, such as older graphs
+  assert.equal(multiplicity.fieldMultiplicity({ multiplicity: '0..1' },
+    'sockets'), '0..1');
+});
+
+test('diagrams draw each field with its own multiplicity', function() {
+  var text = diagram.toPlantUML(serverGraph());
+  assert.match(text, /^ {2}nsps : Namespace \[\*\]$/m);
+  assert.match(text, /^ {2}sockets : Namespace$/m);
+  assert.match(text, /^Server --> "1" Namespace : sockets$/m);
+  assert.match(text, /^Server --> "\*" Namespace : nsps$/m);
+});
+
+test('metrics count aggregations by field', function() {
+  var result = metrics.systemMetrics(serverGraph());
+  assert.equal(result.NAssoc, 1);
+  assert.equal(result.NAgg, 1);
+  assert.equal(result.associationReferences, 3);
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+var assert = require('assert/strict');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('node:test');
+var zlib = require('zlib');
+var ods = require('../lib/ods');
+var zip = require('../lib/zip');
+
+/**
+ * ZIP archive of `{name, text, deflate}` entries; the CRCs are left at zero,
+ * which the reader does not check
+ */
+function makeZip(entries) {
+  var locals = [];
+  var central = [];
+  var offset = 0;
+  entries.forEach(function(entry) {
+    var name = Buffer.from(entry.name);
+    var data = Buffer.from(entry.text);
+    var stored = entry.deflate ? zlib.deflateRawSync(data) : data;
+    var local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(entry.deflate ? 8 : 0, 8);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    var header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(entry.deflate ? 8 : 0, 10);
+    header.writeUInt32LE(stored.length, 20);
+    header.writeUInt32LE(data.length, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt32LE(offset, 42);
+    locals.push(local, name, stored);
+    central.push(header, name);
+    offset += local.length + name.length + stored.length;
+  });
+  var directory = Buffer.concat(central);
+  var end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat(locals.concat([directory, end]));
+}
+
+var CONTENT = '<?xml version="1.0" encoding="UTF-8"?>' +
+  '<office:document-content><office:automatic-styles>' +
+  '<style:style style:name="ce1" style:family="table-cell">' +
+  '<style:table-cell-properties fo:background-color="#ffff00"/>' +
+  '</style:style></office:automatic-styles><office:body>' +
+  '<office:spreadsheet><table:table table:name="Path">' +
+  '<table:table-row><table:table-cell table:style-name="ce1" ' +
+  'office:value-type="string"><text:p>Point</text:p></table:table-cell>' +
+  '<table:table-cell office:value-type="float" office:value="2">' +
+  '<office:annotation><dc:creator>rev</dc:creator>' +
+  '<text:p>path-flow.js:12:5-9: Point</text:p>' +
+  '<text:p>path-flow.js:14:5-9:<text:s text:c="2"/>Point</text:p>' +
+  '</office:annotation><text:p>2</text:p></table:table-cell>' +
+  '<table:table-cell table:number-columns-repeated="1000"/>' +
+  '</table:table-row>' +
+  '<table:table-row table:number-rows-repeated="2"><table:table-cell>' +
+  '<text:p>Shape &amp; co</text:p></table:table-cell></table:table-row>' +
+  '</table:table></office:spreadsheet></office:body>' +
+  '</office:document-content>';
+
+test('zip reads stored and deflated entries', function() {
+  var archive = makeZip([
+    { name: 'mimetype', text: 'application/test' },
+    { name: 'content.xml', text: 'deflated '.repeat(50), deflate: true }
+  ]);
+  assert.deepEqual(zip.listEntries(archive).map(function(entry) {
+    return entry.name + ':' + entry.method;
+  }), ['mimetype:0', 'content.xml:8']);
+  assert.equal(zip.readEntry(archive, 'mimetype').toString(),
+    'application/test');
+  assert.equal(zip.readEntry(archive, 'content.xml').toString(),
+    'deflated '.repeat(50));
+  assert.throws(function() {
+    zip.readEntry(archive, 'styles.xml');
+  }, /No entry "styles.xml"/);
+  assert.throws(function() {
+    zip.listEntries(Buffer.alloc(40));
+  }, /Not a ZIP archive/);
+});
+
+test('parseContent reads cells, comments and styles', function() {
+  var content = ods.parseContent(CONTENT);
+  assert.deepEqual(content.styles, {
+    ce1: { name: 'ce1', backgroundColor: '#ffff00' }
+  });
+  var sheet = content.sheets[0];
+  assert.equal(sheet.name, 'Path');
+  assert.equal(sheet.rows.length, 3);
+  var row = sheet.rows[0];
+  // The repeated empty cells at the end of the row are dropped
+  assert.equal(row.length, 2);
+  assert.equal(row[0].text, 'Point');
+  assert.equal(row[0].style, 'ce1');
+  assert.equal(row[1].value, 2);
+  assert.deepEqual(row[1].annotation, [
+    'path-flow.js:12:5-9: Point',
+    'path-flow.js:14:5-9:  Point'
+  ]);
+  assert.equal(sheet.rows[2][0].text, 'Shape & co');
+});
+
+test('readSpreadsheet opens an .ods file', function(t) {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ods-'));
+  t.after(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  var file = path.join(dir, 'DependenciesMap-test.ods');
+  fs.writeFileSync(file, makeZip([
+    { name: 'mimetype', text: 'application/vnd.oasis.opendocument' },
+    { name: 'content.xml', text: CONTENT, deflate: true }
+  ]));
+  assert.equal(ods.readSpreadsheet(file).sheets[0].rows[0][0].text, 'Point');
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+var assert = require('assert/strict');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('node:test');
+var packages = require('../lib/packages');
+
+// Flattened files of pixi.js, cut down to their import lines and banners
+var FILES = {
+  'Graphics-flow.js': [
+    '//import Container from \'../display/Container\';',
+    '//import { Matrix, Point, Circle } from \'../math\';',
+    '//import Circle from \'../math/shapes/Circle\';',
+    '',
+    'class Graphics extends Container {',
+    '}'
+  ],
+  'Container-flow.js': [
+    '\'use strict\';',
+    '//import DisplayObject from \'./DisplayObject\';',
+    '',
+    'class Container extends DisplayObject {',
+    '}'
+  ],
+  // The imports of Matrix, which the file inlines, follow those of
+  // TransformBase after a blank line
+  'TransformBase-flow.js': [
+    '//import { Matrix } from \'../math\';',
+    '',
+    '//import Point from \'./Point\';',
+    '',
+    'class Matrix {',
+    '}'
+  ],
+  'Sprite-flow.js': [
+    '/*',
+    ' * SOURCE: sprites/Sprite.js',
+    ' */',
+    '',
+    '/*',
+    ' * textures/Texture.js',
+    ' */',
+    '',
+    'class Texture {',
+    '}'
+  ]
+};
+
+test('parseImport tells the imports of a directory index', function() {
+  assert.deepEqual(packages.parseImport(
+    '//import { Matrix, Point as P } from \'../math\';'),
+    { path: '../math', names: ['Matrix', 'Point'], index: true });
+  assert.deepEqual(packages.parseImport(
+    'import Container from \'../display/Container\';'),
+    { path: '../display/Container', names: ['Container'], index: false });
+  assert.equal(packages.parseImport(
+    'var MinHeap = require(\'./heap\').MinHeap;').index, false);
+  assert.equal(packages.parseImport(
+    'import EventEmitter from \'eventemitter3\';'), null);
+});
+
+test('prologueImports stops at the first blank line after them', function() {
+  assert.deepEqual(packages.prologueImports(
+    FILES['TransformBase-flow.js'].join('\n')).map(function(imported) {
+    return imported.path;
+  }), ['../math']);
+});
+
+test('inferPackages places the classes imports and banners locate',
+  function(t) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'packages-'));
+    t.after(function() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+    var files = Object.keys(FILES).map(function(name) {
+      var file = path.join(dir, name);
+      fs.writeFileSync(file, FILES[name].join('\n') + '\n');
+      return file;
+    });
+    var declared = new Map([[path.join(dir, 'Sprite-flow.js'),
+      [{ name: 'Texture', start: { line: 9, column: 1 } }]]]);
+    var found = packages.inferPackages(files, declared, new Map());
+    assert.deepEqual(Array.from(found.entries()).sort(), [
+      ['Circle', 'shapes'],
+      ['Container', 'display'],
+      ['DisplayObject', 'display'],
+      ['Matrix', 'math'],
+      ['Point', 'math'],
+      ['Texture', 'textures']
+    ]);
+  });
@@ -0,0 +1,100 @@
+'use strict';
+
+var assert = require('assert/strict');
+var test = require('node:test');
+var provenance = require('../lib/provenance');
+var scanner = require('../lib/scanner');
+
+// As flatten.js writes them: Path, its dependency Point, then the test
+var FLATTENED = [
+  '/*',
+  ' * SOURCE: src/path.js',
+  ' */',
+  '',
+  '\'use strict\';',
+  '',
+  '/*',
+  ' * src/point.js',
+  ' */',
+  '',
+  'class Point {',
+  '}',
+  '',
+  '/*',
+  ' * SOURCE: src/path.js:6',
+  ' */',
+  '',
+  'class Path {',
+  '}',
+  '',
+  '/*',
+  ' * TESTS: test/path.test.js',
+  ' */',
+  '',
+  'new Path();'
+].join('\n') + '\n';
+
+// As the files of the dataset built by hand, with a link to an algorithm
+var HAND_MADE = [
+  '// See http://example.org/polygon.js',
+  'class Edge {',
+  '}',
+  '',
+  'class Polygon {',
+  '  constructor() {',
+  '    this.edges = [new Edge()];',
+  '  }',
+  '}',
+  '',
+  '// TESTS for class Polygon',
+  'new Polygon();',
+  '// TESTS again',
+  'new Polygon();'
+].join('\n') + '\n';
+
+function blocksOf(text, file) {
+  return provenance.findBlocks(new scanner.SourceFile(text, file), file)
+    .map(function(block) {
+      return block.kind + ' ' + block.file + ' ' + block.start + '-' +
+        block.end + ' ' + block.originalStart;
+    });
+}
+
+test('flattenedClass matches the file name loosely', function() {
+  var classes = [{ name: 'Heap' }, { name: 'PriorityQueue' }];
+  assert.equal(provenance.flattenedClass('priority_queue-flow.js', classes),
+    'PriorityQueue');
+  assert.equal(provenance.flattenedClass('dir/heap-flow.js', classes),
+    'Heap');
+  assert.equal(provenance.flattenedClass('stack-flow.js', classes), null);
+});
+
+test('findBlocks reads the banners of flatten.js', function() {
+  assert.deepEqual(blocksOf(FLATTENED, 'path-flow.js'), [
+    'source src/path.js 5-5 1',
+    'inlined src/point.js 11-12 1',
+    'source src/path.js 18-19 6',
+    'test test/path.test.js 25-25 1'
+  ]);
+});
+
+test('findBlocks splits unannounced classes out of hand-made files',
+  function() {
+    // The link is no banner, but a comment of the source
+    assert.deepEqual(blocksOf(HAND_MADE, 'polygon-flow.js'), [
+      'source null 1-1 null',
+      'inlined null 2-3 null',
+      'source null 4-10 null',
+      'test null 11-14 null'
+    ]);
+  });
+
+test('locator and formatOrigin report the original lines', function() {
+  var locate = provenance.locator(provenance.findBlocks(
+    new scanner.SourceFile(FLATTENED, 'path-flow.js'), 'path-flow.js'));
+  assert.deepEqual(locate(19), { kind: 'source', file: 'src/path.js',
+    line: 7 });
+  assert.equal(provenance.formatOrigin(locate(12)), 'src/point.js:2');
+  assert.equal(provenance.formatOrigin(locate(2)), 'source');
+  assert.equal(provenance.formatOrigin(locate(25)), 'test/path.test.js:1');
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+var assert = require('assert/strict');
+var test = require('node:test');
+var flowType = require('../lib/flow-type');
+var shapes = require('../lib/shapes');
+
+function legacy(name, superClass, fields, allFields, methods) {
+  return { name: name, superClass: superClass, fields: fields,
+    allFields: allFields, methods: methods };
+}
+
+// The legacy classes constructors.findConstructors finds in algorithms.js
+var CLASSES = [
+  legacy('MinHeap', null, ['_elements', '_comparator'],
+    ['_elements', '_comparator', '_last'], ['isEmpty', 'insert']),
+  legacy('MaxHeap', 'MinHeap', ['_max'], ['_max'], []),
+  legacy('Point', null, ['x'], ['x'], [])
+];
+
+function matchType(text) {
+  return shapes.shapeMatcher(CLASSES)(flowType.parseType(text));
+}
+
+test('object types match a view of a class', function() {
+  assert.equal(matchType('{_comparator: empty, _elements: Array<null>}'),
+    'MinHeap');
+  assert.equal(matchType('{insert: (e: empty) => void, ' +
+    'isEmpty: () => boolean}'), 'MinHeap');
+  assert.equal(matchType('{_comparator: empty, _elements: Array<null>, ' +
+    '_max: boolean}'), 'MaxHeap');
+  assert.equal(matchType('{x: number}'), 'Point');
+  // A method must be callable
+  assert.equal(matchType('{isEmpty: number}'), null);
+  assert.equal(matchType('{y: number}'), null);
+  assert.equal(matchType('{[key: string]: number}'), null);
+});
+
+test('partial instances stand for the smallest class holding them',
+  function() {
+    assert.equal(matchType('{_elements: Array<null>}'), 'MinHeap');
+    assert.equal(matchType('{_max: boolean}'), 'MaxHeap');
+    // Methods alone are not enough
+    assert.equal(matchType('{isEmpty: () => boolean}'), null);
+  });
+
+test('in the code of a class its subclasses leave its unions', function() {
+  var union = flowType.parseType('{_comparator: empty, ' +
+    '_elements: Array<null>} | {_comparator: empty, ' +
+    '_elements: Array<null>, _max: boolean}');
+  var matcher = shapes.shapeMatcher(CLASSES);
+  var names = function(owner) {
+    return shapes.shapeReferences(union, matcher, owner).map(function(ref) {
+      return ref.name + (ref.union ? ' union' : '');
+    });
+  };
+  assert.deepEqual(names(), ['MinHeap union', 'MaxHeap union']);
+  assert.deepEqual(names('MinHeap'), ['MinHeap union']);
+  assert.deepEqual(names('Point'), ['MinHeap union', 'MaxHeap union']);
+});
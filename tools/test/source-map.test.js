@@ -0,0 +1,67 @@
+'use strict';
+
+var assert = require('assert/strict');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('node:test');
+var sourceMap = require('../lib/source-map');
+
+test('encodeMappings writes Base64 VLQs relative to the last segment',
+  function() {
+    assert.equal(sourceMap.encodeMappings([[[0, 0, 0, 0]]]), 'AAAA');
+    assert.equal(sourceMap.encodeMappings([[], [[0, 0, 0, 0]], [[0, 0, 1, 0],
+      [15, 0, 1, 0]]]), ';AAAA;AACA,eAAA');
+    // 16 takes a continuation digit, -1 sets the sign bit
+    assert.equal(sourceMap.encodeMappings([[[16, 1, 0, 0]], [[0, 0, 0, 0]]]),
+      'gBCAA;ADAA');
+  });
+
+test('decodeMappings inverts encodeMappings', function() {
+  var lines = [[], [[0, 0, 0, 0], [7, 0, 0, 22]], [], [[3, 1, 40, 2]],
+    [[0, 0, 5, 0]]];
+  assert.deepEqual(sourceMap.decodeMappings(
+    sourceMap.encodeMappings(lines)), lines);
+  assert.throws(function() {
+    sourceMap.decodeMappings('A!AA');
+  }, /Bad VLQ digit !/);
+});
+
+test('SourceMap translates positions between segments', function() {
+  var map = new sourceMap.SourceMap(sourceMap.buildSourceMap('a-flow.js', [
+    null,
+    { source: 'src/a.js', line: 6, columns: [[0, 15]] },
+    { source: 'src/b.js', line: 2, columns: [[0, 0], [4, 11]] }
+  ], '/project'));
+  assert.equal(map.originalPosition({ line: 1, column: 1 }), null);
+  assert.deepEqual(map.originalPosition({ line: 2, column: 1 }), {
+    source: 'src/a.js',
+    file: path.resolve('/project', 'src/a.js'),
+    line: 6,
+    column: 16
+  });
+  assert.equal(map.originalPosition({ line: 3, column: 3 }).column, 3);
+  assert.equal(map.originalPosition({ line: 3, column: 6 }).column, 13);
+  assert.equal(map.originalRange({
+    start: { line: 2, column: 1 },
+    end: { line: 3, column: 1 }
+  }), null);
+  assert.throws(function() {
+    return new sourceMap.SourceMap({ version: 2 });
+  }, /not a revision 3 source map/);
+});
+
+test('findSourceMap follows the sourceMappingURL comment', function(t) {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'source-map-'));
+  t.after(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  var file = path.join(dir, 'a-flow.js');
+  fs.writeFileSync(file, 'class A {}\n' +
+    sourceMap.sourceMappingComment(path.join('maps', 'a.map')) + '\n');
+  assert.equal(sourceMap.findSourceMap(file), path.join(dir, 'maps', 'a.map'));
+  fs.writeFileSync(file, 'class A {}\n');
+  assert.equal(sourceMap.findSourceMap(file), null);
+  fs.writeFileSync(file + '.map', '{}');
+  assert.equal(sourceMap.findSourceMap(file), file + '.map');
+});
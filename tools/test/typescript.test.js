@@ -0,0 +1,71 @@
+'use strict';
+
+var assert = require('assert/strict');
+var path = require('path');
+var test = require('node:test');
+var dump = require('../lib/dump');
+var scanner = require('../lib/scanner');
+var typescript = require('../lib/typescript');
+
+var FIXTURE = path.join(__dirname, 'fixtures', 'kernel.ts');
+
+function describe(ref) {
+  return ref.from + ' -> ' + ref.to + ' ' + ref.kind + ' ' +
+    dump.formatRange(ref) + (ref.field ? ' ' + ref.field + ' [' +
+      ref.multiplicity + ']' : '');
+}
+
+test('findClasses skips type parameters and implements clauses', function() {
+  var source = new scanner.SourceFile('export class Stream<T> extends ' +
+    'Base<T> implements Observer<T>, Sink {\n}\nclass Other {}\n');
+  assert.deepEqual(typescript.findClasses(source).map(function(cls) {
+    return cls.name + ':' + cls.superClass;
+  }), ['Stream:Base', 'Other:null']);
+});
+
+test('typeEnd stops at the end of a type', function() {
+  var source = new scanner.SourceFile(
+    'a: Map<string, (p: Plan) => void> = new Map();');
+  var end = typescript.typeEnd(source, 2, source.tokens.length);
+  assert.equal(source.tokens[end].value, '=');
+  source = new scanner.SourceFile('f = (c: Config): void => {}');
+  end = typescript.typeEnd(source, 8, source.tokens.length);
+  assert.equal(source.tokens[end].value, '=>');
+});
+
+test('extractTypes associates attributes with their own types', function() {
+  var extracted = typescript.buildOracle([FIXTURE]);
+  assert.deepEqual(extracted.references.map(describe), [
+    'Kernel -> Config association 12:11-16 config [1]',
+    'Kernel -> Plan association 13:11-15 plans [*]',
+    'Kernel -> Binding association 14:11-18 bindings [*]',
+    'Kernel -> Binding association 15:11-16 lookup [*]',
+    'Kernel -> Plan association 16:11-15 maybe [0..1]',
+    // Classes inside the function or object type an attribute holds
+    'Kernel -> Config uses 17:3-4',
+    'Kernel -> Plan uses 18:3-7',
+    // Arrow function attributes and type parameter constraints
+    'Kernel -> Config uses 19:12',
+    'Kernel -> Plan uses 21:20',
+    'Kernel -> Config uses 24:15-20'
+  ]);
+});
+
+test('extractTypes leaves out types erased on transpile', function() {
+  var source = new scanner.SourceFile([
+    'class Plan {}',
+    'class Planner {',
+    '  plan(a: Plan): void;',
+    '  plan(a: Plan, b?: Plan): void {',
+    '    var p = <Plan>a;',
+    '  }',
+    '  run(this: Plan) {}',
+    '}'
+  ].join('\n'));
+  var extracted = typescript.extractTypes(source, new Set(['Plan',
+    'Planner']));
+  assert.deepEqual(extracted.references.map(describe), [
+    'Planner -> Plan uses 4:8',
+    'Planner -> Plan uses 4:17'
+  ]);
+});